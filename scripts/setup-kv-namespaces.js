@@ -95,6 +95,7 @@ console.log("1. Set your environment variables:");
 console.log("   wrangler secret put GOOGLE_CLIENT_ID");
 console.log("   wrangler secret put GOOGLE_CLIENT_SECRET");
 console.log("   wrangler secret put JWT_SECRET");
+console.log("   wrangler secret put TOKEN_ENCRYPTION_KEY");
 console.log("   wrangler secret put STRIPE_SECRET_KEY");
 console.log("   wrangler secret put STRIPE_PUBLISHABLE_KEY");
 console.log("   wrangler secret put AIRTABLE_CLIENT_ID");
@@ -348,6 +348,12 @@ async function setupEnvironmentVariables() {
     );
   }
 
+  // Key for the Google and Airtable tokens stored in USER_SESSIONS
+  const tokenEncryptionKey = require("crypto")
+    .randomBytes(32)
+    .toString("base64");
+  log("✅ Generated token encryption key", "green");
+
   // Stripe (required for marketplace)
   log("\n💳 Stripe Setup (Required for payments):", "magenta");
   const stripeSecretKey = await question(
@@ -387,6 +393,7 @@ async function setupEnvironmentVariables() {
     { name: "GOOGLE_CLIENT_ID", value: googleClientId },
     { name: "GOOGLE_CLIENT_SECRET", value: googleClientSecret },
     { name: "JWT_SECRET", value: jwtSecret },
+    { name: "TOKEN_ENCRYPTION_KEY", value: tokenEncryptionKey },
   ];
 
   if (stripeSecretKey) {
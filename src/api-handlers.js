@@ -6,19 +6,23 @@
 export async function handleVerifyToken(request, domain, env, corsHeaders) {
   try {
     const body = await request.json();
-    const { token, domain: requestDomain } = body;
+    const { domain: requestDomain } = body;
 
-    if (!token || !requestDomain) {
-      return new Response(
-        JSON.stringify({ error: "Token and domain are required" }),
-        {
-          status: 400,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        }
-      );
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
-    const decoded = await verifyJWT(token, env.JWT_SECRET);
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
 
     // Verify the token is for the requesting domain
     if (decoded.domain !== requestDomain) {
@@ -37,7 +41,10 @@ export async function handleVerifyToken(request, domain, env, corsHeaders) {
           name: decoded.name,
           picture: decoded.picture,
           domain: decoded.domain,
+          googleConnected: !!decoded.googleConnected,
+          airtableConnected: !!decoded.airtableConnected,
         },
+        expiresAt: decoded.exp * 1000,
       }),
       {
         headers: { ...corsHeaders, "Content-Type": "application/json" },
@@ -54,6 +61,158 @@ export async function handleVerifyToken(request, domain, env, corsHeaders) {
   }
 }
 
+// ==================== PROVIDER TOKENS ====================
+
+// Google and Airtable tokens never leave the worker. They are kept per
+// session in USER_SESSIONS under provider-tokens:{sessionId}, encrypted with
+// AES-GCM, and the JWT only carries the session ID.
+
+// Refresh a little early so a token doesn't expire mid-request
+const PROVIDER_TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Saves what a provider's token endpoint returned for the session. The
+// record outlives the session at most; revoking the session deletes it.
+export async function saveProviderTokens(env, session, provider, tokens) {
+  const stored = (await readProviderTokens(env, session.sessionId)) || {};
+  stored[provider] = {
+    accessToken: tokens.access_token,
+    // Refreshing returns no new refresh token, so keep the old one
+    refreshToken:
+      tokens.refresh_token || stored[provider]?.refreshToken || null,
+    expiresAt: Date.now() + (tokens.expires_in || 3600) * 1000,
+  };
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    {
+      name: "AES-GCM",
+      iv: iv,
+      additionalData: new TextEncoder().encode(session.sessionId),
+    },
+    await providerTokenKey(env),
+    new TextEncoder().encode(JSON.stringify(stored))
+  );
+
+  await env.USER_SESSIONS.put(
+    `provider-tokens:${session.sessionId}`,
+    JSON.stringify({
+      iv: base64urlEncode(iv),
+      data: base64urlEncode(new Uint8Array(ciphertext)),
+    }),
+    { expiration: kvExpiration(Date.now() + SESSION_MAX_LIFETIME_MS) }
+  );
+}
+
+// A current access token for the session, refreshed when it has expired.
+// null when the provider isn't connected or the refresh was refused.
+async function getProviderAccessToken(env, session, provider) {
+  if (!session.sessionId) {
+    return null;
+  }
+
+  const stored = await readProviderTokens(env, session.sessionId);
+  const current = stored?.[provider];
+  if (!current) {
+    return null;
+  }
+
+  if (current.expiresAt - PROVIDER_TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return current.accessToken;
+  }
+
+  if (!current.refreshToken) {
+    return null;
+  }
+
+  const response = await fetch(
+    PROVIDER_TOKEN_URLS[provider],
+    providerRefreshRequest(env, provider, current.refreshToken)
+  );
+  const tokens = await response.json();
+
+  if (!response.ok || !tokens.access_token) {
+    console.error(
+      `❌ Failed to refresh ${provider} token:`,
+      tokens.error || response.status
+    );
+    return null;
+  }
+
+  await saveProviderTokens(env, session, provider, tokens);
+  console.log(`🔄 Refreshed ${provider} access token`);
+
+  return tokens.access_token;
+}
+
+const PROVIDER_TOKEN_URLS = {
+  google: "https://oauth2.googleapis.com/token",
+  airtable: "https://airtable.com/oauth2/v1/token",
+};
+
+function providerRefreshRequest(env, provider, refreshToken) {
+  const params = {
+    grant_type: "refresh_token",
+    refresh_token: refreshToken,
+  };
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+  if (provider === "google") {
+    params.client_id = env.GOOGLE_CLIENT_ID;
+    params.client_secret = env.GOOGLE_CLIENT_SECRET;
+  } else {
+    // Airtable rotates the refresh token and wants the client credentials
+    // as HTTP Basic auth
+    headers.Authorization = `Basic ${btoa(
+      `${env.AIRTABLE_CLIENT_ID}:${env.AIRTABLE_CLIENT_SECRET}`
+    )}`;
+  }
+
+  return {
+    method: "POST",
+    headers: headers,
+    body: new URLSearchParams(params),
+  };
+}
+
+async function readProviderTokens(env, sessionId) {
+  const record = await getKVJson(
+    env.USER_SESSIONS,
+    `provider-tokens:${sessionId}`
+  );
+  if (!record) {
+    return null;
+  }
+
+  // The session ID is authenticated too, so a record can't be moved to
+  // another session
+  const plaintext = await crypto.subtle.decrypt(
+    {
+      name: "AES-GCM",
+      iv: base64urlDecode(record.iv),
+      additionalData: new TextEncoder().encode(sessionId),
+    },
+    await providerTokenKey(env),
+    base64urlDecode(record.data)
+  );
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// TOKEN_ENCRYPTION_KEY holds 32 random bytes, base64 encoded
+async function providerTokenKey(env) {
+  if (!env.TOKEN_ENCRYPTION_KEY) {
+    throw new Error("TOKEN_ENCRYPTION_KEY is not configured");
+  }
+
+  return crypto.subtle.importKey(
+    "raw",
+    base64urlDecode(env.TOKEN_ENCRYPTION_KEY),
+    "AES-GCM",
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
 // ==================== GOOGLE SHEETS INTEGRATION ====================
 
 export async function handleGoogleSheetsCreate(
@@ -64,19 +223,23 @@ export async function handleGoogleSheetsCreate(
 ) {
   try {
     const body = await request.json();
-    const { token, domain: requestDomain, sheetName } = body;
+    const { domain: requestDomain, sheetName } = body;
 
-    if (!token || !requestDomain) {
-      return new Response(
-        JSON.stringify({ error: "Token and domain are required" }),
-        {
-          status: 400,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        }
-      );
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
-    const decoded = await verifyJWT(token, env.JWT_SECRET);
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
 
     // Verify the token is for the requesting domain
     if (decoded.domain !== requestDomain) {
@@ -86,7 +249,12 @@ export async function handleGoogleSheetsCreate(
       });
     }
 
-    if (!decoded.googleAccessToken) {
+    const googleAccessToken = await getProviderAccessToken(
+      env,
+      decoded,
+      "google"
+    );
+    if (!googleAccessToken) {
       return new Response(
         JSON.stringify({ error: "No Google access token found" }),
         {
@@ -102,7 +270,7 @@ export async function handleGoogleSheetsCreate(
       {
         method: "POST",
         headers: {
-          Authorization: `Bearer ${decoded.googleAccessToken}`,
+          Authorization: `Bearer ${googleAccessToken}`,
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
@@ -140,7 +308,7 @@ export async function handleGoogleSheetsCreate(
       {
         method: "PUT",
         headers: {
-          Authorization: `Bearer ${decoded.googleAccessToken}`,
+          Authorization: `Bearer ${googleAccessToken}`,
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
@@ -192,7 +360,6 @@ export async function handleAirtableCreateRecord(
   try {
     const body = await request.json();
     const {
-      token,
       domain: requestDomain,
       airtableApiKey,
       baseId,
@@ -200,14 +367,11 @@ export async function handleAirtableCreateRecord(
       recordData,
     } = body;
 
-    if (!token || !requestDomain) {
-      return new Response(
-        JSON.stringify({ error: "Token and domain are required" }),
-        {
-          status: 400,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        }
-      );
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
     if (!baseId) {
@@ -217,7 +381,14 @@ export async function handleAirtableCreateRecord(
       });
     }
 
-    const decoded = await verifyJWT(token, env.JWT_SECRET);
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
 
     // Verify the token is for the requesting domain
     if (decoded.domain !== requestDomain) {
@@ -228,11 +399,16 @@ export async function handleAirtableCreateRecord(
     }
 
     // Determine which authentication method to use
+    const airtableAccessToken = await getProviderAccessToken(
+      env,
+      decoded,
+      "airtable"
+    );
     let airtableToken;
-    if (decoded.airtableAccessToken) {
+    if (airtableAccessToken) {
       // Use OAuth token (preferred method)
       console.log("🔐 Using Airtable OAuth token");
-      airtableToken = decoded.airtableAccessToken;
+      airtableToken = airtableAccessToken;
     } else if (airtableApiKey) {
       // Fallback to user-provided API key
       console.log("🔑 Using user-provided API key");
@@ -432,24 +608,22 @@ export async function handleAirtableBases(request, domain, env, corsHeaders) {
   try {
     console.log("📋 Fetching user's Airtable bases...");
 
-    const authHeader =
-      request.headers.get("authorization") ||
-      request.headers.get("Authorization");
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return new Response(
-        JSON.stringify({ error: "Missing or invalid token" }),
-        {
-          status: 401,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        }
-      );
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
     }
 
-    const token = authHeader.split(" ")[1];
-    const decoded = await verifyJWT(token, env.JWT_SECRET);
-
     // Check if user has Airtable OAuth tokens
-    if (!decoded.airtableAccessToken) {
+    const airtableAccessToken = await getProviderAccessToken(
+      env,
+      decoded,
+      "airtable"
+    );
+    if (!airtableAccessToken) {
       return new Response(
         JSON.stringify({
           error: "No Airtable connection",
@@ -467,7 +641,7 @@ export async function handleAirtableBases(request, domain, env, corsHeaders) {
       "https://api.airtable.com/v0/meta/bases",
       {
         headers: {
-          Authorization: `Bearer ${decoded.airtableAccessToken}`,
+          Authorization: `Bearer ${airtableAccessToken}`,
           "Content-Type": "application/json",
         },
       }
@@ -516,23 +690,21 @@ export async function handleAirtableTables(request, domain, env, corsHeaders) {
 
     console.log(`📋 Fetching tables for base: ${baseId}`);
 
-    const authHeader =
-      request.headers.get("authorization") ||
-      request.headers.get("Authorization");
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return new Response(
-        JSON.stringify({ error: "Missing or invalid token" }),
-        {
-          status: 401,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        }
-      );
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
     }
 
-    const token = authHeader.split(" ")[1];
-    const decoded = await verifyJWT(token, env.JWT_SECRET);
-
-    if (!decoded.airtableAccessToken) {
+    const airtableAccessToken = await getProviderAccessToken(
+      env,
+      decoded,
+      "airtable"
+    );
+    if (!airtableAccessToken) {
       return new Response(
         JSON.stringify({
           error: "No Airtable connection",
@@ -557,7 +729,7 @@ export async function handleAirtableTables(request, domain, env, corsHeaders) {
       `https://api.airtable.com/v0/meta/bases/${baseId}/tables`,
       {
         headers: {
-          Authorization: `Bearer ${decoded.airtableAccessToken}`,
+          Authorization: `Bearer ${airtableAccessToken}`,
           "Content-Type": "application/json",
         },
       }
@@ -614,19 +786,23 @@ export async function handleAirtableSetupInfo(
 ) {
   try {
     const body = await request.json();
-    const { token, domain: requestDomain } = body;
+    const { domain: requestDomain } = body;
 
-    if (!token || !requestDomain) {
-      return new Response(
-        JSON.stringify({ error: "Token and domain are required" }),
-        {
-          status: 400,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        }
-      );
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
-    const decoded = await verifyJWT(token, env.JWT_SECRET);
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
 
     // Verify the token is for the requesting domain
     if (decoded.domain !== requestDomain) {
@@ -701,16 +877,24 @@ export async function handleStripeCreateProduct(
 ) {
   try {
     const body = await request.json();
-    const { token, domain: requestDomain, name, description, price } = body;
+    const {
+      domain: requestDomain,
+      name,
+      description,
+      price,
+      currency = "usd",
+      currencyOptions = {},
+      stock = null,
+      purchaseLimit = null,
+      taxCode = null,
+      requestId,
+    } = body;
 
-    if (!token || !requestDomain) {
-      return new Response(
-        JSON.stringify({ error: "Token and domain are required" }),
-        {
-          status: 400,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        }
-      );
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
     if (!env.STRIPE_SECRET_KEY) {
@@ -720,7 +904,14 @@ export async function handleStripeCreateProduct(
       });
     }
 
-    const decoded = await verifyJWT(token, env.JWT_SECRET);
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
 
     // Verify the token is for the requesting domain
     if (decoded.domain !== requestDomain) {
@@ -730,63 +921,69 @@ export async function handleStripeCreateProduct(
       });
     }
 
-    console.log(`💳 Creating Stripe product for domain: ${requestDomain}`);
-
-    // Create product
-    const productResponse = await fetch("https://api.stripe.com/v1/products", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${env.STRIPE_SECRET_KEY}`,
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
-      body: new URLSearchParams({
-        name: name,
-        description: description,
-        "metadata[domain]": requestDomain,
-        "metadata[created_by]": decoded.email,
-      }),
-    });
+    const pricingError = validatePricing(price, currency, currencyOptions);
+    if (pricingError) {
+      return new Response(JSON.stringify({ error: pricingError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
 
-    const product = await productResponse.json();
+    const inventoryError = validateInventorySettings({ stock, purchaseLimit });
+    if (inventoryError) {
+      return new Response(JSON.stringify({ error: inventoryError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
 
-    if (!productResponse.ok) {
-      throw new Error(product.error?.message || "Failed to create product");
+    const taxCodeError = validateTaxCode(taxCode);
+    if (taxCodeError) {
+      return new Response(JSON.stringify({ error: taxCodeError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
-    // Create price
-    const priceResponse = await fetch("https://api.stripe.com/v1/prices", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${env.STRIPE_SECRET_KEY}`,
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
-      body: new URLSearchParams({
-        unit_amount: Math.round(price * 100).toString(),
-        currency: "usd",
-        product: product.id,
-      }),
-    });
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
 
-    const priceObj = await priceResponse.json();
+    const idempotency = await requestIdempotency(
+      requestId,
+      "create-product",
+      requestDomain,
+      decoded.userId,
+      { name, description, price, currency, currencyOptions, taxCode }
+    );
 
-    if (!priceResponse.ok) {
-      throw new Error(priceObj.error?.message || "Failed to create price");
-    }
+    console.log(`💳 Creating Stripe product for domain: ${requestDomain}`);
 
-    // Update product to set this price as default
-    await fetch(`https://api.stripe.com/v1/products/${product.id}`, {
+    // Create the product with its default price in one request, so a
+    // failure can't leave a product without a price behind
+    const product = await stripeRequest(env, "products", {
       method: "POST",
-      headers: {
-        Authorization: `Bearer ${env.STRIPE_SECRET_KEY}`,
-        "Content-Type": "application/x-www-form-urlencoded",
+      params: {
+        name: name,
+        description: description,
+        "metadata[domain]": requestDomain,
+        "metadata[created_by]": decoded.email,
+        ...(taxCode && { tax_code: taxCode }),
+        ...defaultPriceData(priceParams(price, currency, currencyOptions)),
+        "expand[]": "default_price",
       },
-      body: new URLSearchParams({
-        default_price: priceObj.id,
-      }),
+      idempotencyKey: idempotency.key("product"),
     });
+    const priceObj = product.default_price;
 
     console.log(
-      `✅ Created Stripe product: ${product.id} with price: ${priceObj.id} ($${price})`
+      `✅ Created Stripe product: ${product.id} with price: ${
+        priceObj.id
+      } (${price} ${currency.toUpperCase()})`
     );
 
     const productData = {
@@ -794,22 +991,29 @@ export async function handleStripeCreateProduct(
       name: product.name,
       description: product.description,
       price: price,
+      currency: priceObj.currency,
+      currencyOptions: normalizeCurrencyOptions(currency, currencyOptions),
       priceId: priceObj.id,
+      taxCode: taxCode,
       domain: requestDomain,
       created: Date.now(),
       type: "one-time",
     };
 
     // Store product metadata in KV
-    await env.PRODUCTS.put(
-      `product:${requestDomain}:${product.id}`,
-      JSON.stringify(productData)
+    await saveProductToKV(env, productData);
+
+    const inventory = await saveInventorySettings(
+      env,
+      requestDomain,
+      product.id,
+      { stock, purchaseLimit }
     );
 
     return new Response(
       JSON.stringify({
         success: true,
-        product: productData,
+        product: { ...productData, ...inventoryFields(inventory) },
       }),
       {
         headers: { ...corsHeaders, "Content-Type": "application/json" },
@@ -838,16 +1042,13 @@ export async function handleStripeGetProducts(
 ) {
   try {
     const body = await request.json();
-    const { token, domain: requestDomain } = body;
+    const { domain: requestDomain, cursor, limit, sort, order, type } = body;
 
-    if (!token || !requestDomain) {
-      return new Response(
-        JSON.stringify({ error: "Token and domain are required" }),
-        {
-          status: 400,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        }
-      );
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
     if (!env.STRIPE_SECRET_KEY) {
@@ -857,7 +1058,14 @@ export async function handleStripeGetProducts(
       });
     }
 
-    const decoded = await verifyJWT(token, env.JWT_SECRET);
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
 
     // Verify the token is for the requesting domain
     if (decoded.domain !== requestDomain) {
@@ -867,58 +1075,82 @@ export async function handleStripeGetProducts(
       });
     }
 
-    console.log(`📦 Fetching Stripe products for domain: ${requestDomain}`);
-
-    // Get all products from Stripe with expanded default_price
-    const productsResponse = await fetch(
-      "https://api.stripe.com/v1/products?limit=100&expand[]=data.default_price",
-      {
-        headers: {
-          Authorization: `Bearer ${env.STRIPE_SECRET_KEY}`,
-        },
-      }
-    );
-
-    const productsData = await productsResponse.json();
+    if (sort && !PRODUCT_SORT_FIELDS.includes(sort)) {
+      return new Response(
+        JSON.stringify({
+          error: `sort must be one of: ${PRODUCT_SORT_FIELDS.join(", ")}`,
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
 
-    if (!productsResponse.ok) {
-      throw new Error(
-        productsData.error?.message || "Failed to fetch products"
+    if (type && type !== "one-time" && type !== "subscription") {
+      return new Response(
+        JSON.stringify({ error: "type must be one-time or subscription" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
       );
     }
 
-    // Filter products by domain
-    const domainProducts = productsData.data.filter(
-      (product) => product.metadata.domain === requestDomain
-    );
+    console.log(`📦 Fetching products for domain: ${requestDomain}`);
 
-    console.log(
-      `✅ Found ${domainProducts.length} products for domain: ${requestDomain}`
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || PRODUCT_PAGE_SIZE, 1),
+      MAX_PRODUCT_PAGE_SIZE
     );
 
-    const productsWithPrices = domainProducts.map((product) => {
-      const price = product.default_price
-        ? product.default_price.unit_amount / 100
-        : 0;
-      const priceId = product.default_price ? product.default_price.id : null;
+    const entries = (await listDomainProductIndex(env, requestDomain))
+      .filter((entry) => !entry.archived)
+      .filter((entry) => !type || entry.type === type)
+      .sort(compareProductEntries(sort || "created", order));
+
+    // The cursor is the ID of the last product on the previous page
+    let start = 0;
+    if (cursor) {
+      start = entries.findIndex((entry) => entry.id === cursor) + 1;
+      if (start === 0) {
+        return new Response(JSON.stringify({ error: "Invalid cursor" }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
 
-      return {
-        id: product.id,
-        name: product.name,
-        description: product.description,
-        price: price,
-        priceId: priceId,
-        domain: product.metadata.domain,
-        created: product.created * 1000, // Convert to milliseconds
-        type: product.metadata.product_type || "one-time",
-        interval: product.default_price?.recurring?.interval || null,
-      };
-    });
+    const pageEntries = entries.slice(start, start + pageSize);
+    const hasMore = start + pageSize < entries.length;
+
+    const [products, inventories] = await Promise.all([
+      Promise.all(
+        pageEntries.map((entry) =>
+          getKVJson(env.PRODUCTS, `product:${requestDomain}:${entry.id}`)
+        )
+      ),
+      getInventories(
+        env,
+        requestDomain,
+        pageEntries.map((entry) => entry.id)
+      ),
+    ]);
+    const productsWithPrices = products.filter(Boolean).map((product) => ({
+      ...product,
+      ...inventoryFields(inventories[product.id]),
+    }));
+
+    console.log(
+      `✅ Found ${entries.length} products for domain: ${requestDomain}`
+    );
 
     return new Response(
       JSON.stringify({
         success: true,
         products: productsWithPrices,
+        hasMore: hasMore,
+        nextCursor: hasMore ? pageEntries[pageEntries.length - 1].id : null,
       }),
       {
         headers: { ...corsHeaders, "Content-Type": "application/json" },
@@ -947,16 +1179,23 @@ export async function handleStripeCreatePaymentIntent(
 ) {
   try {
     const body = await request.json();
-    const { token, domain: requestDomain, priceId, productId } = body;
+    const {
+      domain: requestDomain,
+      productId,
+      items,
+      currency,
+      promotionCode,
+      paymentMethodId,
+      saveCard,
+      billingAddress,
+      requestId,
+    } = body;
 
-    if (!token || !requestDomain) {
-      return new Response(
-        JSON.stringify({ error: "Token and domain are required" }),
-        {
-          status: 400,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        }
-      );
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
     if (!env.STRIPE_SECRET_KEY) {
@@ -966,7 +1205,14 @@ export async function handleStripeCreatePaymentIntent(
       });
     }
 
-    const decoded = await verifyJWT(token, env.JWT_SECRET);
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
 
     // Verify the token is for the requesting domain
     if (decoded.domain !== requestDomain) {
@@ -976,74 +1222,270 @@ export async function handleStripeCreatePaymentIntent(
       });
     }
 
-    console.log(`💳 Creating payment intent for domain: ${requestDomain}`);
-    console.log(`🔍 Product ID: ${productId}, Price ID: ${priceId}`);
+    if (!items && !productId) {
+      return new Response(
+        JSON.stringify({ error: "Product ID or cart items are required" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
 
-    if (!priceId) {
-      throw new Error("Price ID is required but was not provided");
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
-    // Get the price to determine amount
-    const priceResponse = await fetch(
-      `https://api.stripe.com/v1/prices/${priceId}`,
+    // Every step of a retried purchase resumes on the same cart, holds and
+    // payment intent
+    const idempotency = await requestIdempotency(
+      requestId,
+      "payment-intent",
+      requestDomain,
+      decoded.userId,
       {
-        headers: {
-          Authorization: `Bearer ${env.STRIPE_SECRET_KEY}`,
-        },
+        productId,
+        items,
+        currency,
+        promotionCode,
+        paymentMethodId,
+        saveCard,
+        billingAddress,
       }
     );
+    const cartId = idempotency.id;
+
+    console.log(`💳 Creating payment intent for domain: ${requestDomain}`);
 
-    const price = await priceResponse.json();
+    // A single product is a one-line cart; either way every line is priced
+    // here from the product's current default price
+    const cart = await priceCartItems(
+      env,
+      requestDomain,
+      items ?? (productId ? [{ productId, quantity: 1 }] : null),
+      currency
+    );
 
-    if (!priceResponse.ok) {
-      throw new Error(price.error?.message || "Failed to retrieve price");
+    if (cart.error) {
+      return new Response(JSON.stringify({ error: cart.error }), {
+        status: cart.status,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
+    const chargeCurrency = cart.currency;
+
     console.log(
-      `💰 Retrieved price: $${
-        price.unit_amount / 100
-      } ${price.currency.toUpperCase()}`
+      `💰 Cart of ${cart.lines.length} line(s): ${fromMinorUnits(
+        cart.subtotal,
+        chargeCurrency
+      )} ${chargeCurrency.toUpperCase()}`
     );
 
-    if (!price.unit_amount || price.unit_amount <= 0) {
-      throw new Error(
-        `Invalid price amount: ${price.unit_amount}. Price must be greater than 0.`
+    // The discount is always worked out here, never taken from the client
+    let discount = null;
+    if (promotionCode) {
+      discount = await resolvePromotionCode(
+        env,
+        promotionCode,
+        requestDomain,
+        cart.lines,
+        chargeCurrency
       );
-    }
 
-    // Create payment intent
-    const paymentIntentResponse = await fetch(
-      "https://api.stripe.com/v1/payment_intents",
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${env.STRIPE_SECRET_KEY}`,
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams({
-          amount: price.unit_amount.toString(),
-          currency: price.currency,
-          "metadata[domain]": requestDomain,
-          "metadata[customer_email]": decoded.email,
-          "metadata[product_id]": productId,
-          "metadata[price_id]": priceId,
-          receipt_email: decoded.email,
-        }),
+      if (discount.error) {
+        return new Response(JSON.stringify({ error: discount.error }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
       }
+
+      if (discount.total <= 0) {
+        return new Response(
+          JSON.stringify({
+            error: "This code covers the full price; there is nothing to pay",
+          }),
+          {
+            status: 400,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          }
+        );
+      }
+    }
+
+    const taxed = await taxPurchase(
+      env,
+      requestDomain,
+      cart.lines,
+      chargeCurrency,
+      discount,
+      billingAddress,
+      idempotency.key("tax-calculation")
     );
 
-    const paymentIntent = await paymentIntentResponse.json();
+    if (taxed.error) {
+      return new Response(JSON.stringify({ error: taxed.error }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
 
-    if (!paymentIntentResponse.ok) {
-      throw new Error(
-        paymentIntent.error?.message || "Failed to create payment intent"
+    const tax = taxed.tax;
+    const chargeAmount = totalWithTax(
+      discount ? discount.total : cart.subtotal,
+      tax
+    );
+
+    const customer = await findOrCreateStripeCustomer(
+      env,
+      decoded,
+      requestDomain
+    );
+
+    if (taxed.address) {
+      await saveCustomerAddress(
+        env,
+        customer.id,
+        taxed.address,
+        idempotency.key("customer-address")
+      );
+    }
+
+    const paymentIntentParams = {
+      amount: chargeAmount.toString(),
+      currency: chargeCurrency,
+      customer: customer.id,
+      "metadata[domain]": requestDomain,
+      "metadata[customer_email]": decoded.email,
+      "metadata[user_id]": decoded.userId,
+      "metadata[item_count]": cart.lines
+        .reduce((sum, line) => sum + line.quantity, 0)
+        .toString(),
+      receipt_email: decoded.email,
+    };
+
+    // Single-product payments keep the product on the payment intent so
+    // they read the same in the Stripe dashboard as before carts
+    if (cart.lines.length === 1) {
+      paymentIntentParams["metadata[product_id]"] = cart.lines[0].productId;
+      paymentIntentParams["metadata[price_id]"] = cart.lines[0].priceId;
+    }
+
+    // One-click payments reuse a saved card; it is still confirmed on the
+    // client so 3D Secure can run if the bank asks for it
+    if (paymentMethodId) {
+      const paymentMethod = await getCustomerPaymentMethod(
+        env,
+        customer,
+        paymentMethodId
       );
+      if (!paymentMethod) {
+        return new Response(
+          JSON.stringify({ error: "Payment method not found" }),
+          {
+            status: 404,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          }
+        );
+      }
+      paymentIntentParams.payment_method = paymentMethod.id;
+    } else if (saveCard) {
+      paymentIntentParams.setup_future_usage = "off_session";
+    }
+
+    if (discount) {
+      paymentIntentParams["metadata[promotion_code_id]"] =
+        discount.promotionCode.id;
+      paymentIntentParams["metadata[promotion_code]"] =
+        discount.promotionCode.code;
+      paymentIntentParams["metadata[original_amount]"] =
+        cart.subtotal.toString();
+      paymentIntentParams["metadata[discount_amount]"] =
+        discount.amount.toString();
+    }
+
+    if (tax) {
+      paymentIntentParams["metadata[tax_amount]"] = tax.amount.toString();
+      if (tax.calculationId) {
+        paymentIntentParams["metadata[tax_calculation]"] = tax.calculationId;
+      }
+    }
+
+    // Pay the domain owner through a destination charge
+    const destination = await getConnectDestination(env, requestDomain);
+    if (destination) {
+      paymentIntentParams["transfer_data[destination]"] = destination.accountId;
+      const fee = applicationFeeAmount(chargeAmount, destination.feePercent);
+      if (fee > 0) {
+        paymentIntentParams.application_fee_amount = fee.toString();
+      }
+    }
+
+    // Limited products and the code's redemption are held for this buyer
+    // while they pay; the webhook commits or releases the holds
+    const reservation = await reserveCart(
+      env,
+      requestDomain,
+      cart.lines,
+      decoded.userId,
+      cartId,
+      INVENTORY_HOLD_MS,
+      discount?.promotionCode
+    );
+
+    if (reservation.error) {
+      return new Response(JSON.stringify({ error: reservation.error }), {
+        status: 409,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
+    // Line items are too long for metadata, so the webhook reads them from
+    // the cart record instead
+    paymentIntentParams["metadata[cart_id]"] = cartId;
+
+    // Create payment intent
+    let paymentIntent;
+    try {
+      paymentIntent = await stripeRequest(env, "payment_intents", {
+        method: "POST",
+        params: paymentIntentParams,
+        idempotencyKey: idempotency.key("payment-intent"),
+      });
+    } catch (error) {
+      if (!isRetryableStripeError(error)) {
+        await releaseCart(env, requestDomain, {
+          id: cartId,
+          lines: cart.lines,
+          promotionCodeId: discount?.promotionCode.id,
+        });
+      }
+      throw error;
+    }
+
+    await saveCart(env, requestDomain, {
+      id: cartId,
+      userId: decoded.userId,
+      currency: chargeCurrency,
+      lines: cart.lines,
+      ...(tax && {
+        tax: tax,
+        billingAddress: formatBillingAddress(taxed.address),
+      }),
+      ...(discount && { promotionCodeId: discount.promotionCode.id }),
+      paymentIntentId: paymentIntent.id,
+      created: Date.now(),
+    });
+
     console.log(
-      `✅ Created payment intent: ${paymentIntent.id} for $${
-        price.unit_amount / 100
-      }`
+      `✅ Created payment intent: ${paymentIntent.id} for ${fromMinorUnits(
+        chargeAmount,
+        chargeCurrency
+      )} ${chargeCurrency.toUpperCase()}`
     );
 
     return new Response(
@@ -1051,6 +1493,14 @@ export async function handleStripeCreatePaymentIntent(
         success: true,
         clientSecret: paymentIntent.client_secret,
         paymentIntentId: paymentIntent.id,
+        amount: fromMinorUnits(chargeAmount, chargeCurrency),
+        originalAmount: fromMinorUnits(cart.subtotal, chargeCurrency),
+        discount: discount
+          ? fromMinorUnits(discount.amount, chargeCurrency)
+          : 0,
+        currency: chargeCurrency,
+        lineItems: formatLineItems(cart.lines, chargeCurrency),
+        tax: tax ? formatTax(tax, chargeCurrency) : null,
       }),
       {
         headers: { ...corsHeaders, "Content-Type": "application/json" },
@@ -1071,21 +1521,9382 @@ export async function handleStripeCreatePaymentIntent(
   }
 }
 
-// Additional Stripe handlers would continue here...
-// (handleStripeCreateSubscription, handleStripeGetSubscriptions, etc.)
+// ==================== STRIPE CATALOG MANAGEMENT ====================
+
+export async function handleStripeUpdateProduct(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const {
+      domain: requestDomain,
+      productId,
+      name,
+      description,
+      price,
+      currency,
+      currencyOptions,
+      stock,
+      purchaseLimit,
+      taxCode,
+      requestId,
+    } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!productId) {
+      return new Response(JSON.stringify({ error: "Product ID is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!(await isDomainAdmin(env, decoded.email, requestDomain))) {
+      return new Response(
+        JSON.stringify({ error: "Only domain admins can manage products" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const existing = await getDomainProduct(env, productId, requestDomain);
+    if (!existing) {
+      return new Response(JSON.stringify({ error: "Product not found" }), {
+        status: 404,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const idempotency = await requestIdempotency(
+      requestId,
+      "update-product",
+      requestDomain,
+      decoded.userId,
+      {
+        productId,
+        name,
+        description,
+        price,
+        currency,
+        currencyOptions,
+        taxCode,
+      }
+    );
+
+    const oldPrice = existing.default_price;
+    const current = formatStripeProduct(existing);
+
+    // Any pricing field that was sent replaces the current value
+    const newPrice = price ?? current.price;
+    const newCurrency = (currency || current.currency).toLowerCase();
+    const newCurrencyOptions = currencyOptions ?? current.currencyOptions;
+
+    const priceChanged =
+      !oldPrice ||
+      newPrice !== current.price ||
+      newCurrency !== current.currency ||
+      !sameCurrencyOptions(
+        normalizeCurrencyOptions(newCurrency, newCurrencyOptions),
+        current.currencyOptions
+      );
+
+    if (priceChanged) {
+      const pricingError = validatePricing(
+        newPrice,
+        newCurrency,
+        newCurrencyOptions
+      );
+      if (pricingError) {
+        return new Response(JSON.stringify({ error: pricingError }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
+
+    const inventoryError = validateInventorySettings({ stock, purchaseLimit });
+    if (inventoryError) {
+      return new Response(JSON.stringify({ error: inventoryError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const taxCodeError = validateTaxCode(taxCode);
+    if (taxCodeError) {
+      return new Response(JSON.stringify({ error: taxCodeError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const inventoryChanged = stock !== undefined || purchaseLimit !== undefined;
+    if (inventoryChanged && oldPrice?.recurring && (stock || purchaseLimit)) {
+      return new Response(
+        JSON.stringify({
+          error: "Stock and purchase limits only apply to one-time products",
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    console.log(
+      `✏️ Updating product ${productId} for domain: ${requestDomain}`
+    );
+
+    const productParams = {};
+    if (name !== undefined) {
+      productParams.name = name;
+    }
+    if (description !== undefined) {
+      productParams.description = description;
+    }
+    // null clears the tax code, falling back to the account's default
+    if (taxCode !== undefined) {
+      productParams.tax_code = taxCode || "";
+    }
+
+    let priceObj = null;
+    if (priceChanged) {
+      // Prices are immutable in Stripe: create a new one, make it the
+      // default, then retire the old one. Existing subscriptions keep
+      // billing on the old price.
+      priceObj = await stripeRequest(env, "prices", {
+        method: "POST",
+        params: {
+          ...priceParams(newPrice, newCurrency, newCurrencyOptions),
+          product: productId,
+          ...(oldPrice?.recurring && {
+            "recurring[interval]": oldPrice.recurring.interval,
+          }),
+          ...(oldPrice?.recurring?.meter && {
+            "recurring[usage_type]": "metered",
+            "recurring[meter]": oldPrice.recurring.meter,
+          }),
+        },
+        idempotencyKey: idempotency.key("price"),
+      });
+      productParams.default_price = priceObj.id;
+
+      console.log(`💰 New price ${priceObj.id} replaces ${oldPrice?.id}`);
+    }
+
+    if (Object.keys(productParams).length > 0) {
+      try {
+        await stripeRequest(env, `products/${productId}`, {
+          method: "POST",
+          params: productParams,
+          idempotencyKey: idempotency.key("product"),
+        });
+      } catch (error) {
+        // The new price never became the default, so retire it again
+        if (priceObj && !isRetryableStripeError(error)) {
+          await stripeRequest(env, `prices/${priceObj.id}`, {
+            method: "POST",
+            params: { active: "false" },
+            idempotencyKey: idempotency.key("discard-price"),
+          });
+        }
+        throw error;
+      }
+    }
+
+    if (priceChanged && oldPrice) {
+      await stripeRequest(env, `prices/${oldPrice.id}`, {
+        method: "POST",
+        params: { active: "false" },
+        idempotencyKey: idempotency.key("retire-price"),
+      });
+    }
+
+    const productData = await syncProductToKV(env, productId, requestDomain);
+
+    const inventory = inventoryChanged
+      ? await saveInventorySettings(env, requestDomain, productId, {
+          stock,
+          purchaseLimit,
+        })
+      : await getInventory(env, requestDomain, productId);
+
+    console.log(`✅ Updated product ${productId}`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        product: { ...productData, ...inventoryFields(inventory) },
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error updating Stripe product:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to update product",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleStripeArchiveProduct(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, productId, requestId } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!productId) {
+      return new Response(JSON.stringify({ error: "Product ID is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!(await isDomainAdmin(env, decoded.email, requestDomain))) {
+      return new Response(
+        JSON.stringify({ error: "Only domain admins can manage products" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const existing = await getDomainProduct(env, productId, requestDomain);
+    if (!existing) {
+      return new Response(JSON.stringify({ error: "Product not found" }), {
+        status: 404,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const idempotency = await requestIdempotency(
+      requestId,
+      "archive-product",
+      requestDomain,
+      decoded.userId,
+      { productId }
+    );
+
+    console.log(
+      `🗄️ Archiving product ${productId} for domain: ${requestDomain}`
+    );
+
+    // Products that have been sold can't be deleted in Stripe, and orders
+    // still reference them, so archiving only hides them from the storefront
+    await stripeRequest(env, `products/${productId}`, {
+      method: "POST",
+      params: { active: "false" },
+      idempotencyKey: idempotency.key("product"),
+    });
+
+    const productData = await syncProductToKV(env, productId, requestDomain);
+
+    console.log(`✅ Archived product ${productId}`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        product: productData,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error archiving Stripe product:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to archive product",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// Retrieve a product with its default price, only if it belongs to the domain
+async function getDomainProduct(env, productId, requestDomain) {
+  try {
+    const product = await stripeRequest(
+      env,
+      `products/${encodeURIComponent(
+        productId
+      )}?expand[]=default_price&expand[]=default_price.currency_options`
+    );
+    return product.metadata.domain === requestDomain ? product : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Re-read a product from Stripe and refresh its KV copy
+async function syncProductToKV(env, productId, requestDomain) {
+  const product = await getDomainProduct(env, productId, requestDomain);
+  const productData = formatStripeProduct(product);
+
+  await saveProductToKV(env, productData);
+
+  return productData;
+}
+
+// Products are indexed per domain under product:{domain}:{id}. The listing
+// fields ride along as KV metadata so a domain can be filtered and sorted
+// from a single list() pass without reading every record.
+async function saveProductToKV(env, productData) {
+  await env.PRODUCTS.put(
+    `product:${productData.domain}:${productData.id}`,
+    JSON.stringify(productData),
+    {
+      metadata: {
+        name: (productData.name || "").slice(0, 200),
+        price: productData.price,
+        type: productData.type || "one-time",
+        created: productData.created,
+        archived: !!productData.archived,
+      },
+    }
+  );
+}
+
+// Every indexed product for a domain as { id, name, price, type, created,
+// archived }. Records written before the index carried metadata are read
+// individually instead.
+async function listDomainProductIndex(env, requestDomain) {
+  const prefix = `product:${requestDomain}:`;
+  const entries = [];
+  let cursor;
+
+  do {
+    const page = await env.PRODUCTS.list({ prefix, cursor });
+
+    for (const key of page.keys) {
+      const id = key.name.slice(prefix.length);
+      if (key.metadata) {
+        entries.push({ id, ...key.metadata });
+        continue;
+      }
+
+      const product = await getKVJson(env.PRODUCTS, key.name);
+      if (product) {
+        entries.push({
+          id,
+          name: product.name || "",
+          price: product.price,
+          type: product.type || "one-time",
+          created: product.created,
+          archived: !!product.archived,
+        });
+      }
+    }
+
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return entries;
+}
+
+const PRODUCT_SORT_FIELDS = ["created", "name", "price"];
+const PRODUCT_PAGE_SIZE = 50;
+const MAX_PRODUCT_PAGE_SIZE = 100;
+
+function compareProductEntries(sort, order) {
+  const direction = order === "asc" ? 1 : -1;
+
+  return (a, b) => {
+    const result =
+      sort === "name"
+        ? a.name.localeCompare(b.name)
+        : (a[sort] || 0) - (b[sort] || 0);
+    // Fall back to the ID so pages stay stable when values tie
+    return (result || a.id.localeCompare(b.id)) * direction;
+  };
+}
+
+// ==================== PRODUCT INVENTORY ====================
+
+// How long a started payment keeps its units out of stock
+const INVENTORY_HOLD_MS = 15 * 60 * 1000;
+// Checkout sessions can't expire sooner than 30 minutes
+const CHECKOUT_HOLD_MS = 31 * 60 * 1000;
+
+// Stock and purchase limits live in the RESERVATION_LEDGER Durable Object,
+// one per domain, as { stock, purchaseLimit, sold, holds } per product.
+// Products without a record are unlimited. Before the ledger they were kept
+// in PRODUCTS under inventory:{domain}:{productId}, with purchase counts
+// under purchases:{domain}:{productId}:{userId}; the ledger takes those
+// over the first time it sees a product or buyer.
+function inventoryKey(requestDomain, productId) {
+  return `inventory:${requestDomain}:${productId}`;
+}
+
+function purchaseCountKey(requestDomain, productId, userId) {
+  return `purchases:${requestDomain}:${productId}:${userId}`;
+}
+
+async function ledgerRequest(env, requestDomain, action, body) {
+  const ledger = env.RESERVATION_LEDGER.get(
+    env.RESERVATION_LEDGER.idFromName(requestDomain)
+  );
+  const response = await ledger.fetch(`https://reservation-ledger/${action}`, {
+    method: "POST",
+    body: JSON.stringify({ ...body, domain: requestDomain }),
+  });
+  if (!response.ok) {
+    throw new Error(`Reservation ledger ${action} failed: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+async function getInventory(env, requestDomain, productId) {
+  const inventories = await getInventories(env, requestDomain, [productId]);
+  return inventories[productId];
+}
+
+// Inventory for many products in one round trip, keyed by product ID
+async function getInventories(env, requestDomain, productIds) {
+  return await ledgerRequest(env, requestDomain, "describe", { productIds });
+}
+
+// Create, change or remove the stock settings for a product. Sold counts
+// and open holds carry over when the numbers change.
+async function saveInventorySettings(
+  env,
+  requestDomain,
+  productId,
+  { stock, purchaseLimit }
+) {
+  return await ledgerRequest(env, requestDomain, "configure", {
+    productId,
+    stock,
+    purchaseLimit,
+  });
+}
+
+function validateInventorySettings({ stock, purchaseLimit }) {
+  if (
+    stock !== undefined &&
+    stock !== null &&
+    (!Number.isInteger(stock) || stock < 0)
+  ) {
+    return "Stock must be a whole number of 0 or more";
+  }
+  if (
+    purchaseLimit !== undefined &&
+    purchaseLimit !== null &&
+    (!Number.isInteger(purchaseLimit) || purchaseLimit < 1)
+  ) {
+    return "Purchase limit must be a whole number of 1 or more";
+  }
+  return null;
+}
+
+function activeHolds(inventory, now = Date.now()) {
+  return Object.entries(inventory.holds || {}).filter(
+    ([, hold]) => hold.expires > now
+  );
+}
+
+function availableStock(inventory, now = Date.now()) {
+  if (inventory.stock === null) {
+    return null;
+  }
+  const held = activeHolds(inventory, now).reduce(
+    (sum, [, hold]) => sum + hold.quantity,
+    0
+  );
+  return Math.max(inventory.stock - inventory.sold - held, 0);
+}
+
+// The stock fields the storefront shows next to a product
+function inventoryFields(inventory) {
+  return {
+    stock: inventory?.stock ?? null,
+    purchaseLimit: inventory?.purchaseLimit ?? null,
+    available: inventory ? availableStock(inventory) : null,
+  };
+}
+
+// Hold stock for every line of a cart, setting holdId on limited lines, and
+// a redemption of its promotion code if the code has a limit. The ledger
+// holds everything or nothing. Holds are named after the cart, so retrying
+// the same cart renews them instead of adding more.
+async function reserveCart(
+  env,
+  requestDomain,
+  lines,
+  userId,
+  cartId,
+  holdMs = INVENTORY_HOLD_MS,
+  promotionCode = null
+) {
+  const reservation = await ledgerRequest(env, requestDomain, "reserve", {
+    cartId,
+    userId,
+    holdMs,
+    lines: lines.map(({ productId, quantity }) => ({ productId, quantity })),
+    promotion: promotionCode && promotionLimits(promotionCode),
+  });
+
+  if (reservation.error) {
+    const line = lines.find((l) => l.productId === reservation.productId);
+    return {
+      error:
+        line && lines.length > 1
+          ? `${line.productName}: ${reservation.error}`
+          : reservation.error,
+    };
+  }
+
+  for (const line of lines) {
+    line.holdId = reservation.limited.includes(line.productId) ? cartId : null;
+  }
+
+  if (reservation.limited.length > 0) {
+    console.log(`📦 Holding stock for cart ${cartId} on ${requestDomain}`);
+  }
+  return {};
+}
+
+function heldLines(lines) {
+  return lines
+    .filter((line) => line.holdId)
+    .map(({ productId, quantity }) => ({ productId, quantity }));
+}
+
+// What the ledger needs to enforce a code's max_redemptions. Stripe counts
+// invoice and Checkout redemptions itself; the ledger counts the rest.
+function promotionLimits(promotionCode) {
+  return {
+    id: promotionCode.id,
+    maxRedemptions: promotionCode.max_redemptions || null,
+    stripeRedemptions: promotionCode.times_redeemed,
+  };
+}
+
+// Give back a cart's stock and promotion holds. Takes the stored cart, or
+// { id, lines, promotionCodeId } before it is saved.
+async function releaseCart(env, requestDomain, cart) {
+  const lines = heldLines(cart.lines);
+  if (lines.length === 0 && !cart.promotionCodeId) {
+    return;
+  }
+
+  await ledgerRequest(env, requestDomain, "release", {
+    cartId: cart.id,
+    lines,
+    promotionCodeId: cart.promotionCodeId || null,
+  });
+  console.log(`📦 Released holds of cart ${cart.id}`);
+}
+
+// A cart's payment succeeded: turn its holds into sales and count its
+// promotion code. Returns null, or why the sale was refused: "sold_out"
+// when a stock hold lapsed before the payment finished and its units went
+// to someone else, "code_redeemed" when the same happened to the code's
+// last redemption. The ledger remembers the outcome, so every event
+// reporting the payment gets the same answer.
+async function commitCart(env, requestDomain, cart) {
+  const lines = heldLines(cart.lines);
+  if (lines.length === 0 && !cart.promotionCodeId) {
+    return null;
+  }
+
+  // The limit is checked against Stripe's current count, not the one from
+  // when the payment started
+  const promotion = cart.promotionCodeId
+    ? promotionLimits(
+        await stripeRequest(
+          env,
+          `promotion_codes/${encodeURIComponent(cart.promotionCodeId)}`
+        )
+      )
+    : null;
+
+  const { outcome, reason } = await ledgerRequest(
+    env,
+    requestDomain,
+    "commit",
+    { cartId: cart.id, userId: cart.userId, lines, promotion }
+  );
+
+  if (outcome === "refused") {
+    console.warn(
+      `⚠️ Cart ${cart.id} on ${requestDomain} was paid after its holds lapsed and was refused: ${reason}`
+    );
+    return reason;
+  }
+
+  console.log(`📦 Settled the holds of cart ${cart.id}`);
+  return null;
+}
+
+function redemptionsLeft(record, promotion, now) {
+  return (
+    promotion.maxRedemptions -
+    promotion.stripeRedemptions -
+    record.redeemed -
+    activeHolds(record, now).length
+  );
+}
+
+// Durable Object, one per domain, keeping stock, holds and purchase counts,
+// and the redemptions of promotion codes used on direct payments. An
+// object handles one request at a time, so checking what is left and
+// taking a hold can't interleave with another buyer's. Taking over the KV
+// records waits on KV, which would let other requests in, so every request
+// runs inside blockConcurrencyWhile.
+export class ReservationLedger {
+  constructor(state, env) {
+    this.state = state;
+    this.storage = state.storage;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const action = new URL(request.url).pathname.slice(1);
+    const body = await request.json();
+    const handlers = {
+      describe: () => this.describe(body),
+      redemptions: () => this.redemptions(body),
+      configure: () => this.configure(body),
+      reserve: () => this.reserve(body),
+      release: () => this.release(body),
+      commit: () => this.commit(body),
+    };
+    if (!handlers[action]) {
+      return new Response("Not found", { status: 404 });
+    }
+
+    const result = await this.state.blockConcurrencyWhile(handlers[action]);
+
+    return new Response(JSON.stringify(result), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  async inventory(domain, productId) {
+    const key = `inventory:${productId}`;
+    let inventory = await this.storage.get(key);
+    if (inventory === undefined) {
+      // Holds kept in KV are dropped; their payments are counted at commit
+      // if the stock is still there
+      const legacy = await getKVJson(
+        this.env.PRODUCTS,
+        inventoryKey(domain, productId)
+      );
+      inventory = legacy
+        ? {
+            stock: legacy.stock ?? null,
+            purchaseLimit: legacy.purchaseLimit ?? null,
+            sold: legacy.sold || 0,
+            holds: {},
+          }
+        : null;
+      await this.storage.put(key, inventory);
+    }
+
+    return inventory && { ...inventory, holds: { ...inventory.holds } };
+  }
+
+  async purchased(domain, productId, userId) {
+    const key = `purchases:${productId}:${userId}`;
+    let count = await this.storage.get(key);
+    if (count === undefined) {
+      count =
+        parseInt(
+          await this.env.PRODUCTS.get(
+            purchaseCountKey(domain, productId, userId)
+          ),
+          10
+        ) || 0;
+      await this.storage.put(key, count);
+    }
+    return count;
+  }
+
+  // { redeemed, holds } for a promotion code. Redemptions were counted in
+  // ORDERS under promotion:{domain}:{id} before the ledger.
+  async promotion(domain, promotionCodeId) {
+    const key = `promotion:${promotionCodeId}`;
+    let record = await this.storage.get(key);
+    if (record === undefined) {
+      const legacy = await getKVJson(
+        this.env.ORDERS,
+        `promotion:${domain}:${promotionCodeId}`
+      );
+      record = { redeemed: legacy?.redemptions || 0, holds: {} };
+      await this.storage.put(key, record);
+    }
+
+    return { ...record, holds: { ...record.holds } };
+  }
+
+  // Expired holds are dropped whenever a record is written
+  pruneHolds(record, now) {
+    record.holds = Object.fromEntries(activeHolds(record, now));
+  }
+
+  async describe({ domain, productIds }) {
+    const inventories = {};
+    for (const productId of productIds) {
+      inventories[productId] = await this.inventory(domain, productId);
+    }
+    return inventories;
+  }
+
+  // Completed redemptions per promotion code, keyed by its ID
+  async redemptions({ domain, promotionCodeIds }) {
+    const counts = {};
+    for (const promotionCodeId of promotionCodeIds) {
+      counts[promotionCodeId] = (
+        await this.promotion(domain, promotionCodeId)
+      ).redeemed;
+    }
+    return counts;
+  }
+
+  async configure({ domain, productId, stock, purchaseLimit }) {
+    const existing = await this.inventory(domain, productId);
+    const inventory = {
+      sold: 0,
+      holds: {},
+      ...existing,
+      stock: stock !== undefined ? stock : existing?.stock ?? null,
+      purchaseLimit:
+        purchaseLimit !== undefined
+          ? purchaseLimit
+          : existing?.purchaseLimit ?? null,
+    };
+
+    if (inventory.stock === null && inventory.purchaseLimit === null) {
+      await this.storage.put(`inventory:${productId}`, null);
+      return null;
+    }
+
+    this.pruneHolds(inventory, Date.now());
+    await this.storage.put(`inventory:${productId}`, inventory);
+    return inventory;
+  }
+
+  // Returns { limited: [productId] } naming the lines that were held, or
+  // { error, productId } for the first line that can't be, holding nothing.
+  // A promotion code that has run out is an error without a productId.
+  async reserve({ domain, cartId, userId, lines, holdMs, promotion }) {
+    const now = Date.now();
+    const updates = {};
+    const limited = [];
+
+    for (const { productId, quantity } of lines) {
+      const inventory = await this.inventory(domain, productId);
+      if (!inventory) {
+        continue;
+      }
+
+      delete inventory.holds[cartId];
+      this.pruneHolds(inventory, now);
+
+      const available = availableStock(inventory, now);
+      if (available !== null && available < quantity) {
+        return {
+          productId,
+          error:
+            available === 0
+              ? "This product is sold out"
+              : `Only ${available} left in stock`,
+        };
+      }
+
+      if (inventory.purchaseLimit !== null) {
+        const purchased = await this.purchased(domain, productId, userId);
+        const pending = Object.values(inventory.holds)
+          .filter((hold) => hold.userId === userId)
+          .reduce((sum, hold) => sum + hold.quantity, 0);
+
+        if (purchased + pending + quantity > inventory.purchaseLimit) {
+          return {
+            productId,
+            error: `Limit of ${inventory.purchaseLimit} per customer`,
+          };
+        }
+      }
+
+      inventory.holds[cartId] = { userId, quantity, expires: now + holdMs };
+      updates[`inventory:${productId}`] = inventory;
+      limited.push(productId);
+    }
+
+    if (promotion?.maxRedemptions) {
+      const record = await this.promotion(domain, promotion.id);
+      delete record.holds[cartId];
+      this.pruneHolds(record, now);
+
+      if (redemptionsLeft(record, promotion, now) <= 0) {
+        return { error: "This code has been fully redeemed" };
+      }
+
+      record.holds[cartId] = { userId, expires: now + holdMs };
+      updates[`promotion:${promotion.id}`] = record;
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await this.storage.put(updates);
+    }
+    return { limited };
+  }
+
+  async release({ domain, cartId, lines, promotionCodeId }) {
+    const updates = {};
+    for (const { productId } of lines) {
+      const inventory = await this.inventory(domain, productId);
+      if (inventory?.holds[cartId]) {
+        delete inventory.holds[cartId];
+        updates[`inventory:${productId}`] = inventory;
+      }
+    }
+
+    if (promotionCodeId) {
+      const record = await this.promotion(domain, promotionCodeId);
+      if (record.holds[cartId]) {
+        delete record.holds[cartId];
+        updates[`promotion:${promotionCodeId}`] = record;
+      }
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await this.storage.put(updates);
+    }
+    return {};
+  }
+
+  // A hold that is still active is sold as it stands. One that lapsed is
+  // sold only if its units, or a redemption of its code, are still free
+  // and the buyer is within the limit; otherwise the whole cart is refused
+  // and its holds given back.
+  async commit({ domain, cartId, userId, lines, promotion }) {
+    const settledKey = `settled:${cartId}`;
+    const settled = await this.storage.get(settledKey);
+    if (settled) {
+      return settled;
+    }
+
+    const now = Date.now();
+    const released = {};
+    const sold = {};
+    let refusedReason = null;
+
+    for (const { productId, quantity } of lines) {
+      const inventory = await this.inventory(domain, productId);
+      if (!inventory) {
+        continue;
+      }
+
+      const hold = inventory.holds[cartId];
+      delete inventory.holds[cartId];
+      this.pruneHolds(inventory, now);
+      released[`inventory:${productId}`] = inventory;
+
+      if (!(hold?.expires > now)) {
+        const available = availableStock(inventory, now);
+        const withinLimit =
+          inventory.purchaseLimit === null ||
+          (await this.purchased(domain, productId, userId)) + quantity <=
+            inventory.purchaseLimit;
+        if ((available !== null && available < quantity) || !withinLimit) {
+          refusedReason ??= "sold_out";
+        }
+      }
+
+      sold[`inventory:${productId}`] = {
+        ...inventory,
+        sold: inventory.sold + quantity,
+      };
+      if (userId) {
+        sold[`purchases:${productId}:${userId}`] =
+          (await this.purchased(domain, productId, userId)) + quantity;
+      }
+    }
+
+    if (promotion) {
+      const record = await this.promotion(domain, promotion.id);
+      const hold = record.holds[cartId];
+      delete record.holds[cartId];
+      this.pruneHolds(record, now);
+      released[`promotion:${promotion.id}`] = record;
+
+      if (
+        promotion.maxRedemptions &&
+        !(hold?.expires > now) &&
+        redemptionsLeft(record, promotion, now) <= 0
+      ) {
+        refusedReason ??= "code_redeemed";
+      }
+
+      sold[`promotion:${promotion.id}`] = {
+        ...record,
+        redeemed: record.redeemed + 1,
+      };
+    }
+
+    const outcome = refusedReason
+      ? { outcome: "refused", reason: refusedReason }
+      : { outcome: "committed" };
+    await this.storage.put({
+      ...(refusedReason ? released : sold),
+      [settledKey]: outcome,
+    });
+    return outcome;
+  }
+}
+
+// ==================== CARTS ====================
+
+const MAX_CART_LINES = 20;
+const MAX_LINE_QUANTITY = 99;
+
+// Price [{ productId, quantity }] from each product's current default price.
+// Returns { lines, currency, subtotal } with amounts in minor units, or
+// { error, status }. Subscriptions can't share a payment with anything.
+async function priceCartItems(env, requestDomain, items, currency) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: "Your cart is empty", status: 400 };
+  }
+
+  // Repeated products become one line
+  const quantities = new Map();
+  for (const item of items) {
+    const quantity = item?.quantity ?? 1;
+    if (!item?.productId || !Number.isInteger(quantity) || quantity < 1) {
+      return {
+        error: "Each item needs a product ID and a whole quantity",
+        status: 400,
+      };
+    }
+    quantities.set(
+      item.productId,
+      (quantities.get(item.productId) || 0) + quantity
+    );
+  }
+
+  if (quantities.size > MAX_CART_LINES) {
+    return {
+      error: `A cart can hold at most ${MAX_CART_LINES} different products`,
+      status: 400,
+    };
+  }
+
+  const productIds = [...quantities.keys()];
+  const products = await Promise.all(
+    productIds.map((productId) =>
+      getDomainProduct(env, productId, requestDomain)
+    )
+  );
+
+  let chargeCurrency = currency ? currency.toLowerCase() : null;
+  const lines = [];
+
+  for (const [index, product] of products.entries()) {
+    if (!product || !product.active || !product.default_price) {
+      return { error: "Product not found", status: 404 };
+    }
+
+    const price = product.default_price;
+    if (price.recurring) {
+      return {
+        error: `${product.name} is a subscription and must be bought on its own`,
+        status: 400,
+      };
+    }
+
+    const quantity = quantities.get(productIds[index]);
+    if (quantity > MAX_LINE_QUANTITY) {
+      return {
+        error: `You can buy at most ${MAX_LINE_QUANTITY} of ${product.name}`,
+        status: 400,
+      };
+    }
+
+    // The first product's currency is used when the buyer didn't pick one
+    chargeCurrency = chargeCurrency || price.currency;
+    const unitAmount = priceAmountFor(price, chargeCurrency);
+
+    if (unitAmount === null) {
+      return {
+        error: `${product.name} is not sold in ${chargeCurrency.toUpperCase()}`,
+        status: 400,
+      };
+    }
+
+    if (unitAmount <= 0) {
+      return { error: `${product.name} has no valid price`, status: 400 };
+    }
+
+    lines.push({
+      productId: product.id,
+      productName: product.name,
+      priceId: price.id,
+      taxCode: productTaxCode(product),
+      quantity: quantity,
+      unitAmount: unitAmount,
+      amount: unitAmount * quantity,
+    });
+  }
+
+  return {
+    lines: lines,
+    currency: chargeCurrency,
+    subtotal: lines.reduce((sum, line) => sum + line.amount, 0),
+  };
+}
+
+// A single product of any kind as a one-line cart, for the places where
+// subscriptions are allowed. Same shape as priceCartItems.
+function priceSingleProduct(product, currency) {
+  const price = product.default_price;
+  const chargeCurrency = (currency || price.currency).toLowerCase();
+  const unitAmount = priceAmountFor(price, chargeCurrency);
+
+  if (unitAmount === null) {
+    return {
+      error: `This product is not sold in ${chargeCurrency.toUpperCase()}`,
+      status: 400,
+    };
+  }
+
+  return {
+    lines: [
+      {
+        productId: product.id,
+        productName: product.name,
+        priceId: price.id,
+        taxCode: productTaxCode(product),
+        quantity: 1,
+        unitAmount: unitAmount,
+        amount: unitAmount,
+        metered: price.recurring?.usage_type === "metered",
+      },
+    ],
+    currency: chargeCurrency,
+    subtotal: unitAmount,
+  };
+}
+
+// Carts are kept in ORDERS under cart:{domain}:{cartId}, referenced by
+// cart_id metadata on the payment intent or Checkout session. They carry
+// the priced lines and any stock holds until the payment settles.
+async function saveCart(env, requestDomain, cart) {
+  await env.ORDERS.put(
+    `cart:${requestDomain}:${cart.id}`,
+    JSON.stringify(cart)
+  );
+}
+
+async function getCart(env, requestDomain, cartId) {
+  return cartId
+    ? await getKVJson(env.ORDERS, `cart:${requestDomain}:${cartId}`)
+    : null;
+}
+
+// Turn a paid cart's holds into sales, or give the holds back when the
+// payment fails. A paid cart refused by the ledger is refunded, and the
+// reason is returned (see commitCart).
+async function settleCart(env, requestDomain, cart, paymentIntentId) {
+  if (!paymentIntentId) {
+    await releaseCart(env, requestDomain, cart);
+    return null;
+  }
+
+  const refusedReason = await commitCart(env, requestDomain, cart);
+  if (refusedReason) {
+    await refundRefusedPayment(
+      env,
+      requestDomain,
+      paymentIntentId,
+      refusedReason
+    );
+  }
+  return refusedReason;
+}
+
+async function refundRefusedPayment(
+  env,
+  requestDomain,
+  paymentIntentId,
+  refusedReason
+) {
+  const paymentIntent = await stripeRequest(
+    env,
+    `payment_intents/${encodeURIComponent(
+      paymentIntentId
+    )}?expand[]=latest_charge`
+  );
+  if (paymentIntent.latest_charge?.refunded) {
+    return;
+  }
+
+  const refundParams = {
+    payment_intent: paymentIntentId,
+    "metadata[domain]": requestDomain,
+    "metadata[note]":
+      refusedReason === "sold_out"
+        ? "Sold out before the payment completed"
+        : "Promotion code fully redeemed before the payment completed",
+  };
+  if (paymentIntent.transfer_data?.destination) {
+    refundParams.reverse_transfer = "true";
+    refundParams.refund_application_fee = "true";
+  }
+
+  // Both the payment intent and Checkout events can get here; the key
+  // makes them share one refund
+  await stripeRequest(env, "refunds", {
+    method: "POST",
+    params: refundParams,
+    idempotencyKey: await resourceIdempotencyKey(
+      "sold-out-refund",
+      paymentIntentId
+    ),
+  });
+
+  console.log(`↩️ Refunded ${paymentIntentId}: ${refusedReason}`);
+}
+
+// Line items as stored on orders, in major units
+function formatLineItems(lines, currency) {
+  return lines.map((line) => ({
+    productId: line.productId,
+    productName: line.productName,
+    quantity: line.quantity,
+    unitAmount: fromMinorUnits(line.unitAmount, currency),
+    amount: fromMinorUnits(line.amount, currency),
+  }));
+}
+
+// "T-shirt × 2, Mug" for order lists that show one name per order
+function describeLineItems(lines) {
+  return lines
+    .map((line) =>
+      line.quantity > 1
+        ? `${line.productName} × ${line.quantity}`
+        : line.productName
+    )
+    .join(", ");
+}
+
+// ==================== TAX ====================
+
+const TAX_PROVIDERS = ["stripe", "local"];
+const TAX_BEHAVIORS = ["exclusive", "inclusive"];
+const MAX_TAX_RATES = 50;
+
+// Preview of what a purchase costs with tax, shown in PaymentForm before
+// the buyer confirms. Payments recompute all of it on the server.
+export async function handleStripeCalculateTax(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const {
+      domain: requestDomain,
+      productId,
+      items,
+      currency,
+      promotionCode,
+      billingAddress,
+    } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!items && !productId) {
+      return new Response(
+        JSON.stringify({ error: "Product ID or cart items are required" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    let cart;
+    if (items) {
+      cart = await priceCartItems(env, requestDomain, items, currency);
+    } else {
+      const product = await getDomainProduct(env, productId, requestDomain);
+      cart =
+        product && product.active && product.default_price
+          ? priceSingleProduct(product, currency)
+          : { error: "Product not found", status: 404 };
+    }
+
+    if (cart.error) {
+      return new Response(JSON.stringify({ error: cart.error }), {
+        status: cart.status,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    let discount = null;
+    if (promotionCode) {
+      discount = await resolvePromotionCode(
+        env,
+        promotionCode,
+        requestDomain,
+        cart.lines,
+        cart.currency
+      );
+
+      if (discount.error) {
+        return new Response(JSON.stringify({ error: discount.error }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
+
+    // A preview is never retried, so each one gets a fresh calculation
+    const taxed = await taxPurchase(
+      env,
+      requestDomain,
+      cart.lines,
+      cart.currency,
+      discount,
+      billingAddress,
+      `tax-preview:${crypto.randomUUID()}`
+    );
+
+    if (taxed.error) {
+      return new Response(JSON.stringify({ error: taxed.error }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const afterDiscount = discount ? discount.total : cart.subtotal;
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        subtotal: fromMinorUnits(cart.subtotal, cart.currency),
+        discount: discount ? fromMinorUnits(discount.amount, cart.currency) : 0,
+        tax: taxed.tax ? formatTax(taxed.tax, cart.currency) : null,
+        total: fromMinorUnits(
+          totalWithTax(afterDiscount, taxed.tax),
+          cart.currency
+        ),
+        currency: cart.currency,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error calculating tax:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to calculate tax",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+function validateTaxSettings(tax) {
+  if (!tax || typeof tax !== "object" || Array.isArray(tax)) {
+    return "tax must be an object";
+  }
+
+  const unknown = Object.keys(tax).find(
+    (key) => !(key in DEFAULT_DOMAIN_SETTINGS.tax)
+  );
+  if (unknown) {
+    return `Unknown tax setting: ${unknown}`;
+  }
+
+  if (tax.enabled !== undefined && typeof tax.enabled !== "boolean") {
+    return "tax.enabled must be true or false";
+  }
+
+  if (tax.provider !== undefined && !TAX_PROVIDERS.includes(tax.provider)) {
+    return "tax.provider must be stripe or local";
+  }
+
+  if (tax.behavior !== undefined && !TAX_BEHAVIORS.includes(tax.behavior)) {
+    return "tax.behavior must be exclusive or inclusive";
+  }
+
+  if (tax.rates !== undefined) {
+    if (!Array.isArray(tax.rates) || tax.rates.length > MAX_TAX_RATES) {
+      return `tax.rates must be a list of at most ${MAX_TAX_RATES} rates`;
+    }
+
+    const invalid = tax.rates.find(
+      (rate) =>
+        !rate ||
+        typeof rate.name !== "string" ||
+        !rate.name.trim() ||
+        typeof rate.percentage !== "number" ||
+        !(rate.percentage >= 0 && rate.percentage <= 100) ||
+        !/^[A-Z]{2}$/.test(rate.country || "") ||
+        (rate.state != null && typeof rate.state !== "string") ||
+        (rate.taxCode != null && validateTaxCode(rate.taxCode))
+    );
+    if (invalid) {
+      return "Each tax rate needs a name, a percentage from 0 to 100 and a two-letter country code";
+    }
+  }
+
+  return null;
+}
+
+// Stripe product tax codes look like txcd_10000000
+function validateTaxCode(taxCode) {
+  if (taxCode === null || taxCode === undefined) {
+    return null;
+  }
+  return typeof taxCode === "string" && /^txcd_\d{8}$/.test(taxCode)
+    ? null
+    : "Tax codes look like txcd_10000000";
+}
+
+function productTaxCode(product) {
+  return typeof product.tax_code === "string"
+    ? product.tax_code
+    : product.tax_code?.id || null;
+}
+
+// The buyer's billing address as sent by PaymentForm. Returns { address }
+// in Stripe's shape or { error }.
+function normalizeBillingAddress(billingAddress) {
+  const field = (name) =>
+    typeof billingAddress?.[name] === "string"
+      ? billingAddress[name].trim()
+      : "";
+
+  const address = {
+    line1: field("line1"),
+    line2: field("line2"),
+    city: field("city"),
+    state: field("state").toUpperCase(),
+    postal_code: field("postalCode"),
+    country: field("country").toUpperCase(),
+  };
+
+  if (!address.line1 || !address.city || !/^[A-Z]{2}$/.test(address.country)) {
+    return {
+      error: "A billing address with street, city and country is required",
+    };
+  }
+
+  // Sales tax in North America depends on where in the country the buyer is
+  if (["US", "CA"].includes(address.country) && !address.postal_code) {
+    return { error: "A postal code is required for this country" };
+  }
+
+  return { address };
+}
+
+function formatBillingAddress(address) {
+  return {
+    line1: address.line1 || "",
+    line2: address.line2 || "",
+    city: address.city || "",
+    state: address.state || "",
+    postalCode: address.postal_code || "",
+    country: address.country || "",
+  };
+}
+
+// Store the address on the customer so invoices, the billing portal and
+// Stripe Tax on subscriptions all see it
+async function saveCustomerAddress(env, customerId, address, idempotencyKey) {
+  const params = {};
+  Object.entries(address).forEach(([key, value]) => {
+    params[`address[${key}]`] = value;
+  });
+
+  await stripeRequest(env, `customers/${customerId}`, {
+    method: "POST",
+    params,
+    idempotencyKey,
+  });
+}
+
+// Spread a discount over the lines it covers, in proportion to their
+// amounts, so each line is taxed on what is actually paid for it
+function discountedLines(lines, discount) {
+  if (!discount) {
+    return lines;
+  }
+
+  const products = discount.coupon.applies_to?.products || [];
+  const eligible = lines.filter(
+    (line) => products.length === 0 || products.includes(line.productId)
+  );
+  const eligibleAmount = eligible.reduce((sum, line) => sum + line.amount, 0);
+
+  let remaining = discount.amount;
+  return lines.map((line) => {
+    if (!eligible.includes(line)) {
+      return line;
+    }
+
+    const share =
+      line === eligible[eligible.length - 1]
+        ? remaining
+        : Math.round((discount.amount * line.amount) / eligibleAmount);
+    remaining -= share;
+    return { ...line, amount: line.amount - share };
+  });
+}
+
+// Tax on a priced purchase after its discount, under the domain's tax
+// settings. Returns { tax, address, taxSettings } with tax as { amount,
+// inclusive, provider, calculationId, breakdown } in minor units, tax and
+// address null when the domain doesn't collect tax, or { error }.
+async function taxPurchase(
+  env,
+  requestDomain,
+  lines,
+  currency,
+  discount,
+  billingAddress,
+  idempotencyKey
+) {
+  const { tax: taxSettings } = await getDomainSettings(env, requestDomain);
+  if (!taxSettings.enabled) {
+    return { tax: null, address: null, taxSettings };
+  }
+
+  const { address, error } = normalizeBillingAddress(billingAddress);
+  if (error) {
+    return { error };
+  }
+
+  const result = await calculateTax(
+    env,
+    taxSettings,
+    discountedLines(lines, discount),
+    currency,
+    address,
+    idempotencyKey
+  );
+  return { ...result, address, taxSettings };
+}
+
+async function calculateTax(
+  env,
+  taxSettings,
+  lines,
+  currency,
+  address,
+  idempotencyKey
+) {
+  const inclusive = taxSettings.behavior === "inclusive";
+
+  if (taxSettings.provider === "stripe") {
+    return await calculateStripeTax(
+      env,
+      lines,
+      currency,
+      address,
+      inclusive,
+      idempotencyKey
+    );
+  }
+
+  return {
+    tax: calculateLocalTax(taxSettings.rates, lines, address, inclusive),
+  };
+}
+
+async function calculateStripeTax(
+  env,
+  lines,
+  currency,
+  address,
+  inclusive,
+  idempotencyKey
+) {
+  const params = [
+    ["currency", currency],
+    ["customer_details[address_source]", "billing"],
+  ];
+
+  Object.entries(address).forEach(([key, value]) => {
+    if (value) {
+      params.push([`customer_details[address][${key}]`, value]);
+    }
+  });
+
+  lines.forEach((line, index) => {
+    params.push(
+      [`line_items[${index}][amount]`, line.amount.toString()],
+      [`line_items[${index}][reference]`, line.productId],
+      [`line_items[${index}][quantity]`, (line.quantity || 1).toString()],
+      [
+        `line_items[${index}][tax_behavior]`,
+        inclusive ? "inclusive" : "exclusive",
+      ]
+    );
+    if (line.taxCode) {
+      params.push([`line_items[${index}][tax_code]`, line.taxCode]);
+    }
+  });
+
+  let calculation;
+  try {
+    calculation = await stripeRequest(env, "tax/calculations", {
+      method: "POST",
+      params,
+      idempotencyKey,
+    });
+  } catch (error) {
+    // Mostly addresses Stripe can't place
+    return { error: `Could not calculate tax: ${error.message}` };
+  }
+
+  return {
+    tax: {
+      amount: inclusive
+        ? calculation.tax_amount_inclusive
+        : calculation.tax_amount_exclusive,
+      inclusive: inclusive,
+      provider: "stripe",
+      calculationId: calculation.id,
+      breakdown: (calculation.tax_breakdown || [])
+        .filter((entry) => entry.amount > 0)
+        .map((entry) => ({
+          name:
+            entry.tax_rate_details?.display_name ||
+            entry.tax_rate_details?.tax_type ||
+            "Tax",
+          percentage: parseFloat(
+            entry.tax_rate_details?.percentage_decimal || "0"
+          ),
+          country: entry.tax_rate_details?.country || address.country,
+          state: entry.tax_rate_details?.state || null,
+          taxableAmount: entry.taxable_amount,
+          amount: entry.amount,
+        })),
+    },
+  };
+}
+
+// The most specific configured rate for a line: a rate for the buyer's
+// state beats a country-wide one, and a rate for the product's tax code
+// beats a general one. Lines with no matching rate aren't taxed.
+function localTaxRateFor(rates, taxCode, address) {
+  let best = null;
+  let bestScore = -1;
+
+  for (const rate of rates) {
+    if (rate.country !== address.country) continue;
+    if (rate.state && rate.state.toUpperCase() !== address.state) continue;
+    if (rate.taxCode && rate.taxCode !== taxCode) continue;
+
+    const score = (rate.taxCode ? 2 : 0) + (rate.state ? 1 : 0);
+    if (score > bestScore) {
+      best = rate;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+function calculateLocalTax(rates, lines, address, inclusive) {
+  const breakdown = new Map();
+
+  for (const line of lines) {
+    const rate = localTaxRateFor(rates, line.taxCode, address);
+    if (!rate || rate.percentage === 0) continue;
+
+    const amount = inclusive
+      ? line.amount - Math.round(line.amount / (1 + rate.percentage / 100))
+      : Math.round((line.amount * rate.percentage) / 100);
+
+    const key = `${rate.name}|${rate.percentage}|${rate.country}|${
+      rate.state || ""
+    }`;
+    const entry = breakdown.get(key) || {
+      name: rate.name,
+      percentage: rate.percentage,
+      country: rate.country,
+      state: rate.state || null,
+      taxableAmount: 0,
+      amount: 0,
+    };
+    entry.taxableAmount += inclusive ? line.amount - amount : line.amount;
+    entry.amount += amount;
+    breakdown.set(key, entry);
+  }
+
+  const entries = [...breakdown.values()];
+
+  return {
+    amount: entries.reduce((sum, entry) => sum + entry.amount, 0),
+    inclusive: inclusive,
+    provider: "local",
+    calculationId: null,
+    breakdown: entries,
+  };
+}
+
+// What the buyer pays once tax is added (exclusive) or already included
+function totalWithTax(amount, tax) {
+  return tax && !tax.inclusive ? amount + tax.amount : amount;
+}
+
+// Tax as stored on orders and shown to buyers, in major units
+function formatTax(tax, currency) {
+  return {
+    amount: fromMinorUnits(tax.amount, currency),
+    inclusive: tax.inclusive,
+    breakdown: tax.breakdown.map((entry) => ({
+      ...entry,
+      taxableAmount: fromMinorUnits(entry.taxableAmount, currency),
+      amount: fromMinorUnits(entry.amount, currency),
+    })),
+  };
+}
+
+// Stripe Tax only reports tax for filing once the calculation becomes a
+// transaction, which happens when the payment succeeds
+async function recordStripeTaxTransaction(env, calculationId, reference) {
+  await stripeRequest(env, "tax/transactions/create_from_calculation", {
+    method: "POST",
+    params: { calculation: calculationId, reference: reference },
+    idempotencyKey: await resourceIdempotencyKey(
+      "tax-transaction",
+      calculationId,
+      reference
+    ),
+  });
+}
+
+// Stripe Tax Rate objects mirroring the domain's local rates, for the
+// places Stripe applies tax itself (hosted Checkout and subscriptions).
+// Tax rates can't be edited once created, so each distinct rate gets its
+// own, remembered in PRODUCTS under taxrates:{domain}.
+async function ensureStripeTaxRates(env, requestDomain, taxSettings) {
+  const key = `taxrates:${requestDomain}`;
+  const stored = (await getKVJson(env.PRODUCTS, key)) || { rates: {} };
+  const inclusive = taxSettings.behavior === "inclusive";
+  let changed = false;
+
+  const taxRates = [];
+  for (const rate of taxSettings.rates) {
+    const signature = JSON.stringify([
+      rate.name,
+      rate.percentage,
+      rate.country,
+      rate.state || "",
+      inclusive,
+    ]);
+
+    if (!stored.rates[signature]) {
+      const params = {
+        display_name: rate.name,
+        percentage: rate.percentage.toString(),
+        inclusive: String(inclusive),
+        country: rate.country,
+        "metadata[domain]": requestDomain,
+      };
+      if (rate.state) {
+        params.state = rate.state;
+      }
+
+      const taxRate = await stripeRequest(env, "tax_rates", {
+        method: "POST",
+        params,
+        idempotencyKey: await resourceIdempotencyKey(
+          "tax-rate",
+          requestDomain,
+          signature
+        ),
+      });
+      stored.rates[signature] = taxRate.id;
+      changed = true;
+    }
+
+    taxRates.push({ ...rate, id: stored.rates[signature] });
+  }
+
+  if (changed) {
+    await env.PRODUCTS.put(
+      key,
+      JSON.stringify({ ...stored, updated: Date.now() })
+    );
+  }
+
+  return taxRates;
+}
+
+// Tax rates Checkout may pick from for a product, by the buyer's address:
+// for each place, the rate localTaxRateFor would choose
+function dynamicTaxRatesFor(taxRates, taxCode) {
+  const byPlace = new Map();
+
+  for (const rate of taxRates) {
+    if (rate.taxCode && rate.taxCode !== taxCode) continue;
+
+    const place = `${rate.country}|${rate.state || ""}`;
+    if (!byPlace.has(place) || rate.taxCode) {
+      byPlace.set(place, rate);
+    }
+  }
+
+  return [...byPlace.values()].map((rate) => rate.id);
+}
+
+// A breakdown line from a Stripe Tax Rate object
+function taxLineFromRate(rate, amount, taxableAmount) {
+  return {
+    name: rate?.display_name || "Tax",
+    percentage: rate?.percentage ?? 0,
+    country: rate?.country || null,
+    state: rate?.state || null,
+    taxableAmount: taxableAmount || 0,
+    amount: amount,
+  };
+}
+
+// Tax Stripe added to a subscription invoice, or null. total_taxes only
+// names the rate.
+async function taxFromInvoice(env, invoice) {
+  const entries = (invoice.total_taxes || [])
+    .filter((entry) => entry.amount > 0)
+    .map((entry) => ({
+      amount: entry.amount,
+      taxableAmount: entry.taxable_amount,
+      inclusive: entry.tax_behavior === "inclusive",
+      taxRateId: entry.tax_rate_details?.tax_rate,
+    }));
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const breakdown = await Promise.all(
+    entries.map(async (entry) =>
+      taxLineFromRate(
+        entry.taxRateId
+          ? await stripeRequest(env, `tax_rates/${entry.taxRateId}`)
+          : null,
+        entry.amount,
+        entry.taxableAmount
+      )
+    )
+  );
+
+  return {
+    amount: entries.reduce((sum, entry) => sum + entry.amount, 0),
+    inclusive: entries[0].inclusive,
+    breakdown: breakdown,
+  };
+}
+
+// Tax added on the hosted Checkout page, or null. The per-rate breakdown
+// isn't in the webhook payload and has to be expanded.
+async function taxFromCheckoutSession(env, session) {
+  if (!(session.total_details?.amount_tax > 0)) {
+    return null;
+  }
+
+  const expanded = await stripeRequest(
+    env,
+    `checkout/sessions/${session.id}?expand[]=total_details.breakdown`
+  );
+  const taxes = expanded.total_details?.breakdown?.taxes || [];
+
+  return {
+    amount: session.total_details.amount_tax,
+    inclusive: !!taxes[0]?.rate?.inclusive,
+    breakdown: taxes.map((entry) =>
+      taxLineFromRate(entry.rate, entry.amount, entry.taxable_amount)
+    ),
+  };
+}
+
+// ==================== STRIPE SUBSCRIPTIONS ====================
+
+export async function handleStripeCreateSubscription(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const {
+      domain: requestDomain,
+      name,
+      description,
+      price,
+      interval,
+      currency = "usd",
+      currencyOptions = {},
+      taxCode = null,
+      trialDays = null,
+      trialRequiresCard = true,
+      usageType = "licensed",
+      unitLabel = "",
+      requestId,
+    } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!name || !(price > 0) || !["month", "year"].includes(interval)) {
+      return new Response(
+        JSON.stringify({
+          error:
+            "Name, a positive price and an interval of month or year are required",
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const pricingError = validatePricing(price, currency, currencyOptions);
+    if (pricingError) {
+      return new Response(JSON.stringify({ error: pricingError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const taxCodeError = validateTaxCode(taxCode);
+    if (taxCodeError) {
+      return new Response(JSON.stringify({ error: taxCodeError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const planError = validatePlanOptions({ trialDays, usageType, unitLabel });
+    if (planError) {
+      return new Response(JSON.stringify({ error: planError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const metered = usageType === "metered";
+    const idempotency = await requestIdempotency(
+      requestId,
+      "create-plan",
+      requestDomain,
+      decoded.userId,
+      {
+        name,
+        description,
+        price,
+        interval,
+        currency,
+        currencyOptions,
+        taxCode,
+        trialDays,
+        trialRequiresCard,
+        usageType,
+        unitLabel,
+      }
+    );
+
+    console.log(
+      `🔄 Creating Stripe subscription product for domain: ${requestDomain}`
+    );
+
+    // Create product flagged as a subscription so listings can tell it apart.
+    // The trial is read from its metadata whenever someone subscribes.
+    const productParams = {
+      name: name,
+      description: description || "",
+      "metadata[domain]": requestDomain,
+      "metadata[created_by]": decoded.email,
+      "metadata[product_type]": "subscription",
+      ...(taxCode && { tax_code: taxCode }),
+      ...(unitLabel && { unit_label: unitLabel }),
+      ...(trialDays && {
+        "metadata[trial_days]": trialDays.toString(),
+        "metadata[trial_requires_card]": trialRequiresCard ? "true" : "false",
+      }),
+    };
+    const recurringPriceParams = {
+      ...priceParams(price, currency, currencyOptions),
+      "recurring[interval]": interval,
+    };
+
+    let product;
+    let priceObj;
+    if (metered) {
+      ({ product, price: priceObj } = await createMeteredPlan(
+        env,
+        productParams,
+        recurringPriceParams,
+        requestDomain,
+        idempotency
+      ));
+    } else {
+      // Licensed plans are created with their price in one request
+      product = await stripeRequest(env, "products", {
+        method: "POST",
+        params: {
+          ...productParams,
+          ...defaultPriceData(recurringPriceParams),
+          "expand[]": "default_price",
+        },
+        idempotencyKey: idempotency.key("product"),
+      });
+      priceObj = product.default_price;
+    }
+
+    console.log(
+      `✅ Created ${usageType} subscription product: ${
+        product.id
+      } with price: ${priceObj.id} (${price} ${currency.toUpperCase()}/${
+        metered ? "unit" : interval
+      })`
+    );
+
+    const productData = {
+      id: product.id,
+      name: product.name,
+      description: product.description,
+      price: price,
+      currency: priceObj.currency,
+      currencyOptions: normalizeCurrencyOptions(currency, currencyOptions),
+      priceId: priceObj.id,
+      taxCode: taxCode,
+      domain: requestDomain,
+      created: Date.now(),
+      type: "subscription",
+      interval: interval,
+      usageType: usageType,
+      unitLabel: unitLabel || null,
+      trialDays: trialDays || null,
+      trialRequiresCard: trialDays ? !!trialRequiresCard : null,
+    };
+
+    // Store product metadata in KV
+    await saveProductToKV(env, productData);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        product: productData,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error creating subscription product:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to create subscription",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleStripeCreateSubscriptionIntent(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const {
+      domain: requestDomain,
+      priceId,
+      productId,
+      currency,
+      promotionCode,
+      paymentMethodId,
+      billingAddress,
+      requestId,
+    } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!priceId) {
+      return new Response(JSON.stringify({ error: "Price ID is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const idempotency = await requestIdempotency(
+      requestId,
+      "subscription",
+      requestDomain,
+      decoded.userId,
+      {
+        priceId,
+        productId,
+        currency,
+        promotionCode,
+        paymentMethodId,
+        billingAddress,
+      }
+    );
+
+    console.log(`🔄 Creating subscription for domain: ${requestDomain}`);
+    console.log(`🔍 Product ID: ${productId}, Price ID: ${priceId}`);
+
+    // Only recurring prices that belong to this domain can be subscribed to
+    const price = await stripeRequest(
+      env,
+      `prices/${priceId}?expand[]=product&expand[]=currency_options`
+    );
+
+    if (!price.recurring) {
+      throw new Error("Price is not a recurring price");
+    }
+
+    if (price.product?.metadata?.domain !== requestDomain) {
+      return new Response(
+        JSON.stringify({ error: "Price does not belong to this domain" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const subscriptionCurrency = (currency || price.currency).toLowerCase();
+    const unitAmount = priceAmountFor(price, subscriptionCurrency);
+    if (unitAmount === null) {
+      return new Response(
+        JSON.stringify({
+          error: `This plan is not sold in ${subscriptionCurrency.toUpperCase()}`,
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    let discount = null;
+    if (promotionCode) {
+      discount = await resolvePromotionCode(
+        env,
+        promotionCode,
+        requestDomain,
+        [{ productId: price.product.id, amount: unitAmount }],
+        subscriptionCurrency
+      );
+
+      if (discount.error) {
+        return new Response(JSON.stringify({ error: discount.error }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
+
+    // Stripe taxes each invoice itself, from the address on the customer
+    const { tax: taxSettings } = await getDomainSettings(env, requestDomain);
+    let address = null;
+    if (taxSettings.enabled) {
+      const normalized = normalizeBillingAddress(billingAddress);
+      if (normalized.error) {
+        return new Response(JSON.stringify({ error: normalized.error }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      address = normalized.address;
+    }
+
+    const customer = await findOrCreateStripeCustomer(
+      env,
+      decoded,
+      requestDomain
+    );
+
+    if (address) {
+      await saveCustomerAddress(
+        env,
+        customer.id,
+        address,
+        idempotency.key("customer-address")
+      );
+    }
+
+    let defaultPaymentMethod = null;
+    if (paymentMethodId) {
+      defaultPaymentMethod = await getCustomerPaymentMethod(
+        env,
+        customer,
+        paymentMethodId
+      );
+      if (!defaultPaymentMethod) {
+        return new Response(
+          JSON.stringify({ error: "Payment method not found" }),
+          {
+            status: 404,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          }
+        );
+      }
+    }
+
+    const trial = await availableTrial(
+      env,
+      price.product,
+      customer.id,
+      idempotency.id
+    );
+
+    const subscriptionParams = {
+      customer: customer.id,
+      ...subscriptionItemParams(
+        "items[0]",
+        price,
+        subscriptionCurrency,
+        unitAmount,
+        taxSettings
+      ),
+      currency: subscriptionCurrency,
+      payment_behavior: "default_incomplete",
+      "payment_settings[save_default_payment_method]": "on_subscription",
+      "metadata[domain]": requestDomain,
+      "metadata[user_id]": decoded.userId,
+      "metadata[product_id]": price.product.id,
+      "metadata[request_id]": idempotency.id,
+    };
+
+    if (defaultPaymentMethod) {
+      subscriptionParams.default_payment_method = defaultPaymentMethod.id;
+    }
+
+    // A trial without a card ends the subscription unless one is added
+    if (trial) {
+      subscriptionParams.trial_period_days = trial.days.toString();
+      if (!trial.requiresCard) {
+        subscriptionParams[
+          "trial_settings[end_behavior][missing_payment_method]"
+        ] = "cancel";
+      }
+    }
+
+    if (taxSettings.enabled && taxSettings.provider === "stripe") {
+      subscriptionParams["automatic_tax[enabled]"] = "true";
+    } else if (taxSettings.enabled) {
+      const taxRate = localTaxRateFor(
+        await ensureStripeTaxRates(env, requestDomain, taxSettings),
+        productTaxCode(price.product),
+        address
+      );
+      if (taxRate) {
+        subscriptionParams["default_tax_rates[0]"] = taxRate.id;
+      }
+    }
+
+    // Stripe applies the coupon to the invoices and counts the redemption
+    if (discount) {
+      subscriptionParams["discounts[0][promotion_code]"] =
+        discount.promotionCode.id;
+    }
+
+    // Every invoice becomes a destination charge to the domain owner
+    const destination = await getConnectDestination(env, requestDomain);
+    if (destination) {
+      subscriptionParams["transfer_data[destination]"] = destination.accountId;
+      if (destination.feePercent > 0) {
+        subscriptionParams.application_fee_percent =
+          destination.feePercent.toString();
+      }
+    }
+
+    // Create an incomplete subscription; the first invoice's payment intent
+    // is confirmed on the client with the card element. When nothing is due
+    // up front Stripe sets up the card with a pending setup intent instead.
+    const subscription = await stripeRequest(env, "subscriptions", {
+      method: "POST",
+      params: [
+        ...Object.entries(subscriptionParams),
+        ["expand[]", "latest_invoice.confirmation_secret"],
+        ["expand[]", "pending_setup_intent"],
+      ],
+      idempotencyKey: idempotency.key("subscription"),
+    });
+
+    const clientSecret =
+      subscription.latest_invoice?.confirmation_secret?.client_secret || null;
+    const setupClientSecret =
+      subscription.pending_setup_intent?.client_secret || null;
+
+    // Trials, metered plans and fully discounted first invoices are paid
+    // straight away
+    if (!clientSecret && subscription.latest_invoice?.amount_due !== 0) {
+      throw new Error("Subscription was created without a payment intent");
+    }
+
+    console.log(
+      `✅ Created subscription: ${subscription.id} for customer: ${customer.id}`
+    );
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        subscriptionId: subscription.id,
+        clientSecret: clientSecret,
+        setupClientSecret: setupClientSecret,
+        // False for a trial that starts without a card
+        cardRequired: !trial || trial.requiresCard,
+        status: SUBSCRIPTION_STATUS_MAP[subscription.status] || "incomplete",
+        trialEnd: subscription.trial_end ? subscription.trial_end * 1000 : null,
+        usageType: price.recurring.usage_type || "licensed",
+        amountDue: fromMinorUnits(
+          subscription.latest_invoice?.amount_due ?? unitAmount,
+          subscriptionCurrency
+        ),
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error creating subscription:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to create subscription",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleStripeGetSubscriptions(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    console.log(`📦 Fetching subscriptions for domain: ${requestDomain}`);
+
+    const customer = await findStripeCustomer(env, decoded, requestDomain);
+
+    if (!customer) {
+      return new Response(
+        JSON.stringify({ success: true, subscriptions: [] }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const subscriptionsData = await stripeRequest(
+      env,
+      `subscriptions?customer=${customer.id}&status=all&limit=100&expand[]=data.latest_invoice`
+    );
+
+    // A customer is per domain, but double check the subscription metadata
+    const domainSubscriptions = subscriptionsData.data.filter(
+      (subscription) => subscription.metadata.domain === requestDomain
+    );
+
+    // Look up product names in one request
+    const productIds = [
+      ...new Set(
+        domainSubscriptions.map(
+          (subscription) => subscription.items.data[0]?.price.product
+        )
+      ),
+    ].filter(Boolean);
+
+    const productNames = {};
+    if (productIds.length > 0) {
+      const query = productIds
+        .map((id) => `ids[]=${encodeURIComponent(id)}`)
+        .join("&");
+      const productsData = await stripeRequest(
+        env,
+        `products?limit=100&${query}`
+      );
+      productsData.data.forEach((product) => {
+        productNames[product.id] = product.name;
+      });
+    }
+
+    await attachCurrencyOptions(env, domainSubscriptions);
+
+    const subscriptions = domainSubscriptions.map((subscription) =>
+      formatStripeSubscription(subscription, productNames)
+    );
+
+    console.log(
+      `✅ Found ${subscriptions.length} subscriptions for domain: ${requestDomain}`
+    );
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        subscriptions: subscriptions,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error fetching subscriptions:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to fetch subscriptions",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleStripeCancelSubscription(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, subscriptionId, requestId } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!subscriptionId) {
+      return new Response(
+        JSON.stringify({ error: "Subscription ID is required" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const existing = await stripeRequest(
+      env,
+      `subscriptions/${subscriptionId}`
+    );
+
+    // Users may only cancel their own subscriptions on this domain
+    if (
+      existing.metadata.domain !== requestDomain ||
+      existing.metadata.user_id !== decoded.userId
+    ) {
+      return new Response(JSON.stringify({ error: "Subscription not found" }), {
+        status: 404,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const idempotency = await requestIdempotency(
+      requestId,
+      "cancel-subscription",
+      requestDomain,
+      decoded.userId,
+      { subscriptionId }
+    );
+
+    // A scheduled plan change would otherwise start after the cancellation
+    if (existing.schedule) {
+      await releaseSubscriptionSchedule(env, existing.schedule, idempotency);
+    }
+
+    const subscription = await stripeRequest(
+      env,
+      `subscriptions/${subscriptionId}`,
+      {
+        method: "POST",
+        params: {
+          cancel_at_period_end: "true",
+          ...CLEAR_PENDING_PLAN_CHANGE,
+        },
+        idempotencyKey: idempotency.key("subscription"),
+      }
+    );
+    await attachCurrencyOptions(env, [subscription]);
+
+    console.log(
+      `✅ Subscription ${subscriptionId} will cancel at period end (${requestDomain})`
+    );
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        subscription: formatStripeSubscription(subscription),
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error canceling subscription:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to cancel subscription",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// ==================== SUBSCRIPTION PLAN CHANGES ====================
+
+// A plan change either applies now, billing or crediting the prorated
+// difference straight away, or at the end of the current period through a
+// subscription schedule. Until then the subscription's metadata names the
+// plan it will move to as pending_product_id and pending_price_id.
+
+const PLAN_CHANGE_TIMINGS = ["now", "period_end"];
+const PLAN_CHANGE_STATUSES = ["active", "trialing"];
+const CLEAR_PENDING_PLAN_CHANGE = {
+  "metadata[pending_product_id]": "",
+  "metadata[pending_price_id]": "",
+};
+
+// Shows what a plan change would cost before it is made. For a change now,
+// prorationDate must be sent back when confirming so the amount charged is
+// the one previewed.
+export async function handleStripePreviewPlanChange(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, subscriptionId, productId, timing } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const change = await loadPlanChange(env, decoded, requestDomain, {
+      subscriptionId,
+      productId,
+      timing,
+    });
+    if (change.error) {
+      return new Response(JSON.stringify({ error: change.error }), {
+        status: change.status,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { subscription, newPrice, unitAmount, currency } = change;
+    let prorationDate = null;
+    let prorationAmount = 0;
+
+    if (timing === "now") {
+      prorationDate = Math.floor(Date.now() / 1000);
+      const params = {
+        customer: subscription.customer.id,
+        subscription: subscription.id,
+        "subscription_details[items][0][id]": subscription.items.data[0].id,
+        ...subscriptionItemParams(
+          "subscription_details[items][0]",
+          newPrice,
+          currency,
+          unitAmount,
+          change.taxSettings
+        ),
+        ...(await planTaxRateParams(
+          env,
+          requestDomain,
+          change,
+          "subscription_details[default_tax_rates]"
+        )),
+        "subscription_details[proration_behavior]": "always_invoice",
+        "subscription_details[proration_date]": prorationDate.toString(),
+      };
+      // Previews create nothing, but every POST carries a key
+      const invoice = await stripeRequest(env, "invoices/create_preview", {
+        method: "POST",
+        params: params,
+        idempotencyKey: await resourceIdempotencyKey("plan-preview", params),
+      });
+
+      // Credit for the unused time on the old plan and the charge for the
+      // rest of the period on the new one, before tax
+      prorationAmount = invoice.lines.data
+        .filter(
+          (line) =>
+            line.parent?.subscription_item_details?.proration ||
+            line.parent?.invoice_item_details?.proration
+        )
+        .reduce((sum, line) => sum + line.amount, 0);
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        preview: {
+          timing: timing,
+          productId: change.newProduct.id,
+          prorationDate: prorationDate && prorationDate * 1000,
+          prorationAmount: fromMinorUnits(prorationAmount, currency),
+          price: fromMinorUnits(unitAmount, currency),
+          currency: currency,
+          interval: newPrice.recurring.interval,
+          effectiveAt:
+            timing === "now"
+              ? Date.now()
+              : subscriptionPeriod(subscription).end * 1000,
+        },
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error previewing plan change:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to preview plan change",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// Moves a subscription to another plan of the domain. Choosing the current
+// plan again drops a change scheduled for the end of the period.
+export async function handleStripeChangePlan(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const {
+      domain: requestDomain,
+      subscriptionId,
+      productId,
+      timing,
+      prorationDate,
+      requestId,
+    } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const change = await loadPlanChange(env, decoded, requestDomain, {
+      subscriptionId,
+      productId,
+      timing,
+    });
+    if (change.error) {
+      return new Response(JSON.stringify({ error: change.error }), {
+        status: change.status,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { subscription, currentProduct, newProduct } = change;
+    const keepsPlan = newProduct.id === currentProduct.id;
+
+    if (keepsPlan && !subscription.metadata.pending_product_id) {
+      return new Response(
+        JSON.stringify({ error: "The subscription is already on this plan" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    // The previewed amount only holds within the current period
+    const { start: periodStart } = subscriptionPeriod(subscription);
+    if (
+      prorationDate != null &&
+      !(
+        Number.isInteger(prorationDate) &&
+        prorationDate >= periodStart * 1000 &&
+        prorationDate <= Date.now()
+      )
+    ) {
+      return new Response(
+        JSON.stringify({
+          error: "This preview has expired. Preview the change again.",
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const idempotency = await requestIdempotency(
+      requestId,
+      "change-plan",
+      requestDomain,
+      decoded.userId,
+      { subscriptionId, productId, timing, prorationDate }
+    );
+
+    let updated;
+    if (keepsPlan) {
+      updated = await dropPendingPlanChange(env, subscription, idempotency);
+    } else if (timing === "now") {
+      updated = await applyPlanChange(
+        env,
+        requestDomain,
+        change,
+        prorationDate,
+        idempotency
+      );
+    } else {
+      updated = await schedulePlanChange(
+        env,
+        requestDomain,
+        change,
+        idempotency
+      );
+    }
+    await attachCurrencyOptions(env, [updated]);
+
+    console.log(
+      keepsPlan
+        ? `↩️ Dropped the pending plan change on ${subscription.id}`
+        : `🔀 Subscription ${subscription.id} moves to ${newProduct.id} ${
+            timing === "now" ? "now" : "at period end"
+          } (${requestDomain})`
+    );
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        subscription: formatStripeSubscription(updated, {
+          [currentProduct.id]: currentProduct.name,
+          [newProduct.id]: newProduct.name,
+        }),
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    // An immediate change is refused when its prorated invoice can't be paid
+    if (error.status === 402) {
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 402,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    console.error("❌ Error changing plan:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to change plan",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// The user's subscription and the plan it should move to. Returns
+// { subscription, currentProduct, newProduct, newPrice, unitAmount,
+// currency, taxSettings } or { error, status }.
+async function loadPlanChange(
+  env,
+  decoded,
+  requestDomain,
+  { subscriptionId, productId, timing }
+) {
+  if (!subscriptionId || !productId) {
+    return {
+      error: "Subscription ID and product ID are required",
+      status: 400,
+    };
+  }
+
+  if (!PLAN_CHANGE_TIMINGS.includes(timing)) {
+    return {
+      error: `Timing must be one of: ${PLAN_CHANGE_TIMINGS.join(", ")}`,
+      status: 400,
+    };
+  }
+
+  let subscription;
+  try {
+    subscription = await stripeRequest(
+      env,
+      `subscriptions/${encodeURIComponent(
+        subscriptionId
+      )}?expand[]=customer&expand[]=items.data.price.product`
+    );
+  } catch (error) {
+    subscription = null;
+  }
+
+  // Users may only change their own subscriptions on this domain
+  if (
+    !subscription ||
+    subscription.metadata.domain !== requestDomain ||
+    subscription.metadata.user_id !== decoded.userId
+  ) {
+    return { error: "Subscription not found", status: 404 };
+  }
+
+  if (!PLAN_CHANGE_STATUSES.includes(subscription.status)) {
+    return {
+      error: `A ${subscription.status} subscription can't change plans`,
+      status: 409,
+    };
+  }
+
+  if (subscription.cancel_at_period_end) {
+    return {
+      error: "This subscription is set to cancel at the end of the period",
+      status: 409,
+    };
+  }
+
+  const newProduct = await getDomainProduct(env, productId, requestDomain);
+  if (
+    !newProduct ||
+    !newProduct.active ||
+    !newProduct.default_price?.recurring
+  ) {
+    return { error: "Plan not found", status: 404 };
+  }
+
+  const currentPrice = subscription.items.data[0].price;
+  const newPrice = newProduct.default_price;
+  if (
+    (newPrice.recurring.usage_type || "licensed") !==
+    (currentPrice.recurring.usage_type || "licensed")
+  ) {
+    return {
+      error: "Usage-based and fixed-price plans can't be switched between",
+      status: 400,
+    };
+  }
+
+  // The subscription keeps its currency
+  const currency = subscription.currency;
+  const unitAmount = priceAmountFor(newPrice, currency);
+  if (unitAmount === null) {
+    return {
+      error: `This plan is not sold in ${currency.toUpperCase()}`,
+      status: 400,
+    };
+  }
+
+  const { tax: taxSettings } = await getDomainSettings(env, requestDomain);
+
+  return {
+    subscription,
+    currentProduct: currentPrice.product,
+    newProduct,
+    newPrice,
+    unitAmount,
+    currency,
+    taxSettings,
+  };
+}
+
+async function applyPlanChange(
+  env,
+  requestDomain,
+  change,
+  prorationDate,
+  idempotency
+) {
+  const { subscription, newProduct, newPrice, unitAmount, currency } = change;
+
+  // A change scheduled earlier would undo this one at the end of the period
+  if (subscription.schedule) {
+    await releaseSubscriptionSchedule(env, subscription.schedule, idempotency);
+  }
+
+  return await stripeRequest(env, `subscriptions/${subscription.id}`, {
+    method: "POST",
+    params: {
+      "items[0][id]": subscription.items.data[0].id,
+      ...subscriptionItemParams(
+        "items[0]",
+        newPrice,
+        currency,
+        unitAmount,
+        change.taxSettings
+      ),
+      ...(await planTaxRateParams(
+        env,
+        requestDomain,
+        change,
+        "default_tax_rates"
+      )),
+      // Invoice the difference straight away; if that invoice can't be
+      // paid the subscription stays on its current plan
+      proration_behavior: "always_invoice",
+      ...(prorationDate != null && {
+        proration_date: Math.floor(prorationDate / 1000).toString(),
+      }),
+      payment_behavior: "error_if_incomplete",
+      "metadata[product_id]": newProduct.id,
+      ...CLEAR_PENDING_PLAN_CHANGE,
+    },
+    idempotencyKey: idempotency.key("subscription"),
+  });
+}
+
+// The schedule keeps the current phase until the period ends, then runs one
+// period on the new plan and releases the subscription to carry on with it
+async function schedulePlanChange(env, requestDomain, change, idempotency) {
+  const { subscription, newProduct, newPrice, unitAmount, currency } = change;
+  const createsSchedule = !subscription.schedule;
+
+  const schedule = createsSchedule
+    ? await stripeRequest(env, "subscription_schedules", {
+        method: "POST",
+        params: { from_subscription: subscription.id },
+        idempotencyKey: idempotency.key("schedule"),
+      })
+    : await stripeRequest(
+        env,
+        `subscription_schedules/${subscription.schedule}`
+      );
+
+  const [current] = schedule.phases;
+  const taxRateParams = await planTaxRateParams(
+    env,
+    requestDomain,
+    change,
+    "phases[1][default_tax_rates]"
+  );
+  const item = subscription.items.data[0];
+
+  // Phases are replaced as a whole, so the current one is sent back as it is
+  const params = {
+    end_behavior: "release",
+    "phases[0][start_date]": current.start_date.toString(),
+    "phases[0][end_date]": current.end_date.toString(),
+    ...carriedPhaseParams("phases[0]", current, true),
+    ...subscriptionItemParams(
+      "phases[1][items][0]",
+      newPrice,
+      currency,
+      unitAmount,
+      change.taxSettings
+    ),
+    ...(item.quantity && {
+      "phases[1][items][0][quantity]": item.quantity.toString(),
+    }),
+    ...carriedPhaseParams(
+      "phases[1]",
+      current,
+      Object.keys(taxRateParams).length === 0
+    ),
+    ...taxRateParams,
+    "phases[1][iterations]": "1",
+    "phases[1][proration_behavior]": "none",
+  };
+  current.items.forEach((phaseItem, index) => {
+    const itemPrefix = `phases[0][items][${index}]`;
+    params[`${itemPrefix}[price]`] =
+      typeof phaseItem.price === "string"
+        ? phaseItem.price
+        : phaseItem.price.id;
+    if (phaseItem.quantity) {
+      params[`${itemPrefix}[quantity]`] = phaseItem.quantity.toString();
+    }
+  });
+
+  // Phase metadata replaces the subscription's when the phase starts, which
+  // also clears the pending change
+  Object.entries(subscription.metadata).forEach(([key, value]) => {
+    if (!(`metadata[${key}]` in CLEAR_PENDING_PLAN_CHANGE)) {
+      params[`phases[1][metadata][${key}]`] = value;
+    }
+  });
+  params["phases[1][metadata][product_id]"] = newProduct.id;
+
+  try {
+    await stripeRequest(env, `subscription_schedules/${schedule.id}`, {
+      method: "POST",
+      params,
+      idempotencyKey: idempotency.key("phases"),
+    });
+  } catch (error) {
+    if (createsSchedule && !isRetryableStripeError(error)) {
+      await releaseSubscriptionSchedule(env, schedule.id, idempotency);
+    }
+    throw error;
+  }
+
+  return await stripeRequest(env, `subscriptions/${subscription.id}`, {
+    method: "POST",
+    params: {
+      "metadata[pending_product_id]": newProduct.id,
+      "metadata[pending_price_id]": newPrice.id,
+    },
+    idempotencyKey: idempotency.key("subscription"),
+  });
+}
+
+async function dropPendingPlanChange(env, subscription, idempotency) {
+  if (subscription.schedule) {
+    await releaseSubscriptionSchedule(env, subscription.schedule, idempotency);
+  }
+
+  return await stripeRequest(env, `subscriptions/${subscription.id}`, {
+    method: "POST",
+    params: CLEAR_PENDING_PLAN_CHANGE,
+    idempotencyKey: idempotency.key("subscription"),
+  });
+}
+
+// Releasing leaves the subscription as it is and ends the schedule
+async function releaseSubscriptionSchedule(env, scheduleId, idempotency) {
+  await stripeRequest(env, `subscription_schedules/${scheduleId}/release`, {
+    method: "POST",
+    idempotencyKey: idempotency.key("release-schedule"),
+  });
+}
+
+// Billing settings of a schedule phase that must carry over when the
+// phases are rewritten
+function carriedPhaseParams(prefix, phase, includeTaxRates) {
+  const params = {};
+
+  if (includeTaxRates) {
+    (phase.default_tax_rates || []).forEach((taxRate, index) => {
+      params[`${prefix}[default_tax_rates][${index}]`] =
+        typeof taxRate === "string" ? taxRate : taxRate.id;
+    });
+  }
+  if (phase.automatic_tax?.enabled) {
+    params[`${prefix}[automatic_tax][enabled]`] = "true";
+  }
+  (phase.discounts || []).forEach((discount, index) => {
+    const [field, value] = discount.discount
+      ? ["discount", discount.discount]
+      : discount.promotion_code
+      ? ["promotion_code", discount.promotion_code]
+      : ["coupon", discount.coupon];
+    params[`${prefix}[discounts][${index}][${field}]`] =
+      typeof value === "string" ? value : value.id;
+  });
+  if (phase.transfer_data?.destination) {
+    params[`${prefix}[transfer_data][destination]`] =
+      phase.transfer_data.destination;
+  }
+  if (phase.application_fee_percent) {
+    params[`${prefix}[application_fee_percent]`] =
+      phase.application_fee_percent.toString();
+  }
+  if (phase.default_payment_method) {
+    params[`${prefix}[default_payment_method]`] = phase.default_payment_method;
+  }
+
+  return params;
+}
+
+// Local rates follow the plan's tax code, so a new plan may need another
+// rate, or none. Returns no params when local rates aren't in use.
+async function planTaxRateParams(env, requestDomain, change, field) {
+  const { taxSettings, subscription, newProduct } = change;
+  if (
+    !taxSettings.enabled ||
+    taxSettings.provider === "stripe" ||
+    !subscription.customer.address
+  ) {
+    return {};
+  }
+
+  const taxRate = localTaxRateFor(
+    await ensureStripeTaxRates(env, requestDomain, taxSettings),
+    productTaxCode(newProduct),
+    subscription.customer.address
+  );
+  return taxRate ? { [`${field}[0]`]: taxRate.id } : { [field]: "" };
+}
+
+// ==================== SUBSCRIPTION TRIALS AND USAGE ====================
+
+const USAGE_TYPES = ["licensed", "metered"];
+const MAX_TRIAL_DAYS = 730; // Stripe's limit
+const MAX_UNIT_LABEL_LENGTH = 12;
+// Stripe accepts meter events up to 35 days old and 5 minutes ahead
+const MAX_USAGE_AGE_MS = 35 * 24 * 60 * 60 * 1000;
+const MAX_USAGE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const USAGE_SUBSCRIPTION_STATUSES = ["active", "trialing", "past_due"];
+
+// Records usage on a metered subscription. Stripe sums the events over each
+// billing period and invoices them at the plan's per-unit price. Passing the
+// same identifier again within 24 hours is ignored, so retries are safe.
+export async function handleReportUsage(request, domain, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const {
+      domain: requestDomain,
+      subscriptionId,
+      quantity,
+      timestamp,
+      identifier,
+      requestId,
+    } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!subscriptionId) {
+      return new Response(
+        JSON.stringify({ error: "Subscription ID is required" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const usageError = validateUsage({ quantity, timestamp, identifier });
+    if (usageError) {
+      return new Response(JSON.stringify({ error: usageError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const subscription = await stripeRequest(
+      env,
+      `subscriptions/${encodeURIComponent(
+        subscriptionId
+      )}?expand[]=items.data.price.product`
+    );
+
+    // Customers report their own usage; domain admins may report anyone's
+    if (
+      subscription.metadata.domain !== requestDomain ||
+      (subscription.metadata.user_id !== decoded.userId &&
+        !(await isDomainAdmin(env, decoded.email, requestDomain)))
+    ) {
+      return new Response(JSON.stringify({ error: "Subscription not found" }), {
+        status: 404,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const item = subscription.items.data.find(
+      (subscriptionItem) =>
+        subscriptionItem.price.recurring?.usage_type === "metered"
+    );
+    if (!item) {
+      return new Response(
+        JSON.stringify({ error: "This subscription is not usage-based" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const status = subscriptionStatus(subscription);
+    if (!USAGE_SUBSCRIPTION_STATUSES.includes(status)) {
+      return new Response(
+        JSON.stringify({
+          error: `Usage can't be reported on a ${status} subscription`,
+        }),
+        {
+          status: 409,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    // Plans created here keep the event name on the product; look the
+    // meter up for any set up in the Stripe dashboard
+    const eventName =
+      item.price.product.metadata?.meter_event_name ||
+      (await stripeRequest(env, `billing/meters/${item.price.recurring.meter}`))
+        .event_name;
+
+    // Stripe drops a repeated identifier, so a retried report counts once.
+    // Without a timestamp Stripe records the time it first saw the event.
+    const idempotency = await requestIdempotency(
+      requestId,
+      "report-usage",
+      requestDomain,
+      decoded.userId,
+      { subscriptionId, quantity, timestamp, identifier }
+    );
+    const usageIdentifier = identifier || idempotency.id;
+    const usedAt = timestamp ?? Date.now();
+
+    await stripeRequest(env, "billing/meter_events", {
+      method: "POST",
+      params: {
+        event_name: eventName,
+        identifier: usageIdentifier,
+        ...(timestamp != null && {
+          timestamp: Math.floor(timestamp / 1000).toString(),
+        }),
+        "payload[stripe_customer_id]": subscription.customer,
+        "payload[value]": quantity.toString(),
+      },
+      idempotencyKey: idempotency.key("meter-event"),
+    });
+
+    console.log(
+      `📈 Reported ${quantity} unit(s) on subscription ${subscription.id} (${requestDomain})`
+    );
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        usage: {
+          subscriptionId: subscription.id,
+          quantity: quantity,
+          timestamp: usedAt,
+          identifier: usageIdentifier,
+        },
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error reporting usage:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to report usage",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+function validatePlanOptions({ trialDays, usageType, unitLabel }) {
+  if (
+    trialDays !== null &&
+    trialDays !== undefined &&
+    (!Number.isInteger(trialDays) ||
+      trialDays < 1 ||
+      trialDays > MAX_TRIAL_DAYS)
+  ) {
+    return `Trial length must be a whole number of days from 1 to ${MAX_TRIAL_DAYS}`;
+  }
+  if (!USAGE_TYPES.includes(usageType)) {
+    return `Usage type must be one of ${USAGE_TYPES.join(", ")}`;
+  }
+  if (
+    unitLabel &&
+    (typeof unitLabel !== "string" || unitLabel.length > MAX_UNIT_LABEL_LENGTH)
+  ) {
+    return `Unit label must be at most ${MAX_UNIT_LABEL_LENGTH} characters`;
+  }
+  return null;
+}
+
+function validateUsage({ quantity, timestamp, identifier }) {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return "Quantity must be a whole number of 1 or more";
+  }
+  if (timestamp !== undefined && timestamp !== null) {
+    const now = Date.now();
+    if (
+      !Number.isFinite(timestamp) ||
+      timestamp < now - MAX_USAGE_AGE_MS ||
+      timestamp > now + MAX_USAGE_CLOCK_SKEW_MS
+    ) {
+      return "Timestamp must be within the last 35 days and not in the future";
+    }
+  }
+  if (
+    identifier !== undefined &&
+    identifier !== null &&
+    (typeof identifier !== "string" ||
+      identifier.length === 0 ||
+      identifier.length > 100)
+  ) {
+    return "Identifier must be a string of at most 100 characters";
+  }
+  return null;
+}
+
+function planTrialFields(product) {
+  const trialDays = parseInt(product.metadata?.trial_days, 10) || null;
+  return {
+    trialDays: trialDays,
+    trialRequiresCard: trialDays
+      ? product.metadata.trial_requires_card !== "false"
+      : null,
+  };
+}
+
+// A plan's trial is offered once per customer: anyone who has subscribed
+// to it before, trial or not, pays from the first day. Attempts that were
+// never paid for don't count, nor does the subscription a retried request
+// already created.
+async function availableTrial(env, product, customerId, requestId = null) {
+  const { trialDays, trialRequiresCard } = planTrialFields(product);
+  if (!trialDays) {
+    return null;
+  }
+
+  const { data: previous } = await stripeListAll(
+    env,
+    `subscriptions?customer=${customerId}&status=all&limit=100`
+  );
+  const subscribedBefore = previous.some(
+    (subscription) =>
+      subscription.metadata.product_id === product.id &&
+      (!requestId || subscription.metadata.request_id !== requestId) &&
+      !["incomplete", "incomplete_expired"].includes(subscription.status)
+  );
+
+  return subscribedBefore
+    ? null
+    : { days: trialDays, requiresCard: trialRequiresCard };
+}
+
+// A metered plan needs its product before the meter and the meter before
+// the price, so it takes several requests. A retry replays the steps that
+// already ran; a definitive failure undoes them so no half-made plan is left.
+async function createMeteredPlan(
+  env,
+  productParams,
+  recurringPriceParams,
+  requestDomain,
+  idempotency
+) {
+  const product = await stripeRequest(env, "products", {
+    method: "POST",
+    params: productParams,
+    idempotencyKey: idempotency.key("product"),
+  });
+
+  let meter = null;
+  let price = null;
+  try {
+    // Metered prices bill whatever usage their meter summed over the period
+    meter = await createUsageMeter(env, product, requestDomain, idempotency);
+
+    price = await stripeRequest(env, "prices", {
+      method: "POST",
+      params: {
+        ...recurringPriceParams,
+        product: product.id,
+        "recurring[usage_type]": "metered",
+        "recurring[meter]": meter.id,
+      },
+      idempotencyKey: idempotency.key("price"),
+    });
+
+    await stripeRequest(env, `products/${product.id}`, {
+      method: "POST",
+      params: {
+        default_price: price.id,
+        "metadata[meter_event_name]": meter.event_name,
+      },
+      idempotencyKey: idempotency.key("default-price"),
+    });
+  } catch (error) {
+    if (!isRetryableStripeError(error)) {
+      await discardMeteredPlan(env, product, meter, price, idempotency);
+    }
+    throw error;
+  }
+
+  return { product, price };
+}
+
+async function discardMeteredPlan(env, product, meter, price, idempotency) {
+  try {
+    if (meter) {
+      await stripeRequest(env, `billing/meters/${meter.id}/deactivate`, {
+        method: "POST",
+        idempotencyKey: idempotency.key("discard-meter"),
+      });
+    }
+
+    // Products with a price can only be archived
+    if (price) {
+      await stripeRequest(env, `prices/${price.id}`, {
+        method: "POST",
+        params: { active: "false" },
+        idempotencyKey: idempotency.key("discard-price"),
+      });
+      await stripeRequest(env, `products/${product.id}`, {
+        method: "POST",
+        params: { active: "false" },
+        idempotencyKey: idempotency.key("discard-product"),
+      });
+    } else {
+      await stripeRequest(env, `products/${product.id}`, { method: "DELETE" });
+    }
+
+    console.log(`🧹 Discarded half-created plan ${product.id}`);
+  } catch (cleanupError) {
+    console.error(`❌ Failed to discard plan ${product.id}:`, cleanupError);
+  }
+}
+
+// One meter per metered plan, keyed by the plan's product so usage on one
+// domain's plan never counts towards another's
+async function createUsageMeter(env, product, requestDomain, idempotency) {
+  const meter = await stripeRequest(env, "billing/meters", {
+    method: "POST",
+    params: {
+      display_name: `${product.name} (${requestDomain})`,
+      event_name: `usage_${product.id}`,
+      "default_aggregation[formula]": "sum",
+      "customer_mapping[type]": "by_id",
+      "customer_mapping[event_payload_key]": "stripe_customer_id",
+      "value_settings[event_payload_key]": "value",
+    },
+    idempotencyKey: idempotency.key("meter"),
+  });
+
+  console.log(`📏 Created usage meter ${meter.id} for ${product.id}`);
+  return meter;
+}
+
+// ==================== STRIPE CHECKOUT ====================
+
+export async function handleStripeCreateCheckoutSession(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const {
+      domain: requestDomain,
+      productId,
+      items,
+      currency,
+      promotionCode,
+      requestId,
+    } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!items && !productId) {
+      return new Response(
+        JSON.stringify({ error: "Product ID or cart items are required" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Always charge the products' current prices, never client-sent ones.
+    // A subscription is checked out on its own; anything else is a cart.
+    let subscriptionProduct = null;
+    if (!items) {
+      const product = await getDomainProduct(env, productId, requestDomain);
+      if (!product || !product.active || !product.default_price) {
+        return new Response(JSON.stringify({ error: "Product not found" }), {
+          status: 404,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      if (product.default_price.recurring) {
+        subscriptionProduct = product;
+      }
+    }
+
+    const cart = subscriptionProduct
+      ? priceSingleProduct(subscriptionProduct, currency)
+      : await priceCartItems(
+          env,
+          requestDomain,
+          items ?? [{ productId, quantity: 1 }],
+          currency
+        );
+
+    if (cart.error) {
+      return new Response(JSON.stringify({ error: cart.error }), {
+        status: cart.status,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const lines = cart.lines;
+    const chargeCurrency = cart.currency;
+    const subtotal = cart.subtotal;
+
+    // Codes are checked here rather than on the hosted page, which would
+    // accept any code on the account, including other domains'
+    let discount = null;
+    if (promotionCode) {
+      discount = await resolvePromotionCode(
+        env,
+        promotionCode,
+        requestDomain,
+        lines,
+        chargeCurrency
+      );
+
+      if (discount.error) {
+        return new Response(JSON.stringify({ error: discount.error }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
+
+    const mode = subscriptionProduct ? "subscription" : "payment";
+    const customer = await findOrCreateStripeCustomer(
+      env,
+      decoded,
+      requestDomain
+    );
+    const returnOrigin = requestReturnOrigin(request, requestDomain);
+    const idempotency = await requestIdempotency(
+      requestId,
+      "checkout",
+      requestDomain,
+      decoded.userId,
+      { productId, items, currency, promotionCode }
+    );
+    const cartId = idempotency.id;
+
+    // A retry picks up the session its first attempt created, which can't
+    // be created again as its expiry would differ
+    const existingSession = await findCheckoutSession(env, customer.id, cartId);
+    if (existingSession && existingSession.status !== "open") {
+      return new Response(
+        JSON.stringify({ error: "This checkout has already finished" }),
+        {
+          status: 409,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    console.log(
+      `🧾 Creating ${mode} checkout session for ${lines.length} line(s) on ${requestDomain}`
+    );
+
+    const params = {
+      mode: mode,
+      customer: customer.id,
+      client_reference_id: decoded.userId,
+      currency: chargeCurrency,
+      success_url: `${returnOrigin}/?checkout=success&session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${returnOrigin}/?checkout=canceled`,
+      "metadata[domain]": requestDomain,
+      "metadata[user_id]": decoded.userId,
+      "metadata[cart_id]": cartId,
+    };
+
+    // With tax on, the hosted page collects the billing address and adds
+    // tax: Stripe Tax works it out, local rates are matched by address
+    const { tax: taxSettings } = await getDomainSettings(env, requestDomain);
+    const stripeTax = taxSettings.enabled && taxSettings.provider === "stripe";
+    const localTaxRates =
+      taxSettings.enabled && !stripeTax
+        ? await ensureStripeTaxRates(env, requestDomain, taxSettings)
+        : null;
+
+    lines.forEach((line, index) => {
+      const item = `line_items[${index}]`;
+      // Metered usage is counted by the meter, not a quantity
+      if (!line.metered) {
+        params[`${item}[quantity]`] = line.quantity.toString();
+      }
+
+      if (stripeTax && !line.metered) {
+        // Inline prices carry the domain's tax behavior, as for
+        // subscription intents
+        params[`${item}[price_data][currency]`] = chargeCurrency;
+        params[`${item}[price_data][product]`] = line.productId;
+        params[`${item}[price_data][unit_amount]`] = line.unitAmount.toString();
+        params[`${item}[price_data][tax_behavior]`] = taxSettings.behavior;
+        if (subscriptionProduct) {
+          params[`${item}[price_data][recurring][interval]`] =
+            subscriptionProduct.default_price.recurring.interval;
+        }
+      } else {
+        params[`${item}[price]`] = line.priceId;
+      }
+
+      if (localTaxRates) {
+        dynamicTaxRatesFor(localTaxRates, line.taxCode).forEach(
+          (taxRateId, rateIndex) => {
+            params[`${item}[dynamic_tax_rates][${rateIndex}]`] = taxRateId;
+          }
+        );
+      }
+    });
+
+    if (taxSettings.enabled) {
+      params.billing_address_collection = "required";
+      params["customer_update[address]"] = "auto";
+      if (stripeTax) {
+        params["automatic_tax[enabled]"] = "true";
+      }
+    }
+
+    if (lines.length === 1) {
+      params["metadata[product_id]"] = lines[0].productId;
+      params["metadata[price_id]"] = lines[0].priceId;
+    }
+
+    if (discount) {
+      params["discounts[0][promotion_code]"] = discount.promotionCode.id;
+    }
+
+    // Pass our metadata down so the regular payment and subscription
+    // webhooks can attribute the resulting objects to this domain
+    if (mode === "subscription") {
+      params["subscription_data[metadata][domain]"] = requestDomain;
+      params["subscription_data[metadata][user_id]"] = decoded.userId;
+      params["subscription_data[metadata][product_id]"] = lines[0].productId;
+
+      const trial = await availableTrial(env, subscriptionProduct, customer.id);
+      if (trial) {
+        params["subscription_data[trial_period_days]"] = trial.days.toString();
+        if (!trial.requiresCard) {
+          params.payment_method_collection = "if_required";
+          params[
+            "subscription_data[trial_settings][end_behavior][missing_payment_method]"
+          ] = "cancel";
+        }
+      }
+    } else {
+      params["payment_intent_data[metadata][domain]"] = requestDomain;
+      params["payment_intent_data[metadata][customer_email]"] = decoded.email;
+      params["payment_intent_data[metadata][user_id]"] = decoded.userId;
+      params["payment_intent_data[metadata][cart_id]"] = cartId;
+      if (lines.length === 1) {
+        params["payment_intent_data[metadata][product_id]"] =
+          lines[0].productId;
+        params["payment_intent_data[metadata][price_id]"] = lines[0].priceId;
+      }
+      params["payment_intent_data[receipt_email]"] = decoded.email;
+    }
+
+    const destination = await getConnectDestination(env, requestDomain);
+    if (destination && mode === "subscription") {
+      params["subscription_data[transfer_data][destination]"] =
+        destination.accountId;
+      if (destination.feePercent > 0) {
+        params["subscription_data[application_fee_percent]"] =
+          destination.feePercent.toString();
+      }
+    } else if (destination) {
+      params["payment_intent_data[transfer_data][destination]"] =
+        destination.accountId;
+      // Tax is only known once the buyer enters an address on the hosted
+      // page, so the fee is taken from the price before tax
+      const fee = applicationFeeAmount(
+        discount ? discount.total : subtotal,
+        destination.feePercent
+      );
+      if (fee > 0) {
+        params["payment_intent_data[application_fee_amount]"] = fee.toString();
+      }
+    }
+
+    // Hold limited stock for as long as the hosted page stays open. A
+    // retry renews the holds of its first attempt.
+    if (mode === "payment") {
+      const reservation = await reserveCart(
+        env,
+        requestDomain,
+        lines,
+        decoded.userId,
+        cartId,
+        CHECKOUT_HOLD_MS
+      );
+
+      if (reservation.error) {
+        return new Response(JSON.stringify({ error: reservation.error }), {
+          status: 409,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+
+      if (lines.some((line) => line.holdId)) {
+        params.expires_at = Math.floor(
+          (Date.now() + CHECKOUT_HOLD_MS) / 1000
+        ).toString();
+      }
+    }
+
+    let session = existingSession;
+    try {
+      session ??= await stripeRequest(env, "checkout/sessions", {
+        method: "POST",
+        params,
+        idempotencyKey: idempotency.key("session"),
+      });
+    } catch (error) {
+      if (!isRetryableStripeError(error)) {
+        await releaseCart(env, requestDomain, { id: cartId, lines });
+      }
+      throw error;
+    }
+
+    await saveCart(env, requestDomain, {
+      id: cartId,
+      userId: decoded.userId,
+      currency: chargeCurrency,
+      lines: lines,
+      checkoutSessionId: session.id,
+      created: Date.now(),
+    });
+
+    await env.ORDERS.put(
+      `checkout:${requestDomain}:${session.id}`,
+      JSON.stringify({
+        id: session.id,
+        mode: mode,
+        userId: decoded.userId,
+        customerEmail: decoded.email,
+        customerId: customer.id,
+        productId: lines[0].productId,
+        productName: describeLineItems(lines),
+        priceId: lines[0].priceId,
+        lineItems: formatLineItems(lines, chargeCurrency),
+        amount: fromMinorUnits(
+          discount ? discount.total : subtotal,
+          chargeCurrency
+        ),
+        promotionCode: discount ? discount.promotionCode.code : null,
+        currency: chargeCurrency,
+        domain: requestDomain,
+        status: "open",
+        created: Date.now(),
+      })
+    );
+
+    console.log(`✅ Created checkout session: ${session.id}`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        sessionId: session.id,
+        url: session.url,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error creating checkout session:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to create checkout session",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleStripeGetCheckoutSession(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, sessionId } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Sessions are only visible to the user who started them
+    const record = sessionId
+      ? await getKVJson(env.ORDERS, `checkout:${requestDomain}:${sessionId}`)
+      : null;
+    if (!record || record.userId !== decoded.userId) {
+      return new Response(
+        JSON.stringify({ error: "Checkout session not found" }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const session = await stripeRequest(
+      env,
+      `checkout/sessions/${encodeURIComponent(sessionId)}?expand[]=subscription`
+    );
+
+    let order = null;
+    let subscription = null;
+
+    if (session.mode === "payment" && session.payment_intent) {
+      order = await getKVJson(
+        env.ORDERS,
+        `order:${requestDomain}:${session.payment_intent}`
+      );
+      // The webhook may not have landed yet; report what Stripe says
+      if (!order) {
+        order = {
+          id: session.payment_intent,
+          productId: record.productId,
+          productName: record.productName,
+          ...(record.lineItems && { lineItems: record.lineItems }),
+          amount: fromMinorUnits(session.amount_total, session.currency),
+          currency: session.currency,
+          domain: requestDomain,
+          customerEmail: record.customerEmail,
+          status: checkoutOrderStatus(session),
+          paymentIntentId: session.payment_intent,
+          created: session.created * 1000,
+        };
+      }
+    }
+
+    if (session.mode === "subscription" && session.subscription) {
+      subscription = formatStripeSubscription(session.subscription, {
+        [record.productId]: record.productName,
+      });
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        status: session.status,
+        paymentStatus: session.payment_status,
+        mode: session.mode,
+        order: order,
+        subscription: subscription,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error fetching checkout session:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to fetch checkout session",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// The session an earlier attempt at this cart created, if any
+async function findCheckoutSession(env, customerId, cartId) {
+  const sessions = await stripeRequest(
+    env,
+    `checkout/sessions?customer=${customerId}&limit=10`
+  );
+  return (
+    sessions.data.find((session) => session.metadata?.cart_id === cartId) ||
+    null
+  );
+}
+
+// Send the buyer back to the page they came from when it belongs to the
+// requesting domain (this keeps http://localhost working in development)
+function requestReturnOrigin(request, requestDomain) {
+  const origin = request.headers.get("Origin");
+  if (origin) {
+    try {
+      if (new URL(origin).hostname === requestDomain) {
+        return origin;
+      }
+    } catch (error) {
+      // Fall through to the default below
+    }
+  }
+  return `https://${requestDomain}`;
+}
+
+// Delayed payment methods complete the session before the money arrives
+function checkoutOrderStatus(session, eventType) {
+  if (eventType === "checkout.session.async_payment_failed") {
+    return "failed";
+  }
+  return session.payment_status === "unpaid" ? "pending" : "succeeded";
+}
+
+// ==================== STRIPE REFUNDS ====================
+
+// Reasons Stripe accepts on a refund
+const REFUND_REASONS = ["requested_by_customer", "duplicate", "fraudulent"];
+
+export async function handleStripeRefund(request, domain, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const {
+      domain: requestDomain,
+      paymentIntentId,
+      amount,
+      reason,
+      note,
+      requestId,
+    } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!(await isDomainAdmin(env, decoded.email, requestDomain))) {
+      return new Response(
+        JSON.stringify({ error: "Only domain admins can issue refunds" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    if (!paymentIntentId) {
+      return new Response(
+        JSON.stringify({ error: "Payment intent ID is required" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    if (!REFUND_REASONS.includes(reason)) {
+      return new Response(
+        JSON.stringify({
+          error: `Reason must be one of: ${REFUND_REASONS.join(", ")}`,
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Admins of one domain must never refund another domain's payments
+    let paymentIntent;
+    try {
+      paymentIntent = await stripeRequest(
+        env,
+        `payment_intents/${encodeURIComponent(
+          paymentIntentId
+        )}?expand[]=latest_charge`
+      );
+    } catch (error) {
+      paymentIntent = null;
+    }
+
+    if (!paymentIntent || paymentIntent.metadata?.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Payment not found" }), {
+        status: 404,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const charge = paymentIntent.latest_charge;
+    if (paymentIntent.status !== "succeeded" || !charge) {
+      return new Response(
+        JSON.stringify({ error: "Only successful payments can be refunded" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const idempotency = await requestIdempotency(
+      requestId,
+      "refund",
+      requestDomain,
+      decoded.userId,
+      { paymentIntentId, amount, reason, note }
+    );
+
+    // A retry finds the refund its first attempt made, which the charge
+    // already counts
+    const previousRefund = await findRequestRefund(
+      env,
+      paymentIntentId,
+      idempotency.id
+    );
+    const alreadyRefunded =
+      charge.amount_refunded - (previousRefund?.amount ?? 0);
+
+    const currency = paymentIntent.currency;
+    const refundable = charge.amount_captured - alreadyRefunded;
+
+    // No amount means refund whatever is left
+    const refundAmount =
+      amount === undefined || amount === null || amount === ""
+        ? refundable
+        : toMinorUnits(parseFloat(amount), currency);
+
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      return new Response(
+        JSON.stringify({
+          error: `Refund amount must be between 0 and ${fromMinorUnits(
+            refundable,
+            currency
+          )} ${currency.toUpperCase()}`,
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    console.log(
+      `↩️ Refunding ${fromMinorUnits(
+        refundAmount,
+        currency
+      )} ${currency.toUpperCase()} of ${paymentIntentId} on ${requestDomain}`
+    );
+
+    const refundParams = {
+      payment_intent: paymentIntentId,
+      amount: refundAmount.toString(),
+      reason: reason,
+      "metadata[domain]": requestDomain,
+      "metadata[refunded_by]": decoded.email,
+      "metadata[note]": (note || "").slice(0, 500),
+      "metadata[request_id]": idempotency.id,
+    };
+
+    // Destination charges were paid out to the domain owner, so take the
+    // refund back from them and return the platform's share of the fee
+    if (paymentIntent.transfer_data?.destination) {
+      refundParams.reverse_transfer = "true";
+      refundParams.refund_application_fee = "true";
+    }
+
+    const refund =
+      previousRefund ||
+      (await stripeRequest(env, "refunds", {
+        method: "POST",
+        params: refundParams,
+        idempotencyKey: idempotency.key("refund"),
+      }));
+
+    // Record the refund now; charge.refunded confirms it later
+    const amountRefunded = alreadyRefunded + refund.amount;
+    const status =
+      amountRefunded >= charge.amount_captured
+        ? "refunded"
+        : "partially_refunded";
+
+    const key = `order:${requestDomain}:${paymentIntentId}`;
+    const existing = await getKVJson(env.ORDERS, key);
+    const order = {
+      ...existing,
+      id: paymentIntentId,
+      amount: fromMinorUnits(paymentIntent.amount, currency),
+      currency: currency,
+      domain: requestDomain,
+      status: status,
+      paymentIntentId: paymentIntentId,
+      amountRefunded: fromMinorUnits(amountRefunded, currency),
+      refunds: [
+        ...(existing?.refunds || []).filter(
+          (recorded) => recorded.id !== refund.id
+        ),
+        {
+          id: refund.id,
+          amount: fromMinorUnits(refund.amount, currency),
+          reason: reason,
+          note: note || "",
+          refundedBy: decoded.email,
+          created: refund.created * 1000,
+        },
+      ],
+      created: existing?.created || paymentIntent.created * 1000,
+      updated: Date.now(),
+    };
+
+    await env.ORDERS.put(key, JSON.stringify(order));
+
+    console.log(`✅ Created refund ${refund.id} (${refund.status})`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        refund: {
+          id: refund.id,
+          amount: fromMinorUnits(refund.amount, currency),
+          currency: currency,
+          status: refund.status,
+          reason: reason,
+        },
+        order: {
+          id: paymentIntentId,
+          status: status,
+          amountRefunded: order.amountRefunded,
+        },
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error creating refund:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to create refund",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+async function findRequestRefund(env, paymentIntentId, requestId) {
+  const refunds = await stripeRequest(
+    env,
+    `refunds?payment_intent=${encodeURIComponent(paymentIntentId)}&limit=100`
+  );
+  return (
+    refunds.data.find((refund) => refund.metadata?.request_id === requestId) ||
+    null
+  );
+}
+
+// ==================== INVOICES ====================
+
+// Paid orders keep their invoice after a refund
+const INVOICEABLE_STATUSES = ["succeeded", "partially_refunded", "refunded"];
+const MAX_INVOICE_LOGO_BYTES = 1024 * 1024;
+
+// Returns the PDF invoice for one of the user's orders. The first download
+// assigns the next invoice number and stores the document, so every later
+// download gets exactly the same file. Downloads racing to be first get
+// the same number and issue date, so they store the same document.
+export async function handleStripeInvoice(request, domain, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, orderId } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!orderId) {
+      return new Response(JSON.stringify({ error: "Order ID is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const orderKey = `order:${requestDomain}:${orderId}`;
+    const order = await getKVJson(env.ORDERS, orderKey);
+
+    // Domain admins may fetch any invoice, e.g. to resend one to a customer
+    if (
+      !order ||
+      (!isOrderOwner(order, decoded) &&
+        !(await isDomainAdmin(env, decoded.email, requestDomain)))
+    ) {
+      return new Response(JSON.stringify({ error: "Order not found" }), {
+        status: 404,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const invoiceKey = `invoice:${requestDomain}:${order.id}`;
+    const stored = await env.ORDERS.getWithMetadata(invoiceKey, "arrayBuffer");
+    let pdf = stored.value;
+    let invoiceNumber = stored.metadata?.invoiceNumber;
+
+    if (!pdf) {
+      if (!INVOICEABLE_STATUSES.includes(order.status)) {
+        return new Response(
+          JSON.stringify({
+            error: "Invoices are only available for paid orders",
+          }),
+          {
+            status: 400,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          }
+        );
+      }
+
+      const settings = await getDomainSettings(env, requestDomain);
+      const { number, issued } = await claimInvoiceNumber(
+        env,
+        requestDomain,
+        order.id
+      );
+      invoiceNumber = `${settings.invoice.numberPrefix}${String(
+        number
+      ).padStart(5, "0")}`;
+
+      pdf = await renderInvoicePdf({
+        order: order,
+        seller: settings.invoice,
+        requestDomain: requestDomain,
+        invoiceNumber: invoiceNumber,
+        issued: issued,
+        payment: await orderPaymentDetails(env, order),
+        logo: await fetchInvoiceLogo(settings.invoice.logoUrl),
+      });
+
+      await env.ORDERS.put(invoiceKey, pdf, { metadata: { invoiceNumber } });
+      await env.ORDERS.put(
+        orderKey,
+        JSON.stringify({
+          ...order,
+          invoiceNumber: invoiceNumber,
+          invoiceIssued: issued,
+        })
+      );
+
+      console.log(
+        `🧾 Issued invoice ${invoiceNumber} for order ${order.id} on ${requestDomain}`
+      );
+    }
+
+    return new Response(pdf, {
+      headers: {
+        ...corsHeaders,
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${invoiceNumber}.pdf"`,
+        "X-Invoice-Number": invoiceNumber,
+        "Access-Control-Expose-Headers": "X-Invoice-Number",
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error creating invoice:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to create invoice",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// Orders recorded before user IDs were stored only carry the email
+function isOrderOwner(order, decoded) {
+  if (order.userId) {
+    return order.userId === decoded.userId;
+  }
+  return (
+    !!order.customerEmail &&
+    order.customerEmail.toLowerCase() === (decoded.email || "").toLowerCase()
+  );
+}
+
+function validateInvoiceSettings(invoice) {
+  if (!invoice || typeof invoice !== "object" || Array.isArray(invoice)) {
+    return "invoice must be an object";
+  }
+
+  const unknown = Object.keys(invoice).find(
+    (key) => !(key in DEFAULT_DOMAIN_SETTINGS.invoice)
+  );
+  if (unknown) {
+    return `Unknown invoice setting: ${unknown}`;
+  }
+
+  if (Object.values(invoice).some((value) => typeof value !== "string")) {
+    return "Invoice settings must be text";
+  }
+
+  if (invoice.legalName !== undefined && invoice.legalName.length > 200) {
+    return "invoice.legalName must be at most 200 characters";
+  }
+
+  if (
+    invoice.address !== undefined &&
+    (invoice.address.length > 500 || invoice.address.split("\n").length > 6)
+  ) {
+    return "invoice.address must be at most 6 lines and 500 characters";
+  }
+
+  if (invoice.logoUrl) {
+    let logoUrl;
+    try {
+      logoUrl = new URL(invoice.logoUrl);
+    } catch (error) {
+      logoUrl = null;
+    }
+    if (!logoUrl || logoUrl.protocol !== "https:") {
+      return "invoice.logoUrl must be an https URL";
+    }
+  }
+
+  if (
+    invoice.numberPrefix !== undefined &&
+    !/^[A-Za-z0-9_/-]{0,20}$/.test(invoice.numberPrefix)
+  ) {
+    return "invoice.numberPrefix may only use letters, digits, - _ and / (at most 20)";
+  }
+
+  return null;
+}
+
+// Invoice numbers run 1, 2, 3... per domain without gaps. KV has no
+// compare-and-set, so each domain's numbers come from its own
+// InvoiceNumberAllocator. Returns the order's `{ number, issued }`.
+async function claimInvoiceNumber(env, requestDomain, orderId) {
+  // Domains numbered their invoices in KV before; the allocator carries on
+  // from there the first time it runs
+  const issuedInKV =
+    parseInt(await env.ORDERS.get(`invoice-counter:${requestDomain}`), 10) || 0;
+
+  const allocator = env.INVOICE_NUMBERS.get(
+    env.INVOICE_NUMBERS.idFromName(requestDomain)
+  );
+  const response = await allocator.fetch("https://invoice-numbers/claim", {
+    method: "POST",
+    body: JSON.stringify({ orderId, issuedInKV }),
+  });
+  if (!response.ok) {
+    throw new Error(`Invoice number allocation failed: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Durable Object, one per domain, handing out its invoice numbers. An
+// object handles one request at a time, and doesn't take the next while
+// waiting for its storage, so reading and bumping the counter is atomic.
+// Each order keeps the number it was given first.
+export class InvoiceNumberAllocator {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const { orderId, issuedInKV } = await request.json();
+    const orderKey = `order:${orderId}`;
+
+    let assigned = await this.storage.get(orderKey);
+    if (!assigned) {
+      const counter = (await this.storage.get("counter")) ?? issuedInKV;
+      assigned = { number: counter + 1, issued: Date.now() };
+      await this.storage.put({
+        counter: assigned.number,
+        [orderKey]: assigned,
+      });
+    }
+
+    return new Response(JSON.stringify(assigned), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+}
+
+// Card brand and last4 from the charge that paid the order
+async function orderPaymentDetails(env, order) {
+  if (!order.paymentIntentId) {
+    return null;
+  }
+
+  const paymentIntent = await stripeRequest(
+    env,
+    `payment_intents/${encodeURIComponent(
+      order.paymentIntentId
+    )}?expand[]=latest_charge`
+  );
+  const details = paymentIntent.latest_charge?.payment_method_details;
+  if (!details) {
+    return null;
+  }
+
+  const brand = (details.card?.brand || details.type).replace(/_/g, " ");
+  return {
+    brand: brand.charAt(0).toUpperCase() + brand.slice(1),
+    last4: details.card?.last4 || null,
+  };
+}
+
+// A broken logo should not block invoicing; the invoice is issued without it
+async function fetchInvoiceLogo(logoUrl) {
+  if (!logoUrl) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(logoUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length > MAX_INVOICE_LOGO_BYTES) {
+      throw new Error("the file is larger than 1 MB");
+    }
+
+    const image = await pdfImage(bytes);
+    if (!image) {
+      throw new Error("only JPEG and 8-bit PNG images are supported");
+    }
+    return image;
+  } catch (error) {
+    console.warn(`⚠️ Skipping invoice logo ${logoUrl}: ${error.message}`);
+    return null;
+  }
+}
+
+function formatInvoiceMoney(amount, currency) {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: currency.toUpperCase(),
+    currencyDisplay: "code",
+  }).format(amount);
+}
+
+function formatInvoiceDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+// Orders without line items (single purchases from before carts, and
+// subscription invoices) get one line worth the pre-tax, pre-discount price
+function invoiceLines(order) {
+  if (order.lineItems?.length) {
+    return order.lineItems;
+  }
+
+  const currency = order.currency;
+  const exclusiveTax =
+    order.tax && !order.tax.inclusive
+      ? toMinorUnits(order.tax.amount, currency)
+      : 0;
+  const amount = fromMinorUnits(
+    toMinorUnits(order.amount, currency) +
+      toMinorUnits(order.discount || 0, currency) -
+      exclusiveTax,
+    currency
+  );
+  return [
+    {
+      productName: order.productName,
+      quantity: 1,
+      unitAmount: amount,
+      amount: amount,
+    },
+  ];
+}
+
+function describeTaxLine(entry) {
+  const region = [entry.country, entry.state].filter(Boolean).join("-");
+  return `${entry.name} ${entry.percentage}%` + (region ? ` (${region})` : "");
+}
+
+async function renderInvoicePdf({
+  order,
+  seller,
+  requestDomain,
+  invoiceNumber,
+  issued,
+  payment,
+  logo,
+}) {
+  const left = 50;
+  const right = PDF_PAGE_WIDTH - 50;
+  const money = (amount) => formatInvoiceMoney(amount, order.currency);
+  const ops = [];
+  const images = [];
+  let y = PDF_PAGE_HEIGHT - 50;
+
+  // Header: logo (or the seller's name) on the left, title on the right
+  if (logo) {
+    const scale = Math.min(160 / logo.width, 60 / logo.height, 1);
+    const width = logo.width * scale;
+    const height = logo.height * scale;
+    images.push({ ...logo, name: "Logo" });
+    ops.push(pdfImageOp("Logo", left, y - height, width, height));
+  } else {
+    ops.push(
+      pdfTextOp(
+        fitPdfText(seller.legalName || requestDomain, 300, 16, true),
+        left,
+        y - 16,
+        {
+          size: 16,
+          bold: true,
+        }
+      )
+    );
+  }
+  ops.push(
+    pdfTextOp("INVOICE", right, y - 22, {
+      size: 22,
+      bold: true,
+      align: "right",
+    })
+  );
+
+  const details = [
+    `Invoice number: ${invoiceNumber}`,
+    `Issued: ${formatInvoiceDate(issued)}`,
+    `Paid: ${formatInvoiceDate(order.created)}`,
+  ];
+  if (payment) {
+    details.push(
+      payment.last4
+        ? `Payment: ${payment.brand} •••• ${payment.last4}`
+        : `Payment: ${payment.brand}`
+    );
+  }
+  details.forEach((line, index) => {
+    ops.push(pdfTextOp(line, right, y - 42 - index * 14, { align: "right" }));
+  });
+  y -= 110;
+
+  // Seller and buyer
+  const sellerLines = [
+    seller.legalName || requestDomain,
+    ...seller.address.split("\n").filter((line) => line.trim()),
+  ];
+  const address = order.billingAddress;
+  const buyerLines = [
+    order.customerEmail,
+    ...(address
+      ? [
+          address.line1,
+          address.line2,
+          [address.city, address.state, address.postalCode]
+            .filter(Boolean)
+            .join(" "),
+          address.country,
+        ]
+      : []),
+  ].filter(Boolean);
+
+  ops.push(pdfTextOp("From", left, y, { bold: true }));
+  ops.push(pdfTextOp("Bill to", 320, y, { bold: true }));
+  sellerLines.forEach((line, index) => {
+    ops.push(pdfTextOp(fitPdfText(line, 250), left, y - 16 - index * 14));
+  });
+  buyerLines.forEach((line, index) => {
+    ops.push(pdfTextOp(fitPdfText(line, 225), 320, y - 16 - index * 14));
+  });
+  y -= 16 + Math.max(sellerLines.length, buyerLines.length) * 14 + 30;
+
+  // Line items
+  const columns = { quantity: 360, unitAmount: 450, amount: right };
+  ops.push(pdfTextOp("Description", left, y, { bold: true }));
+  ops.push(
+    pdfTextOp("Qty", columns.quantity, y, { bold: true, align: "right" })
+  );
+  ops.push(
+    pdfTextOp("Unit price", columns.unitAmount, y, {
+      bold: true,
+      align: "right",
+    })
+  );
+  ops.push(
+    pdfTextOp("Amount", columns.amount, y, { bold: true, align: "right" })
+  );
+  ops.push(pdfLineOp(left, y - 6, right, y - 6));
+  y -= 22;
+
+  const lines = invoiceLines(order);
+  lines.forEach((line) => {
+    ops.push(pdfTextOp(fitPdfText(line.productName, 260), left, y));
+    ops.push(
+      pdfTextOp(String(line.quantity), columns.quantity, y, { align: "right" })
+    );
+    ops.push(
+      pdfTextOp(money(line.unitAmount), columns.unitAmount, y, {
+        align: "right",
+      })
+    );
+    ops.push(
+      pdfTextOp(money(line.amount), columns.amount, y, { align: "right" })
+    );
+    y -= 16;
+  });
+  ops.push(pdfLineOp(left, y + 6, right, y + 6));
+  y -= 12;
+
+  // Totals
+  const subtotal = lines.reduce(
+    (sum, line) => sum + toMinorUnits(line.amount, order.currency),
+    0
+  );
+  const totals = [
+    ["Subtotal", money(fromMinorUnits(subtotal, order.currency))],
+  ];
+  if (order.discount) {
+    totals.push([
+      order.promotionCode ? `Discount (${order.promotionCode})` : "Discount",
+      money(-order.discount),
+    ]);
+  }
+  if (order.tax && !order.tax.inclusive) {
+    if (order.tax.breakdown.length) {
+      order.tax.breakdown.forEach((entry) => {
+        totals.push([describeTaxLine(entry), money(entry.amount)]);
+      });
+    } else {
+      totals.push(["Tax", money(order.tax.amount)]);
+    }
+  }
+  totals.push(["Total paid", money(order.amount)]);
+  if (order.tax?.inclusive && order.tax.amount) {
+    totals.push(["Includes tax", money(order.tax.amount)]);
+  }
+  if (order.amountRefunded) {
+    totals.push(["Refunded", money(-order.amountRefunded)]);
+  }
+
+  totals.forEach(([label, value]) => {
+    const bold = label === "Total paid";
+    ops.push(
+      pdfTextOp(fitPdfText(label, 200, 10, bold), columns.unitAmount, y, {
+        bold,
+        align: "right",
+      })
+    );
+    ops.push(pdfTextOp(value, columns.amount, y, { bold, align: "right" }));
+    y -= 16;
+  });
+
+  ops.push(
+    pdfTextOp(`Order ${order.id} on ${requestDomain}`, left, 50, {
+      size: 8,
+      gray: 0.45,
+    })
+  );
+
+  return buildPdf({
+    title: `Invoice ${invoiceNumber}`,
+    content: ops.join("\n"),
+    images: images,
+  });
+}
+
+// ==================== STRIPE COUPONS ====================
+
+export async function handleStripeGetCoupons(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!(await isDomainAdmin(env, decoded.email, requestDomain))) {
+      return new Response(
+        JSON.stringify({ error: "Only domain admins can manage coupons" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const { data: promotionCodes, truncated } = await stripeListAll(
+      env,
+      "promotion_codes?limit=100&expand[]=data.coupon.applies_to"
+    );
+
+    const domainCodes = promotionCodes.filter(
+      (promotionCode) => promotionCode.metadata.domain === requestDomain
+    );
+    const redemptions = await getPromotionRedemptions(
+      env,
+      requestDomain,
+      domainCodes.map((promotionCode) => promotionCode.id)
+    );
+    const coupons = domainCodes.map((promotionCode) =>
+      formatPromotionCode(promotionCode, redemptions[promotionCode.id])
+    );
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        coupons: coupons,
+        truncated: truncated,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error fetching coupons:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to fetch coupons",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleStripeCreateCoupon(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const {
+      domain: requestDomain,
+      code,
+      percentOff,
+      amountOff,
+      currency,
+      duration = "once",
+      durationInMonths,
+      expiresAt,
+      maxRedemptions,
+      productIds = [],
+      requestId,
+    } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!(await isDomainAdmin(env, decoded.email, requestDomain))) {
+      return new Response(
+        JSON.stringify({ error: "Only domain admins can manage coupons" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const couponError = validateCoupon(body);
+    if (couponError) {
+      return new Response(JSON.stringify({ error: couponError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Restrictions may only name this domain's own products
+    for (const productId of productIds) {
+      if (!(await getDomainProduct(env, productId, requestDomain))) {
+        return new Response(
+          JSON.stringify({ error: `Product not found: ${productId}` }),
+          {
+            status: 404,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          }
+        );
+      }
+    }
+
+    const idempotency = await requestIdempotency(
+      requestId,
+      "create-coupon",
+      requestDomain,
+      decoded.userId,
+      {
+        code,
+        percentOff,
+        amountOff,
+        currency,
+        duration,
+        durationInMonths,
+        expiresAt,
+        maxRedemptions,
+        productIds,
+      }
+    );
+
+    console.log(`🏷️ Creating coupon ${code} for domain: ${requestDomain}`);
+
+    const couponParams = {
+      name: code,
+      duration: duration,
+      "metadata[domain]": requestDomain,
+      "metadata[created_by]": decoded.email,
+    };
+
+    if (percentOff) {
+      couponParams.percent_off = percentOff.toString();
+    } else {
+      const couponCurrency = (currency || "usd").toLowerCase();
+      couponParams.amount_off = toMinorUnits(
+        parseFloat(amountOff),
+        couponCurrency
+      ).toString();
+      couponParams.currency = couponCurrency;
+    }
+
+    if (duration === "repeating") {
+      couponParams.duration_in_months = durationInMonths.toString();
+    }
+
+    productIds.forEach((productId, index) => {
+      couponParams[`applies_to[products][${index}]`] = productId;
+    });
+
+    const coupon = await stripeRequest(env, "coupons", {
+      method: "POST",
+      params: couponParams,
+      idempotencyKey: idempotency.key("coupon"),
+    });
+
+    // The customer-facing code carries the expiry and redemption limit
+    const promotionCodeParams = {
+      coupon: coupon.id,
+      code: code,
+      "metadata[domain]": requestDomain,
+    };
+
+    if (expiresAt) {
+      promotionCodeParams.expires_at = Math.floor(
+        new Date(expiresAt).getTime() / 1000
+      ).toString();
+    }
+
+    if (maxRedemptions) {
+      promotionCodeParams.max_redemptions = maxRedemptions.toString();
+    }
+
+    let promotionCode;
+    try {
+      promotionCode = await stripeRequest(env, "promotion_codes", {
+        method: "POST",
+        params: promotionCodeParams,
+        idempotencyKey: idempotency.key("promotion-code"),
+      });
+    } catch (error) {
+      // A retry reuses the coupon
+      if (isRetryableStripeError(error)) {
+        throw error;
+      }
+      // Don't leave an orphaned coupon behind, e.g. when the code is taken
+      await stripeRequest(env, `coupons/${coupon.id}`, { method: "DELETE" });
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    console.log(`✅ Created promotion code: ${promotionCode.id}`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        coupon: formatPromotionCode({ ...promotionCode, coupon }),
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error creating coupon:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to create coupon",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleStripeDeactivateCoupon(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, promotionCodeId, requestId } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!(await isDomainAdmin(env, decoded.email, requestDomain))) {
+      return new Response(
+        JSON.stringify({ error: "Only domain admins can manage coupons" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    let promotionCode;
+    try {
+      promotionCode = await stripeRequest(
+        env,
+        `promotion_codes/${encodeURIComponent(promotionCodeId)}`
+      );
+    } catch (error) {
+      promotionCode = null;
+    }
+
+    if (!promotionCode || promotionCode.metadata.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Coupon not found" }), {
+        status: 404,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const idempotency = await requestIdempotency(
+      requestId,
+      "deactivate-coupon",
+      requestDomain,
+      decoded.userId,
+      { promotionCodeId }
+    );
+    const updated = await stripeRequest(
+      env,
+      `promotion_codes/${promotionCode.id}?expand[]=coupon.applies_to`,
+      {
+        method: "POST",
+        params: { active: "false" },
+        idempotencyKey: idempotency.key("promotion-code"),
+      }
+    );
+
+    console.log(`🏷️ Deactivated promotion code: ${promotionCode.id}`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        coupon: formatPromotionCode(updated),
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error deactivating coupon:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to deactivate coupon",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// Preview a code against a product; the real discount is recomputed when
+// the payment is created
+export async function handleStripeApplyCoupon(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, code, productId, items, currency } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!code || (!productId && !items)) {
+      return new Response(
+        JSON.stringify({
+          error: "Code and a product ID or cart items are required",
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    let lines;
+    let chargeCurrency;
+
+    if (items) {
+      const cart = await priceCartItems(env, requestDomain, items, currency);
+      if (cart.error) {
+        return new Response(JSON.stringify({ error: cart.error }), {
+          status: cart.status,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      lines = cart.lines;
+      chargeCurrency = cart.currency;
+    } else {
+      const product = await getDomainProduct(env, productId, requestDomain);
+      if (!product || !product.active || !product.default_price) {
+        return new Response(JSON.stringify({ error: "Product not found" }), {
+          status: 404,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+
+      chargeCurrency = (
+        currency || product.default_price.currency
+      ).toLowerCase();
+      const unitAmount = priceAmountFor(product.default_price, chargeCurrency);
+
+      if (unitAmount === null) {
+        return new Response(
+          JSON.stringify({
+            error: `This product is not sold in ${chargeCurrency.toUpperCase()}`,
+          }),
+          {
+            status: 400,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          }
+        );
+      }
+
+      lines = [{ productId: product.id, amount: unitAmount }];
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+
+    const discount = await resolvePromotionCode(
+      env,
+      code,
+      requestDomain,
+      lines,
+      chargeCurrency
+    );
+
+    if (discount.error) {
+      return new Response(JSON.stringify({ error: discount.error }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        code: discount.promotionCode.code,
+        originalAmount: fromMinorUnits(subtotal, chargeCurrency),
+        discount: fromMinorUnits(discount.amount, chargeCurrency),
+        total: fromMinorUnits(discount.total, chargeCurrency),
+        currency: chargeCurrency,
+        duration: discount.coupon.duration,
+        durationInMonths: discount.coupon.duration_in_months || null,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error applying coupon:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to apply coupon",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// Find an active promotion code owned by this domain and work out what it
+// takes off a purchase, given its lines as [{ productId, amount }] in minor
+// units. Returns { error } when it can't be used.
+async function resolvePromotionCode(env, code, requestDomain, lines, currency) {
+  const promotionCodes = await stripeRequest(
+    env,
+    `promotion_codes?code=${encodeURIComponent(
+      code.trim()
+    )}&active=true&limit=10&expand[]=data.coupon.applies_to`
+  );
+
+  // Codes are unique per Stripe account, so another domain's code must
+  // look exactly like an unknown one
+  const promotionCode = promotionCodes.data.find(
+    (candidate) => candidate.metadata.domain === requestDomain
+  );
+  if (!promotionCode) {
+    return { error: "This code is not valid" };
+  }
+
+  const coupon = promotionCode.coupon;
+  if (
+    !coupon.valid ||
+    (promotionCode.expires_at && promotionCode.expires_at * 1000 < Date.now())
+  ) {
+    return { error: "This code has expired" };
+  }
+
+  // Stripe only counts invoice and Checkout redemptions; direct payment
+  // intents are counted by the reservation ledger. Redemptions still being
+  // paid for are checked when the payment intent reserves one.
+  if (promotionCode.max_redemptions) {
+    const redemptions = await getPromotionRedemptions(env, requestDomain, [
+      promotionCode.id,
+    ]);
+    if (
+      promotionCode.times_redeemed + redemptions[promotionCode.id] >=
+      promotionCode.max_redemptions
+    ) {
+      return { error: "This code has been fully redeemed" };
+    }
+  }
+
+  // Product-restricted codes only discount the lines they cover
+  const products = coupon.applies_to?.products || [];
+  const eligible = lines.filter(
+    (line) => products.length === 0 || products.includes(line.productId)
+  );
+  if (eligible.length === 0) {
+    return {
+      error:
+        lines.length === 1
+          ? "This code does not apply to this product"
+          : "This code does not apply to anything in your cart",
+    };
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  const eligibleAmount = eligible.reduce((sum, line) => sum + line.amount, 0);
+
+  let amount;
+  if (coupon.percent_off) {
+    amount = Math.round((eligibleAmount * coupon.percent_off) / 100);
+  } else if (coupon.currency === currency) {
+    amount = coupon.amount_off;
+  } else {
+    return {
+      error: `This code only applies to ${coupon.currency.toUpperCase()} purchases`,
+    };
+  }
+
+  amount = Math.min(amount, eligibleAmount);
+
+  return {
+    promotionCode: promotionCode,
+    coupon: coupon,
+    amount: amount,
+    total: subtotal - amount,
+  };
+}
+
+// Redemptions Stripe doesn't see (one-time payment intents), keyed by
+// promotion code ID
+async function getPromotionRedemptions(env, requestDomain, promotionCodeIds) {
+  return await ledgerRequest(env, requestDomain, "redemptions", {
+    promotionCodeIds,
+  });
+}
+
+function validateCoupon({
+  code,
+  percentOff,
+  amountOff,
+  currency,
+  duration = "once",
+  durationInMonths,
+  expiresAt,
+  maxRedemptions,
+  productIds = [],
+}) {
+  if (!code || !/^[A-Za-z0-9_-]{3,40}$/.test(code)) {
+    return "Code must be 3-40 letters, numbers, dashes or underscores";
+  }
+
+  if (!percentOff === !amountOff) {
+    return "Set either percentOff or amountOff";
+  }
+
+  if (percentOff && !(percentOff > 0 && percentOff <= 100)) {
+    return "percentOff must be between 0 and 100";
+  }
+
+  if (amountOff) {
+    const couponCurrency = (currency || "usd").toLowerCase();
+    if (!SUPPORTED_CURRENCIES.includes(couponCurrency)) {
+      return `Unsupported currency: ${couponCurrency}`;
+    }
+    if (!(parseFloat(amountOff) > 0)) {
+      return "amountOff must be greater than 0";
+    }
+  }
+
+  if (!["once", "repeating", "forever"].includes(duration)) {
+    return "duration must be once, repeating or forever";
+  }
+
+  if (
+    duration === "repeating" &&
+    !(Number.isInteger(durationInMonths) && durationInMonths > 0)
+  ) {
+    return "durationInMonths is required for repeating coupons";
+  }
+
+  if (expiresAt && !(new Date(expiresAt).getTime() > Date.now())) {
+    return "expiresAt must be in the future";
+  }
+
+  if (
+    maxRedemptions !== undefined &&
+    maxRedemptions !== null &&
+    !(Number.isInteger(maxRedemptions) && maxRedemptions > 0)
+  ) {
+    return "maxRedemptions must be a positive whole number";
+  }
+
+  if (!Array.isArray(productIds)) {
+    return "productIds must be a list";
+  }
+
+  return null;
+}
+
+function formatPromotionCode(promotionCode, localRedemptions = 0) {
+  const coupon = promotionCode.coupon;
+
+  return {
+    id: promotionCode.id,
+    code: promotionCode.code,
+    active: promotionCode.active,
+    couponId: coupon.id,
+    percentOff: coupon.percent_off || null,
+    amountOff: coupon.amount_off
+      ? fromMinorUnits(coupon.amount_off, coupon.currency)
+      : null,
+    currency: coupon.currency || null,
+    duration: coupon.duration,
+    durationInMonths: coupon.duration_in_months || null,
+    expiresAt: promotionCode.expires_at
+      ? promotionCode.expires_at * 1000
+      : null,
+    maxRedemptions: promotionCode.max_redemptions || null,
+    timesRedeemed: promotionCode.times_redeemed + localRedemptions,
+    productIds: coupon.applies_to?.products || [],
+    created: promotionCode.created * 1000,
+  };
+}
+
+// ==================== STRIPE PAYMENT METHODS ====================
+
+export async function handleStripeGetPaymentMethods(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const customer = await findStripeCustomer(env, decoded, requestDomain);
+
+    if (!customer) {
+      return new Response(
+        JSON.stringify({ success: true, paymentMethods: [] }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const paymentMethods = await stripeRequest(
+      env,
+      `payment_methods?customer=${customer.id}&type=card&limit=100`
+    );
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        paymentMethods: paymentMethods.data.map(formatPaymentMethod),
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error fetching payment methods:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to fetch payment methods",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleStripeCreateSetupIntent(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, requestId } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const idempotency = await requestIdempotency(
+      requestId,
+      "setup-intent",
+      requestDomain,
+      decoded.userId
+    );
+    const customer = await findOrCreateStripeCustomer(
+      env,
+      decoded,
+      requestDomain
+    );
+
+    // off_session so saved cards can also pay subscription renewals
+    const setupIntent = await stripeRequest(env, "setup_intents", {
+      method: "POST",
+      params: {
+        customer: customer.id,
+        "payment_method_types[]": "card",
+        usage: "off_session",
+        "metadata[domain]": requestDomain,
+        "metadata[user_id]": decoded.userId,
+      },
+      idempotencyKey: idempotency.key("setup-intent"),
+    });
+
+    console.log(`💾 Created setup intent: ${setupIntent.id}`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        clientSecret: setupIntent.client_secret,
+        setupIntentId: setupIntent.id,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error creating setup intent:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to create setup intent",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleStripeRemovePaymentMethod(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, paymentMethodId, requestId } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const customer = await findStripeCustomer(env, decoded, requestDomain);
+    const paymentMethod =
+      customer && paymentMethodId
+        ? await getCustomerPaymentMethod(env, customer, paymentMethodId)
+        : null;
+
+    if (!paymentMethod) {
+      return new Response(
+        JSON.stringify({ error: "Payment method not found" }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const idempotency = await requestIdempotency(
+      requestId,
+      "remove-payment-method",
+      requestDomain,
+      decoded.userId,
+      { paymentMethodId }
+    );
+    await stripeRequest(env, `payment_methods/${paymentMethod.id}/detach`, {
+      method: "POST",
+      params: {},
+      idempotencyKey: idempotency.key("detach"),
+    });
+
+    console.log(`🗑️ Removed payment method: ${paymentMethod.id}`);
+
+    return new Response(JSON.stringify({ success: true }), {
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    console.error("❌ Error removing payment method:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to remove payment method",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// ==================== STRIPE BILLING PORTAL ====================
+
+const BILLING_PORTAL_FLOWS = ["payment_method_update"];
+
+export async function handleStripeBillingPortal(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, requestId, flow } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // A flow opens the portal straight on one task instead of its home page
+    if (flow !== undefined && !BILLING_PORTAL_FLOWS.includes(flow)) {
+      return new Response(
+        JSON.stringify({ error: "Unknown billing portal flow" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const customer = await findStripeCustomer(env, decoded, requestDomain);
+
+    if (!customer) {
+      return new Response(
+        JSON.stringify({
+          error: "No billing account yet. Make a purchase first.",
+        }),
+        {
+          status: 404,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const returnOrigin = requestReturnOrigin(request, requestDomain);
+    const configurationId = await ensureBillingPortalConfiguration(
+      env,
+      requestDomain,
+      returnOrigin
+    );
+
+    const idempotency = await requestIdempotency(
+      requestId,
+      "billing-portal",
+      requestDomain,
+      decoded.userId,
+      { returnOrigin, flow }
+    );
+    const session = await stripeRequest(env, "billing_portal/sessions", {
+      method: "POST",
+      params: {
+        customer: customer.id,
+        configuration: configurationId,
+        return_url: `${returnOrigin}/`,
+        ...(flow && { "flow_data[type]": flow }),
+      },
+      idempotencyKey: idempotency.key("session"),
+    });
+
+    console.log(`🧾 Created billing portal session for ${decoded.email}`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        url: session.url,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error creating billing portal session:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to open billing portal",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// Stripe's limit on the products a portal configuration offers to switch
+// between
+const MAX_PORTAL_PLANS = 10;
+
+// Each domain has its own portal configuration built from its settings and
+// its current subscription plans. It is only rewritten when those change;
+// the last parameters sent are kept in PRODUCTS under portal:{domain}.
+async function ensureBillingPortalConfiguration(
+  env,
+  requestDomain,
+  returnOrigin
+) {
+  const settings = await getDomainSettings(env, requestDomain);
+  const features = settings.billingPortal;
+
+  const params = [
+    ["default_return_url", `${returnOrigin}/`],
+    ["metadata[domain]", requestDomain],
+    ["features[invoice_history][enabled]", String(!!features.invoiceHistory)],
+    [
+      "features[payment_method_update][enabled]",
+      String(!!features.paymentMethodUpdate),
+    ],
+    ["features[customer_update][enabled]", String(!!features.customerUpdate)],
+    [
+      "features[subscription_cancel][enabled]",
+      String(!!features.subscriptionCancel),
+    ],
+  ];
+
+  if (features.customerUpdate) {
+    params.push(
+      ["features[customer_update][allowed_updates][]", "email"],
+      ["features[customer_update][allowed_updates][]", "address"]
+    );
+  }
+
+  if (features.subscriptionCancel) {
+    params.push(["features[subscription_cancel][mode]", "at_period_end"]);
+  }
+
+  // Plan switching needs the plans customers may switch between. Plans
+  // added after it was turned on may exceed Stripe's limit; then switching
+  // stays in the app rather than breaking the portal.
+  let plans = features.subscriptionUpdate
+    ? await listDomainSubscriptionPlans(env, requestDomain)
+    : [];
+  if (plans.length > MAX_PORTAL_PLANS) {
+    console.warn(
+      `⚠️ ${requestDomain} has ${plans.length} plans, more than the billing portal can offer; portal plan switching is off`
+    );
+    plans = [];
+  }
+
+  params.push([
+    "features[subscription_update][enabled]",
+    String(plans.length > 0),
+  ]);
+
+  if (plans.length > 0) {
+    params.push(
+      ["features[subscription_update][default_allowed_updates][]", "price"],
+      // Like a plan change made now in the app
+      ["features[subscription_update][proration_behavior]", "always_invoice"]
+    );
+    plans.forEach((plan, index) => {
+      params.push(
+        [`features[subscription_update][products][${index}][product]`, plan.id],
+        [
+          `features[subscription_update][products][${index}][prices][]`,
+          plan.priceId,
+        ]
+      );
+    });
+  }
+
+  const stored = await getKVJson(env.PRODUCTS, `portal:${requestDomain}`);
+  const signature = JSON.stringify(params);
+
+  if (stored?.configurationId && stored.signature === signature) {
+    return stored.configurationId;
+  }
+
+  const configuration = await stripeRequest(
+    env,
+    stored?.configurationId
+      ? `billing_portal/configurations/${stored.configurationId}`
+      : "billing_portal/configurations",
+    {
+      method: "POST",
+      params,
+      // Keyed by the stored state it replaces, so concurrent syncs make
+      // one change but a later change back is made again
+      idempotencyKey: await resourceIdempotencyKey(
+        "portal-configuration",
+        requestDomain,
+        stored?.updated ?? null,
+        signature
+      ),
+    }
+  );
+
+  await env.PRODUCTS.put(
+    `portal:${requestDomain}`,
+    JSON.stringify({
+      configurationId: configuration.id,
+      signature: signature,
+      updated: Date.now(),
+    })
+  );
+
+  console.log(
+    `⚙️ Synced billing portal configuration ${configuration.id} for ${requestDomain}`
+  );
+
+  return configuration.id;
+}
+
+async function listDomainSubscriptionPlans(env, requestDomain) {
+  const entries = (await listDomainProductIndex(env, requestDomain)).filter(
+    (entry) => entry.type === "subscription" && !entry.archived
+  );
+  const products = await Promise.all(
+    entries.map((entry) =>
+      getKVJson(env.PRODUCTS, `product:${requestDomain}:${entry.id}`)
+    )
+  );
+
+  // Usage-based plans can't be switched to or from, as in the app
+  return products
+    .filter((product) => product?.priceId && product.usageType !== "metered")
+    .map((product) => ({ id: product.id, priceId: product.priceId }));
+}
+
+// ==================== STRIPE CONNECT ====================
+
+// Each domain owner can connect a Stripe Express account, recorded in
+// PRODUCTS as connect:{domain}. Once it can receive transfers, payments on
+// the domain become destination charges: the platform charges the buyer,
+// keeps the application fee and transfers the rest to the owner.
+
+const MAX_CONNECT_PAYOUTS = 20;
+
+export async function handleStripeConnectOnboard(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, country, requestId } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!(await isDomainAdmin(env, decoded.email, requestDomain))) {
+      return new Response(
+        JSON.stringify({ error: "Only domain admins can set up payouts" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    if (country !== undefined && !/^[A-Z]{2}$/.test(country)) {
+      return new Response(
+        JSON.stringify({ error: "Country must be a two-letter country code" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const requestIdError = validateRequestId(requestId);
+    if (requestIdError) {
+      return new Response(JSON.stringify({ error: requestIdError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    let connect = await getKVJson(env.PRODUCTS, `connect:${requestDomain}`);
+
+    // The account is created once; later calls continue its onboarding
+    if (!connect) {
+      const account = await stripeRequest(env, "accounts", {
+        method: "POST",
+        params: {
+          type: "express",
+          email: decoded.email,
+          ...(country && { country }),
+          "capabilities[card_payments][requested]": "true",
+          "capabilities[transfers][requested]": "true",
+          "business_profile[url]": `https://${requestDomain}`,
+          "metadata[domain]": requestDomain,
+          "metadata[created_by]": decoded.email,
+        },
+        idempotencyKey: await resourceIdempotencyKey(
+          "connect-account",
+          requestDomain,
+          decoded.email,
+          country ?? null
+        ),
+      });
+
+      connect = await saveConnectAccount(env, requestDomain, account, {
+        created: Date.now(),
+        createdBy: decoded.email,
+      });
+      console.log(
+        `🏦 Created Express account ${account.id} for ${requestDomain}`
+      );
+    }
+
+    // Account links are single-use; Stripe sends the owner to refresh_url
+    // when one expires, and the frontend asks for a new one from there
+    const returnOrigin = requestReturnOrigin(request, requestDomain);
+    const idempotency = await requestIdempotency(
+      requestId,
+      "connect-onboard",
+      requestDomain,
+      decoded.userId,
+      { country, returnOrigin }
+    );
+    const accountLink = await stripeRequest(env, "account_links", {
+      method: "POST",
+      params: {
+        account: connect.accountId,
+        type: "account_onboarding",
+        refresh_url: `${returnOrigin}/?connect=refresh`,
+        return_url: `${returnOrigin}/?connect=return`,
+      },
+      idempotencyKey: idempotency.key("account-link"),
+    });
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        url: accountLink.url,
+        accountId: connect.accountId,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error starting Connect onboarding:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to start payout setup",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// The connected account's status, balance and recent payouts
+export async function handleStripeConnectAccount(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!(await isDomainAdmin(env, decoded.email, requestDomain))) {
+      return new Response(
+        JSON.stringify({ error: "Only domain admins can view payouts" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const settings = await getDomainSettings(env, requestDomain);
+    const applicationFeePercent = domainApplicationFeePercent(env, settings);
+    const connect = await getKVJson(env.PRODUCTS, `connect:${requestDomain}`);
+
+    if (!connect) {
+      return new Response(
+        JSON.stringify({
+          success: true,
+          account: null,
+          balance: null,
+          payouts: [],
+          applicationFeePercent: applicationFeePercent,
+          applicationFeeIsDefault: settings.applicationFeePercent === null,
+          isGlobalAdmin: isGlobalAdmin(env, decoded.email),
+        }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    // Refresh the stored status in case an account.updated event was missed
+    const account = await stripeRequest(
+      env,
+      `accounts/${encodeURIComponent(connect.accountId)}`
+    );
+    const updated = await saveConnectAccount(env, requestDomain, account);
+
+    let balance = null;
+    let payouts = [];
+    if (account.details_submitted) {
+      const [stripeBalance, stripePayouts] = await Promise.all([
+        stripeRequest(env, "balance", { stripeAccount: account.id }),
+        stripeRequest(env, `payouts?limit=${MAX_CONNECT_PAYOUTS}`, {
+          stripeAccount: account.id,
+        }),
+      ]);
+
+      const formatFunds = (funds) =>
+        funds.map((entry) => ({
+          amount: fromMinorUnits(entry.amount, entry.currency),
+          currency: entry.currency,
+        }));
+      balance = {
+        available: formatFunds(stripeBalance.available),
+        pending: formatFunds(stripeBalance.pending),
+      };
+      payouts = stripePayouts.data.map((payout) => ({
+        id: payout.id,
+        amount: fromMinorUnits(payout.amount, payout.currency),
+        currency: payout.currency,
+        status: payout.status,
+        arrivalDate: payout.arrival_date * 1000,
+        created: payout.created * 1000,
+      }));
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        account: formatConnectAccount(updated),
+        balance: balance,
+        payouts: payouts,
+        applicationFeePercent: applicationFeePercent,
+        applicationFeeIsDefault: settings.applicationFeePercent === null,
+        isGlobalAdmin: isGlobalAdmin(env, decoded.email),
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error loading connected account:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to load payouts",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+async function saveConnectAccount(env, requestDomain, account, extra = {}) {
+  const key = `connect:${requestDomain}`;
+  const existing = await getKVJson(env.PRODUCTS, key);
+  const connect = {
+    ...existing,
+    ...extra,
+    accountId: account.id,
+    domain: requestDomain,
+    chargesEnabled: !!account.charges_enabled,
+    payoutsEnabled: !!account.payouts_enabled,
+    detailsSubmitted: !!account.details_submitted,
+    transfersActive: account.capabilities?.transfers === "active",
+    requirementsDue: account.requirements?.currently_due || [],
+    updated: Date.now(),
+  };
+
+  await env.PRODUCTS.put(key, JSON.stringify(connect));
+  return connect;
+}
+
+function formatConnectAccount(connect) {
+  return {
+    id: connect.accountId,
+    chargesEnabled: connect.chargesEnabled,
+    payoutsEnabled: connect.payoutsEnabled,
+    detailsSubmitted: connect.detailsSubmitted,
+    transfersActive: connect.transfersActive,
+    requirementsDue: connect.requirementsDue,
+  };
+}
+
+// Global admins can set a domain's fee; otherwise the platform default
+function domainApplicationFeePercent(env, settings) {
+  return (
+    settings.applicationFeePercent ??
+    (parseFloat(env.STRIPE_APPLICATION_FEE_PERCENT) || 0)
+  );
+}
+
+// Where the domain's payments go, or null while they stay on the platform
+// account (no connected account yet, or onboarding is unfinished)
+async function getConnectDestination(env, requestDomain) {
+  const connect = await getKVJson(env.PRODUCTS, `connect:${requestDomain}`);
+  if (!connect?.transfersActive) {
+    return null;
+  }
+
+  const settings = await getDomainSettings(env, requestDomain);
+  return {
+    accountId: connect.accountId,
+    feePercent: domainApplicationFeePercent(env, settings),
+  };
+}
+
+function applicationFeeAmount(amount, feePercent) {
+  return Math.round((amount * feePercent) / 100);
+}
+
+// ==================== STRIPE GLOBAL ANALYTICS ====================
+
+export async function handleStripeGlobalAnalytics(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, startDate, endDate } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Cross-domain data is only for platform admins
+    if (!isGlobalAdmin(env, decoded.email)) {
+      return new Response(
+        JSON.stringify({ error: "Not authorized to view cross-domain data" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    // Default to the last 30 days
+    const rangeEnd = endDate ? new Date(endDate) : new Date();
+    const rangeStart = startDate
+      ? new Date(startDate)
+      : new Date(rangeEnd.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime())) {
+      return new Response(JSON.stringify({ error: "Invalid date range" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const createdGte = Math.floor(rangeStart.getTime() / 1000);
+    const createdLte = Math.floor(rangeEnd.getTime() / 1000);
+
+    console.log(
+      `📊 Computing global analytics for ${rangeStart.toISOString()} - ${rangeEnd.toISOString()}`
+    );
+
+    const [products, charges, subscriptions] = await Promise.all([
+      stripeListAll(env, "products?active=true&limit=100"),
+      stripeListAll(
+        env,
+        `charges?limit=100&created[gte]=${createdGte}&created[lte]=${createdLte}&expand[]=data.customer`
+      ),
+      stripeListAll(env, "subscriptions?status=active&limit=100"),
+    ]);
+
+    // Money is always kept per currency; amounts in different currencies
+    // are never added together
+    const domainStats = {};
+    const statsFor = (statsDomain) => {
+      if (!domainStats[statsDomain]) {
+        domainStats[statsDomain] = {
+          products: 0,
+          successfulPayments: 0,
+          revenue: {},
+          activeSubscriptions: 0,
+          mrr: {},
+        };
+      }
+      return domainStats[statsDomain];
+    };
+
+    // Products
+    let totalProducts = 0;
+    products.data.forEach((product) => {
+      if (product.metadata.domain) {
+        statsFor(product.metadata.domain).products++;
+        totalProducts++;
+      }
+    });
+
+    // Successful charges, net of refunds. Subscription invoices carry no
+    // domain metadata, so fall back to the per-domain customer
+    const totalRevenue = {};
+    let totalSuccessfulPayments = 0;
+    const recentPayments = [];
+    charges.data.forEach((charge) => {
+      const chargeDomain =
+        charge.metadata.domain || charge.customer?.metadata?.domain;
+      if (!chargeDomain) {
+        return;
+      }
+
+      if (charge.status === "succeeded" && charge.paid) {
+        const revenue = fromMinorUnits(
+          charge.amount_captured - charge.amount_refunded,
+          charge.currency
+        );
+        const stats = statsFor(chargeDomain);
+        stats.successfulPayments++;
+        addToCurrencyTotal(stats.revenue, charge.currency, revenue);
+        totalSuccessfulPayments++;
+        addToCurrencyTotal(totalRevenue, charge.currency, revenue);
+      }
+
+      recentPayments.push({
+        id: charge.payment_intent || charge.id,
+        amount: fromMinorUnits(charge.amount, charge.currency),
+        currency: charge.currency,
+        status: charge.refunded
+          ? "refunded"
+          : charge.amount_refunded > 0
+          ? "partially_refunded"
+          : charge.status,
+        domain: chargeDomain,
+        customer_email:
+          charge.metadata.customer_email ||
+          charge.billing_details?.email ||
+          charge.customer?.email ||
+          "",
+        created: charge.created,
+      });
+    });
+
+    // Active subscriptions and monthly recurring revenue
+    let activeSubscriptions = 0;
+    const mrr = {};
+    const domainSubscriptions = subscriptions.data.filter(
+      (subscription) => subscription.metadata.domain
+    );
+    await attachCurrencyOptions(env, domainSubscriptions);
+
+    domainSubscriptions.forEach((subscription) => {
+      const subscriptionCurrency = subscription.currency;
+      const subscriptionMrr = fromMinorUnits(
+        subscription.items.data.reduce(
+          (sum, item) =>
+            sum +
+            monthlyAmount(item.price, subscriptionCurrency, item.quantity || 1),
+          0
+        ),
+        subscriptionCurrency
+      );
+
+      const stats = statsFor(subscription.metadata.domain);
+      stats.activeSubscriptions++;
+      addToCurrencyTotal(stats.mrr, subscriptionCurrency, subscriptionMrr);
+      activeSubscriptions++;
+      addToCurrencyTotal(mrr, subscriptionCurrency, subscriptionMrr);
+    });
+
+    const truncated =
+      products.truncated || charges.truncated || subscriptions.truncated;
+    if (truncated) {
+      console.warn("⚠️ Global analytics hit the Stripe page limit");
+    }
+
+    console.log(
+      `✅ Global analytics: ${
+        Object.keys(domainStats).length
+      } domains, ${totalSuccessfulPayments} payments`
+    );
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        analytics: {
+          totalProducts,
+          totalRevenue,
+          totalSuccessfulPayments,
+          activeSubscriptions,
+          mrr,
+          domainCount: Object.keys(domainStats).length,
+          domainStats,
+          recentPayments: recentPayments
+            .sort((a, b) => b.created - a.created)
+            .slice(0, 20),
+          range: {
+            start: rangeStart.getTime(),
+            end: rangeEnd.getTime(),
+          },
+          truncated,
+        },
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error computing global analytics:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to compute global analytics",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleStripeGlobalProducts(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!env.STRIPE_SECRET_KEY) {
+      return new Response(JSON.stringify({ error: "Stripe not configured" }), {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Cross-domain data is only for platform admins
+    if (!isGlobalAdmin(env, decoded.email)) {
+      return new Response(
+        JSON.stringify({ error: "Not authorized to view cross-domain data" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    console.log("📦 Fetching products across all domains");
+
+    const productsData = await stripeListAll(
+      env,
+      "products?active=true&limit=100&expand[]=data.default_price&expand[]=data.default_price.currency_options"
+    );
+
+    const products = productsData.data
+      .filter((product) => product.metadata.domain)
+      .map(formatStripeProduct);
+
+    console.log(`✅ Found ${products.length} products across all domains`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        products: products,
+        truncated: productsData.truncated,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error fetching global products:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to fetch products",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// GLOBAL_ADMIN_EMAILS is a comma separated allow list
+function isGlobalAdmin(env, email) {
+  if (!env.GLOBAL_ADMIN_EMAILS || !email) {
+    return false;
+  }
+
+  return env.GLOBAL_ADMIN_EMAILS.split(",")
+    .map((adminEmail) => adminEmail.trim().toLowerCase())
+    .includes(email.toLowerCase());
+}
+
+// Normalize a recurring price to a monthly amount in minor units
+function monthlyAmount(price, currency, quantity) {
+  // Metered plans have no fixed amount until their usage is invoiced
+  if (price?.recurring?.usage_type === "metered") {
+    return 0;
+  }
+
+  const unitAmount = price?.recurring ? priceAmountFor(price, currency) : null;
+  if (!unitAmount) {
+    return 0;
+  }
+
+  const { interval, interval_count: intervalCount = 1 } = price.recurring;
+  const perMonth = {
+    day: 365 / 12,
+    week: 52 / 12,
+    month: 1,
+    year: 1 / 12,
+  }[interval];
+
+  return (unitAmount * quantity * perMonth) / intervalCount;
+}
+
+function addToCurrencyTotal(totals, currency, amount) {
+  totals[currency] = (totals[currency] || 0) + amount;
+}
+
+// ==================== DOMAIN SETTINGS ====================
+
+// Per-domain store settings, kept in the PRODUCTS namespace as
+// settings:{domain}. Unknown keys are ignored on update.
+const DEFAULT_DOMAIN_SETTINGS = {
+  // "elements" = inline card form, "hosted" = Stripe Checkout redirect
+  checkoutMode: "elements",
+  // Emails allowed to manage this domain (global admins always can)
+  adminEmails: [],
+  // Features customers get in the Stripe Billing Portal
+  billingPortal: {
+    invoiceHistory: true,
+    paymentMethodUpdate: true,
+    subscriptionCancel: true,
+    subscriptionUpdate: false,
+    customerUpdate: false,
+  },
+  // How purchases are taxed: "stripe" uses Stripe Tax, "local" the rates
+  // below. With "inclusive" behavior prices already contain the tax.
+  tax: {
+    enabled: false,
+    provider: "local",
+    behavior: "exclusive",
+    // [{ name, percentage, country, state, taxCode }]; see localTaxRateFor
+    rates: [],
+  },
+  // Seller details printed on PDF invoices. The address is multi-line text
+  // and the logo an https URL to a JPEG or PNG.
+  invoice: {
+    legalName: "",
+    address: "",
+    logoUrl: "",
+    numberPrefix: "INV-",
+  },
+  // Platform cut of Connect payments in percent; null uses the platform
+  // default (STRIPE_APPLICATION_FEE_PERCENT). Only global admins set it.
+  applicationFeePercent: null,
+  // How long a subscriber keeps access after a renewal payment fails, and
+  // whether the subscription then becomes "unpaid" or is canceled
+  dunning: {
+    gracePeriodDays: 7,
+    afterGrace: "unpaid",
+  },
+};
+
+export async function handleGetDomainSettings(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const settings = await getDomainSettings(env, requestDomain);
+    const isAdmin = await isDomainAdmin(env, decoded.email, requestDomain);
+
+    // Only admins get to see who the other admins are and the fee
+    if (!isAdmin) {
+      delete settings.adminEmails;
+      delete settings.applicationFeePercent;
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        settings: settings,
+        isAdmin: isAdmin,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error loading domain settings:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to load settings",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleUpdateDomainSettings(
+  request,
+  domain,
+  env,
+  corsHeaders
+) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, settings: updates } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    // Verify the token is for the requesting domain
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!(await isDomainAdmin(env, decoded.email, requestDomain))) {
+      return new Response(
+        JSON.stringify({ error: "Only domain admins can change settings" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    if (
+      updates?.applicationFeePercent !== undefined &&
+      !isGlobalAdmin(env, decoded.email)
+    ) {
+      return new Response(
+        JSON.stringify({
+          error: "Only global admins can change the application fee",
+        }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const settingsError = validateDomainSettings(updates || {});
+    if (settingsError) {
+      return new Response(JSON.stringify({ error: settingsError }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (
+      updates.billingPortal?.subscriptionUpdate &&
+      (await listDomainSubscriptionPlans(env, requestDomain)).length >
+        MAX_PORTAL_PLANS
+    ) {
+      return new Response(
+        JSON.stringify({
+          error: `The billing portal can offer at most ${MAX_PORTAL_PLANS} plans to switch between`,
+        }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const current = await getDomainSettings(env, requestDomain);
+    const settings = { ...current };
+    Object.keys(DEFAULT_DOMAIN_SETTINGS).forEach((key) => {
+      if (updates[key] !== undefined) {
+        settings[key] = mergeSetting(settings[key], updates[key]);
+      }
+    });
+
+    await env.PRODUCTS.put(
+      `settings:${requestDomain}`,
+      JSON.stringify({
+        ...settings,
+        updated: Date.now(),
+        updatedBy: decoded.email,
+      })
+    );
+
+    console.log(`⚙️ Updated settings for ${requestDomain} by ${decoded.email}`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        settings: settings,
+        isAdmin: true,
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error updating domain settings:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to update settings",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+async function getDomainSettings(env, requestDomain) {
+  const stored = await getKVJson(env.PRODUCTS, `settings:${requestDomain}`);
+  const settings = { ...DEFAULT_DOMAIN_SETTINGS };
+  Object.keys(DEFAULT_DOMAIN_SETTINGS).forEach((key) => {
+    if (stored && stored[key] !== undefined) {
+      settings[key] = mergeSetting(settings[key], stored[key]);
+    }
+  });
+  return settings;
+}
+
+// Grouped settings (plain objects) are merged so new options get defaults
+function mergeSetting(current, value) {
+  if (
+    current &&
+    typeof current === "object" &&
+    !Array.isArray(current) &&
+    value &&
+    typeof value === "object"
+  ) {
+    return { ...current, ...value };
+  }
+  return value;
+}
+
+async function isDomainAdmin(env, email, requestDomain) {
+  if (isGlobalAdmin(env, email)) {
+    return true;
+  }
+
+  const settings = await getDomainSettings(env, requestDomain);
+  return settings.adminEmails
+    .map((adminEmail) => adminEmail.toLowerCase())
+    .includes((email || "").toLowerCase());
+}
+
+function validateDomainSettings(updates) {
+  if (
+    updates.checkoutMode !== undefined &&
+    !["elements", "hosted"].includes(updates.checkoutMode)
+  ) {
+    return "checkoutMode must be elements or hosted";
+  }
+
+  if (
+    updates.adminEmails !== undefined &&
+    (!Array.isArray(updates.adminEmails) ||
+      updates.adminEmails.some((email) => typeof email !== "string"))
+  ) {
+    return "adminEmails must be a list of emails";
+  }
+
+  if (updates.billingPortal !== undefined) {
+    const features = updates.billingPortal;
+    if (
+      !features ||
+      typeof features !== "object" ||
+      Object.entries(features).some(
+        ([feature, enabled]) =>
+          !(feature in DEFAULT_DOMAIN_SETTINGS.billingPortal) ||
+          typeof enabled !== "boolean"
+      )
+    ) {
+      return "billingPortal must map known portal features to true or false";
+    }
+  }
+
+  if (
+    updates.applicationFeePercent !== undefined &&
+    updates.applicationFeePercent !== null &&
+    !(
+      typeof updates.applicationFeePercent === "number" &&
+      updates.applicationFeePercent >= 0 &&
+      updates.applicationFeePercent <= 100
+    )
+  ) {
+    return "applicationFeePercent must be a number from 0 to 100, or null";
+  }
+
+  if (updates.tax !== undefined) {
+    const taxError = validateTaxSettings(updates.tax);
+    if (taxError) {
+      return taxError;
+    }
+  }
+
+  if (updates.invoice !== undefined) {
+    const invoiceError = validateInvoiceSettings(updates.invoice);
+    if (invoiceError) {
+      return invoiceError;
+    }
+  }
+
+  if (updates.dunning !== undefined) {
+    return validateDunningSettings(updates.dunning);
+  }
+
+  return null;
+}
+
+// ==================== STRIPE WEBHOOKS ====================
+
+export async function handleStripeWebhook(request, domain, env, corsHeaders) {
+  if (request.method !== "POST") {
+    return new Response("Method not allowed", {
+      status: 405,
+      headers: corsHeaders,
+    });
+  }
+
+  if (!env.STRIPE_WEBHOOK_SECRET) {
+    return new Response(
+      JSON.stringify({ error: "Stripe webhooks not configured" }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+
+  // The signature is computed over the raw body, so read it as text
+  const payload = await request.text();
+  const signatureHeader = request.headers.get("Stripe-Signature");
+
+  // Events about connected accounts come from a separate Connect endpoint
+  // with its own signing secret
+  const isValid =
+    (await verifyStripeSignature(
+      payload,
+      signatureHeader,
+      env.STRIPE_WEBHOOK_SECRET
+    )) ||
+    (!!env.STRIPE_CONNECT_WEBHOOK_SECRET &&
+      (await verifyStripeSignature(
+        payload,
+        signatureHeader,
+        env.STRIPE_CONNECT_WEBHOOK_SECRET
+      )));
+
+  if (!isValid) {
+    console.error("❌ Invalid Stripe webhook signature");
+    return new Response(JSON.stringify({ error: "Invalid signature" }), {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  const event = JSON.parse(payload);
+
+  // Payloads follow the endpoint's API version, not the one requests pin
+  if (event.api_version !== STRIPE_API_VERSION) {
+    console.error(
+      `⚠️ Stripe event ${event.id} uses API version ${event.api_version}; create the webhook endpoint with ${STRIPE_API_VERSION}`
+    );
+  }
+
+  // Stripe retries deliveries and may send one while another is still
+  // being processed, so each event is claimed before it is processed
+  const claim = await webhookEventRequest(env, event.id, "claim", {
+    type: event.type,
+    // Events processed before the log existed were marked in KV
+    processedInKV: !!(await env.ORDERS.get(`event:${event.id}`)),
+  });
+
+  if (claim.status === "done") {
+    console.log(`↩️ Skipping duplicate Stripe event: ${event.id}`);
+    return new Response(JSON.stringify({ received: true, duplicate: true }), {
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  }
+
+  if (claim.status === "processing") {
+    console.log(`⏳ Stripe event ${event.id} is already being processed`);
+    return new Response(
+      JSON.stringify({ error: "Event is already being processed" }),
+      {
+        status: 409,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+
+  console.log(`📬 Stripe webhook: ${event.type} (${event.id})`);
+
+  try {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case "payment_intent.succeeded":
+        await saveOrderFromPaymentIntent(env, object, "succeeded", event);
+        break;
+
+      case "payment_intent.payment_failed":
+        await saveOrderFromPaymentIntent(env, object, "failed", event);
+        break;
+
+      case "invoice.paid":
+        await saveOrderFromInvoice(env, object, event);
+        break;
+
+      case "invoice.payment_failed":
+        await saveFailedRenewal(env, object, event);
+        break;
+
+      case "checkout.session.completed":
+      case "checkout.session.async_payment_succeeded":
+      case "checkout.session.async_payment_failed":
+      case "checkout.session.expired":
+        await saveOrderFromCheckoutSession(env, object, event);
+        break;
+
+      case "customer.subscription.updated":
+      case "customer.subscription.deleted":
+        await saveSubscriptionFromEvent(env, object, event);
+        break;
+
+      case "charge.refunded":
+        await saveRefundFromCharge(env, object, event);
+        break;
+
+      case "account.updated":
+        await saveConnectAccountFromEvent(env, object);
+        break;
+
+      default:
+        console.log(`ℹ️ Ignoring unhandled Stripe event type: ${event.type}`);
+    }
+
+    await webhookEventRequest(env, event.id, "complete");
+
+    return new Response(JSON.stringify({ received: true }), {
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    // A non-2xx response makes Stripe retry the delivery later
+    console.error(`❌ Error processing Stripe event ${event.id}:`, error);
+    await webhookEventRequest(env, event.id, "release").catch((releaseError) =>
+      console.error(`❌ Could not release ${event.id}:`, releaseError)
+    );
+    return new Response(
+      JSON.stringify({
+        error: "Failed to process webhook",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// A delivery that dies without releasing its claim holds the event this
+// long; Stripe's next retry after that processes it again
+const WEBHOOK_EVENT_LEASE_MS = 5 * 60 * 1000;
+// Longer than Stripe keeps retrying an event
+const WEBHOOK_EVENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+async function webhookEventRequest(env, eventId, action, body = {}) {
+  const log = env.WEBHOOK_EVENTS.get(env.WEBHOOK_EVENTS.idFromName(eventId));
+  const response = await log.fetch(`https://webhook-events/${action}`, {
+    method: "POST",
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook event ${action} failed: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Durable Object, one per Stripe event, recording whether it is being or
+// has been processed. An object handles one request at a time, so of two
+// overlapping deliveries only one gets the claim. It deletes itself once
+// Stripe can no longer retry the event.
+export class WebhookEventLog {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const action = new URL(request.url).pathname.slice(1);
+    const body = await request.json();
+    const handlers = {
+      claim: () => this.claim(body),
+      complete: () => this.complete(),
+      release: () => this.release(),
+    };
+    if (!handlers[action]) {
+      return new Response("Not found", { status: 404 });
+    }
+
+    const result = await handlers[action]();
+
+    return new Response(JSON.stringify(result), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  // Returns { status } of "claimed", "processing" (someone else holds the
+  // claim) or "done"
+  async claim({ type, processedInKV }) {
+    const now = Date.now();
+    const record = await this.storage.get("event");
+    if (record?.status === "done" || processedInKV) {
+      return { status: "done" };
+    }
+    if (record?.status === "processing" && record.leaseExpires > now) {
+      return { status: "processing" };
+    }
+
+    await this.storage.put("event", {
+      status: "processing",
+      type,
+      leaseExpires: now + WEBHOOK_EVENT_LEASE_MS,
+    });
+    return { status: "claimed" };
+  }
+
+  async complete() {
+    const now = Date.now();
+    const record = await this.storage.get("event");
+    await this.storage.put("event", {
+      ...record,
+      status: "done",
+      processed: now,
+    });
+    await this.storage.setAlarm(now + WEBHOOK_EVENT_RETENTION_MS);
+    return {};
+  }
+
+  async release() {
+    const record = await this.storage.get("event");
+    if (record?.status === "processing") {
+      await this.storage.delete("event");
+    }
+    return {};
+  }
+
+  async alarm() {
+    await this.storage.deleteAll();
+  }
+}
+
+async function saveOrderFromPaymentIntent(env, paymentIntent, status, event) {
+  const orderDomain = paymentIntent.metadata?.domain;
+  if (!orderDomain) {
+    // Subscription invoices are recorded through invoice.paid instead
+    console.log(`ℹ️ Payment intent ${paymentIntent.id} has no domain metadata`);
+    return;
+  }
+
+  const key = `order:${orderDomain}:${paymentIntent.id}`;
+  const existing = await getKVJson(env.ORDERS, key);
+
+  // Events can arrive out of order; never overwrite newer state
+  if (existing && existing.lastEventCreated > event.created) {
+    return;
+  }
+
+  let cart = await getCart(env, orderDomain, paymentIntent.metadata.cart_id);
+  const productId =
+    paymentIntent.metadata.product_id || cart?.lines[0]?.productId;
+  const product = productId
+    ? await getKVJson(env.PRODUCTS, `product:${orderDomain}:${productId}`)
+    : null;
+
+  const order = {
+    ...existing,
+    id: paymentIntent.id,
+    productId: productId || existing?.productId || null,
+    productName:
+      (cart?.lines.length > 1 && describeLineItems(cart.lines)) ||
+      product?.name ||
+      existing?.productName ||
+      "Unknown product",
+    amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+    currency: paymentIntent.currency,
+    domain: orderDomain,
+    customerEmail:
+      paymentIntent.metadata.customer_email || paymentIntent.receipt_email,
+    userId:
+      paymentIntent.metadata.user_id ||
+      cart?.userId ||
+      existing?.userId ||
+      null,
+    status: status,
+    paymentIntentId: paymentIntent.id,
+    created: paymentIntent.created * 1000,
+    updated: Date.now(),
+    lastEventCreated: event.created,
+  };
+
+  if (status === "failed") {
+    order.failureMessage = paymentIntent.last_payment_error?.message || null;
+  }
+
+  if (cart) {
+    order.lineItems = formatLineItems(cart.lines, cart.currency);
+
+    if (cart.tax) {
+      order.tax = formatTax(cart.tax, cart.currency);
+      order.billingAddress = cart.billingAddress;
+
+      if (
+        status === "succeeded" &&
+        cart.tax.calculationId &&
+        !cart.taxRecorded
+      ) {
+        await recordStripeTaxTransaction(
+          env,
+          cart.tax.calculationId,
+          paymentIntent.id
+        );
+        cart = { ...cart, taxRecorded: true };
+        await saveCart(env, orderDomain, cart);
+      }
+    }
+
+    // A declined card on the hosted Checkout page can still be retried, so
+    // those holds are only released when the session ends. Carts saved
+    // before they held promotion codes don't name theirs.
+    if (status === "succeeded" || !cart.checkoutSessionId) {
+      const refusedReason = await settleCart(
+        env,
+        orderDomain,
+        {
+          promotionCodeId: paymentIntent.metadata.promotion_code_id,
+          ...cart,
+        },
+        status === "succeeded" ? paymentIntent.id : null
+      );
+      if (refusedReason) {
+        order.refusedReason = refusedReason;
+      }
+    }
+  }
+
+  if (paymentIntent.metadata.promotion_code_id) {
+    order.promotionCode = paymentIntent.metadata.promotion_code;
+    order.discount = fromMinorUnits(
+      parseInt(paymentIntent.metadata.discount_amount, 10) || 0,
+      paymentIntent.currency
+    );
+  }
+
+  await env.ORDERS.put(key, JSON.stringify(order));
+  console.log(`✅ Order ${paymentIntent.id} on ${orderDomain} is ${status}`);
+}
+
+async function saveOrderFromInvoice(env, invoice, event) {
+  const { metadata, subscriptionId } = invoiceSubscription(invoice);
+  const orderDomain = metadata.domain;
+  if (!orderDomain) {
+    console.log(`ℹ️ Invoice ${invoice.id} has no domain metadata`);
+    return;
+  }
+
+  // Trial invoices and metered periods without usage bill nothing at all.
+  // Fully discounted invoices still have a subtotal and are recorded.
+  if (invoice.subtotal === 0) {
+    console.log(`ℹ️ Invoice ${invoice.id} had nothing to bill`);
+    return;
+  }
+
+  const paymentIntentId = await invoicePaymentIntentId(env, invoice);
+
+  const key = `order:${orderDomain}:${paymentIntentId || invoice.id}`;
+  const existing = await getKVJson(env.ORDERS, key);
+
+  if (existing && existing.lastEventCreated > event.created) {
+    return;
+  }
+
+  const line = invoice.lines?.data?.[0];
+  const productId =
+    metadata.product_id || line?.pricing?.price_details?.product || null;
+  const product = productId
+    ? await getKVJson(env.PRODUCTS, `product:${orderDomain}:${productId}`)
+    : null;
+
+  const order = {
+    ...existing,
+    id: paymentIntentId || invoice.id,
+    productId: productId,
+    productName: product?.name || line?.description || "Subscription",
+    amount: fromMinorUnits(invoice.amount_paid, invoice.currency),
+    currency: invoice.currency,
+    domain: orderDomain,
+    customerEmail: invoice.customer_email,
+    userId: metadata.user_id || existing?.userId || null,
+    status: "succeeded",
+    paymentIntentId: paymentIntentId,
+    invoiceId: invoice.id,
+    subscriptionId: subscriptionId,
+    created: invoice.created * 1000,
+    updated: Date.now(),
+    lastEventCreated: event.created,
+  };
+
+  const tax = await taxFromInvoice(env, invoice);
+  if (tax) {
+    order.tax = formatTax(tax, invoice.currency);
+  }
+
+  // A renewal that failed before has been paid after all
+  if (existing?.dunning && !existing.dunning.recoveredAt) {
+    await endDunning(env, orderDomain, subscriptionId, invoice.id);
+    order.dunning = { ...existing.dunning, recoveredAt: Date.now() };
+  }
+
+  await env.ORDERS.put(key, JSON.stringify(order));
+  console.log(`✅ Invoice ${invoice.id} paid on ${orderDomain}`);
+}
+
+function invoiceSubscription(invoice) {
+  const details = invoice.parent?.subscription_details;
+  return {
+    metadata: details?.metadata || {},
+    subscriptionId: details?.subscription || null,
+  };
+}
+
+// The payment intent that paid an invoice, or that last tried to. An
+// invoice can be paid in several payments; they are only listed when
+// expanded, which webhook payloads aren't.
+async function invoicePaymentIntentId(env, invoice) {
+  const payments =
+    invoice.payments?.data ||
+    (await stripeRequest(env, `invoices/${invoice.id}?expand[]=payments`))
+      .payments.data;
+
+  const payment =
+    payments.find((entry) => entry.status === "paid") ||
+    payments.find((entry) => entry.is_default) ||
+    payments[0];
+  const paymentIntent = payment?.payment?.payment_intent;
+
+  return typeof paymentIntent === "string"
+    ? paymentIntent
+    : paymentIntent?.id || null;
+}
+
+async function saveOrderFromCheckoutSession(env, session, event) {
+  const orderDomain = session.metadata?.domain;
+  if (!orderDomain) {
+    console.log(`ℹ️ Checkout session ${session.id} has no domain metadata`);
+    return;
+  }
+
+  const checkoutKey = `checkout:${orderDomain}:${session.id}`;
+  const checkout = await getKVJson(env.ORDERS, checkoutKey);
+
+  if (checkout && checkout.lastEventCreated > event.created) {
+    return;
+  }
+
+  const subscriptionId =
+    typeof session.subscription === "string" ? session.subscription : null;
+  const paymentIntentId =
+    typeof session.payment_intent === "string" ? session.payment_intent : null;
+
+  const checkoutRecord = {
+    ...checkout,
+    id: session.id,
+    domain: orderDomain,
+    status: session.status,
+    paymentStatus: session.payment_status,
+    paymentIntentId: paymentIntentId,
+    subscriptionId: subscriptionId,
+    updated: Date.now(),
+    lastEventCreated: event.created,
+  };
+
+  await env.ORDERS.put(checkoutKey, JSON.stringify(checkoutRecord));
+
+  // Settle stock held for the session; the order below may be skipped when
+  // the payment intent events got there first
+  const cart = await getCart(env, orderDomain, session.metadata.cart_id);
+  let refusedReason = null;
+  if (cart && session.mode === "payment") {
+    if (
+      event.type === "checkout.session.expired" ||
+      event.type === "checkout.session.async_payment_failed"
+    ) {
+      await settleCart(env, orderDomain, cart, null);
+    } else if (
+      checkoutOrderStatus(session, event.type) === "succeeded" &&
+      paymentIntentId
+    ) {
+      refusedReason = await settleCart(env, orderDomain, cart, paymentIntentId);
+    }
+  }
+
+  // Subscriptions are recorded through invoice.paid and the
+  // customer.subscription.* events; expired sessions never charged
+  if (
+    session.mode !== "payment" ||
+    !paymentIntentId ||
+    event.type === "checkout.session.expired"
+  ) {
+    console.log(`✅ Checkout session ${session.id} is ${session.status}`);
+    return;
+  }
+
+  const key = `order:${orderDomain}:${paymentIntentId}`;
+  const existing = await getKVJson(env.ORDERS, key);
+
+  if (existing && existing.lastEventCreated > event.created) {
+    return;
+  }
+
+  const status = checkoutOrderStatus(session, event.type);
+  const productId =
+    session.metadata.product_id || cart?.lines[0]?.productId || null;
+  const product = productId
+    ? await getKVJson(env.PRODUCTS, `product:${orderDomain}:${productId}`)
+    : null;
+
+  const order = {
+    ...existing,
+    id: paymentIntentId,
+    productId: productId || existing?.productId || null,
+    productName:
+      (cart?.lines.length > 1 && describeLineItems(cart.lines)) ||
+      product?.name ||
+      checkout?.productName ||
+      existing?.productName ||
+      "Unknown product",
+    ...(cart && {
+      lineItems: formatLineItems(cart.lines, cart.currency),
+    }),
+    amount: fromMinorUnits(session.amount_total, session.currency),
+    currency: session.currency,
+    domain: orderDomain,
+    customerEmail:
+      session.customer_details?.email || checkout?.customerEmail || null,
+    userId: session.metadata.user_id || checkout?.userId || null,
+    status: status,
+    paymentIntentId: paymentIntentId,
+    checkoutSessionId: session.id,
+    ...(refusedReason && { refusedReason }),
+    created: existing?.created || session.created * 1000,
+    updated: Date.now(),
+    lastEventCreated: event.created,
+  };
+
+  const tax = await taxFromCheckoutSession(env, session);
+  if (tax) {
+    order.tax = formatTax(tax, session.currency);
+    if (session.customer_details?.address) {
+      order.billingAddress = formatBillingAddress(
+        session.customer_details.address
+      );
+    }
+  }
+
+  await env.ORDERS.put(key, JSON.stringify(order));
+
+  console.log(
+    `✅ Checkout order ${paymentIntentId} on ${orderDomain} is ${status}`
+  );
+}
+
+async function saveSubscriptionFromEvent(env, subscription, event) {
+  const subscriptionDomain = subscription.metadata?.domain;
+  if (!subscriptionDomain) {
+    console.log(`ℹ️ Subscription ${subscription.id} has no domain metadata`);
+    return;
+  }
+
+  const key = `subscription:${subscriptionDomain}:${subscription.id}`;
+  const existing = await getKVJson(env.ORDERS, key);
+
+  if (existing && existing.lastEventCreated > event.created) {
+    return;
+  }
+
+  const productId =
+    subscription.items.data[0]?.price?.product ||
+    subscription.metadata.product_id;
+
+  if (
+    event.type === "customer.subscription.updated" &&
+    subscription.metadata.product_id &&
+    productId !== subscription.metadata.product_id
+  ) {
+    await recordPortalPlanSwitch(env, subscription, productId, event);
+  }
+
+  const product = productId
+    ? await getKVJson(
+        env.PRODUCTS,
+        `product:${subscriptionDomain}:${productId}`
+      )
+    : null;
+
+  const record = {
+    ...formatStripeSubscription(
+      subscription,
+      product ? { [productId]: product.name } : {}
+    ),
+    userId: subscription.metadata.user_id || null,
+    customerId: subscription.customer,
+    updated: Date.now(),
+    lastEventCreated: event.created,
+  };
+
+  await env.ORDERS.put(key, JSON.stringify(record));
+  console.log(
+    `✅ Subscription ${subscription.id} on ${subscriptionDomain} is ${record.status}`
+  );
+}
+
+// Plan switches made in the billing portal don't go through
+// handleStripeChangePlan, so record them the same way here: the new plan
+// becomes product_id and replaces any change pending for period end
+async function recordPortalPlanSwitch(env, subscription, productId, event) {
+  const idempotency = await requestIdempotency(
+    event.id,
+    "portal-plan-switch",
+    subscription.metadata.domain,
+    subscription.metadata.user_id || null,
+    { subscriptionId: subscription.id, productId }
+  );
+
+  if (subscription.schedule && subscription.metadata.pending_product_id) {
+    await releaseSubscriptionSchedule(env, subscription.schedule, idempotency);
+  }
+
+  await stripeRequest(env, `subscriptions/${subscription.id}`, {
+    method: "POST",
+    params: {
+      "metadata[product_id]": productId,
+      ...CLEAR_PENDING_PLAN_CHANGE,
+    },
+    idempotencyKey: idempotency.key("subscription"),
+  });
+
+  // The record saved below comes from this event, before the update
+  subscription.metadata = {
+    ...subscription.metadata,
+    product_id: productId,
+    pending_product_id: "",
+    pending_price_id: "",
+  };
+
+  console.log(
+    `🔀 Subscription ${subscription.id} switched to ${productId} in the billing portal`
+  );
+}
+
+async function saveConnectAccountFromEvent(env, account) {
+  const accountDomain = account.metadata?.domain;
+  const connect = accountDomain
+    ? await getKVJson(env.PRODUCTS, `connect:${accountDomain}`)
+    : null;
+
+  // Only accounts created through onboarding belong to a domain
+  if (connect?.accountId !== account.id) {
+    console.log(`ℹ️ Account ${account.id} is not connected to a domain`);
+    return;
+  }
+
+  const updated = await saveConnectAccount(env, accountDomain, account);
+  console.log(
+    `🏦 Account ${account.id} on ${accountDomain}: transfers ${
+      updated.transfersActive ? "active" : "inactive"
+    }`
+  );
+}
+
+async function saveRefundFromCharge(env, charge, event) {
+  const orderDomain = charge.metadata?.domain;
+  const paymentIntentId = charge.payment_intent;
+  if (!orderDomain || !paymentIntentId) {
+    console.log(`ℹ️ Charge ${charge.id} has no domain or payment intent`);
+    return;
+  }
+
+  const key = `order:${orderDomain}:${paymentIntentId}`;
+  const existing = await getKVJson(env.ORDERS, key);
+
+  if (existing && existing.lastEventCreated > event.created) {
+    return;
+  }
+
+  const order = {
+    ...existing,
+    id: paymentIntentId,
+    amount: fromMinorUnits(charge.amount, charge.currency),
+    currency: charge.currency,
+    domain: orderDomain,
+    customerEmail:
+      existing?.customerEmail ||
+      charge.metadata.customer_email ||
+      charge.billing_details?.email,
+    status: charge.refunded ? "refunded" : "partially_refunded",
+    paymentIntentId: paymentIntentId,
+    amountRefunded: fromMinorUnits(charge.amount_refunded, charge.currency),
+    created: existing?.created || charge.created * 1000,
+    updated: Date.now(),
+    lastEventCreated: event.created,
+  };
+
+  await env.ORDERS.put(key, JSON.stringify(order));
+  console.log(`✅ Charge ${charge.id} refunded on ${orderDomain}`);
+}
+
+// See https://stripe.com/docs/webhooks#verify-manually
+async function verifyStripeSignature(payload, header, secret) {
+  if (!header) {
+    return false;
+  }
+
+  const parts = header.split(",").map((part) => part.split("="));
+  const timestamp = parts.find(([key]) => key === "t")?.[1];
+  const signatures = parts
+    .filter(([key]) => key === "v1")
+    .map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) {
+    return false;
+  }
+
+  // Reject old events to limit replay attacks (5 minute tolerance)
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > 5 * 60) {
+    return false;
+  }
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(`${timestamp}.${payload}`)
+  );
+  const expected = [...new Uint8Array(signature)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+
+  return signatures.some((candidate) => timingSafeEqual(candidate, expected));
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let result = 0;
+  for (let i = 0; i < a.length; i++) {
+    result |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return result === 0;
+}
+
+async function getKVJson(namespace, key) {
+  const value = await namespace.get(key);
+  return value ? JSON.parse(value) : null;
+}
+
+// ==================== SUBSCRIPTION DUNNING ====================
+
+// A failed renewal is tracked in three places: the subscription metadata
+// (failed_invoice_id, grace_ends_at and, once access is revoked,
+// dunning_status), the renewal's order under `dunning`, and a
+// dunning:{domain}:{subscriptionId} record in ORDERS that the scheduled
+// sweep walks to find grace periods that have run out.
+
+const DUNNING_OUTCOMES = ["unpaid", "cancel"];
+const MAX_GRACE_PERIOD_DAYS = 60;
+
+const CLEAR_DUNNING = {
+  "metadata[failed_invoice_id]": "",
+  "metadata[grace_ends_at]": "",
+  "metadata[dunning_status]": "",
+};
+
+// Stripe keeps retrying the invoice on its own schedule. The first failure
+// starts the domain's grace period; later ones only update the order.
+async function saveFailedRenewal(env, invoice, event) {
+  const { metadata, subscriptionId } = invoiceSubscription(invoice);
+  const orderDomain = metadata.domain;
+  if (!orderDomain || !subscriptionId) {
+    console.log(`ℹ️ Invoice ${invoice.id} has no domain metadata`);
+    return;
+  }
+
+  // A failed first payment leaves the subscription incomplete instead
+  if (invoice.billing_reason !== "subscription_cycle") {
+    console.log(`ℹ️ Invoice ${invoice.id} is not a renewal`);
+    return;
+  }
+
+  const paymentIntentId = await invoicePaymentIntentId(env, invoice);
+  const key = `order:${orderDomain}:${paymentIntentId || invoice.id}`;
+  const existing = await getKVJson(env.ORDERS, key);
+
+  if (existing && existing.lastEventCreated > event.created) {
+    return;
+  }
+
+  const failedAt = existing?.dunning?.failedAt || event.created * 1000;
+  let graceEndsAt = existing?.dunning?.graceEndsAt;
+
+  if (!graceEndsAt) {
+    const settings = await getDomainSettings(env, orderDomain);
+    graceEndsAt =
+      failedAt + settings.dunning.gracePeriodDays * 24 * 60 * 60 * 1000;
+
+    await stripeRequest(env, `subscriptions/${subscriptionId}`, {
+      method: "POST",
+      params: {
+        ...CLEAR_DUNNING,
+        "metadata[failed_invoice_id]": invoice.id,
+        "metadata[grace_ends_at]": String(Math.floor(graceEndsAt / 1000)),
+      },
+      idempotencyKey: await resourceIdempotencyKey(
+        "dunning-start",
+        subscriptionId,
+        invoice.id
+      ),
+    });
+    await env.ORDERS.put(
+      `dunning:${orderDomain}:${subscriptionId}`,
+      JSON.stringify({
+        domain: orderDomain,
+        subscriptionId: subscriptionId,
+        invoiceId: invoice.id,
+        orderKey: key,
+        graceEndsAt: graceEndsAt,
+      }),
+      { metadata: { graceEndsAt } }
+    );
+  }
+
+  const paymentIntent = paymentIntentId
+    ? await stripeRequest(env, `payment_intents/${paymentIntentId}`)
+    : null;
+
+  const line = invoice.lines?.data?.[0];
+  const productId =
+    metadata.product_id || line?.pricing?.price_details?.product || null;
+  const product = productId
+    ? await getKVJson(env.PRODUCTS, `product:${orderDomain}:${productId}`)
+    : null;
+
+  const order = {
+    ...existing,
+    id: paymentIntentId || invoice.id,
+    productId: productId,
+    productName: product?.name || line?.description || "Subscription",
+    amount: fromMinorUnits(invoice.amount_due, invoice.currency),
+    currency: invoice.currency,
+    domain: orderDomain,
+    customerEmail: invoice.customer_email,
+    userId: metadata.user_id || existing?.userId || null,
+    status: "failed",
+    failureMessage:
+      paymentIntent?.last_payment_error?.message ||
+      existing?.failureMessage ||
+      null,
+    paymentIntentId: paymentIntentId,
+    invoiceId: invoice.id,
+    subscriptionId: subscriptionId,
+    dunning: {
+      ...existing?.dunning,
+      failedAt: failedAt,
+      graceEndsAt: graceEndsAt,
+      attempts: invoice.attempt_count,
+      nextAttemptAt: invoice.next_payment_attempt
+        ? invoice.next_payment_attempt * 1000
+        : null,
+    },
+    created: invoice.created * 1000,
+    updated: Date.now(),
+    lastEventCreated: event.created,
+  };
+
+  await env.ORDERS.put(key, JSON.stringify(order));
+  console.log(
+    `⚠️ Renewal invoice ${invoice.id} failed on ${orderDomain} (attempt ${invoice.attempt_count})`
+  );
+}
+
+// The failed invoice was paid: the subscription bills normally again
+async function endDunning(env, requestDomain, subscriptionId, invoiceId) {
+  const dunningKey = `dunning:${requestDomain}:${subscriptionId}`;
+  const subscription = await stripeRequest(
+    env,
+    `subscriptions/${subscriptionId}`
+  );
+
+  if (
+    subscription.status !== "canceled" &&
+    subscription.metadata.failed_invoice_id === invoiceId
+  ) {
+    await stripeRequest(env, `subscriptions/${subscriptionId}`, {
+      method: "POST",
+      params: {
+        ...CLEAR_DUNNING,
+        ...(subscription.pause_collection && { pause_collection: "" }),
+      },
+      idempotencyKey: await resourceIdempotencyKey(
+        "dunning-end",
+        subscriptionId,
+        invoiceId
+      ),
+    });
+  }
+
+  const tracked = await getKVJson(env.ORDERS, dunningKey);
+  if (tracked?.invoiceId === invoiceId) {
+    await env.ORDERS.delete(dunningKey);
+  }
+
+  console.log(
+    `✅ Subscription ${subscriptionId} recovered on ${requestDomain}`
+  );
+}
+
+// Run from the worker's cron trigger
+export async function runDunningSweep(env) {
+  const prefix = "dunning:";
+  let cursor;
+
+  do {
+    const page = await env.ORDERS.list({ prefix, cursor });
+
+    for (const key of page.keys) {
+      if (key.metadata?.graceEndsAt > Date.now()) {
+        continue;
+      }
+
+      const tracked = await getKVJson(env.ORDERS, key.name);
+      if (!tracked) {
+        continue;
+      }
+
+      // One failing subscription shouldn't hold up the rest
+      try {
+        await endGracePeriod(env, key.name, tracked);
+      } catch (error) {
+        console.error(
+          `❌ Error ending grace period of ${tracked.subscriptionId}:`,
+          error
+        );
+      }
+    }
+
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+}
+
+// Revokes access once the grace period is over. "unpaid" pauses collection
+// so new invoices stay drafts until the failed one is paid; "cancel" ends
+// the subscription and stops Stripe retrying its invoice.
+async function endGracePeriod(env, dunningKey, tracked) {
+  const { domain: subscriptionDomain, subscriptionId, invoiceId } = tracked;
+  const [subscription, invoice] = await Promise.all([
+    stripeRequest(env, `subscriptions/${subscriptionId}`),
+    stripeRequest(env, `invoices/${invoiceId}`),
+  ]);
+
+  // Paid, or superseded by a later failure, in the meantime
+  if (
+    invoice.status === "paid" ||
+    subscription.metadata.failed_invoice_id !== invoiceId
+  ) {
+    await env.ORDERS.delete(dunningKey);
+    return;
+  }
+
+  const settings = await getDomainSettings(env, subscriptionDomain);
+  const revokedAs =
+    settings.dunning.afterGrace === "cancel" ||
+    subscription.status === "canceled"
+      ? "canceled"
+      : "unpaid";
+
+  if (revokedAs === "canceled") {
+    if (subscription.status !== "canceled") {
+      await stripeRequest(env, `subscriptions/${subscriptionId}`, {
+        method: "DELETE",
+      });
+    }
+    if (invoice.status === "open") {
+      await stripeRequest(env, `invoices/${invoiceId}/mark_uncollectible`, {
+        method: "POST",
+        idempotencyKey: await resourceIdempotencyKey(
+          "dunning-uncollectible",
+          invoiceId
+        ),
+      });
+    }
+  } else {
+    await stripeRequest(env, `subscriptions/${subscriptionId}`, {
+      method: "POST",
+      params: {
+        "metadata[dunning_status]": "unpaid",
+        "pause_collection[behavior]": "keep_as_draft",
+      },
+      idempotencyKey: await resourceIdempotencyKey(
+        "dunning-unpaid",
+        subscriptionId,
+        invoiceId
+      ),
+    });
+  }
+
+  const order = await getKVJson(env.ORDERS, tracked.orderKey);
+  if (order) {
+    await env.ORDERS.put(
+      tracked.orderKey,
+      JSON.stringify({
+        ...order,
+        dunning: { ...order.dunning, revokedAt: Date.now(), revokedAs },
+        updated: Date.now(),
+      })
+    );
+  }
+
+  await env.ORDERS.delete(dunningKey);
+  console.log(
+    `⛔ Grace period over for ${subscriptionId} on ${subscriptionDomain}: ${revokedAs}`
+  );
+}
+
+// Stripe can't be told to make a subscription unpaid, so a revoked one
+// stays past_due there and is reported as unpaid from its metadata
+function subscriptionStatus(subscription) {
+  return subscription.metadata.dunning_status === "unpaid" &&
+    subscription.status !== "canceled"
+    ? "unpaid"
+    : subscription.status;
+}
+
+function validateDunningSettings(dunning) {
+  if (!dunning || typeof dunning !== "object" || Array.isArray(dunning)) {
+    return "dunning must be an object";
+  }
+
+  const unknown = Object.keys(dunning).find(
+    (key) => !(key in DEFAULT_DOMAIN_SETTINGS.dunning)
+  );
+  if (unknown) {
+    return `Unknown dunning setting: ${unknown}`;
+  }
+
+  if (
+    dunning.gracePeriodDays !== undefined &&
+    !(
+      Number.isInteger(dunning.gracePeriodDays) &&
+      dunning.gracePeriodDays >= 0 &&
+      dunning.gracePeriodDays <= MAX_GRACE_PERIOD_DAYS
+    )
+  ) {
+    return `dunning.gracePeriodDays must be a whole number from 0 to ${MAX_GRACE_PERIOD_DAYS}`;
+  }
+
+  if (
+    dunning.afterGrace !== undefined &&
+    !DUNNING_OUTCOMES.includes(dunning.afterGrace)
+  ) {
+    return "dunning.afterGrace must be unpaid or cancel";
+  }
+
+  return null;
+}
+
+// ==================== SESSIONS ====================
+
+// Every login is a session, recorded in USER_SESSIONS under
+// session:{userId}:{sessionId} along with the claims its access tokens
+// carry. Access tokens are JWTs that last 15 minutes and are only
+// accepted while their session record exists, so deleting the record logs
+// them out. The browser swaps a refresh token for a new pair before the
+// access token expires. Each refresh token works once: presenting a used
+// one means it was copied, and revokes the session. KV is eventually
+// consistent: a revoked session may keep working for up to a minute at
+// other edge locations.
+//
+// In the browser both tokens live in HttpOnly cookies on the login's
+// domain, next to a readable csrf_token cookie that pages send back in a
+// header. Tokens never appear in URLs: the OAuth callback hands the
+// domain a one-time code instead, which only the browser that started
+// the flow can exchange (see OAUTH STATE below).
+
+const ACCESS_TOKEN_LIFETIME_SECONDS = 15 * 60;
+const AUTH_CODE_LIFETIME_SECONDS = 60;
+
+const SESSION_COOKIE = "session";
+const REFRESH_COOKIE = "refresh_token";
+const CSRF_COOKIE = "csrf_token";
+
+// Methods that don't change anything and need no CSRF token
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// A session ends a week after its last refresh, and 30 days after login
+// at the latest
+const SESSION_IDLE_TIMEOUT_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_MAX_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Starts a session for a login and returns a one-time code that the
+// login's domain exchanges for the session cookies. `claims` are the
+// access token claims, sessionId included; `binding` comes from the
+// login's OAuth state.
+export async function createSession(env, request, claims, binding) {
+  const now = Date.now();
+  const session = {
+    sessionId: claims.sessionId,
+    userId: claims.userId,
+    domain: claims.domain,
+    device: describeDevice(request.headers.get("User-Agent")),
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: now + SESSION_IDLE_TIMEOUT_MS,
+    claims: claims,
+  };
+
+  await saveSession(env, session);
+  return createAuthCode(env, session, {
+    login: true,
+    returnTo: "/",
+    binding,
+  });
+}
+
+// Merges `changes` into a session's claims and returns a one-time code
+// for an access token carrying them, which lands the user on `returnTo`
+export async function updateSessionClaims(
+  env,
+  userId,
+  sessionId,
+  changes,
+  { returnTo, binding }
+) {
+  const session = await getKVJson(
+    env.USER_SESSIONS,
+    sessionKey(userId, sessionId)
+  );
+  if (!session) {
+    throw new Error("Session has been revoked");
+  }
+
+  const updated = { ...session, claims: { ...session.claims, ...changes } };
+  await saveSession(env, updated);
+
+  return createAuthCode(env, updated, { login: false, returnTo, binding });
+}
+
+// Verifies an access token and checks that its session hasn't been revoked
+export async function verifySession(token, env) {
+  const decoded = await verifyJWT(token, env.JWT_SECRET);
+  const session = decoded.sessionId
+    ? await getKVJson(
+        env.USER_SESSIONS,
+        sessionKey(decoded.userId, decoded.sessionId)
+      )
+    : null;
+
+  if (!session) {
+    throw new Error("Session has been revoked");
+  }
+
+  return decoded;
+}
+
+// Every handler authenticates through here. The access token comes from
+// an `Authorization: Bearer` header or, in the browser, the session
+// cookie. Browsers also send cookies with requests that other sites
+// start, so a state-changing request authenticated by cookie must carry
+// the CSRF token in an X-CSRF-Token header as well. Returns the token's
+// claims as `decoded`, or an `errorResponse` to send instead.
+export async function authenticate(request, env, corsHeaders) {
+  const authHeader = request.headers.get("Authorization");
+  const bearerToken = authHeader?.startsWith("Bearer ")
+    ? authHeader.slice("Bearer ".length)
+    : null;
+  const token = bearerToken || getCookie(request, SESSION_COOKIE);
+
+  if (!token) {
+    return {
+      errorResponse: new Response(JSON.stringify({ error: "Not logged in" }), {
+        status: 401,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }),
+    };
+  }
+
+  let decoded;
+  try {
+    decoded = await verifySession(token, env);
+  } catch (error) {
+    return {
+      errorResponse: new Response(
+        JSON.stringify({ error: "Invalid or expired session" }),
+        {
+          status: 401,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      ),
+    };
+  }
+
+  if (
+    !bearerToken &&
+    !SAFE_METHODS.includes(request.method) &&
+    !(await hasCsrfToken(request, env, decoded.sessionId))
+  ) {
+    return {
+      errorResponse: new Response(
+        JSON.stringify({ error: "Invalid CSRF token" }),
+        {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      ),
+    };
+  }
+
+  return { decoded };
+}
+
+// GET /auth/complete?code=... on the domain the user logged in on: swaps
+// the code from the OAuth callback for session cookies and redirects to
+// the page. Codes work once and for a minute, and only in the browser
+// holding the OAuth flow's binding cookie.
+export async function handleAuthComplete(request, domain, env) {
+  const code = new URL(request.url).searchParams.get("code");
+  if (!code) {
+    return new Response("Missing login code", { status: 400 });
+  }
+
+  const key = `auth-code:${await hashToken(code)}`;
+  const issued = await getKVJson(env.OAUTH_STATES, key);
+  if (!issued) {
+    return new Response("Invalid or expired login code", { status: 400 });
+  }
+  await env.OAUTH_STATES.delete(key);
+
+  if (issued.domain !== domain) {
+    return new Response("Login code domain mismatch", { status: 403 });
+  }
+
+  // Without this, an attacker could finish a login to their own account
+  // and send the victim the link (login CSRF)
+  const binding = getCookie(request, OAUTH_BINDING_COOKIE);
+  if (!binding || (await hashToken(binding)) !== issued.binding) {
+    console.error("❌ Login code used outside the browser that started it");
+    return new Response("Authentication session mismatch", { status: 403 });
+  }
+
+  const session = await getKVJson(
+    env.USER_SESSIONS,
+    sessionKey(issued.userId, issued.sessionId)
+  );
+  if (!session) {
+    return new Response("Session has been revoked", { status: 401 });
+  }
+
+  // A login starts the refresh token chain; later codes only bring a
+  // new access token
+  const cookies = issued.login
+    ? await sessionCookies(env, session, await issueSessionTokens(env, session))
+    : [accessTokenCookie(await signAccessToken(env, session.claims))];
+
+  const headers = new Headers({
+    Location: new URL(issued.returnTo, request.url).toString(),
+    "Cache-Control": "no-store",
+  });
+  cookies.forEach((cookie) => headers.append("Set-Cookie", cookie));
+  headers.append("Set-Cookie", clearedOAuthBindingCookie());
+
+  console.log(`🍪 Session cookies set on ${domain}`);
+  return new Response(null, { status: 302, headers });
+}
+
+// Swaps a refresh token for a new access token and refresh token. The
+// browser's comes from its cookie and gets cookies back; other clients
+// send `refreshToken` in the body and get the tokens in the response.
+export async function handleRefreshToken(request, domain, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain } = body;
+    const cookieToken = getCookie(request, REFRESH_COOKIE);
+    const refreshToken = body.refreshToken || cookieToken;
+
+    if (!refreshToken || !requestDomain) {
+      return new Response(
+        JSON.stringify({ error: "Refresh token and domain are required" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const usesCookies = refreshToken === cookieToken;
+    const rejectedHeaders = new Headers({
+      ...corsHeaders,
+      "Content-Type": "application/json",
+    });
+    if (usesCookies) {
+      clearedSessionCookies().forEach((cookie) =>
+        rejectedHeaders.append("Set-Cookie", cookie)
+      );
+    }
+
+    const key = await refreshTokenKey(refreshToken);
+    const issued = await getKVJson(env.USER_SESSIONS, key);
+    const session = issued
+      ? await getKVJson(
+          env.USER_SESSIONS,
+          sessionKey(issued.userId, issued.sessionId)
+        )
+      : null;
+
+    if (!session) {
+      return new Response(
+        JSON.stringify({ error: "Invalid or expired refresh token" }),
+        { status: 401, headers: rejectedHeaders }
+      );
+    }
+
+    if (session.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (usesCookies && !(await hasCsrfToken(request, env, session.sessionId))) {
+      return new Response(JSON.stringify({ error: "Invalid CSRF token" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (issued.usedAt) {
+      await revokeSession(env, session.userId, session.sessionId);
+      console.log(
+        `🚨 Refresh token reused for session ${session.sessionId}, revoked it`
+      );
+      return new Response(
+        JSON.stringify({ error: "Refresh token was already used" }),
+        { status: 401, headers: rejectedHeaders }
+      );
+    }
+
+    // Kept until the session would have ended, so a later replay is still
+    // recognised
+    await env.USER_SESSIONS.put(
+      key,
+      JSON.stringify({ ...issued, usedAt: Date.now() }),
+      { expiration: kvExpiration(session.expiresAt) }
+    );
+
+    const now = Date.now();
+    const refreshed = {
+      ...session,
+      lastSeenAt: now,
+      expiresAt: Math.min(
+        now + SESSION_IDLE_TIMEOUT_MS,
+        session.createdAt + SESSION_MAX_LIFETIME_MS
+      ),
+    };
+    const tokens = await issueSessionTokens(env, refreshed);
+
+    if (!usesCookies) {
+      return new Response(JSON.stringify({ success: true, ...tokens }), {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const headers = new Headers({
+      ...corsHeaders,
+      "Content-Type": "application/json",
+    });
+    (await sessionCookies(env, refreshed, tokens)).forEach((cookie) =>
+      headers.append("Set-Cookie", cookie)
+    );
+
+    return new Response(
+      JSON.stringify({ success: true, expiresAt: tokens.expiresAt }),
+      { headers }
+    );
+  } catch (error) {
+    console.error("❌ Error refreshing token:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to refresh token",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+export async function handleLogout(request, domain, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+
+    // An expired or revoked session has nothing left to revoke, but its
+    // cookies still need clearing
+    if (errorResponse && errorResponse.status !== 401) {
+      return errorResponse;
+    }
+
+    if (decoded) {
+      if (decoded.domain !== requestDomain) {
+        return new Response(
+          JSON.stringify({ error: "Token domain mismatch" }),
+          {
+            status: 403,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          }
+        );
+      }
+
+      await revokeSession(env, decoded.userId, decoded.sessionId);
+      console.log(`👋 ${decoded.email} logged out of ${requestDomain}`);
+    }
+
+    const headers = new Headers({
+      ...corsHeaders,
+      "Content-Type": "application/json",
+    });
+    clearedSessionCookies().forEach((cookie) =>
+      headers.append("Set-Cookie", cookie)
+    );
+
+    return new Response(
+      JSON.stringify({ success: true, message: "Logged out successfully" }),
+      { headers }
+    );
+  } catch (error) {
+    console.error("❌ Error logging out:", error);
+    return new Response(
+      JSON.stringify({ error: "Failed to log out", details: error.message }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// Lists the user's sessions on every domain, most recently used first
+export async function handleGetSessions(request, domain, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const sessions = (await listSessions(env, decoded.userId))
+      .map((session) => ({
+        id: session.sessionId,
+        domain: session.domain,
+        device: session.device,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session.sessionId === decoded.sessionId,
+      }))
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+
+    return new Response(JSON.stringify({ success: true, sessions }), {
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    console.error("❌ Error listing sessions:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to load sessions",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+// Revokes one of the user's sessions by `sessionId`, or all of them,
+// the current one included, with `all: true`
+export async function handleRevokeSessions(request, domain, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { domain: requestDomain, sessionId, all } = body;
+
+    if (!requestDomain) {
+      return new Response(JSON.stringify({ error: "Domain is required" }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    if (!sessionId && all !== true) {
+      return new Response(
+        JSON.stringify({ error: "sessionId or all is required" }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const { decoded, errorResponse } = await authenticate(
+      request,
+      env,
+      corsHeaders
+    );
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    if (decoded.domain !== requestDomain) {
+      return new Response(JSON.stringify({ error: "Token domain mismatch" }), {
+        status: 403,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Session keys are scoped to the user, so only their own sessions can
+    // be named here
+    const sessionIds = all
+      ? (await listSessions(env, decoded.userId)).map(
+          (session) => session.sessionId
+        )
+      : [sessionId];
+
+    for (const id of sessionIds) {
+      await revokeSession(env, decoded.userId, id);
+    }
+
+    console.log(
+      `🔒 Revoked ${sessionIds.length} session(s) of ${decoded.email}`
+    );
+
+    const signedOut = sessionIds.includes(decoded.sessionId);
+    const headers = new Headers({
+      ...corsHeaders,
+      "Content-Type": "application/json",
+    });
+    if (signedOut) {
+      clearedSessionCookies().forEach((cookie) =>
+        headers.append("Set-Cookie", cookie)
+      );
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        revoked: sessionIds.length,
+        signedOut: signedOut,
+      }),
+      { headers }
+    );
+  } catch (error) {
+    console.error("❌ Error revoking sessions:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Failed to revoke sessions",
+        details: error.message,
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+}
+
+function sessionKey(userId, sessionId) {
+  return `session:${userId}:${sessionId}`;
+}
+
+// Everything but the claims doubles as the key's metadata, so listing
+// needs no extra reads
+async function saveSession(env, session) {
+  const { claims, ...summary } = session;
+  await env.USER_SESSIONS.put(
+    sessionKey(session.userId, session.sessionId),
+    JSON.stringify(session),
+    { expiration: kvExpiration(session.expiresAt), metadata: summary }
+  );
+}
+
+// Saves the session with a fresh refresh token and signs an access token.
+// Refresh tokens are random and only their hash is stored.
+async function issueSessionTokens(env, session) {
+  const refreshToken = base64urlEncode(
+    crypto.getRandomValues(new Uint8Array(32))
+  );
+
+  await saveSession(env, session);
+  await env.USER_SESSIONS.put(
+    await refreshTokenKey(refreshToken),
+    JSON.stringify({
+      userId: session.userId,
+      sessionId: session.sessionId,
+      usedAt: null,
+    }),
+    { expiration: kvExpiration(session.expiresAt) }
+  );
+
+  return {
+    token: await signAccessToken(env, session.claims),
+    refreshToken: refreshToken,
+    expiresAt: Date.now() + ACCESS_TOKEN_LIFETIME_SECONDS * 1000,
+  };
+}
+
+async function createAuthCode(env, session, { login, returnTo, binding }) {
+  const code = base64urlEncode(crypto.getRandomValues(new Uint8Array(32)));
+
+  await env.OAUTH_STATES.put(
+    `auth-code:${await hashToken(code)}`,
+    JSON.stringify({
+      userId: session.userId,
+      sessionId: session.sessionId,
+      domain: session.domain,
+      login: login,
+      returnTo: returnTo,
+      binding: binding,
+    }),
+    { expirationTtl: AUTH_CODE_LIFETIME_SECONDS }
+  );
+
+  return code;
+}
+
+async function signAccessToken(env, claims) {
+  const now = Math.floor(Date.now() / 1000);
+  return signJWT(
+    { ...claims, iat: now, exp: now + ACCESS_TOKEN_LIFETIME_SECONDS },
+    env.JWT_SECRET
+  );
+}
+
+async function refreshTokenKey(refreshToken) {
+  return `refresh-token:${await hashToken(refreshToken)}`;
+}
+
+async function hashToken(token) {
+  const hash = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(token)
+  );
+  return base64urlEncode(new Uint8Array(hash));
+}
+
+// The cookies of a freshly issued token pair. The refresh token is only
+// sent to the refresh endpoint.
+async function sessionCookies(env, session, tokens) {
+  const sessionMaxAge = Math.floor((session.expiresAt - Date.now()) / 1000);
+
+  return [
+    accessTokenCookie(tokens.token),
+    serializeCookie(REFRESH_COOKIE, tokens.refreshToken, {
+      path: "/api/token",
+      maxAge: sessionMaxAge,
+      httpOnly: true,
+    }),
+    serializeCookie(CSRF_COOKIE, await csrfToken(env, session.sessionId), {
+      path: "/",
+      maxAge: sessionMaxAge,
+      httpOnly: false,
+    }),
+  ];
+}
+
+function accessTokenCookie(token) {
+  return serializeCookie(SESSION_COOKIE, token, {
+    path: "/",
+    maxAge: ACCESS_TOKEN_LIFETIME_SECONDS,
+    httpOnly: true,
+  });
+}
+
+function clearedSessionCookies() {
+  return [
+    serializeCookie(SESSION_COOKIE, "", {
+      path: "/",
+      maxAge: 0,
+      httpOnly: true,
+    }),
+    serializeCookie(REFRESH_COOKIE, "", {
+      path: "/api/token",
+      maxAge: 0,
+      httpOnly: true,
+    }),
+    serializeCookie(CSRF_COOKIE, "", { path: "/", maxAge: 0, httpOnly: false }),
+  ];
+}
+
+function serializeCookie(name, value, { path, maxAge, httpOnly }) {
+  return `${name}=${value}; Path=${path}; Max-Age=${maxAge}; Secure; SameSite=Lax${
+    httpOnly ? "; HttpOnly" : ""
+  }`;
+}
+
+function getCookie(request, name) {
+  const header = request.headers.get("Cookie") || "";
+  for (const pair of header.split(";")) {
+    const [key, ...value] = pair.trim().split("=");
+    if (key === name) {
+      return value.join("=");
+    }
+  }
+  return null;
+}
+
+// Signed with the session ID, so a token planted in another session's
+// cookie doesn't pass
+async function csrfToken(env, sessionId) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(env.JWT_SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(`csrf:${sessionId}`)
+  );
+  return base64urlEncode(new Uint8Array(signature));
+}
+
+async function hasCsrfToken(request, env, sessionId) {
+  const sent = request.headers.get("X-CSRF-Token");
+  return !!sent && sent === (await csrfToken(env, sessionId));
+}
+
+// KV needs an expiration at least a minute ahead
+function kvExpiration(expiresAt) {
+  return Math.max(
+    Math.floor(expiresAt / 1000),
+    Math.floor(Date.now() / 1000) + 60
+  );
+}
+
+async function listSessions(env, userId) {
+  const sessions = [];
+  let cursor;
+
+  do {
+    const page = await env.USER_SESSIONS.list({
+      prefix: `session:${userId}:`,
+      cursor,
+    });
+    // Records from before session IDs were keyed by domain and have none
+    sessions.push(
+      ...page.keys
+        .map((key) => key.metadata)
+        .filter((session) => session?.sessionId)
+    );
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return sessions;
+}
+
+async function revokeSession(env, userId, sessionId) {
+  await Promise.all([
+    env.USER_SESSIONS.delete(sessionKey(userId, sessionId)),
+    env.USER_SESSIONS.delete(`provider-tokens:${sessionId}`),
+  ]);
+}
+
+// A short "Browser on OS" label; the full user agent would outgrow the
+// key metadata
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+
+  const browser =
+    [
+      [/Edg\//, "Edge"],
+      [/OPR\/|Opera/, "Opera"],
+      [/Firefox\//, "Firefox"],
+      [/Chrome\//, "Chrome"],
+      [/Safari\//, "Safari"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] || "Browser";
+  const os =
+    [
+      [/iPhone|iPad/, "iOS"],
+      [/Android/, "Android"],
+      [/Windows/, "Windows"],
+      [/Mac OS X/, "macOS"],
+      [/CrOS/, "ChromeOS"],
+      [/Linux/, "Linux"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] || "unknown OS";
+
+  return `${browser} on ${os}`;
+}
+
+// ==================== OAUTH STATE ====================
 
-// ==================== LOGOUT ====================
+// Google and Airtable logins share one state mechanism. The `state`
+// parameter sent to the provider is a random ID; what the flow needs on
+// the way back (domain, PKCE verifier, nonce, ...) is stored under its
+// hash in OAUTH_STATES and deleted on first use. Starting a flow also
+// sets an HttpOnly binding cookie on the domain, and the state keeps the
+// cookie's hash. The callback may run on the single OAUTH_REDIRECT_URL
+// host, which doesn't see the domain's cookies, so it copies the hash
+// into the one-time login code and /auth/complete checks the cookie.
 
-export async function handleLogout(request, domain, env, corsHeaders) {
-  // In a real app, you might maintain a blacklist of revoked tokens
-  // For this demo, we'll just return success - the frontend will remove the token
-  return new Response(JSON.stringify({ message: "Logged out successfully" }), {
-    headers: { ...corsHeaders, "Content-Type": "application/json" },
+const OAUTH_STATE_LIFETIME_SECONDS = 10 * 60;
+const OAUTH_BINDING_COOKIE = "oauth_binding";
+
+// Stores `data` for the flow `domain` starts. Returns the `state`
+// parameter and the binding cookie to set with the redirect.
+export async function createOAuthState(env, domain, data) {
+  const state = base64urlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  const binding = base64urlEncode(crypto.getRandomValues(new Uint8Array(32)));
+
+  await env.OAUTH_STATES.put(
+    `oauth-state:${await hashToken(state)}`,
+    JSON.stringify({
+      ...data,
+      domain: domain,
+      binding: await hashToken(binding),
+      timestamp: Date.now(),
+    }),
+    { expirationTtl: OAUTH_STATE_LIFETIME_SECONDS }
+  );
+
+  return {
+    state,
+    cookie: serializeCookie(OAUTH_BINDING_COOKIE, binding, {
+      path: "/auth",
+      maxAge: OAUTH_STATE_LIFETIME_SECONDS,
+      httpOnly: true,
+    }),
+  };
+}
+
+// Returns the data stored for `state` and deletes it, or null for an
+// unknown, used or expired state
+export async function consumeOAuthState(env, state) {
+  const key = `oauth-state:${await hashToken(state)}`;
+  const stateData = await getKVJson(env.OAUTH_STATES, key);
+  if (!stateData) {
+    return null;
+  }
+  await env.OAUTH_STATES.delete(key);
+
+  // KV expiry isn't exact
+  if (Date.now() - stateData.timestamp > OAUTH_STATE_LIFETIME_SECONDS * 1000) {
+    return null;
+  }
+
+  return stateData;
+}
+
+function clearedOAuthBindingCookie() {
+  return serializeCookie(OAUTH_BINDING_COOKIE, "", {
+    path: "/auth",
+    maxAge: 0,
+    httpOnly: true,
   });
 }
 
 // ==================== JWT UTILITY (needed by handlers) ====================
 
+async function signJWT(payload, secret) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+
+  const header = { alg: "HS256", typ: "JWT" };
+  const encodedHeader = base64urlEncode(JSON.stringify(header));
+  const encodedPayload = base64urlEncode(JSON.stringify(payload));
+
+  const data = encoder.encode(`${encodedHeader}.${encodedPayload}`);
+  const signature = await crypto.subtle.sign("HMAC", key, data);
+  const encodedSignature = base64urlEncode(new Uint8Array(signature));
+
+  return `${encodedHeader}.${encodedPayload}.${encodedSignature}`;
+}
+
 async function verifyJWT(token, secret) {
   const parts = token.split(".");
   if (parts.length !== 3) {
@@ -1121,6 +10932,16 @@ async function verifyJWT(token, secret) {
   return payload;
 }
 
+function base64urlEncode(data) {
+  if (typeof data === "string") {
+    data = new TextEncoder().encode(data);
+  }
+  return btoa(String.fromCharCode(...data))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=/g, "");
+}
+
 function base64urlDecode(str) {
   str = str.replace(/-/g, "+").replace(/_/g, "/");
   while (str.length % 4) {
@@ -1134,3 +10955,977 @@ function base64urlDecodeToString(str) {
   const bytes = base64urlDecode(str);
   return new TextDecoder().decode(bytes);
 }
+
+// ==================== IDEMPOTENCY ====================
+
+// Every Stripe write sends an Idempotency-Key. Create and buy requests
+// carry a requestId from the client, which sends the same one again when
+// it retries. Stripe replays each step's first result for a repeated key,
+// so a retry picks up where a failed attempt stopped instead of creating
+// duplicates. The request's inputs are hashed into the keys, so a retry
+// with different inputs starts afresh. Stripe forgets keys after 24 hours.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+function validateRequestId(requestId) {
+  if (
+    requestId !== undefined &&
+    requestId !== null &&
+    (typeof requestId !== "string" || !REQUEST_ID_PATTERN.test(requestId))
+  ) {
+    return "Request ID must be 8 to 64 letters, digits, dashes or underscores";
+  }
+  return null;
+}
+
+// Keys for one client request: key(step) for each Stripe write, and id,
+// which also names anything the request stores itself (like its cart).
+// Requests without a requestId still get keys, but only for this attempt.
+async function requestIdempotency(
+  requestId,
+  operation,
+  requestDomain,
+  userId,
+  inputs = {}
+) {
+  const id = await sha256Hex(
+    JSON.stringify([
+      operation,
+      requestDomain,
+      userId,
+      requestId || crypto.randomUUID(),
+      inputs,
+    ])
+  );
+  return { id, key: (step) => `${operation}:${id}:${step}` };
+}
+
+// Objects shared between requests, like a user's customer or a domain's
+// tax rates, are keyed by what they are, so concurrent requests create
+// them only once
+async function resourceIdempotencyKey(type, ...identity) {
+  return `${type}:${await sha256Hex(JSON.stringify(identity))}`;
+}
+
+// Network failures, rate limits, conflicts with a concurrent request and
+// Stripe's own errors may not have been final. A retry with the same key
+// resumes those, so the steps already done are left in place. Any other
+// error won't change on retry, and the steps before it are undone.
+function isRetryableStripeError(error) {
+  return (
+    !error.status ||
+    error.status === 409 ||
+    error.status === 429 ||
+    error.status >= 500
+  );
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return [...new Uint8Array(digest)]
+    .slice(0, 16)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// ==================== STRIPE UTILITIES ====================
+
+// stripeAccount makes the request as a connected account. Errors carry
+// Stripe's HTTP status, or none when no answer came back.
+// Every request and handler uses this version's object shapes, whatever
+// the account's default. Webhook endpoints must be created with it too.
+const STRIPE_API_VERSION = "2025-03-31.basil";
+
+async function stripeRequest(
+  env,
+  path,
+  { method = "GET", params, stripeAccount, idempotencyKey } = {}
+) {
+  if (method === "POST" && !idempotencyKey) {
+    throw new Error(`Stripe write without an idempotency key: ${path}`);
+  }
+
+  const response = await fetch(`https://api.stripe.com/v1/${path}`, {
+    method: method,
+    headers: {
+      Authorization: `Bearer ${env.STRIPE_SECRET_KEY}`,
+      "Stripe-Version": STRIPE_API_VERSION,
+      ...(params && { "Content-Type": "application/x-www-form-urlencoded" }),
+      ...(stripeAccount && { "Stripe-Account": stripeAccount }),
+      ...(idempotencyKey && { "Idempotency-Key": idempotencyKey }),
+    },
+    body: params ? new URLSearchParams(params) : undefined,
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(
+      data.error?.message || `Stripe request failed: ${path}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+// Follow Stripe list pagination, capped so a request stays within the
+// Workers subrequest limit
+async function stripeListAll(env, path, maxPages = 20) {
+  const data = [];
+  let startingAfter = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const list = await stripeRequest(
+      env,
+      startingAfter ? `${path}&starting_after=${startingAfter}` : path
+    );
+    data.push(...list.data);
+
+    if (!list.has_more || list.data.length === 0) {
+      return { data, truncated: false };
+    }
+    startingAfter = list.data[list.data.length - 1].id;
+  }
+
+  return { data, truncated: true };
+}
+
+function formatStripeProduct(product) {
+  const defaultPrice = product.default_price;
+  const currency = defaultPrice ? defaultPrice.currency : "usd";
+  const price = defaultPrice
+    ? fromMinorUnits(defaultPrice.unit_amount, currency)
+    : 0;
+  const priceId = defaultPrice ? defaultPrice.id : null;
+
+  // currency_options also repeats the default currency
+  const currencyOptions = {};
+  Object.entries(defaultPrice?.currency_options || {}).forEach(
+    ([optionCurrency, option]) => {
+      if (optionCurrency !== currency && option.unit_amount) {
+        currencyOptions[optionCurrency] = fromMinorUnits(
+          option.unit_amount,
+          optionCurrency
+        );
+      }
+    }
+  );
+
+  return {
+    id: product.id,
+    name: product.name,
+    description: product.description,
+    price: price,
+    currency: currency,
+    currencyOptions: currencyOptions,
+    priceId: priceId,
+    taxCode: productTaxCode(product),
+    domain: product.metadata.domain,
+    created: product.created * 1000, // Convert to milliseconds
+    type: product.metadata.product_type || "one-time",
+    interval: product.default_price?.recurring?.interval || null,
+    usageType: product.default_price?.recurring?.usage_type || null,
+    unitLabel: product.unit_label || null,
+    ...planTrialFields(product),
+    archived: !product.active,
+  };
+}
+
+// Map Stripe statuses onto the ones the frontend Subscription type knows
+const SUBSCRIPTION_STATUS_MAP = {
+  active: "active",
+  trialing: "trialing",
+  past_due: "past_due",
+  unpaid: "unpaid",
+  canceled: "canceled",
+  incomplete: "incomplete",
+  incomplete_expired: "canceled",
+  paused: "past_due",
+};
+
+// Every item of our subscriptions is billed on the same period
+function subscriptionPeriod(subscription) {
+  return {
+    start: subscription.items.data[0]?.current_period_start,
+    end: subscription.items.data[0]?.current_period_end,
+  };
+}
+
+function formatStripeSubscription(subscription, productNames = {}) {
+  const price = subscription.items.data[0]?.price;
+  const currency = subscription.currency || price?.currency || "usd";
+  const unitAmount = price ? priceAmountFor(price, currency) : null;
+  const productId = price?.product || subscription.metadata.product_id;
+  const { start: periodStart, end: periodEnd } =
+    subscriptionPeriod(subscription);
+  const pendingProductId = subscription.metadata.pending_product_id;
+  const failedInvoiceId = subscription.metadata.failed_invoice_id;
+
+  return {
+    id: subscription.id,
+    status:
+      SUBSCRIPTION_STATUS_MAP[subscriptionStatus(subscription)] || "incomplete",
+    productName: productNames[productId] || "Subscription",
+    productId: productId,
+    price: unitAmount ? fromMinorUnits(unitAmount, currency) : 0,
+    currency: currency,
+    interval: price?.recurring?.interval || "month",
+    currentPeriodStart: periodStart * 1000,
+    currentPeriodEnd: periodEnd * 1000,
+    trialEnd: subscription.trial_end ? subscription.trial_end * 1000 : null,
+    usageType: price?.recurring?.usage_type || "licensed",
+    created: subscription.created * 1000,
+    domain: subscription.metadata.domain,
+    cancelAtPeriodEnd: subscription.cancel_at_period_end,
+    // Cleared once the new plan's phase starts
+    pendingChange:
+      pendingProductId && pendingProductId !== productId
+        ? {
+            productId: pendingProductId,
+            priceId: subscription.metadata.pending_price_id,
+            effectiveAt: periodEnd * 1000,
+          }
+        : null,
+    // Set from a failed renewal until it is paid; the invoice link is only
+    // known when latest_invoice was expanded
+    paymentIssue: failedInvoiceId
+      ? {
+          invoiceId: failedInvoiceId,
+          graceEndsAt: Number(subscription.metadata.grace_ends_at) * 1000,
+          invoiceUrl:
+            subscription.latest_invoice?.id === failedInvoiceId
+              ? subscription.latest_invoice.hosted_invoice_url
+              : null,
+        }
+      : null,
+  };
+}
+
+// ==================== CURRENCY UTILITIES ====================
+
+const SUPPORTED_CURRENCIES = ["usd", "eur", "gbp", "jpy"];
+
+// Stripe amounts are in the smallest currency unit, except for these
+// zero-decimal currencies where the amount is in whole units
+const ZERO_DECIMAL_CURRENCIES = [
+  "bif",
+  "clp",
+  "djf",
+  "gnf",
+  "jpy",
+  "kmf",
+  "krw",
+  "mga",
+  "pyg",
+  "rwf",
+  "ugx",
+  "vnd",
+  "vuv",
+  "xaf",
+  "xof",
+  "xpf",
+];
+
+function toMinorUnits(amount, currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase())
+    ? Math.round(amount)
+    : Math.round(amount * 100);
+}
+
+function fromMinorUnits(amount, currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase())
+    ? amount
+    : amount / 100;
+}
+
+function validatePricing(price, currency, currencyOptions) {
+  const currencies = [currency, ...Object.keys(currencyOptions || {})];
+
+  const unsupported = currencies.find(
+    (code) => !SUPPORTED_CURRENCIES.includes(String(code).toLowerCase())
+  );
+  if (unsupported) {
+    return `Unsupported currency: ${unsupported}. Use one of ${SUPPORTED_CURRENCIES.join(
+      ", "
+    ).toUpperCase()}`;
+  }
+
+  const amounts = [price, ...Object.values(currencyOptions || {})];
+  if (amounts.some((amount) => typeof amount !== "number" || !(amount > 0))) {
+    return "Prices must be positive numbers";
+  }
+
+  // Amounts that round to zero minor units would be rejected by Stripe
+  if (
+    currencies.some(
+      (code, i) => toMinorUnits(amounts[i], code.toLowerCase()) <= 0
+    )
+  ) {
+    return "Price is too small for its currency";
+  }
+
+  return null;
+}
+
+// Drop the default currency and normalize codes to lowercase
+function normalizeCurrencyOptions(currency, currencyOptions) {
+  const normalized = {};
+  Object.entries(currencyOptions || {}).forEach(([code, amount]) => {
+    if (code.toLowerCase() !== currency.toLowerCase()) {
+      normalized[code.toLowerCase()] = amount;
+    }
+  });
+  return normalized;
+}
+
+function sameCurrencyOptions(a, b) {
+  const aKeys = Object.keys(a);
+  return (
+    aKeys.length === Object.keys(b).length &&
+    aKeys.every((code) => a[code] === b[code])
+  );
+}
+
+// Form params for a Price with a default currency plus extra currency_options
+function priceParams(price, currency, currencyOptions) {
+  const defaultCurrency = currency.toLowerCase();
+  const params = {
+    unit_amount: toMinorUnits(price, defaultCurrency).toString(),
+    currency: defaultCurrency,
+  };
+
+  Object.entries(
+    normalizeCurrencyOptions(defaultCurrency, currencyOptions)
+  ).forEach(([code, amount]) => {
+    params[`currency_options[${code}][unit_amount]`] = toMinorUnits(
+      amount,
+      code
+    ).toString();
+  });
+
+  return params;
+}
+
+// The same price nested under default_price_data, to create a product and
+// its price in one request
+function defaultPriceData(params) {
+  return Object.fromEntries(
+    Object.entries(params).map(([key, value]) => {
+      const [field, ...nested] = key.split("[");
+      return [
+        `default_price_data[${field}]` +
+          (nested.length > 0 ? `[${nested.join("[")}` : ""),
+        value,
+      ];
+    })
+  );
+}
+
+// Params for a subscription item on the given plan price. Stripe Tax reads
+// inclusive/exclusive from the price, which can't be changed once set, so
+// with Stripe Tax the item bills an inline copy of the price that carries
+// the domain's behavior. Inline prices can't point at a meter, so metered
+// plans keep their own price and the account's default tax behavior.
+function subscriptionItemParams(
+  prefix,
+  price,
+  currency,
+  unitAmount,
+  taxSettings
+) {
+  if (
+    !taxSettings.enabled ||
+    taxSettings.provider !== "stripe" ||
+    price.recurring.usage_type === "metered"
+  ) {
+    return { [`${prefix}[price]`]: price.id };
+  }
+
+  return {
+    [`${prefix}[price_data][currency]`]: currency,
+    [`${prefix}[price_data][product]`]:
+      typeof price.product === "string" ? price.product : price.product.id,
+    [`${prefix}[price_data][unit_amount]`]: unitAmount.toString(),
+    [`${prefix}[price_data][recurring][interval]`]: price.recurring.interval,
+    [`${prefix}[price_data][tax_behavior]`]: taxSettings.behavior,
+  };
+}
+
+// Unit amount of a price in the given currency, or null if it isn't offered.
+// currency_options must be expanded for non-default currencies.
+function priceAmountFor(price, currency) {
+  if (price.currency === currency) {
+    return price.unit_amount;
+  }
+  return price.currency_options?.[currency]?.unit_amount ?? null;
+}
+
+// Subscription items only embed the price without currency_options, so fetch
+// the prices of subscriptions billed in a non-default currency
+async function attachCurrencyOptions(env, subscriptions) {
+  const priceIds = new Set();
+  subscriptions.forEach((subscription) => {
+    subscription.items.data.forEach((item) => {
+      if (item.price.currency !== subscription.currency) {
+        priceIds.add(item.price.id);
+      }
+    });
+  });
+
+  const prices = {};
+  await Promise.all(
+    [...priceIds].map(async (priceId) => {
+      prices[priceId] = await stripeRequest(
+        env,
+        `prices/${priceId}?expand[]=currency_options`
+      );
+    })
+  );
+
+  subscriptions.forEach((subscription) => {
+    subscription.items.data.forEach((item) => {
+      if (prices[item.price.id]) {
+        item.price = prices[item.price.id];
+      }
+    });
+  });
+}
+
+// ==================== STRIPE CUSTOMERS ====================
+
+// Each user gets one Stripe customer per domain. The mapping lives in
+// USER_SESSIONS under customer:{userId}:{domain} (no expiry).
+function stripeCustomerKey(user, requestDomain) {
+  return `customer:${user.userId}:${requestDomain}`;
+}
+
+async function findStripeCustomer(env, user, requestDomain) {
+  const mapping = await getKVJson(
+    env.USER_SESSIONS,
+    stripeCustomerKey(user, requestDomain)
+  );
+  if (mapping) {
+    return { id: mapping.customerId };
+  }
+
+  // Customers created before the KV mapping existed are only tagged with
+  // metadata; adopt them so their history and saved cards carry over
+  const customers = await stripeRequest(
+    env,
+    `customers?email=${encodeURIComponent(user.email)}&limit=100`
+  );
+  const existing = customers.data.find(
+    (customer) =>
+      customer.metadata.user_id === user.userId &&
+      customer.metadata.domain === requestDomain
+  );
+
+  if (!existing) {
+    return null;
+  }
+
+  await saveStripeCustomerMapping(env, user, requestDomain, existing.id);
+  return existing;
+}
+
+async function findOrCreateStripeCustomer(env, user, requestDomain) {
+  const existing = await findStripeCustomer(env, user, requestDomain);
+  if (existing) {
+    return existing;
+  }
+
+  console.log(
+    `👤 Creating Stripe customer for ${user.email} on ${requestDomain}`
+  );
+
+  const customer = await stripeRequest(env, "customers", {
+    method: "POST",
+    params: {
+      email: user.email,
+      name: user.name || "",
+      "metadata[user_id]": user.userId,
+      "metadata[domain]": requestDomain,
+    },
+    idempotencyKey: await resourceIdempotencyKey(
+      "customer",
+      user.userId,
+      requestDomain
+    ),
+  });
+
+  await saveStripeCustomerMapping(env, user, requestDomain, customer.id);
+  return customer;
+}
+
+async function saveStripeCustomerMapping(env, user, requestDomain, customerId) {
+  await env.USER_SESSIONS.put(
+    stripeCustomerKey(user, requestDomain),
+    JSON.stringify({
+      customerId: customerId,
+      userId: user.userId,
+      email: user.email,
+      domain: requestDomain,
+      created: Date.now(),
+    })
+  );
+}
+
+// Saved cards must belong to the user's customer on this domain
+async function getCustomerPaymentMethod(env, customer, paymentMethodId) {
+  try {
+    const paymentMethod = await stripeRequest(
+      env,
+      `payment_methods/${encodeURIComponent(paymentMethodId)}`
+    );
+    return paymentMethod.customer === customer.id ? paymentMethod : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatPaymentMethod(paymentMethod) {
+  return {
+    id: paymentMethod.id,
+    brand: paymentMethod.card?.brand || paymentMethod.type,
+    last4: paymentMethod.card?.last4 || "",
+    expMonth: paymentMethod.card?.exp_month || null,
+    expYear: paymentMethod.card?.exp_year || null,
+    created: paymentMethod.created * 1000,
+  };
+}
+
+// ==================== PDF UTILITIES ====================
+
+// Just enough PDF for one-page documents: the built-in Helvetica fonts (no
+// embedding needed) in WinAnsi encoding, lines and JPEG/PNG images
+const PDF_PAGE_WIDTH = 595; // A4 in points
+const PDF_PAGE_HEIGHT = 842;
+
+// Advance widths of " " through "~" in 1/1000 of the font size
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+  584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+  556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+  500, 389, 280, 389, 584,
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding still has a code for
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80,
+  "‚": 0x82,
+  "„": 0x84,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "™": 0x99,
+};
+
+// Anything the standard fonts cannot show becomes "?"
+function winAnsiCodes(text) {
+  return Array.from(String(text), (char) => {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      return WIN_ANSI_EXTRAS[char];
+    }
+    return (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)
+      ? code
+      : 0x3f;
+  });
+}
+
+function pdfTextWidth(text, size = 10, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const units = winAnsiCodes(text).reduce(
+    (sum, code) => sum + (widths[code - 32] || 556),
+    0
+  );
+  return (units * size) / 1000;
+}
+
+// Shorten text with "…" until it fits in maxWidth points
+function fitPdfText(text, maxWidth, size = 10, bold = false) {
+  let fitted = String(text);
+  if (pdfTextWidth(fitted, size, bold) <= maxWidth) {
+    return fitted;
+  }
+  while (fitted && pdfTextWidth(`${fitted}…`, size, bold) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted.trimEnd()}…`;
+}
+
+// Content streams are built as strings of byte values (0-255)
+function pdfTextOp(
+  text,
+  x,
+  y,
+  { size = 10, bold = false, align = "left", gray = 0 } = {}
+) {
+  const left = align === "right" ? x - pdfTextWidth(text, size, bold) : x;
+  const escaped = winAnsiCodes(text)
+    .map((code) =>
+      code === 0x28 || code === 0x29 || code === 0x5c
+        ? `\\${String.fromCharCode(code)}`
+        : String.fromCharCode(code)
+    )
+    .join("");
+  return `BT ${gray} g /${bold ? "F2" : "F1"} ${size} Tf ${left.toFixed(
+    2
+  )} ${y.toFixed(2)} Td (${escaped}) Tj ET`;
+}
+
+function pdfLineOp(x1, y1, x2, y2, { width = 0.5, gray = 0.6 } = {}) {
+  return `${gray} G ${width} w ${x1} ${y1} m ${x2} ${y2} l S`;
+}
+
+function pdfImageOp(name, x, y, width, height) {
+  return `q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(
+    2
+  )} ${y.toFixed(2)} cm /${name} Do Q`;
+}
+
+function latin1Bytes(text) {
+  return Uint8Array.from(text, (char) => char.charCodeAt(0));
+}
+
+// Assembles the page, fonts and images into a PDF file (Uint8Array)
+function buildPdf({ title, content, images = [] }) {
+  const objects = [];
+  const addObject = (dictionary, stream) => {
+    objects.push({ dictionary, stream });
+    return objects.length;
+  };
+
+  const catalogId = addObject("");
+  const pagesId = addObject("");
+  const pageId = addObject("");
+  const regularFontId = addObject(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+  );
+  const boldFontId = addObject(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+  );
+  const contentBytes = latin1Bytes(content);
+  const contentId = addObject(
+    `<< /Length ${contentBytes.length} >>`,
+    contentBytes
+  );
+
+  const imageRefs = images.map((image) => {
+    const smaskRef = image.smask
+      ? ` /SMask ${addObject(
+          pdfImageDictionary(image.smask),
+          image.smask.data
+        )} 0 R`
+      : "";
+    const imageId = addObject(
+      pdfImageDictionary(image).replace(/ >>$/, `${smaskRef} >>`),
+      image.data
+    );
+    return `/${image.name} ${imageId} 0 R`;
+  });
+
+  const titleString = winAnsiCodes(title)
+    .map((code) => `\\${code.toString(8).padStart(3, "0")}`)
+    .join("");
+  const infoId = addObject(
+    `<< /Title (${titleString}) /Producer (multi-domain-marketplace) >>`
+  );
+
+  objects[
+    catalogId - 1
+  ].dictionary = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[
+    pagesId - 1
+  ].dictionary = `<< /Type /Pages /Kids [${pageId} 0 R] /Count 1 >>`;
+  objects[pageId - 1].dictionary =
+    `<< /Type /Page /Parent ${pagesId} 0 R` +
+    ` /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}]` +
+    ` /Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >>` +
+    ` /XObject << ${imageRefs.join(" ")} >> >>` +
+    ` /Contents ${contentId} 0 R >>`;
+
+  // The header comment's high bytes mark the file as binary
+  const parts = [latin1Bytes("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n")];
+  let offset = parts[0].length;
+  const offsets = objects.map((object, index) => {
+    const start = offset;
+    const chunks = [
+      latin1Bytes(
+        `${index + 1} 0 obj\n${object.dictionary}\n${
+          object.stream ? "stream\n" : ""
+        }`
+      ),
+      ...(object.stream ? [object.stream, latin1Bytes("\nendstream\n")] : []),
+      latin1Bytes("endobj\n"),
+    ];
+    chunks.forEach((chunk) => {
+      parts.push(chunk);
+      offset += chunk.length;
+    });
+    return start;
+  });
+
+  parts.push(
+    latin1Bytes(
+      `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets
+          .map((start) => `${String(start).padStart(10, "0")} 00000 n \n`)
+          .join("") +
+        `trailer\n<< /Size ${
+          objects.length + 1
+        } /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n` +
+        `startxref\n${offset}\n%%EOF\n`
+    )
+  );
+
+  const pdf = new Uint8Array(offset + parts[parts.length - 1].length);
+  let position = 0;
+  parts.forEach((part) => {
+    pdf.set(part, position);
+    position += part.length;
+  });
+  return pdf;
+}
+
+function pdfImageDictionary(image) {
+  return (
+    `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height}` +
+    ` /ColorSpace ${image.colorSpace} /BitsPerComponent 8` +
+    ` /Filter /${image.filter}` +
+    (image.decodeParms ? ` /DecodeParms ${image.decodeParms}` : "") +
+    ` /Length ${image.data.length} >>`
+  );
+}
+
+// Turns JPEG or 8-bit, non-interlaced PNG bytes into a PDF image, or null
+async function pdfImage(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return jpegPdfImage(bytes);
+  }
+  if (
+    bytes.length > 8 &&
+    latin1String(bytes.subarray(1, 4)) === "PNG" &&
+    bytes[0] === 0x89
+  ) {
+    return pngPdfImage(bytes);
+  }
+  return null;
+}
+
+function latin1String(bytes) {
+  return String.fromCharCode(...bytes);
+}
+
+// JPEGs go in as they are; PDF readers decode them (DCTDecode)
+function jpegPdfImage(bytes) {
+  let position = 2;
+  while (position + 9 < bytes.length) {
+    if (bytes[position] !== 0xff) {
+      return null;
+    }
+    const marker = bytes[position + 1];
+    const length = (bytes[position + 2] << 8) | bytes[position + 3];
+    // Start-of-frame markers hold the size; C4, C8 and CC are other tables
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      ![0xc4, 0xc8, 0xcc].includes(marker)
+    ) {
+      const components = bytes[position + 9];
+      if (components !== 1 && components !== 3) {
+        return null;
+      }
+      return {
+        width: (bytes[position + 7] << 8) | bytes[position + 8],
+        height: (bytes[position + 5] << 8) | bytes[position + 6],
+        colorSpace: components === 1 ? "/DeviceGray" : "/DeviceRGB",
+        filter: "DCTDecode",
+        data: bytes,
+      };
+    }
+    position += 2 + length;
+  }
+  return null;
+}
+
+// PNG image data is a zlib stream of filtered rows, which PDF can read
+// directly through FlateDecode with PNG predictors. Transparency has to be
+// split into a separate soft mask, which means decoding the pixels first.
+async function pngPdfImage(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const idat = [];
+  let header = null;
+  let palette = null;
+  let transparency = null;
+
+  for (let position = 8; position + 8 <= bytes.length; ) {
+    const length = view.getUint32(position);
+    const type = latin1String(bytes.subarray(position + 4, position + 8));
+    const data = bytes.subarray(position + 8, position + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: view.getUint32(position + 8),
+        height: view.getUint32(position + 12),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "tRNS") {
+      transparency = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    position += 12 + length;
+  }
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header?.colorType];
+  if (
+    !channels ||
+    header.bitDepth !== 8 ||
+    header.interlace !== 0 ||
+    header.width * header.height > 4000000 ||
+    (header.colorType === 3 && !palette)
+  ) {
+    return null;
+  }
+
+  const compressed = new Uint8Array(
+    idat.reduce((sum, chunk) => sum + chunk.length, 0)
+  );
+  idat.reduce((position, chunk) => {
+    compressed.set(chunk, position);
+    return position + chunk.length;
+  }, 0);
+
+  const { width, height, colorType } = header;
+  const colorSpace =
+    colorType === 3
+      ? `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${Array.from(
+          palette,
+          (byte) => byte.toString(16).padStart(2, "0")
+        ).join("")}>]`
+      : colorType === 0 || colorType === 4
+      ? "/DeviceGray"
+      : "/DeviceRGB";
+  const colors = colorType === 2 || colorType === 6 ? 3 : 1;
+  const hasAlpha =
+    colorType === 4 || colorType === 6 || (colorType === 3 && !!transparency);
+
+  if (!hasAlpha) {
+    return {
+      width,
+      height,
+      colorSpace,
+      filter: "FlateDecode",
+      decodeParms: `<< /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>`,
+      data: compressed,
+    };
+  }
+
+  const pixels = unfilterPngRows(
+    await streamBytes(compressed, new DecompressionStream("deflate")),
+    width,
+    height,
+    channels
+  );
+  const color = new Uint8Array(width * height * colors);
+  const alpha = new Uint8Array(width * height);
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    const source = pixel * channels;
+    if (colorType === 3) {
+      const index = pixels[source];
+      color[pixel] = index;
+      alpha[pixel] = index < transparency.length ? transparency[index] : 255;
+    } else {
+      color.set(pixels.subarray(source, source + colors), pixel * colors);
+      alpha[pixel] = pixels[source + colors];
+    }
+  }
+
+  return {
+    width,
+    height,
+    colorSpace,
+    filter: "FlateDecode",
+    data: await streamBytes(color, new CompressionStream("deflate")),
+    smask: {
+      width,
+      height,
+      colorSpace: "/DeviceGray",
+      filter: "FlateDecode",
+      data: await streamBytes(alpha, new CompressionStream("deflate")),
+    },
+  };
+}
+
+// Undoes the per-row PNG filters (None, Sub, Up, Average, Paeth)
+function unfilterPngRows(data, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const pixels = new Uint8Array(stride * height);
+  let position = 0;
+
+  for (let row = 0; row < height; row++) {
+    const filter = data[position++];
+    const start = row * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? pixels[start + x - bytesPerPixel] : 0;
+      const up = row > 0 ? pixels[start - stride + x] : 0;
+      const upLeft =
+        row > 0 && x >= bytesPerPixel
+          ? pixels[start - stride + x - bytesPerPixel]
+          : 0;
+      let predicted = 0;
+      if (filter === 1) {
+        predicted = left;
+      } else if (filter === 2) {
+        predicted = up;
+      } else if (filter === 3) {
+        predicted = (left + up) >> 1;
+      } else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const distanceLeft = Math.abs(estimate - left);
+        const distanceUp = Math.abs(estimate - up);
+        const distanceUpLeft = Math.abs(estimate - upLeft);
+        predicted =
+          distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft
+            ? left
+            : distanceUp <= distanceUpLeft
+            ? up
+            : upLeft;
+      }
+      pixels[start + x] = (data[position++] + predicted) & 0xff;
+    }
+  }
+  return pixels;
+}
+
+async function streamBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from "react";
+import { apiHeaders } from "../utils/session";
 
 interface Base {
   id: string;
@@ -64,17 +65,9 @@ const AirtableForm: React.FC<AirtableFormProps> = ({
     setLoadingBases(true);
     setError(null);
     try {
-      const token = localStorage.getItem("authToken");
-      if (!token) {
-        throw new Error("No auth token found");
-      }
-
       const response = await fetch("/api/airtable/bases", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
+        headers: apiHeaders(),
       });
 
       if (!response.ok) {
@@ -98,17 +91,9 @@ const AirtableForm: React.FC<AirtableFormProps> = ({
     setLoadingTables(true);
     setError(null);
     try {
-      const token = localStorage.getItem("authToken");
-      if (!token) {
-        throw new Error("No auth token found");
-      }
-
       const response = await fetch("/api/airtable/tables", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
+        headers: apiHeaders(),
         body: JSON.stringify({ baseId }),
       });
 
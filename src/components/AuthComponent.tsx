@@ -5,10 +5,9 @@ interface User {
   email: string;
   name: string;
   domain: string;
-  googleAccessToken?: string;
-  googleRefreshToken?: string;
-  airtableAccessToken?: string;
-  airtableRefreshToken?: string;
+  // Provider tokens are kept on the server; these say which are linked
+  googleConnected?: boolean;
+  airtableConnected?: boolean;
 }
 
 interface AuthComponentProps {
@@ -18,6 +17,7 @@ interface AuthComponentProps {
   onCreateGoogleSheet: (sheetName?: string) => Promise<void>;
   onShowAirtableModal: () => void;
   onConnectAirtable: () => void;
+  onShowSessions: () => void;
 }
 
 const AuthComponent: React.FC<AuthComponentProps> = ({
@@ -27,6 +27,7 @@ const AuthComponent: React.FC<AuthComponentProps> = ({
   onCreateGoogleSheet,
   onShowAirtableModal,
   onConnectAirtable,
+  onShowSessions,
 }) => {
   if (user) {
     return (
@@ -53,7 +54,7 @@ const AuthComponent: React.FC<AuthComponentProps> = ({
           </p>
         </div>
         <div style={{ display: "flex", gap: "1rem", flexWrap: "wrap" }}>
-          {user.googleAccessToken && (
+          {user.googleConnected && (
             <button
               onClick={() => onCreateGoogleSheet()}
               style={{
@@ -80,7 +81,7 @@ const AuthComponent: React.FC<AuthComponentProps> = ({
               Create Google Sheet
             </button>
           )}
-          {user.airtableAccessToken ? (
+          {user.airtableConnected ? (
             <button
               onClick={onShowAirtableModal}
               style={{
@@ -133,6 +134,27 @@ const AuthComponent: React.FC<AuthComponentProps> = ({
               Connect Airtable
             </button>
           )}
+          <button
+            onClick={onShowSessions}
+            style={{
+              padding: "0.75rem 1.5rem",
+              backgroundColor: "#6b7280",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+              fontSize: "1rem",
+              fontWeight: "500",
+            }}
+            onMouseOver={(e) =>
+              (e.currentTarget.style.backgroundColor = "#4b5563")
+            }
+            onMouseOut={(e) =>
+              (e.currentTarget.style.backgroundColor = "#6b7280")
+            }
+          >
+            Sessions
+          </button>
           <button
             onClick={onLogout}
             style={{
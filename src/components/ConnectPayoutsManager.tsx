@@ -0,0 +1,343 @@
+import React, { useState, useEffect } from "react";
+import { formatCurrency } from "../utils/currency";
+import { apiHeaders } from "../utils/session";
+
+interface ConnectAccount {
+  id: string;
+  chargesEnabled: boolean;
+  payoutsEnabled: boolean;
+  detailsSubmitted: boolean;
+  transfersActive: boolean;
+  requirementsDue: string[];
+}
+
+interface Funds {
+  amount: number;
+  currency: string;
+}
+
+interface Payout {
+  id: string;
+  amount: number;
+  currency: string;
+  status: string;
+  arrivalDate: number;
+  created: number;
+}
+
+interface ConnectPayoutsManagerProps {
+  domain: string;
+  onClose: () => void;
+}
+
+const inputStyle = {
+  width: "100%",
+  padding: "0.75rem",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  fontSize: "1rem",
+};
+
+const labelStyle = {
+  display: "block",
+  marginBottom: "0.5rem",
+  color: "#374151",
+};
+
+// Start (or continue) Stripe Express onboarding for the domain's owner
+export const startConnectOnboarding = async (
+  domain: string,
+  country?: string
+) => {
+  const response = await fetch("/api/stripe/connect/onboard", {
+    method: "POST",
+    headers: apiHeaders(),
+    body: JSON.stringify({
+      domain,
+      ...(country && { country }),
+    }),
+  });
+
+  const result = await response.json();
+  if (result.success) {
+    window.location.href = result.url;
+    return true;
+  }
+  alert(`Failed to set up payouts: ${result.error}`);
+  return false;
+};
+
+const describeFunds = (funds: Funds[]) =>
+  funds.length === 0
+    ? formatCurrency(0, "usd")
+    : funds
+        .map((entry) => formatCurrency(entry.amount, entry.currency))
+        .join(" + ");
+
+const ConnectPayoutsManager: React.FC<ConnectPayoutsManagerProps> = ({
+  domain,
+  onClose,
+}) => {
+  const [account, setAccount] = useState<ConnectAccount | null>(null);
+  const [balance, setBalance] = useState<{
+    available: Funds[];
+    pending: Funds[];
+  } | null>(null);
+  const [payouts, setPayouts] = useState<Payout[]>([]);
+  const [applicationFeePercent, setApplicationFeePercent] = useState(0);
+  const [isGlobalAdmin, setIsGlobalAdmin] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isRedirecting, setIsRedirecting] = useState(false);
+  const [country, setCountry] = useState("");
+  const [feeInput, setFeeInput] = useState("");
+
+  useEffect(() => {
+    loadAccount();
+  }, [domain]);
+
+  const loadAccount = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/stripe/connect/account", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({ domain }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        setAccount(result.account);
+        setBalance(result.balance);
+        setPayouts(result.payouts);
+        setApplicationFeePercent(result.applicationFeePercent);
+        setIsGlobalAdmin(result.isGlobalAdmin);
+        setFeeInput(
+          result.applicationFeeIsDefault
+            ? ""
+            : result.applicationFeePercent.toString()
+        );
+      } else {
+        alert(`Failed to load payouts: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Failed to load payouts:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleOnboard = async () => {
+    setIsRedirecting(true);
+    const redirected = await startConnectOnboarding(
+      domain,
+      account ? undefined : country.trim().toUpperCase()
+    );
+    if (!redirected) {
+      setIsRedirecting(false);
+    }
+  };
+
+  // Empty input goes back to the platform default fee
+  const handleSaveFee = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      const response = await fetch("/api/settings/update", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain,
+          settings: {
+            applicationFeePercent: feeInput.trim()
+              ? parseFloat(feeInput)
+              : null,
+          },
+        }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        loadAccount();
+      } else {
+        alert(`Failed to update fee: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error updating fee:", error);
+      alert("Failed to update fee");
+    }
+  };
+
+  if (isLoading && !account) {
+    return <p style={{ color: "#6b7280" }}>Loading payouts...</p>;
+  }
+
+  const isReady = !!account?.transfersActive;
+
+  return (
+    <div>
+      <div
+        style={{
+          padding: "0.75rem",
+          marginBottom: "1rem",
+          borderRadius: "6px",
+          backgroundColor: isReady ? "#d1fae5" : "#fef3c7",
+          color: isReady ? "#065f46" : "#92400e",
+          fontSize: "0.875rem",
+        }}
+      >
+        {!account
+          ? "Payments on this domain are collected by the platform. Connect a Stripe account to get paid directly."
+          : isReady
+          ? `Payments are paid out to ${account.id}. The platform keeps ${applicationFeePercent}% of each payment.`
+          : "Payout setup isn't finished yet. Payments stay with the platform until Stripe approves the account."}
+        {account && account.requirementsDue.length > 0 && (
+          <>
+            <br />
+            Stripe still needs: {account.requirementsDue.join(", ")}
+          </>
+        )}
+      </div>
+
+      {!account && (
+        <div style={{ marginBottom: "1rem" }}>
+          <label style={labelStyle}>Country (optional)</label>
+          <input
+            type="text"
+            value={country}
+            onChange={(e) => setCountry(e.target.value)}
+            pattern="[A-Za-z]{2}"
+            style={inputStyle}
+            placeholder="Two-letter code, e.g. DE"
+          />
+        </div>
+      )}
+
+      {!isReady && (
+        <button
+          onClick={handleOnboard}
+          disabled={isRedirecting}
+          style={{
+            width: "100%",
+            padding: "0.75rem",
+            marginBottom: "1rem",
+            backgroundColor: isRedirecting ? "#9ca3af" : "#8b5cf6",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: isRedirecting ? "not-allowed" : "pointer",
+            fontSize: "1rem",
+            fontWeight: "500",
+          }}
+        >
+          {isRedirecting
+            ? "Redirecting..."
+            : account
+            ? "Continue Payout Setup"
+            : "Set Up Payouts with Stripe"}
+        </button>
+      )}
+
+      {balance && (
+        <div style={{ marginBottom: "1rem", fontSize: "0.875rem" }}>
+          <h4 style={{ margin: "0 0 0.5rem 0", color: "#1f2937" }}>Balance</h4>
+          <div>
+            Available: <strong>{describeFunds(balance.available)}</strong>
+          </div>
+          <div style={{ color: "#6b7280" }}>
+            Pending: {describeFunds(balance.pending)}
+          </div>
+        </div>
+      )}
+
+      {account?.detailsSubmitted && (
+        <div style={{ marginBottom: "1rem" }}>
+          <h4 style={{ margin: "0 0 0.5rem 0", color: "#1f2937" }}>
+            Recent payouts
+          </h4>
+          {payouts.length === 0 ? (
+            <p style={{ color: "#6b7280", fontStyle: "italic" }}>
+              No payouts yet.
+            </p>
+          ) : (
+            <div style={{ display: "grid", gap: "0.5rem" }}>
+              {payouts.map((payout) => (
+                <div
+                  key={payout.id}
+                  style={{
+                    padding: "0.5rem 0.75rem",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "4px",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    fontSize: "0.875rem",
+                  }}
+                >
+                  <span>
+                    <strong>
+                      {formatCurrency(payout.amount, payout.currency)}
+                    </strong>{" "}
+                    - arrives{" "}
+                    {new Date(payout.arrivalDate).toLocaleDateString()}
+                  </span>
+                  <span style={{ color: "#6b7280" }}>
+                    {payout.status.replace("_", " ").toUpperCase()}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {isGlobalAdmin && (
+        <form
+          onSubmit={handleSaveFee}
+          style={{ display: "flex", gap: "0.5rem", marginBottom: "1rem" }}
+        >
+          <input
+            type="number"
+            step="any"
+            min="0"
+            max="100"
+            value={feeInput}
+            onChange={(e) => setFeeInput(e.target.value)}
+            style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+            placeholder="Platform default"
+          />
+          <button
+            type="submit"
+            style={{
+              padding: "0.5rem 1rem",
+              backgroundColor: "#8b5cf6",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+              fontSize: "0.875rem",
+            }}
+          >
+            Set Fee %
+          </button>
+        </form>
+      )}
+
+      <button
+        type="button"
+        onClick={onClose}
+        style={{
+          width: "100%",
+          padding: "0.75rem 1.5rem",
+          backgroundColor: "#6b7280",
+          color: "white",
+          border: "none",
+          borderRadius: "6px",
+          cursor: "pointer",
+          fontSize: "1rem",
+        }}
+      >
+        Close
+      </button>
+    </div>
+  );
+};
+
+export default ConnectPayoutsManager;
@@ -0,0 +1,423 @@
+import React, { useState, useEffect } from "react";
+import { Product } from "../utils/indexedDB";
+import { SUPPORTED_CURRENCIES, formatCurrency } from "../utils/currency";
+import { useRequestId } from "../utils/requestId";
+import { apiHeaders } from "../utils/session";
+
+interface Coupon {
+  id: string;
+  code: string;
+  active: boolean;
+  couponId: string;
+  percentOff: number | null;
+  amountOff: number | null;
+  currency: string | null;
+  duration: "once" | "repeating" | "forever";
+  durationInMonths: number | null;
+  expiresAt: number | null;
+  maxRedemptions: number | null;
+  timesRedeemed: number;
+  productIds: string[];
+  created: number;
+}
+
+interface CouponManagerProps {
+  domain: string;
+  products: Product[];
+  onClose: () => void;
+}
+
+const inputStyle = {
+  width: "100%",
+  padding: "0.75rem",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  fontSize: "1rem",
+};
+
+const labelStyle = {
+  display: "block",
+  marginBottom: "0.5rem",
+  color: "#374151",
+};
+
+const CouponManager: React.FC<CouponManagerProps> = ({
+  domain,
+  products,
+  onClose,
+}) => {
+  const [coupons, setCoupons] = useState<Coupon[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Create coupon form states
+  const [code, setCode] = useState("");
+  const [discountType, setDiscountType] = useState<"percent" | "amount">(
+    "percent"
+  );
+  const [discountValue, setDiscountValue] = useState("");
+  const [currency, setCurrency] = useState("usd");
+  const [duration, setDuration] = useState<Coupon["duration"]>("once");
+  const [durationInMonths, setDurationInMonths] = useState("");
+  const [expiresAt, setExpiresAt] = useState("");
+  const [maxRedemptions, setMaxRedemptions] = useState("");
+  const [productIds, setProductIds] = useState<string[]>([]);
+  const [requestId, renewRequestId] = useRequestId();
+
+  useEffect(() => {
+    loadCoupons();
+  }, [domain]);
+
+  const loadCoupons = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/stripe/coupons", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({ domain }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        setCoupons(result.coupons);
+      } else {
+        alert(`Failed to load coupons: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Failed to load coupons:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCreateCoupon = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const response = await fetch("/api/stripe/create-coupon", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain,
+          code: code.trim(),
+          ...(discountType === "percent"
+            ? { percentOff: parseFloat(discountValue) }
+            : { amountOff: parseFloat(discountValue), currency }),
+          duration,
+          ...(duration === "repeating" && {
+            durationInMonths: parseInt(durationInMonths, 10),
+          }),
+          ...(expiresAt && {
+            expiresAt: new Date(`${expiresAt}T23:59:59`).getTime(),
+          }),
+          ...(maxRedemptions && {
+            maxRedemptions: parseInt(maxRedemptions, 10),
+          }),
+          productIds,
+          requestId: requestId(),
+        }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        renewRequestId();
+        setCoupons([result.coupon, ...coupons]);
+        setCode("");
+        setDiscountValue("");
+        setDurationInMonths("");
+        setExpiresAt("");
+        setMaxRedemptions("");
+        setProductIds([]);
+      } else {
+        alert(`Failed to create coupon: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error creating coupon:", error);
+      alert("Failed to create coupon");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDeactivateCoupon = async (coupon: Coupon) => {
+    if (
+      !confirm(`Deactivate ${coupon.code}? Customers can no longer use it.`)
+    ) {
+      return;
+    }
+
+    try {
+      const response = await fetch("/api/stripe/deactivate-coupon", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({ domain, promotionCodeId: coupon.id }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        setCoupons(
+          coupons.map((existing) =>
+            existing.id === coupon.id
+              ? { ...existing, active: result.coupon.active }
+              : existing
+          )
+        );
+      } else {
+        alert(`Failed to deactivate coupon: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error deactivating coupon:", error);
+      alert("Failed to deactivate coupon");
+    }
+  };
+
+  const toggleProduct = (productId: string) => {
+    setProductIds(
+      productIds.includes(productId)
+        ? productIds.filter((id) => id !== productId)
+        : [...productIds, productId]
+    );
+  };
+
+  const describeCoupon = (coupon: Coupon) => {
+    const off = coupon.percentOff
+      ? `${coupon.percentOff}% off`
+      : `${formatCurrency(
+          coupon.amountOff || 0,
+          coupon.currency || "usd"
+        )} off`;
+    const length =
+      coupon.duration === "repeating"
+        ? ` for ${coupon.durationInMonths} months`
+        : coupon.duration === "forever"
+        ? " forever"
+        : "";
+    return off + length;
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleCreateCoupon} style={{ marginBottom: "1.5rem" }}>
+        <div style={{ marginBottom: "1rem" }}>
+          <label style={labelStyle}>Code</label>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            required
+            style={inputStyle}
+            placeholder="e.g. LAUNCH20"
+          />
+        </div>
+        <div style={{ display: "flex", gap: "0.5rem", marginBottom: "1rem" }}>
+          <select
+            value={discountType}
+            onChange={(e) =>
+              setDiscountType(e.target.value as "percent" | "amount")
+            }
+            style={{ ...inputStyle, width: "auto" }}
+          >
+            <option value="percent">% off</option>
+            <option value="amount">Amount off</option>
+          </select>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            max={discountType === "percent" ? "100" : undefined}
+            value={discountValue}
+            onChange={(e) => setDiscountValue(e.target.value)}
+            required
+            style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+            placeholder={discountType === "percent" ? "20" : "5.00"}
+          />
+          {discountType === "amount" && (
+            <select
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              style={{ ...inputStyle, width: "auto" }}
+            >
+              {SUPPORTED_CURRENCIES.map((code) => (
+                <option key={code} value={code}>
+                  {code.toUpperCase()}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+        <div style={{ marginBottom: "1rem" }}>
+          <label style={labelStyle}>Applies to subscriptions</label>
+          <div style={{ display: "flex", gap: "0.5rem" }}>
+            <select
+              value={duration}
+              onChange={(e) =>
+                setDuration(e.target.value as Coupon["duration"])
+              }
+              style={{ ...inputStyle, flex: 1 }}
+            >
+              <option value="once">First payment only</option>
+              <option value="repeating">For a number of months</option>
+              <option value="forever">Every payment</option>
+            </select>
+            {duration === "repeating" && (
+              <input
+                type="number"
+                min="1"
+                value={durationInMonths}
+                onChange={(e) => setDurationInMonths(e.target.value)}
+                required
+                style={{ ...inputStyle, width: "6rem" }}
+                placeholder="Months"
+              />
+            )}
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: "0.5rem", marginBottom: "1rem" }}>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>Expires (optional)</label>
+            <input
+              type="date"
+              value={expiresAt}
+              onChange={(e) => setExpiresAt(e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>Max uses (optional)</label>
+            <input
+              type="number"
+              min="1"
+              value={maxRedemptions}
+              onChange={(e) => setMaxRedemptions(e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+        </div>
+        {products.length > 0 && (
+          <div style={{ marginBottom: "1rem" }}>
+            <label style={labelStyle}>
+              Only for these products (leave empty for all)
+            </label>
+            {products.map((product) => (
+              <label
+                key={product.id}
+                style={{
+                  display: "block",
+                  fontSize: "0.875rem",
+                  color: "#374151",
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={productIds.includes(product.id)}
+                  onChange={() => toggleProduct(product.id)}
+                  style={{ marginRight: "0.5rem" }}
+                />
+                {product.name}
+              </label>
+            ))}
+          </div>
+        )}
+        <div style={{ display: "flex", gap: "1rem" }}>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            style={{
+              flex: 1,
+              padding: "0.75rem",
+              backgroundColor: isSubmitting ? "#9ca3af" : "#8b5cf6",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor: isSubmitting ? "not-allowed" : "pointer",
+              fontSize: "1rem",
+              fontWeight: "500",
+            }}
+          >
+            {isSubmitting ? "Creating..." : "Create Coupon"}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            style={{
+              padding: "0.75rem 1.5rem",
+              backgroundColor: "#6b7280",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+              fontSize: "1rem",
+            }}
+          >
+            Close
+          </button>
+        </div>
+      </form>
+
+      <h4 style={{ margin: "0 0 0.5rem 0", color: "#1f2937" }}>
+        Coupons for {domain}
+      </h4>
+      {isLoading ? (
+        <p style={{ color: "#6b7280" }}>Loading coupons...</p>
+      ) : coupons.length === 0 ? (
+        <p style={{ color: "#6b7280", fontStyle: "italic" }}>No coupons yet.</p>
+      ) : (
+        <div style={{ display: "grid", gap: "0.5rem" }}>
+          {coupons.map((coupon) => (
+            <div
+              key={coupon.id}
+              style={{
+                padding: "0.75rem",
+                border: "1px solid #d1d5db",
+                borderRadius: "4px",
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                fontSize: "0.875rem",
+                opacity: coupon.active ? 1 : 0.6,
+              }}
+            >
+              <div>
+                <strong>{coupon.code}</strong> - {describeCoupon(coupon)}
+                <br />
+                <span style={{ color: "#6b7280" }}>
+                  Used {coupon.timesRedeemed}
+                  {coupon.maxRedemptions && ` / ${coupon.maxRedemptions}`}
+                  {coupon.expiresAt &&
+                    ` • Expires ${new Date(
+                      coupon.expiresAt
+                    ).toLocaleDateString()}`}
+                  {coupon.productIds.length > 0 &&
+                    ` • ${coupon.productIds.length} product(s)`}
+                </span>
+              </div>
+              {coupon.active ? (
+                <button
+                  onClick={() => handleDeactivateCoupon(coupon)}
+                  style={{
+                    padding: "0.25rem 0.5rem",
+                    backgroundColor: "#ef4444",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "4px",
+                    cursor: "pointer",
+                    fontSize: "0.75rem",
+                  }}
+                >
+                  Deactivate
+                </button>
+              ) : (
+                <span style={{ color: "#6b7280", fontSize: "0.75rem" }}>
+                  INACTIVE
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CouponManager;
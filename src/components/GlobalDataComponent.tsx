@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { db, Product, Order } from "../utils/indexedDB";
+import { formatCurrency, formatCurrencyTotals } from "../utils/currency";
+import { apiHeaders } from "../utils/session";
 
 interface User {
   id: string;
@@ -15,10 +17,22 @@ interface GlobalDataProps {
 
 interface GlobalAnalytics {
   totalProducts: number;
-  totalRevenue: number;
+  // Money totals are per currency, e.g. { usd: 120, eur: 40 }
+  totalRevenue: Record<string, number>;
   totalSuccessfulPayments: number;
+  activeSubscriptions: number;
+  mrr: Record<string, number>;
   domainCount: number;
-  domainStats: Record<string, { products: number; revenue: number }>;
+  domainStats: Record<
+    string,
+    {
+      products: number;
+      successfulPayments: number;
+      revenue: Record<string, number>;
+      activeSubscriptions: number;
+      mrr: Record<string, number>;
+    }
+  >;
   recentPayments: Array<{
     id: string;
     amount: number;
@@ -28,15 +42,17 @@ interface GlobalAnalytics {
     customer_email: string;
     created: number;
   }>;
+  range: { start: number; end: number };
+  truncated: boolean;
 }
 
 interface LocalAnalytics {
   totalProducts: number;
   totalOrders: number;
-  totalRevenue: number;
+  totalRevenue: Record<string, number>;
   domainBreakdown: Record<
     string,
-    { products: number; orders: number; revenue: number }
+    { products: number; orders: number; revenue: Record<string, number> }
   >;
 }
 
@@ -51,6 +67,14 @@ const GlobalDataComponent: React.FC<GlobalDataProps> = ({
   );
   const [globalProducts, setGlobalProducts] = useState<Product[]>([]);
   const [loading, setLoading] = useState(false);
+  const [globalError, setGlobalError] = useState<string | null>(null);
+  // Date range for server analytics (yyyy-mm-dd, defaults to last 30 days)
+  const [startDate, setStartDate] = useState(() =>
+    new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+  );
+  const [endDate, setEndDate] = useState(() =>
+    new Date().toISOString().slice(0, 10)
+  );
   const [activeTab, setActiveTab] = useState<
     "overview" | "products" | "payments"
   >("overview");
@@ -64,30 +88,32 @@ const GlobalDataComponent: React.FC<GlobalDataProps> = ({
 
   const loadGlobalData = async () => {
     setLoading(true);
+    setGlobalError(null);
     try {
-      const token = localStorage.getItem("authToken");
-
       // Fetch global analytics from server (Stripe data)
       const analyticsResponse = await fetch("/api/stripe/global-analytics", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ token }),
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: currentDomain,
+          startDate: new Date(`${startDate}T00:00:00`).getTime(),
+          endDate: new Date(`${endDate}T23:59:59`).getTime(),
+        }),
       });
 
       const analyticsResult = await analyticsResponse.json();
       if (analyticsResult.success) {
         setGlobalAnalytics(analyticsResult.analytics);
+      } else {
+        setGlobalAnalytics(null);
+        setGlobalError(analyticsResult.error);
       }
 
       // Fetch all products from server
       const productsResponse = await fetch("/api/stripe/global-products", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ token }),
+        headers: apiHeaders(),
+        body: JSON.stringify({ domain: currentDomain }),
       });
 
       const productsResult = await productsResponse.json();
@@ -110,13 +136,6 @@ const GlobalDataComponent: React.FC<GlobalDataProps> = ({
     }
   };
 
-  const formatCurrency = (amount: number) => {
-    return new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency: "USD",
-    }).format(amount);
-  };
-
   const formatDate = (timestamp: number) => {
     return new Date(timestamp * 1000).toLocaleDateString();
   };
@@ -207,6 +226,66 @@ const GlobalDataComponent: React.FC<GlobalDataProps> = ({
         </button>
       </div>
 
+      {/* Date Range */}
+      <div
+        style={{
+          display: "flex",
+          gap: "0.5rem",
+          alignItems: "center",
+          marginBottom: "1.5rem",
+          fontSize: "0.875rem",
+          color: "#374151",
+          flexWrap: "wrap",
+        }}
+      >
+        <label>
+          From{" "}
+          <input
+            type="date"
+            value={startDate}
+            max={endDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            style={{
+              padding: "0.25rem",
+              border: "1px solid #d1d5db",
+              borderRadius: "4px",
+            }}
+          />
+        </label>
+        <label>
+          To{" "}
+          <input
+            type="date"
+            value={endDate}
+            min={startDate}
+            onChange={(e) => setEndDate(e.target.value)}
+            style={{
+              padding: "0.25rem",
+              border: "1px solid #d1d5db",
+              borderRadius: "4px",
+            }}
+          />
+        </label>
+        <span style={{ color: "#6b7280" }}>
+          Press Refresh to apply the date range
+        </span>
+      </div>
+
+      {globalError && (
+        <div
+          style={{
+            color: "#991b1b",
+            backgroundColor: "#fee2e2",
+            padding: "0.75rem",
+            borderRadius: "6px",
+            marginBottom: "1.5rem",
+            fontSize: "0.875rem",
+          }}
+        >
+          {globalError}
+        </div>
+      )}
+
       {/* Overview Tab */}
       {activeTab === "overview" && (
         <div>
@@ -262,7 +341,7 @@ const GlobalDataComponent: React.FC<GlobalDataProps> = ({
                       color: "#059669",
                     }}
                   >
-                    {formatCurrency(globalAnalytics.totalRevenue)}
+                    {formatCurrencyTotals(globalAnalytics.totalRevenue)}
                   </div>
                   <div style={{ color: "#6b7280", fontSize: "0.875rem" }}>
                     Total Revenue
@@ -312,8 +391,65 @@ const GlobalDataComponent: React.FC<GlobalDataProps> = ({
                     Active Domains
                   </div>
                 </div>
+                <div
+                  style={{
+                    padding: "1rem",
+                    backgroundColor: "white",
+                    borderRadius: "6px",
+                    border: "1px solid #d1d5db",
+                    textAlign: "center",
+                  }}
+                >
+                  <div
+                    style={{
+                      fontSize: "2rem",
+                      fontWeight: "bold",
+                      color: "#059669",
+                    }}
+                  >
+                    {globalAnalytics.activeSubscriptions}
+                  </div>
+                  <div style={{ color: "#6b7280", fontSize: "0.875rem" }}>
+                    Active Subscriptions
+                  </div>
+                </div>
+                <div
+                  style={{
+                    padding: "1rem",
+                    backgroundColor: "white",
+                    borderRadius: "6px",
+                    border: "1px solid #d1d5db",
+                    textAlign: "center",
+                  }}
+                >
+                  <div
+                    style={{
+                      fontSize: "2rem",
+                      fontWeight: "bold",
+                      color: "#059669",
+                    }}
+                  >
+                    {formatCurrencyTotals(globalAnalytics.mrr)}
+                  </div>
+                  <div style={{ color: "#6b7280", fontSize: "0.875rem" }}>
+                    MRR
+                  </div>
+                </div>
               </div>
 
+              {globalAnalytics.truncated && (
+                <p
+                  style={{
+                    color: "#92400e",
+                    fontSize: "0.875rem",
+                    margin: "0 0 1rem 0",
+                  }}
+                >
+                  ⚠️ Too much data to load at once, totals are partial. Narrow
+                  the date range for exact numbers.
+                </p>
+              )}
+
               {/* Domain Breakdown */}
               <h4 style={{ color: "#1f2937", marginBottom: "1rem" }}>
                 Domain Breakdown
@@ -354,8 +490,10 @@ const GlobalDataComponent: React.FC<GlobalDataProps> = ({
                         )}
                       </div>
                       <div style={{ fontSize: "0.875rem", color: "#6b7280" }}>
-                        {stats.products} products •{" "}
-                        {formatCurrency(stats.revenue)} revenue
+                        {stats.products} products • {stats.successfulPayments}{" "}
+                        payments • {formatCurrencyTotals(stats.revenue)} revenue
+                        • {stats.activeSubscriptions} subscriptions •{" "}
+                        {formatCurrencyTotals(stats.mrr)} MRR
                       </div>
                     </div>
                   )
@@ -438,7 +576,7 @@ const GlobalDataComponent: React.FC<GlobalDataProps> = ({
                       color: "#7c3aed",
                     }}
                   >
-                    {formatCurrency(localAnalytics.totalRevenue)}
+                    {formatCurrencyTotals(localAnalytics.totalRevenue)}
                   </div>
                   <div style={{ color: "#6b7280", fontSize: "0.75rem" }}>
                     Revenue (Local)
@@ -503,13 +641,14 @@ const GlobalDataComponent: React.FC<GlobalDataProps> = ({
                         }}
                       >
                         <span style={{ color: "#059669", fontWeight: "bold" }}>
-                          {formatCurrency(product.price)}
+                          {formatCurrency(product.price, product.currency)}
                         </span>
                         <span style={{ color: "#6b7280" }}>
                           Domain: <strong>{product.domain}</strong>
                         </span>
                         <span style={{ color: "#6b7280" }}>
-                          Created: {formatDate(product.created)}
+                          Created:{" "}
+                          {new Date(product.created).toLocaleDateString()}
                         </span>
                       </div>
                     </div>
@@ -569,7 +708,7 @@ const GlobalDataComponent: React.FC<GlobalDataProps> = ({
                   >
                     <div>
                       <div style={{ fontWeight: "bold", color: "#1f2937" }}>
-                        {formatCurrency(payment.amount)}
+                        {formatCurrency(payment.amount, payment.currency)}
                       </div>
                       <div style={{ fontSize: "0.875rem", color: "#6b7280" }}>
                         {payment.customer_email} • {payment.domain}
@@ -589,14 +728,20 @@ const GlobalDataComponent: React.FC<GlobalDataProps> = ({
                           backgroundColor:
                             payment.status === "succeeded"
                               ? "#d1fae5"
+                              : payment.status === "refunded" ||
+                                payment.status === "partially_refunded"
+                              ? "#e5e7eb"
                               : "#fee2e2",
                           color:
                             payment.status === "succeeded"
                               ? "#065f46"
+                              : payment.status === "refunded" ||
+                                payment.status === "partially_refunded"
+                              ? "#374151"
                               : "#991b1b",
                         }}
                       >
-                        {payment.status.toUpperCase()}
+                        {payment.status.replace("_", " ").toUpperCase()}
                       </span>
                       {payment.domain === currentDomain && (
                         <div
@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+
+// Seller details printed on order invoices
+export interface InvoiceSettings {
+  legalName: string;
+  address: string;
+  logoUrl: string;
+  numberPrefix: string;
+}
+
+interface InvoiceSettingsManagerProps {
+  domain: string;
+  settings: InvoiceSettings;
+  onSave: (settings: InvoiceSettings) => Promise<void>;
+  onClose: () => void;
+}
+
+const inputStyle = {
+  width: "100%",
+  padding: "0.75rem",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  fontSize: "1rem",
+};
+
+const labelStyle = {
+  display: "block",
+  marginBottom: "0.5rem",
+  color: "#374151",
+};
+
+const InvoiceSettingsManager: React.FC<InvoiceSettingsManagerProps> = ({
+  domain,
+  settings,
+  onSave,
+  onClose,
+}) => {
+  const [draft, setDraft] = useState<InvoiceSettings>(settings);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await onSave({
+        legalName: draft.legalName.trim(),
+        address: draft.address.trim(),
+        logoUrl: draft.logoUrl.trim(),
+        numberPrefix: draft.numberPrefix.trim(),
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSave}>
+      <div style={{ marginBottom: "1rem" }}>
+        <label style={labelStyle}>Legal name</label>
+        <input
+          type="text"
+          value={draft.legalName}
+          onChange={(e) => setDraft({ ...draft, legalName: e.target.value })}
+          maxLength={200}
+          style={inputStyle}
+          placeholder={domain}
+        />
+      </div>
+
+      <div style={{ marginBottom: "1rem" }}>
+        <label style={labelStyle}>Address</label>
+        <textarea
+          value={draft.address}
+          onChange={(e) => setDraft({ ...draft, address: e.target.value })}
+          rows={4}
+          maxLength={500}
+          style={{ ...inputStyle, resize: "vertical" }}
+          placeholder={
+            "1 Market Street\nSan Francisco, CA 94105\nUnited States"
+          }
+        />
+      </div>
+
+      <div style={{ marginBottom: "1rem" }}>
+        <label style={labelStyle}>Logo URL (JPEG or PNG, optional)</label>
+        <input
+          type="url"
+          value={draft.logoUrl}
+          onChange={(e) => setDraft({ ...draft, logoUrl: e.target.value })}
+          pattern="https://.*"
+          style={inputStyle}
+          placeholder="https://example.com/logo.png"
+        />
+      </div>
+
+      <div style={{ marginBottom: "1rem" }}>
+        <label style={labelStyle}>Invoice number prefix</label>
+        <input
+          type="text"
+          value={draft.numberPrefix}
+          onChange={(e) => setDraft({ ...draft, numberPrefix: e.target.value })}
+          pattern="[A-Za-z0-9_/\-]{0,20}"
+          style={inputStyle}
+          placeholder="INV-"
+        />
+        <p
+          style={{
+            margin: "0.25rem 0 0 0",
+            color: "#6b7280",
+            fontSize: "0.75rem",
+          }}
+        >
+          Invoices already issued keep their number and contents.
+        </p>
+      </div>
+
+      <div style={{ display: "flex", gap: "1rem" }}>
+        <button
+          type="submit"
+          disabled={isSaving}
+          style={{
+            flex: 1,
+            padding: "0.75rem",
+            backgroundColor: isSaving ? "#9ca3af" : "#8b5cf6",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: isSaving ? "not-allowed" : "pointer",
+            fontSize: "1rem",
+            fontWeight: "500",
+          }}
+        >
+          {isSaving ? "Saving..." : "Save Invoice Settings"}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          style={{
+            padding: "0.75rem 1.5rem",
+            backgroundColor: "#6b7280",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "1rem",
+          }}
+        >
+          Close
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default InvoiceSettingsManager;
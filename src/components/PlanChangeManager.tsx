@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from "react";
+import { Product, Subscription } from "../utils/indexedDB";
+import { formatCurrency } from "../utils/currency";
+import { useRequestId } from "../utils/requestId";
+import { apiHeaders } from "../utils/session";
+
+interface PlanChangePreview {
+  timing: "now" | "period_end";
+  productId: string;
+  prorationDate: number | null;
+  // Positive is charged now, negative is credited to the next invoice
+  prorationAmount: number;
+  price: number;
+  currency: string;
+  interval: string;
+  effectiveAt: number;
+}
+
+interface PlanChangeManagerProps {
+  domain: string;
+  subscription: Subscription;
+  // Plans the subscription may move to
+  plans: Product[];
+  onChanged: (subscription: Subscription) => void;
+  onClose: () => void;
+}
+
+const inputStyle = {
+  width: "100%",
+  padding: "0.75rem",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  fontSize: "1rem",
+};
+
+const labelStyle = {
+  display: "block",
+  marginBottom: "0.5rem",
+  color: "#374151",
+};
+
+const describePreview = (preview: PlanChangePreview) => {
+  const when = new Date(preview.effectiveAt).toLocaleDateString();
+  const price = `${formatCurrency(preview.price, preview.currency)}/${
+    preview.interval
+  }`;
+
+  if (preview.timing === "period_end") {
+    return `Switches on ${when}, then ${price}. Nothing is charged now.`;
+  }
+  if (preview.prorationAmount > 0) {
+    return `${formatCurrency(
+      preview.prorationAmount,
+      preview.currency
+    )} is charged now for the rest of this period, then ${price}.`;
+  }
+  if (preview.prorationAmount < 0) {
+    return `${formatCurrency(
+      -preview.prorationAmount,
+      preview.currency
+    )} for the unused time is credited to your next invoice, then ${price}.`;
+  }
+  return `Switches now at no extra cost, then ${price}.`;
+};
+
+const PlanChangeManager: React.FC<PlanChangeManagerProps> = ({
+  domain,
+  subscription,
+  plans,
+  onChanged,
+  onClose,
+}) => {
+  const [productId, setProductId] = useState(plans[0]?.id || "");
+  const [timing, setTiming] = useState<PlanChangePreview["timing"]>("now");
+  const [preview, setPreview] = useState<PlanChangePreview | null>(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [requestId, renewRequestId] = useRequestId();
+
+  const pendingPlan = subscription.pendingChange
+    ? plans.find((plan) => plan.id === subscription.pendingChange!.productId)
+    : null;
+
+  useEffect(() => {
+    if (productId) {
+      loadPreview();
+    }
+  }, [productId, timing]);
+
+  const loadPreview = async () => {
+    setIsPreviewing(true);
+    setPreview(null);
+    try {
+      const response = await fetch("/api/stripe/preview-plan-change", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain,
+          subscriptionId: subscription.id,
+          productId,
+          timing,
+        }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        setPreview(result.preview);
+      } else {
+        alert(`Failed to preview plan change: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Failed to preview plan change:", error);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const changePlan = async (body: Record<string, unknown>) => {
+    setIsSubmitting(true);
+    try {
+      const response = await fetch("/api/stripe/change-plan", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain,
+          subscriptionId: subscription.id,
+          ...body,
+          requestId: requestId(),
+        }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        renewRequestId();
+        onChanged(result.subscription);
+      } else {
+        alert(`Failed to change plan: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error changing plan:", error);
+      alert("Failed to change plan");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleChangePlan = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!preview) return;
+
+    await changePlan({
+      productId: preview.productId,
+      timing: preview.timing,
+      ...(preview.prorationDate && { prorationDate: preview.prorationDate }),
+    });
+  };
+
+  // Choosing the current plan again drops the scheduled change
+  const handleKeepCurrentPlan = () =>
+    changePlan({ productId: subscription.productId, timing: "period_end" });
+
+  return (
+    <div>
+      {subscription.pendingChange && (
+        <div
+          style={{
+            padding: "0.75rem",
+            marginBottom: "1rem",
+            backgroundColor: "#ede9fe",
+            borderRadius: "6px",
+            fontSize: "0.875rem",
+            color: "#5b21b6",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: "0.5rem",
+          }}
+        >
+          <span>
+            Moves to {pendingPlan?.name || "another plan"} on{" "}
+            {new Date(
+              subscription.pendingChange.effectiveAt
+            ).toLocaleDateString()}
+          </span>
+          <button
+            type="button"
+            onClick={handleKeepCurrentPlan}
+            disabled={isSubmitting}
+            style={{
+              padding: "0.25rem 0.5rem",
+              backgroundColor: "#6b7280",
+              color: "white",
+              border: "none",
+              borderRadius: "4px",
+              cursor: isSubmitting ? "not-allowed" : "pointer",
+              fontSize: "0.75rem",
+              whiteSpace: "nowrap",
+            }}
+          >
+            Keep current plan
+          </button>
+        </div>
+      )}
+
+      {plans.length === 0 ? (
+        <p style={{ color: "#6b7280", fontStyle: "italic" }}>
+          There are no other plans to switch to.
+        </p>
+      ) : (
+        <form onSubmit={handleChangePlan} style={{ marginBottom: "1rem" }}>
+          <div style={{ marginBottom: "1rem" }}>
+            <label style={labelStyle}>New plan</label>
+            <select
+              value={productId}
+              onChange={(e) => setProductId(e.target.value)}
+              style={inputStyle}
+            >
+              {plans.map((plan) => (
+                <option key={plan.id} value={plan.id}>
+                  {plan.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div style={{ marginBottom: "1rem" }}>
+            <label style={labelStyle}>When</label>
+            <select
+              value={timing}
+              onChange={(e) =>
+                setTiming(e.target.value as PlanChangePreview["timing"])
+              }
+              style={inputStyle}
+            >
+              <option value="now">Now, with a prorated charge or credit</option>
+              <option value="period_end">At the end of this period</option>
+            </select>
+          </div>
+          <p
+            style={{
+              margin: "0 0 1rem 0",
+              color: "#374151",
+              fontSize: "0.875rem",
+            }}
+          >
+            {isPreviewing || !preview
+              ? "Working out the cost..."
+              : describePreview(preview)}
+          </p>
+          <button
+            type="submit"
+            disabled={isSubmitting || isPreviewing || !preview}
+            style={{
+              width: "100%",
+              padding: "0.75rem",
+              backgroundColor:
+                isSubmitting || isPreviewing || !preview
+                  ? "#9ca3af"
+                  : "#8b5cf6",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor:
+                isSubmitting || isPreviewing || !preview
+                  ? "not-allowed"
+                  : "pointer",
+              fontSize: "1rem",
+              fontWeight: "500",
+            }}
+          >
+            {isSubmitting ? "Changing..." : "Change Plan"}
+          </button>
+        </form>
+      )}
+
+      <button
+        type="button"
+        onClick={onClose}
+        style={{
+          width: "100%",
+          padding: "0.75rem 1.5rem",
+          backgroundColor: "#6b7280",
+          color: "white",
+          border: "none",
+          borderRadius: "6px",
+          cursor: "pointer",
+          fontSize: "1rem",
+        }}
+      >
+        Close
+      </button>
+    </div>
+  );
+};
+
+export default PlanChangeManager;
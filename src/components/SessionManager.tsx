@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from "react";
+import { apiHeaders } from "../utils/session";
+
+interface Session {
+  id: string;
+  domain: string;
+  device: string;
+  createdAt: number;
+  lastSeenAt: number;
+  expiresAt: number;
+  // The session this page is using
+  current: boolean;
+}
+
+interface SessionManagerProps {
+  domain: string;
+  // Called when the current session was revoked
+  onSignedOut: () => void;
+  onClose: () => void;
+}
+
+const SessionManager: React.FC<SessionManagerProps> = ({
+  domain,
+  onSignedOut,
+  onClose,
+}) => {
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    loadSessions();
+  }, [domain]);
+
+  const loadSessions = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch("/api/sessions", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({ domain }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        setSessions(result.sessions);
+      } else {
+        alert(`Failed to load sessions: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Failed to load sessions:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const revokeSessions = async (body: Record<string, unknown>) => {
+    setIsSubmitting(true);
+    try {
+      const response = await fetch("/api/sessions/revoke", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({ domain, ...body }),
+      });
+
+      const result = await response.json();
+      if (!result.success) {
+        alert(`Failed to sign out: ${result.error}`);
+      } else if (result.signedOut) {
+        onSignedOut();
+      } else {
+        setSessions(
+          sessions.filter((session) => session.id !== body.sessionId)
+        );
+      }
+    } catch (error) {
+      console.error("Error revoking sessions:", error);
+      alert("Failed to sign out");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevokeSession = (session: Session) => {
+    if (
+      !session.current ||
+      confirm("Sign out of this session? You will need to log in again.")
+    ) {
+      revokeSessions({ sessionId: session.id });
+    }
+  };
+
+  const handleSignOutEverywhere = () => {
+    if (confirm("Sign out of every session, including this one?")) {
+      revokeSessions({ all: true });
+    }
+  };
+
+  return (
+    <div>
+      <p style={{ margin: "0 0 1rem 0", color: "#374151" }}>
+        Everywhere you are logged in with this Google account. Sign out of any
+        session you don't recognise.
+      </p>
+
+      {isLoading ? (
+        <p style={{ color: "#6b7280" }}>Loading sessions...</p>
+      ) : sessions.length === 0 ? (
+        <p style={{ color: "#6b7280", fontStyle: "italic" }}>
+          No active sessions.
+        </p>
+      ) : (
+        <div style={{ display: "grid", gap: "0.5rem", marginBottom: "1rem" }}>
+          {sessions.map((session) => (
+            <div
+              key={session.id}
+              style={{
+                padding: "0.75rem",
+                border: session.current
+                  ? "1px solid #8b5cf6"
+                  : "1px solid #d1d5db",
+                borderRadius: "4px",
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                fontSize: "0.875rem",
+              }}
+            >
+              <div>
+                <strong>{session.device}</strong> - {session.domain}
+                {session.current && (
+                  <span style={{ color: "#8b5cf6" }}> (this session)</span>
+                )}
+                <br />
+                <span style={{ color: "#6b7280" }}>
+                  Last seen {new Date(session.lastSeenAt).toLocaleString()} •
+                  Signed in {new Date(session.createdAt).toLocaleDateString()}
+                </span>
+              </div>
+              <button
+                onClick={() => handleRevokeSession(session)}
+                disabled={isSubmitting}
+                style={{
+                  padding: "0.25rem 0.5rem",
+                  backgroundColor: "#ef4444",
+                  color: "white",
+                  border: "none",
+                  borderRadius: "4px",
+                  cursor: isSubmitting ? "not-allowed" : "pointer",
+                  fontSize: "0.75rem",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                Sign out
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: "0.5rem" }}>
+        <button
+          type="button"
+          onClick={handleSignOutEverywhere}
+          disabled={isSubmitting || sessions.length === 0}
+          style={{
+            flex: 1,
+            padding: "0.75rem 1.5rem",
+            backgroundColor:
+              isSubmitting || sessions.length === 0 ? "#9ca3af" : "#ef4444",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor:
+              isSubmitting || sessions.length === 0 ? "not-allowed" : "pointer",
+            fontSize: "1rem",
+            fontWeight: "500",
+          }}
+        >
+          Sign out everywhere
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          style={{
+            padding: "0.75rem 1.5rem",
+            backgroundColor: "#6b7280",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "1rem",
+          }}
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SessionManager;
@@ -6,7 +6,32 @@ import {
   useStripe,
   useElements,
 } from "@stripe/react-stripe-js";
-import { db, Product, Order, Subscription } from "../utils/indexedDB";
+import {
+  db,
+  Product,
+  Order,
+  Subscription,
+  CartItem,
+  BillingAddress,
+  OrderTax,
+  RenewalDunning,
+} from "../utils/indexedDB";
+import CouponManager from "./CouponManager";
+import TaxSettingsManager, { TaxSettings } from "./TaxSettingsManager";
+import InvoiceSettingsManager, {
+  InvoiceSettings,
+} from "./InvoiceSettingsManager";
+import ConnectPayoutsManager, {
+  startConnectOnboarding,
+} from "./ConnectPayoutsManager";
+import PlanChangeManager from "./PlanChangeManager";
+import {
+  SUPPORTED_CURRENCIES,
+  amountStep,
+  formatCurrency,
+} from "../utils/currency";
+import { useRequestId } from "../utils/requestId";
+import { apiHeaders } from "../utils/session";
 
 interface User {
   id: string;
@@ -15,6 +40,73 @@ interface User {
   domain: string;
 }
 
+// A card saved on the user's Stripe customer for this domain
+interface SavedCard {
+  id: string;
+  brand: string;
+  last4: string;
+  expMonth: number | null;
+  expYear: number | null;
+}
+
+const describeCard = (card: SavedCard) =>
+  `${card.brand.toUpperCase()} •••• ${card.last4}` +
+  (card.expMonth ? ` (${card.expMonth}/${card.expYear})` : "");
+
+// Server-computed result of /api/stripe/apply-coupon
+interface AppliedCoupon {
+  code: string;
+  originalAmount: number;
+  discount: number;
+  total: number;
+  currency: string;
+  duration: "once" | "repeating" | "forever";
+  durationInMonths: number | null;
+}
+
+// Server-computed result of /api/stripe/calculate-tax
+interface TaxQuote {
+  subtotal: number;
+  discount: number;
+  tax: OrderTax | null;
+  total: number;
+  currency: string;
+}
+
+// Per-domain store settings managed by domain admins
+interface DomainSettings {
+  checkoutMode: "elements" | "hosted";
+  adminEmails?: string[];
+  billingPortal?: Record<BillingPortalFeature, boolean>;
+  tax?: TaxSettings;
+  invoice?: InvoiceSettings;
+  applicationFeePercent?: number | null;
+  dunning?: {
+    gracePeriodDays: number;
+    afterGrace: DunningOutcome;
+  };
+}
+
+// What happens to a subscription once a failed renewal's grace period ends
+type DunningOutcome = "unpaid" | "cancel";
+
+const GRACE_PERIOD_DAYS = [0, 3, 7, 14, 21, 30];
+
+type BillingPortalFeature =
+  | "invoiceHistory"
+  | "paymentMethodUpdate"
+  | "subscriptionCancel"
+  | "subscriptionUpdate"
+  | "customerUpdate";
+
+const BILLING_PORTAL_FEATURES: [BillingPortalFeature, string][] = [
+  ["invoiceHistory", "Invoice history"],
+  ["paymentMethodUpdate", "Update payment method"],
+  ["subscriptionCancel", "Cancel subscriptions"],
+  ["subscriptionUpdate", "Switch plans"],
+  ["customerUpdate", "Edit email and billing address"],
+];
+
 interface StripeComponentProps {
   user: User | null;
   currentDomain: string;
@@ -36,22 +128,566 @@ const cardElementOptions = {
   },
 };
 
-// Payment form component (needs to be inside Elements provider)
-const PaymentForm: React.FC<{
+// Currencies a product can be bought in, default currency first
+const productCurrencies = (product: Product) => [
+  product.currency || "usd",
+  ...Object.keys(product.currencyOptions || {}),
+];
+
+const productPriceIn = (product: Product, currency: string) =>
+  currency === (product.currency || "usd")
+    ? product.price
+    : product.currencyOptions?.[currency] ?? product.price;
+
+// A product and how many of it are being bought
+interface CartLine {
   product: Product;
+  quantity: number;
+}
+
+// Currencies every line in a cart can be paid in
+const cartCurrencies = (lines: CartLine[]) =>
+  productCurrencies(lines[0].product).filter((code) =>
+    lines.every((line) => productCurrencies(line.product).includes(code))
+  );
+
+// Set while the buyer is away paying for their cart on hosted Checkout
+const CART_CHECKOUT_SESSION_KEY = "cartCheckoutSession";
+
+const describeLines = (lines: CartLine[]) =>
+  lines
+    .map((line) =>
+      line.quantity > 1
+        ? `${line.product.name} × ${line.quantity}`
+        : line.product.name
+    )
+    .join(", ");
+
+const cartTotal = (lines: CartLine[], currency: string) =>
+  lines.reduce(
+    (sum, line) => sum + productPriceIn(line.product, currency) * line.quantity,
+    0
+  );
+
+// Keep only filled-in extra currency prices, as numbers
+const parseCurrencyOptions = (options: Record<string, string>) => {
+  const parsed: Record<string, number> = {};
+  Object.entries(options).forEach(([currency, value]) => {
+    if (value !== "") {
+      parsed[currency] = parseFloat(value);
+    }
+  });
+  return parsed;
+};
+
+// Currency select plus optional prices in the other supported currencies
+const CurrencyPriceFields: React.FC<{
+  currency: string;
+  onCurrencyChange: (currency: string) => void;
+  options: Record<string, string>;
+  onOptionsChange: (options: Record<string, string>) => void;
+}> = ({ currency, onCurrencyChange, options, onOptionsChange }) => (
+  <>
+    <div style={{ marginBottom: "1rem" }}>
+      <label
+        style={{
+          display: "block",
+          marginBottom: "0.5rem",
+          color: "#374151",
+        }}
+      >
+        Currency
+      </label>
+      <select
+        value={currency}
+        onChange={(e) => onCurrencyChange(e.target.value)}
+        style={{
+          width: "100%",
+          padding: "0.75rem",
+          border: "1px solid #d1d5db",
+          borderRadius: "6px",
+          fontSize: "1rem",
+        }}
+      >
+        {SUPPORTED_CURRENCIES.map((code) => (
+          <option key={code} value={code}>
+            {code.toUpperCase()}
+          </option>
+        ))}
+      </select>
+    </div>
+    <div style={{ marginBottom: "1rem" }}>
+      <label
+        style={{
+          display: "block",
+          marginBottom: "0.5rem",
+          color: "#374151",
+        }}
+      >
+        Also sell in (optional)
+      </label>
+      <div style={{ display: "flex", gap: "0.5rem" }}>
+        {SUPPORTED_CURRENCIES.filter((code) => code !== currency).map(
+          (code) => (
+            <input
+              key={code}
+              type="number"
+              step={amountStep(code)}
+              min="0"
+              value={options[code] || ""}
+              onChange={(e) =>
+                onOptionsChange({ ...options, [code]: e.target.value })
+              }
+              style={{
+                flex: 1,
+                minWidth: 0,
+                padding: "0.75rem",
+                border: "1px solid #d1d5db",
+                borderRadius: "6px",
+                fontSize: "1rem",
+              }}
+              placeholder={code.toUpperCase()}
+            />
+          )
+        )}
+      </div>
+    </div>
+  </>
+);
+
+// Optional stock count and per-customer limit; blank means unlimited
+const InventoryFields: React.FC<{
+  stock: string;
+  onStockChange: (stock: string) => void;
+  purchaseLimit: string;
+  onPurchaseLimitChange: (purchaseLimit: string) => void;
+}> = ({ stock, onStockChange, purchaseLimit, onPurchaseLimitChange }) => (
+  <div style={{ display: "flex", gap: "0.5rem", marginBottom: "1.5rem" }}>
+    <div style={{ flex: 1 }}>
+      <label
+        style={{
+          display: "block",
+          marginBottom: "0.5rem",
+          color: "#374151",
+        }}
+      >
+        Stock (optional)
+      </label>
+      <input
+        type="number"
+        step="1"
+        min="0"
+        value={stock}
+        onChange={(e) => onStockChange(e.target.value)}
+        style={{
+          width: "100%",
+          padding: "0.75rem",
+          border: "1px solid #d1d5db",
+          borderRadius: "6px",
+          fontSize: "1rem",
+        }}
+        placeholder="Unlimited"
+      />
+    </div>
+    <div style={{ flex: 1 }}>
+      <label
+        style={{
+          display: "block",
+          marginBottom: "0.5rem",
+          color: "#374151",
+        }}
+      >
+        Limit per customer
+      </label>
+      <input
+        type="number"
+        step="1"
+        min="1"
+        value={purchaseLimit}
+        onChange={(e) => onPurchaseLimitChange(e.target.value)}
+        style={{
+          width: "100%",
+          padding: "0.75rem",
+          border: "1px solid #d1d5db",
+          borderRadius: "6px",
+          fontSize: "1rem",
+        }}
+        placeholder="Unlimited"
+      />
+    </div>
+  </div>
+);
+
+const parseLimit = (value: string) =>
+  value === "" ? null : parseInt(value, 10);
+
+// Stripe product tax code, asked for when the domain collects tax
+const TaxCodeField: React.FC<{
+  taxCode: string;
+  onTaxCodeChange: (taxCode: string) => void;
+}> = ({ taxCode, onTaxCodeChange }) => (
+  <div style={{ marginBottom: "1.5rem" }}>
+    <label
+      style={{
+        display: "block",
+        marginBottom: "0.5rem",
+        color: "#374151",
+      }}
+    >
+      Tax code (optional)
+    </label>
+    <input
+      type="text"
+      value={taxCode}
+      onChange={(e) => onTaxCodeChange(e.target.value)}
+      pattern="txcd_[0-9]{8}"
+      style={{
+        width: "100%",
+        padding: "0.75rem",
+        border: "1px solid #d1d5db",
+        borderRadius: "6px",
+        fontSize: "1rem",
+      }}
+      placeholder="e.g. txcd_10000000"
+    />
+  </div>
+);
+
+const emptyBillingAddress: BillingAddress = {
+  line1: "",
+  line2: "",
+  city: "",
+  state: "",
+  postalCode: "",
+  country: "",
+};
+
+// Enough of an address for the server to work out tax
+const isBillingAddressComplete = (address: BillingAddress) =>
+  !!address.line1.trim() &&
+  !!address.city.trim() &&
+  /^[A-Za-z]{2}$/.test(address.country.trim());
+
+const billingAddressInputStyle = {
+  padding: "0.5rem",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  fontSize: "0.875rem",
+  minWidth: 0,
+};
+
+const BillingAddressFields: React.FC<{
+  address: BillingAddress;
+  onChange: (address: BillingAddress) => void;
+  disabled: boolean;
+}> = ({ address, onChange, disabled }) => {
+  const field = (name: keyof BillingAddress, placeholder: string, flex = 1) => (
+    <input
+      type="text"
+      value={address[name]}
+      onChange={(e) => onChange({ ...address, [name]: e.target.value })}
+      disabled={disabled}
+      style={{ ...billingAddressInputStyle, flex }}
+      placeholder={placeholder}
+    />
+  );
+
+  return (
+    <div style={{ marginBottom: "1rem" }}>
+      <span
+        style={{
+          display: "block",
+          marginBottom: "0.5rem",
+          color: "#374151",
+          fontSize: "0.875rem",
+        }}
+      >
+        Billing address
+      </span>
+      <div style={{ display: "grid", gap: "0.5rem" }}>
+        <div style={{ display: "flex", gap: "0.5rem" }}>
+          {field("line1", "Street address", 2)}
+          {field("line2", "Apt, suite (optional)")}
+        </div>
+        <div style={{ display: "flex", gap: "0.5rem" }}>
+          {field("city", "City", 2)}
+          {field("state", "State")}
+        </div>
+        <div style={{ display: "flex", gap: "0.5rem" }}>
+          {field("postalCode", "Postal code")}
+          {field("country", "Country (US)")}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const isPurchasable = (product: Product) =>
+  !!product.priceId && product.price > 0 && product.available !== 0;
+
+// "/month" for fixed plans, " per request/month" for metered ones
+const planPriceSuffix = (plan: {
+  interval?: string | null;
+  usageType?: string | null;
+  unitLabel?: string | null;
+}) =>
+  (plan.usageType === "metered" ? ` per ${plan.unitLabel || "unit"}` : "") +
+  (plan.interval ? `/${plan.interval}` : "");
+
+const trialDaysLeft = (trialEnd: number) =>
+  Math.max(0, Math.ceil((trialEnd - Date.now()) / (24 * 60 * 60 * 1000)));
+
+// How a failed subscription renewal went, for the order history
+const renewalNote = (dunning: RenewalDunning) => {
+  if (dunning.recoveredAt) {
+    return `Renewal payment recovered on ${new Date(
+      dunning.recoveredAt
+    ).toLocaleDateString()}`;
+  }
+  if (dunning.revokedAt) {
+    return `Renewal unpaid, subscription ${
+      dunning.revokedAs === "canceled" ? "canceled" : "suspended"
+    } on ${new Date(dunning.revokedAt).toLocaleDateString()}`;
+  }
+  return `Renewal payment failed ${dunning.attempts} time(s)${
+    dunning.nextAttemptAt
+      ? `, retrying on ${new Date(dunning.nextAttemptAt).toLocaleDateString()}`
+      : ""
+  }`;
+};
+
+// A subscription whose first payment or card setup still has to be
+// confirmed on the client
+interface PendingSubscription {
+  subscription: Subscription;
+  clientSecret: string;
+  setup: boolean;
+}
+
+// Payment form component (needs to be inside Elements provider). Pays for
+// one subscription, or any number of one-time products in one payment.
+const PaymentForm: React.FC<{
+  lines: CartLine[];
   user: User;
+  checkoutMode: DomainSettings["checkoutMode"];
+  tax?: TaxSettings;
   onPaymentSuccess: (order: Order) => void;
   onSubscriptionSuccess: (subscription: Subscription) => void;
   onCancel: () => void;
-}> = ({ product, user, onPaymentSuccess, onSubscriptionSuccess, onCancel }) => {
+  // Called just before leaving for hosted Checkout
+  onCheckoutRedirect?: (sessionId: string) => void;
+}> = ({
+  lines,
+  user,
+  checkoutMode,
+  tax,
+  onPaymentSuccess,
+  onSubscriptionSuccess,
+  onCancel,
+  onCheckoutRedirect,
+}) => {
   const stripe = useStripe();
   const elements = useElements();
   const [processing, setProcessing] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  // Paying again after an error retries the same purchase; each new
+  // checkout opens a fresh form
+  const [requestId] = useRequestId();
+  // Subscriptions are always bought on their own
+  const product = lines[0].product;
+  const isCart = lines.length > 1 || lines[0].quantity > 1;
+  const requestItems = lines.map((line) => ({
+    productId: line.product.id,
+    quantity: line.quantity,
+  }));
+  const currencies = cartCurrencies(lines);
+  const [currency, setCurrency] = useState(currencies[0]);
+  const [promotionCodeInput, setPromotionCodeInput] = useState("");
+  const [appliedCoupon, setAppliedCoupon] = useState<AppliedCoupon | null>(
+    null
+  );
+  const [savedCards, setSavedCards] = useState<SavedCard[]>([]);
+  // Empty means "use a new card"
+  const [selectedCardId, setSelectedCardId] = useState("");
+  const [saveCard, setSaveCard] = useState(false);
+  // Hosted Checkout asks for the address and adds tax on Stripe's page
+  const collectsTax = !!tax?.enabled && checkoutMode !== "hosted";
+  const [billingAddress, setBillingAddress] =
+    useState<BillingAddress>(emptyBillingAddress);
+  const [taxQuote, setTaxQuote] = useState<TaxQuote | null>(null);
+  // Kept after a failed confirmation so a retry finishes the same
+  // subscription rather than starting another
+  const [pendingSubscription, setPendingSubscription] =
+    useState<PendingSubscription | null>(null);
+  // Trials without a card skip the card field, unless the buyer has had
+  // the trial before and pays from the start
+  const offersCardlessTrial =
+    product.type === "subscription" &&
+    !!product.trialDays &&
+    product.trialRequiresCard === false;
+  const asksForCard = !offersCardlessTrial || !!pendingSubscription;
+  const amount = cartTotal(lines, currency);
+  const totalDue = taxQuote
+    ? taxQuote.total
+    : appliedCoupon
+    ? appliedCoupon.total
+    : amount;
+
+  useEffect(() => {
+    if (checkoutMode === "hosted") return;
+
+    const loadSavedCards = async () => {
+      try {
+        const response = await fetch("/api/stripe/payment-methods", {
+          method: "POST",
+          headers: apiHeaders(),
+          body: JSON.stringify({ domain: user.domain }),
+        });
+
+        const result = await response.json();
+        if (result.success && result.paymentMethods.length > 0) {
+          setSavedCards(result.paymentMethods);
+          setSelectedCardId(result.paymentMethods[0].id);
+        }
+      } catch (err) {
+        console.error("Failed to load saved cards:", err);
+      }
+    };
+
+    loadSavedCards();
+  }, [checkoutMode, user.domain]);
+
+  // Tax depends on the address, currency and discount; quote it again once
+  // the buyer stops typing
+  useEffect(() => {
+    setTaxQuote(null);
+    if (!collectsTax || !isBillingAddressComplete(billingAddress)) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch("/api/stripe/calculate-tax", {
+          method: "POST",
+          headers: apiHeaders(),
+          body: JSON.stringify({
+            domain: user.domain,
+            ...(product.type === "subscription"
+              ? { productId: product.id }
+              : { items: requestItems }),
+            currency,
+            promotionCode: appliedCoupon?.code,
+            billingAddress,
+          }),
+        });
+
+        const result = await response.json();
+        if (cancelled) return;
+        if (result.success) {
+          setError(null);
+          setTaxQuote(result);
+        } else {
+          setError(result.error);
+        }
+      } catch (err) {
+        console.error("Failed to calculate tax:", err);
+      }
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [collectsTax, currency, appliedCoupon?.code, billingAddress]);
+
+  // A saved card is passed by ID; a new one comes from the card element
+  const paymentMethodFor = (cardElement: any) =>
+    selectedCardId || {
+      card: cardElement,
+      billing_details: {
+        name: user.name,
+        email: user.email,
+        ...(collectsTax && {
+          address: {
+            line1: billingAddress.line1,
+            line2: billingAddress.line2,
+            city: billingAddress.city,
+            state: billingAddress.state,
+            postal_code: billingAddress.postalCode,
+            country: billingAddress.country.toUpperCase(),
+          },
+        }),
+      },
+    };
+
+  // Pays the first invoice, or saves the card for later invoices when
+  // nothing is due yet (a trial or a metered plan)
+  const confirmSubscription = async (pending: PendingSubscription) => {
+    const cardElement = elements!.getElement(CardElement);
+    const paymentMethod = paymentMethodFor(cardElement);
+    const { error: confirmError } = pending.setup
+      ? await stripe!.confirmCardSetup(pending.clientSecret, {
+          payment_method: paymentMethod,
+        })
+      : await stripe!.confirmCardPayment(pending.clientSecret, {
+          payment_method: paymentMethod,
+        });
+
+    if (confirmError) {
+      setPendingSubscription(pending);
+      setError(confirmError.message || "Subscription setup failed");
+      return;
+    }
+
+    const status = pending.setup ? pending.subscription.status : "active";
+    await db.updateSubscriptionStatus(pending.subscription.id, status);
+    setPendingSubscription(null);
+    onSubscriptionSuccess({ ...pending.subscription, status });
+  };
+
+  // Discounts depend on the currency, so re-check the code after a switch
+  const handleCurrencyChange = (nextCurrency: string) => {
+    setCurrency(nextCurrency);
+    setAppliedCoupon(null);
+  };
+
+  const handleApplyCoupon = async () => {
+    if (!promotionCodeInput.trim()) return;
+
+    setError(null);
+    try {
+      const response = await fetch("/api/stripe/apply-coupon", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: user.domain,
+          code: promotionCodeInput.trim(),
+          ...(product.type === "subscription"
+            ? { productId: product.id }
+            : { items: requestItems }),
+          currency,
+        }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        setAppliedCoupon(result);
+      } else {
+        setAppliedCoupon(null);
+        setError(result.error);
+      }
+    } catch (err: any) {
+      setError(err.message || "Failed to apply code");
+    }
+  };
 
   const handleSubmit = async (event: React.FormEvent) => {
     event.preventDefault();
 
+    if (checkoutMode === "hosted") {
+      await redirectToCheckout();
+      return;
+    }
+
     if (!stripe || !elements) {
       return;
     }
@@ -60,22 +696,24 @@ const PaymentForm: React.FC<{
     setError(null);
 
     try {
-      const token = localStorage.getItem("authToken");
-
-      if (product.type === "subscription") {
+      if (product.type === "subscription" && pendingSubscription) {
+        await confirmSubscription(pendingSubscription);
+      } else if (product.type === "subscription") {
         // Handle subscription
         const subscriptionResponse = await fetch(
           "/api/stripe/create-subscription-intent",
           {
             method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-            },
+            headers: apiHeaders(),
             body: JSON.stringify({
-              token,
               domain: user.domain,
               priceId: product.priceId,
               productId: product.id,
+              currency,
+              promotionCode: appliedCoupon?.code,
+              paymentMethodId: selectedCardId || undefined,
+              ...(collectsTax && { billingAddress }),
+              requestId: requestId(),
             }),
           }
         );
@@ -86,47 +724,56 @@ const PaymentForm: React.FC<{
           throw new Error(subscriptionResult.error);
         }
 
-        // Create subscription in IndexedDB
+        // Create subscription in IndexedDB. A trial's first period ends
+        // with the trial.
         const subscription: Subscription = {
           id: subscriptionResult.subscriptionId,
-          status: "incomplete",
+          status: subscriptionResult.status,
           productName: product.name,
           productId: product.id,
-          price: product.price,
+          price: amount,
+          currency,
           interval: product.interval!,
           currentPeriodStart: Date.now(),
           currentPeriodEnd:
+            subscriptionResult.trialEnd ||
             Date.now() +
-            (product.interval === "month" ? 30 : 365) * 24 * 60 * 60 * 1000,
+              (product.interval === "month" ? 30 : 365) * 24 * 60 * 60 * 1000,
+          trialEnd: subscriptionResult.trialEnd,
+          usageType: subscriptionResult.usageType,
           created: Date.now(),
           domain: user.domain,
         };
 
         await db.saveSubscription(subscription);
 
-        // Confirm subscription payment with card
-        const cardElement = elements.getElement(CardElement);
-        const { error: confirmError, paymentIntent } =
-          await stripe.confirmCardPayment(subscriptionResult.clientSecret, {
-            payment_method: {
-              card: cardElement!,
-              billing_details: {
-                name: user.name,
-                email: user.email,
-              },
-            },
-          });
-
-        if (confirmError) {
-          setError(confirmError.message || "Subscription setup failed");
-          await db.updateSubscriptionStatus(subscription.id, "incomplete");
-        } else if (paymentIntent?.status === "succeeded") {
-          await db.updateSubscriptionStatus(subscription.id, "active");
-          const updatedSubscription = {
-            ...subscription,
-            status: "active" as const,
+        if (subscriptionResult.clientSecret) {
+          const pending = {
+            subscription,
+            clientSecret: subscriptionResult.clientSecret,
+            setup: false,
           };
-          onSubscriptionSuccess(updatedSubscription);
+          if (!asksForCard) {
+            setPendingSubscription(pending);
+            setError(
+              "You have already had the free trial. Enter a card to subscribe."
+            );
+            return;
+          }
+          await confirmSubscription(pending);
+        } else if (
+          subscriptionResult.setupClientSecret &&
+          subscriptionResult.cardRequired
+        ) {
+          await confirmSubscription({
+            subscription,
+            clientSecret: subscriptionResult.setupClientSecret,
+            setup: true,
+          });
+        } else {
+          // Nothing to confirm: a trial without a card, a saved card, or a
+          // code that covers the first invoice
+          onSubscriptionSuccess(subscription);
         }
       } else {
         // Handle one-time payment
@@ -134,14 +781,16 @@ const PaymentForm: React.FC<{
           "/api/stripe/create-payment-intent",
           {
             method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-            },
+            headers: apiHeaders(),
             body: JSON.stringify({
-              token,
               domain: user.domain,
-              priceId: product.priceId,
-              productId: product.id,
+              items: requestItems,
+              currency,
+              promotionCode: appliedCoupon?.code,
+              paymentMethodId: selectedCardId || undefined,
+              saveCard: !selectedCardId && saveCard,
+              ...(collectsTax && { billingAddress }),
+              requestId: requestId(),
             }),
           }
         );
@@ -156,14 +805,23 @@ const PaymentForm: React.FC<{
         const order: Order = {
           id: paymentIntentResult.paymentIntentId,
           productId: product.id,
-          productName: product.name,
-          amount: product.price,
-          currency: "usd",
+          productName: describeLines(lines),
+          lineItems: paymentIntentResult.lineItems,
+          amount: paymentIntentResult.amount,
+          currency: paymentIntentResult.currency,
           domain: user.domain,
           customerEmail: user.email,
           status: "pending",
           paymentIntentId: paymentIntentResult.paymentIntentId,
           created: Date.now(),
+          ...(appliedCoupon && {
+            promotionCode: appliedCoupon.code,
+            discount: paymentIntentResult.discount,
+          }),
+          ...(paymentIntentResult.tax && {
+            tax: paymentIntentResult.tax,
+            billingAddress,
+          }),
         };
 
         await db.saveOrder(order);
@@ -172,13 +830,7 @@ const PaymentForm: React.FC<{
         const cardElement = elements.getElement(CardElement);
         const { error: confirmError, paymentIntent } =
           await stripe.confirmCardPayment(paymentIntentResult.clientSecret, {
-            payment_method: {
-              card: cardElement!,
-              billing_details: {
-                name: user.name,
-                email: user.email,
-              },
-            },
+            payment_method: paymentMethodFor(cardElement),
           });
 
         if (confirmError) {
@@ -197,15 +849,78 @@ const PaymentForm: React.FC<{
     }
   };
 
+  // Hosted Checkout: Stripe collects the payment and sends the buyer back
+  // with ?checkout=success, where the order is picked up
+  const redirectToCheckout = async () => {
+    setProcessing(true);
+    setError(null);
+
+    try {
+      const response = await fetch("/api/stripe/create-checkout-session", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: user.domain,
+          ...(product.type === "subscription"
+            ? { productId: product.id }
+            : { items: requestItems }),
+          currency,
+          promotionCode: appliedCoupon?.code,
+          requestId: requestId(),
+        }),
+      });
+
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      onCheckoutRedirect?.(result.sessionId);
+      window.location.href = result.url;
+    } catch (err: any) {
+      setError(err.message || "An error occurred");
+      setProcessing(false);
+    }
+  };
+
   return (
     <form onSubmit={handleSubmit} style={{ width: "100%" }}>
       <div style={{ marginBottom: "1rem" }}>
-        <h4 style={{ margin: "0 0 0.5rem 0", color: "#1f2937" }}>
-          Purchase: {product.name}
-        </h4>
-        <p style={{ margin: "0 0 1rem 0", color: "#6b7280" }}>
-          {product.description}
-        </p>
+        {isCart ? (
+          <>
+            <h4 style={{ margin: "0 0 0.5rem 0", color: "#1f2937" }}>
+              Purchase: {lines.length} product(s)
+            </h4>
+            <ul
+              style={{
+                margin: "0 0 1rem 0",
+                paddingLeft: "1.25rem",
+                color: "#6b7280",
+                fontSize: "0.875rem",
+              }}
+            >
+              {lines.map((line) => (
+                <li key={line.product.id}>
+                  {line.product.name} × {line.quantity} —{" "}
+                  {formatCurrency(
+                    productPriceIn(line.product, currency) * line.quantity,
+                    currency
+                  )}
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <>
+            <h4 style={{ margin: "0 0 0.5rem 0", color: "#1f2937" }}>
+              Purchase: {product.name}
+            </h4>
+            <p style={{ margin: "0 0 1rem 0", color: "#6b7280" }}>
+              {product.description}
+            </p>
+          </>
+        )}
         <p
           style={{
             margin: "0 0 1rem 0",
@@ -213,73 +928,443 @@ const PaymentForm: React.FC<{
             fontWeight: "bold",
           }}
         >
-          ${product.price.toFixed(2)}
+          {formatCurrency(amount, currency)}
+          {!isCart && planPriceSuffix(product)}
         </p>
+        {product.type === "subscription" && !!product.trialDays && (
+          <p
+            style={{
+              margin: "0 0 1rem 0",
+              color: "#065f46",
+              fontSize: "0.875rem",
+            }}
+          >
+            Free for the first {product.trialDays} days if you haven't had the
+            trial before.
+          </p>
+        )}
+        {currencies.length > 1 && (
+          <select
+            value={currency}
+            onChange={(e) => handleCurrencyChange(e.target.value)}
+            disabled={processing}
+            style={{
+              padding: "0.5rem",
+              border: "1px solid #d1d5db",
+              borderRadius: "6px",
+              fontSize: "0.875rem",
+            }}
+          >
+            {currencies.map((code) => (
+              <option key={code} value={code}>
+                Pay in {code.toUpperCase()}
+              </option>
+            ))}
+          </select>
+        )}
       </div>
 
-      <div
-        style={{
-          padding: "0.75rem",
-          border: "1px solid #d1d5db",
-          borderRadius: "6px",
-          marginBottom: "1rem",
-        }}
-      >
-        <CardElement options={cardElementOptions} />
-      </div>
-
-      {error && (
-        <div
-          style={{
-            color: "#dc2626",
-            backgroundColor: "#fee2e2",
-            padding: "0.75rem",
-            borderRadius: "6px",
-            marginBottom: "1rem",
-            fontSize: "0.875rem",
-          }}
-        >
-          {error}
-        </div>
-      )}
-
-      <div style={{ display: "flex", gap: "1rem" }}>
-        <button
-          type="submit"
-          disabled={!stripe || processing}
+      <div style={{ display: "flex", gap: "0.5rem", marginBottom: "1rem" }}>
+        <input
+          type="text"
+          value={promotionCodeInput}
+          onChange={(e) => setPromotionCodeInput(e.target.value)}
+          disabled={processing}
           style={{
             flex: 1,
-            padding: "0.75rem",
-            backgroundColor: processing ? "#9ca3af" : "#10b981",
-            color: "white",
-            border: "none",
+            padding: "0.5rem",
+            border: "1px solid #d1d5db",
             borderRadius: "6px",
-            cursor: processing ? "not-allowed" : "pointer",
-            fontSize: "1rem",
-            fontWeight: "500",
+            fontSize: "0.875rem",
           }}
-        >
-          {processing ? "Processing..." : `Pay $${product.price.toFixed(2)}`}
-        </button>
+          placeholder="Promo code"
+        />
         <button
           type="button"
-          onClick={onCancel}
+          onClick={handleApplyCoupon}
+          disabled={processing || !promotionCodeInput.trim()}
           style={{
-            padding: "0.75rem 1.5rem",
-            backgroundColor: "#6b7280",
+            padding: "0.5rem 1rem",
+            backgroundColor: "#8b5cf6",
             color: "white",
             border: "none",
             borderRadius: "6px",
             cursor: "pointer",
-            fontSize: "1rem",
+            fontSize: "0.875rem",
           }}
         >
-          Cancel
+          Apply
         </button>
       </div>
-    </form>
-  );
-};
+
+      {appliedCoupon && (
+        <div
+          style={{
+            color: "#065f46",
+            backgroundColor: "#d1fae5",
+            padding: "0.75rem",
+            borderRadius: "6px",
+            marginBottom: "1rem",
+            fontSize: "0.875rem",
+          }}
+        >
+          {appliedCoupon.code}: -
+          {formatCurrency(appliedCoupon.discount, appliedCoupon.currency)}
+          {product.type === "subscription" &&
+            (appliedCoupon.duration === "once"
+              ? " on the first payment"
+              : appliedCoupon.duration === "repeating"
+              ? ` for ${appliedCoupon.durationInMonths} months`
+              : " on every payment")}
+          <br />
+          <strong>
+            Total: {formatCurrency(appliedCoupon.total, appliedCoupon.currency)}
+          </strong>
+          <button
+            type="button"
+            onClick={() => setAppliedCoupon(null)}
+            style={{
+              marginLeft: "0.5rem",
+              background: "none",
+              border: "none",
+              color: "#065f46",
+              cursor: "pointer",
+              textDecoration: "underline",
+              fontSize: "0.75rem",
+            }}
+          >
+            Remove
+          </button>
+        </div>
+      )}
+
+      {collectsTax && (
+        <>
+          <BillingAddressFields
+            address={billingAddress}
+            onChange={setBillingAddress}
+            disabled={processing}
+          />
+          {taxQuote ? (
+            <div
+              style={{
+                backgroundColor: "#f3f4f6",
+                padding: "0.75rem",
+                borderRadius: "6px",
+                marginBottom: "1rem",
+                fontSize: "0.875rem",
+                color: "#374151",
+              }}
+            >
+              {taxQuote.tax && taxQuote.tax.breakdown.length > 0 ? (
+                taxQuote.tax.breakdown.map((line, index) => (
+                  <div key={index}>
+                    {line.name} {line.percentage}%
+                    {taxQuote.tax!.inclusive ? " (included)" : ""}:{" "}
+                    {formatCurrency(line.amount, taxQuote.currency)}
+                  </div>
+                ))
+              ) : (
+                <div>No tax applies to this address</div>
+              )}
+              <strong>
+                Total: {formatCurrency(taxQuote.total, taxQuote.currency)}
+              </strong>
+            </div>
+          ) : (
+            <p
+              style={{
+                margin: "0 0 1rem 0",
+                color: "#6b7280",
+                fontSize: "0.875rem",
+              }}
+            >
+              Enter your billing address to see the tax and total.
+            </p>
+          )}
+        </>
+      )}
+
+      {checkoutMode === "hosted" ? (
+        <p
+          style={{
+            margin: "0 0 1rem 0",
+            color: "#6b7280",
+            fontSize: "0.875rem",
+          }}
+        >
+          You will be redirected to Stripe to complete your purchase.
+          {tax?.enabled &&
+            " Tax is added there once you enter your billing address."}
+        </p>
+      ) : !asksForCard ? (
+        <p
+          style={{
+            margin: "0 0 1rem 0",
+            color: "#6b7280",
+            fontSize: "0.875rem",
+          }}
+        >
+          No card is needed to start the trial. Add one under "Manage billing"
+          before it ends to keep your subscription.
+        </p>
+      ) : (
+        <>
+          {savedCards.length > 0 && (
+            <div style={{ marginBottom: "1rem", fontSize: "0.875rem" }}>
+              {savedCards.map((card) => (
+                <label
+                  key={card.id}
+                  style={{ display: "block", marginBottom: "0.25rem" }}
+                >
+                  <input
+                    type="radio"
+                    checked={selectedCardId === card.id}
+                    onChange={() => setSelectedCardId(card.id)}
+                    disabled={processing}
+                    style={{ marginRight: "0.5rem" }}
+                  />
+                  Pay with {describeCard(card)}
+                </label>
+              ))}
+              <label style={{ display: "block" }}>
+                <input
+                  type="radio"
+                  checked={selectedCardId === ""}
+                  onChange={() => setSelectedCardId("")}
+                  disabled={processing}
+                  style={{ marginRight: "0.5rem" }}
+                />
+                Use a new card
+              </label>
+            </div>
+          )}
+          {selectedCardId === "" && (
+            <>
+              <div
+                style={{
+                  padding: "0.75rem",
+                  border: "1px solid #d1d5db",
+                  borderRadius: "6px",
+                  marginBottom: "1rem",
+                }}
+              >
+                <CardElement options={cardElementOptions} />
+              </div>
+              {product.type !== "subscription" && (
+                <label
+                  style={{
+                    display: "block",
+                    marginBottom: "1rem",
+                    fontSize: "0.875rem",
+                    color: "#374151",
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={saveCard}
+                    onChange={(e) => setSaveCard(e.target.checked)}
+                    disabled={processing}
+                    style={{ marginRight: "0.5rem" }}
+                  />
+                  Save this card for next time
+                </label>
+              )}
+            </>
+          )}
+        </>
+      )}
+
+      {error && (
+        <div
+          style={{
+            color: "#dc2626",
+            backgroundColor: "#fee2e2",
+            padding: "0.75rem",
+            borderRadius: "6px",
+            marginBottom: "1rem",
+            fontSize: "0.875rem",
+          }}
+        >
+          {error}
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: "1rem" }}>
+        <button
+          type="submit"
+          disabled={
+            (checkoutMode !== "hosted" && !stripe) ||
+            (collectsTax && !taxQuote) ||
+            processing
+          }
+          style={{
+            flex: 1,
+            padding: "0.75rem",
+            backgroundColor: processing ? "#9ca3af" : "#10b981",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: processing ? "not-allowed" : "pointer",
+            fontSize: "1rem",
+            fontWeight: "500",
+          }}
+        >
+          {processing
+            ? "Processing..."
+            : checkoutMode === "hosted"
+            ? "Continue to checkout"
+            : product.trialDays && !pendingSubscription
+            ? `Start ${product.trialDays}-day free trial`
+            : product.usageType === "metered"
+            ? "Subscribe"
+            : `Pay ${formatCurrency(totalDue, currency)}`}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          style={{
+            padding: "0.75rem 1.5rem",
+            backgroundColor: "#6b7280",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "1rem",
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Save a card for later via a SetupIntent
+const AddCardForm: React.FC<{
+  user: User;
+  onCardAdded: () => void;
+  onCancel: () => void;
+}> = ({ user, onCardAdded, onCancel }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+
+    if (!stripe || !elements) {
+      return;
+    }
+
+    setProcessing(true);
+    setError(null);
+
+    try {
+      const response = await fetch("/api/stripe/create-setup-intent", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({ domain: user.domain }),
+      });
+
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const cardElement = elements.getElement(CardElement);
+      const { error: confirmError } = await stripe.confirmCardSetup(
+        result.clientSecret,
+        {
+          payment_method: {
+            card: cardElement!,
+            billing_details: {
+              name: user.name,
+              email: user.email,
+            },
+          },
+        }
+      );
+
+      if (confirmError) {
+        setError(confirmError.message || "Failed to save card");
+      } else {
+        onCardAdded();
+      }
+    } catch (err: any) {
+      setError(err.message || "An error occurred");
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ width: "100%" }}>
+      <div
+        style={{
+          padding: "0.75rem",
+          border: "1px solid #d1d5db",
+          borderRadius: "6px",
+          marginBottom: "1rem",
+        }}
+      >
+        <CardElement options={cardElementOptions} />
+      </div>
+
+      {error && (
+        <div
+          style={{
+            color: "#dc2626",
+            backgroundColor: "#fee2e2",
+            padding: "0.75rem",
+            borderRadius: "6px",
+            marginBottom: "1rem",
+            fontSize: "0.875rem",
+          }}
+        >
+          {error}
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: "1rem" }}>
+        <button
+          type="submit"
+          disabled={!stripe || processing}
+          style={{
+            flex: 1,
+            padding: "0.75rem",
+            backgroundColor: processing ? "#9ca3af" : "#10b981",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: processing ? "not-allowed" : "pointer",
+            fontSize: "1rem",
+            fontWeight: "500",
+          }}
+        >
+          {processing ? "Saving..." : "Save Card"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          style={{
+            padding: "0.75rem 1.5rem",
+            backgroundColor: "#6b7280",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "1rem",
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
 
 // Main Stripe component
 const StripeComponent: React.FC<StripeComponentProps> = ({
@@ -294,13 +1379,39 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
   const [showCreateSubscriptionForm, setShowCreateSubscriptionForm] =
     useState(false);
   const [showPaymentForm, setShowPaymentForm] = useState(false);
-  const [selectedProduct, setSelectedProduct] = useState<Product | null>(null);
+  const [checkoutLines, setCheckoutLines] = useState<CartLine[] | null>(null);
+  const [checkoutFromCart, setCheckoutFromCart] = useState(false);
+  const [cartItems, setCartItems] = useState<CartItem[]>([]);
+  const [editingProduct, setEditingProduct] = useState<Product | null>(null);
   const [loading, setLoading] = useState(false);
+  const [domainSettings, setDomainSettings] = useState<DomainSettings>({
+    checkoutMode: "elements",
+  });
+  const [isDomainAdmin, setIsDomainAdmin] = useState(false);
+  const [showCouponManager, setShowCouponManager] = useState(false);
+  const [showTaxSettings, setShowTaxSettings] = useState(false);
+  const [showInvoiceSettings, setShowInvoiceSettings] = useState(false);
+  const [showConnectPayouts, setShowConnectPayouts] = useState(false);
+  const [changingSubscription, setChangingSubscription] =
+    useState<Subscription | null>(null);
+  const [downloadingInvoiceId, setDownloadingInvoiceId] = useState<
+    string | null
+  >(null);
+  const [isOpeningPortal, setIsOpeningPortal] = useState(false);
+  const [savedCards, setSavedCards] = useState<SavedCard[]>([]);
+  const [showAddCardForm, setShowAddCardForm] = useState(false);
 
   // Form states
   const [productName, setProductName] = useState("");
   const [productDescription, setProductDescription] = useState("");
   const [productPrice, setProductPrice] = useState("");
+  const [productCurrency, setProductCurrency] = useState("usd");
+  const [productCurrencyOptions, setProductCurrencyOptions] = useState<
+    Record<string, string>
+  >({});
+  const [productStock, setProductStock] = useState("");
+  const [productPurchaseLimit, setProductPurchaseLimit] = useState("");
+  const [productTaxCode, setProductTaxCode] = useState("");
 
   // Subscription form states
   const [subscriptionName, setSubscriptionName] = useState("");
@@ -309,6 +1420,50 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
   const [subscriptionInterval, setSubscriptionInterval] = useState<
     "month" | "year"
   >("month");
+  const [subscriptionCurrency, setSubscriptionCurrency] = useState("usd");
+  const [subscriptionCurrencyOptions, setSubscriptionCurrencyOptions] =
+    useState<Record<string, string>>({});
+  const [subscriptionTaxCode, setSubscriptionTaxCode] = useState("");
+  const [subscriptionUsageType, setSubscriptionUsageType] = useState<
+    "licensed" | "metered"
+  >("licensed");
+  const [subscriptionUnitLabel, setSubscriptionUnitLabel] = useState("");
+  const [subscriptionTrialDays, setSubscriptionTrialDays] = useState("");
+  const [subscriptionTrialRequiresCard, setSubscriptionTrialRequiresCard] =
+    useState(true);
+
+  // Edit product form states
+  const [editName, setEditName] = useState("");
+  const [editDescription, setEditDescription] = useState("");
+  const [editPrice, setEditPrice] = useState("");
+  const [editCurrency, setEditCurrency] = useState("usd");
+  const [editCurrencyOptions, setEditCurrencyOptions] = useState<
+    Record<string, string>
+  >({});
+  const [editStock, setEditStock] = useState("");
+  const [editPurchaseLimit, setEditPurchaseLimit] = useState("");
+  const [editTaxCode, setEditTaxCode] = useState("");
+
+  // Refund form states
+  const [refundingOrder, setRefundingOrder] = useState<Order | null>(null);
+  const [refundAmount, setRefundAmount] = useState("");
+  const [refundReason, setRefundReason] = useState("requested_by_customer");
+  const [refundNote, setRefundNote] = useState("");
+
+  // Kept across retries of a failed create or refund
+  const [productRequestId, renewProductRequestId] = useRequestId();
+  const [subscriptionRequestId, renewSubscriptionRequestId] = useRequestId();
+  const [refundRequestId, renewRefundRequestId] = useRequestId();
+
+  const storefrontProducts = products.filter((product) => !product.archived);
+
+  // Cart items whose product is still known locally
+  const cartLines: CartLine[] = cartItems.flatMap((item) => {
+    const product = products.find((p) => p.id === item.productId);
+    return product ? [{ product, quantity: item.quantity }] : [];
+  });
+  const cartCurrency =
+    cartLines.length > 0 ? cartCurrencies(cartLines)[0] : null;
 
   useEffect(() => {
     // Load Stripe publishable key
@@ -332,106 +1487,347 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
       loadProducts();
       loadOrders();
       loadSubscriptions();
+      loadDomainSettings();
+      loadSavedCards();
+      loadCart();
+      handleCheckoutReturn();
+      handleConnectReturn();
     }
   }, [user, currentDomain]);
 
-  const loadProducts = async () => {
+  const loadSavedCards = async () => {
     try {
-      // Load from IndexedDB first
-      const localProducts = await db.getProducts(currentDomain);
-      setProducts(localProducts);
-
-      // Also fetch from server to sync
-      const token = localStorage.getItem("authToken");
-      const response = await fetch("/api/stripe/products", {
+      const response = await fetch("/api/stripe/payment-methods", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
+        headers: apiHeaders(),
         body: JSON.stringify({
-          token,
           domain: currentDomain,
         }),
       });
 
       const result = await response.json();
       if (result.success) {
-        // Update IndexedDB with server data
-        for (const product of result.products) {
-          await db.saveProduct(product);
-        }
-        setProducts(result.products);
+        setSavedCards(result.paymentMethods);
       }
     } catch (error) {
-      console.error("Failed to load products:", error);
+      console.error("Failed to load saved cards:", error);
     }
   };
 
-  const loadOrders = async () => {
-    try {
-      const localOrders = await db.getOrders(currentDomain);
-      setOrders(localOrders);
-    } catch (error) {
-      console.error("Failed to load orders:", error);
+  const handleRemoveCard = async (card: SavedCard) => {
+    if (!confirm(`Remove ${describeCard(card)}?`)) {
+      return;
     }
-  };
 
-  const loadSubscriptions = async () => {
     try {
-      // Load from IndexedDB first
-      const localSubscriptions = await db.getSubscriptions(currentDomain);
-      setSubscriptions(localSubscriptions);
-
-      // Also fetch from server to sync
-      const token = localStorage.getItem("authToken");
-      const response = await fetch("/api/stripe/subscriptions", {
+      const response = await fetch("/api/stripe/remove-payment-method", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
+        headers: apiHeaders(),
         body: JSON.stringify({
-          token,
           domain: currentDomain,
+          paymentMethodId: card.id,
         }),
       });
 
       const result = await response.json();
       if (result.success) {
-        // Update IndexedDB with server data
-        for (const subscription of result.subscriptions) {
-          await db.saveSubscription(subscription);
-        }
-        setSubscriptions(result.subscriptions);
+        setSavedCards(savedCards.filter((existing) => existing.id !== card.id));
+      } else {
+        alert(`Failed to remove card: ${result.error}`);
       }
     } catch (error) {
-      console.error("Failed to load subscriptions:", error);
+      console.error("Error removing card:", error);
+      alert("Failed to remove card");
     }
   };
 
-  const handleCreateProduct = async (e: React.FormEvent) => {
-    e.preventDefault();
-    if (!user) return;
+  const handleCardAdded = () => {
+    setShowAddCardForm(false);
+    loadSavedCards();
+  };
 
-    setLoading(true);
+  const loadDomainSettings = async () => {
     try {
-      const token = localStorage.getItem("authToken");
-      const response = await fetch("/api/stripe/create-product", {
+      const response = await fetch("/api/settings", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
+        headers: apiHeaders(),
         body: JSON.stringify({
-          token,
           domain: currentDomain,
-          name: productName,
-          description: productDescription,
-          price: parseFloat(productPrice),
         }),
       });
 
       const result = await response.json();
       if (result.success) {
-        // Save to IndexedDB
+        setDomainSettings(result.settings);
+        setIsDomainAdmin(result.isAdmin);
+      }
+    } catch (error) {
+      console.error("Failed to load domain settings:", error);
+    }
+  };
+
+  const handleDomainSettingsChange = async (
+    settings: Partial<DomainSettings>
+  ) => {
+    try {
+      const response = await fetch("/api/settings/update", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: currentDomain,
+          settings,
+        }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        setDomainSettings(result.settings);
+      } else {
+        alert(`Failed to update settings: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error updating domain settings:", error);
+      alert("Failed to update settings");
+    }
+  };
+
+  // Hand the customer over to Stripe's hosted billing portal
+  const handleOpenBillingPortal = async (flow?: "payment_method_update") => {
+    setIsOpeningPortal(true);
+    try {
+      const response = await fetch("/api/stripe/billing-portal", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: currentDomain,
+          flow,
+        }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        window.location.href = result.url;
+        return;
+      }
+      alert(`Failed to open billing portal: ${result.error}`);
+    } catch (error) {
+      console.error("Error opening billing portal:", error);
+      alert("Failed to open billing portal");
+    }
+    setIsOpeningPortal(false);
+  };
+
+  // Pick up the result when Stripe Checkout redirects back to this domain
+  const handleCheckoutReturn = async () => {
+    const urlParams = new URLSearchParams(window.location.search);
+    const checkoutResult = urlParams.get("checkout");
+    const sessionId = urlParams.get("session_id");
+
+    if (!checkoutResult) {
+      return;
+    }
+
+    window.history.replaceState({}, document.title, window.location.pathname);
+
+    if (checkoutResult === "canceled") {
+      alert("Checkout was canceled. You have not been charged.");
+      return;
+    }
+
+    if (checkoutResult !== "success" || !sessionId) {
+      return;
+    }
+
+    try {
+      const response = await fetch("/api/stripe/checkout-session", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: currentDomain,
+          sessionId,
+        }),
+      });
+
+      const result = await response.json();
+      if (!result.success) {
+        alert(`Failed to load checkout result: ${result.error}`);
+        return;
+      }
+
+      if (result.order) {
+        await db.saveOrder(result.order);
+        loadOrders();
+
+        // The cart was paid for on the hosted page
+        if (localStorage.getItem(CART_CHECKOUT_SESSION_KEY) === sessionId) {
+          localStorage.removeItem(CART_CHECKOUT_SESSION_KEY);
+          await db.clearCart(currentDomain);
+          loadCart();
+        }
+
+        alert(
+          result.order.status === "succeeded"
+            ? `Payment successful! Order ID: ${result.order.id}`
+            : `Order ${result.order.id} is ${result.order.status}. We'll confirm it once the payment clears.`
+        );
+      }
+
+      if (result.subscription) {
+        await db.saveSubscription(result.subscription);
+        loadSubscriptions();
+        alert(
+          `Subscription activated! Subscription ID: ${result.subscription.id}`
+        );
+      }
+    } catch (error) {
+      console.error("Failed to load checkout result:", error);
+    }
+  };
+
+  // Stripe sends domain owners back here after Express onboarding, or to
+  // refresh when the onboarding link expired and a new one is needed
+  const handleConnectReturn = async () => {
+    const urlParams = new URLSearchParams(window.location.search);
+    const connectResult = urlParams.get("connect");
+
+    if (!connectResult) {
+      return;
+    }
+
+    window.history.replaceState({}, document.title, window.location.pathname);
+
+    if (connectResult === "refresh") {
+      await startConnectOnboarding(currentDomain);
+    } else if (connectResult === "return") {
+      setShowConnectPayouts(true);
+    }
+  };
+
+  const loadCart = async () => {
+    try {
+      setCartItems(await db.getCartItems(currentDomain));
+    } catch (error) {
+      console.error("Failed to load cart:", error);
+    }
+  };
+
+  const loadProducts = async () => {
+    try {
+      // Load from IndexedDB first
+      const localProducts = await db.getProducts(currentDomain);
+      setProducts(localProducts);
+
+      // Also fetch from server to sync, one page at a time
+      const serverProducts: Product[] = [];
+      let cursor: string | null = null;
+
+      do {
+        const response: Response = await fetch("/api/stripe/products", {
+          method: "POST",
+          headers: apiHeaders(),
+          body: JSON.stringify({
+            domain: currentDomain,
+            sort: "created",
+            order: "desc",
+            cursor,
+          }),
+        });
+
+        const result = await response.json();
+        if (!result.success) {
+          return;
+        }
+
+        serverProducts.push(...result.products);
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      // Update IndexedDB with server data
+      for (const product of serverProducts) {
+        await db.saveProduct(product);
+      }
+
+      // The server only lists active products, so anything missing was
+      // archived. Keep it locally for order history.
+      const serverIds = new Set(serverProducts.map((product) => product.id));
+      const archivedProducts = localProducts
+        .filter((product) => !serverIds.has(product.id))
+        .map((product) => ({ ...product, archived: true }));
+      for (const product of archivedProducts) {
+        await db.saveProduct(product);
+      }
+
+      setProducts([...serverProducts, ...archivedProducts]);
+    } catch (error) {
+      console.error("Failed to load products:", error);
+    }
+  };
+
+  const loadOrders = async () => {
+    try {
+      const localOrders = await db.getOrders(currentDomain);
+      setOrders(localOrders);
+    } catch (error) {
+      console.error("Failed to load orders:", error);
+    }
+  };
+
+  const loadSubscriptions = async () => {
+    try {
+      // Load from IndexedDB first
+      const localSubscriptions = await db.getSubscriptions(currentDomain);
+      setSubscriptions(localSubscriptions);
+
+      // Also fetch from server to sync
+      const response = await fetch("/api/stripe/subscriptions", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: currentDomain,
+        }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        // Update IndexedDB with server data
+        for (const subscription of result.subscriptions) {
+          await db.saveSubscription(subscription);
+        }
+        setSubscriptions(result.subscriptions);
+      }
+    } catch (error) {
+      console.error("Failed to load subscriptions:", error);
+    }
+  };
+
+  const handleCreateProduct = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!user) return;
+
+    setLoading(true);
+    try {
+      const response = await fetch("/api/stripe/create-product", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: currentDomain,
+          name: productName,
+          description: productDescription,
+          price: parseFloat(productPrice),
+          currency: productCurrency,
+          currencyOptions: parseCurrencyOptions(productCurrencyOptions),
+          stock: parseLimit(productStock),
+          purchaseLimit: parseLimit(productPurchaseLimit),
+          taxCode: productTaxCode.trim() || null,
+          requestId: productRequestId(),
+        }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        renewProductRequestId();
+
+        // Save to IndexedDB
         await db.saveProduct(result.product);
 
         // Update local state
@@ -441,6 +1837,11 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
         setProductName("");
         setProductDescription("");
         setProductPrice("");
+        setProductCurrency("usd");
+        setProductCurrencyOptions({});
+        setProductStock("");
+        setProductPurchaseLimit("");
+        setProductTaxCode("");
         setShowCreateForm(false);
 
         alert("Product created successfully!");
@@ -461,24 +1862,34 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
 
     setLoading(true);
     try {
-      const token = localStorage.getItem("authToken");
       const response = await fetch("/api/stripe/create-subscription", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
+        headers: apiHeaders(),
         body: JSON.stringify({
-          token,
           domain: currentDomain,
           name: subscriptionName,
           description: subscriptionDescription,
           price: parseFloat(subscriptionPrice),
           interval: subscriptionInterval,
+          currency: subscriptionCurrency,
+          currencyOptions: parseCurrencyOptions(subscriptionCurrencyOptions),
+          taxCode: subscriptionTaxCode.trim() || null,
+          usageType: subscriptionUsageType,
+          ...(subscriptionUsageType === "metered" && {
+            unitLabel: subscriptionUnitLabel.trim(),
+          }),
+          ...(subscriptionTrialDays && {
+            trialDays: parseInt(subscriptionTrialDays, 10),
+            trialRequiresCard: subscriptionTrialRequiresCard,
+          }),
+          requestId: subscriptionRequestId(),
         }),
       });
 
       const result = await response.json();
       if (result.success) {
+        renewSubscriptionRequestId();
+
         // Save to IndexedDB
         await db.saveProduct(result.product);
 
@@ -490,6 +1901,13 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
         setSubscriptionDescription("");
         setSubscriptionPrice("");
         setSubscriptionInterval("month");
+        setSubscriptionCurrency("usd");
+        setSubscriptionCurrencyOptions({});
+        setSubscriptionTaxCode("");
+        setSubscriptionUsageType("licensed");
+        setSubscriptionUnitLabel("");
+        setSubscriptionTrialDays("");
+        setSubscriptionTrialRequiresCard(true);
         setShowCreateSubscriptionForm(false);
 
         alert("Subscription product created successfully!");
@@ -504,101 +1922,430 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
     }
   };
 
-  const handleBuyProduct = (product: Product) => {
-    // Validate product before allowing purchase
-    if (!product.priceId) {
-      alert(
-        "Error: This product doesn't have a valid price ID. Unable to process payment."
-      );
-      return;
-    }
-
-    if (product.price <= 0) {
-      alert(
-        "Error: This product has an invalid price ($0.00). Unable to process payment."
-      );
-      return;
-    }
-
-    console.log(
-      `🛒 Attempting to buy product: ${product.name} for $${product.price} (Price ID: ${product.priceId})`
+  const handleEditProduct = (product: Product) => {
+    setEditingProduct(product);
+    setEditName(product.name);
+    setEditDescription(product.description || "");
+    setEditPrice(product.price.toString());
+    setEditCurrency(product.currency || "usd");
+    setEditCurrencyOptions(
+      Object.fromEntries(
+        Object.entries(product.currencyOptions || {}).map(
+          ([currency, amount]) => [currency, amount.toString()]
+        )
+      )
     );
-    setSelectedProduct(product);
-    setShowPaymentForm(true);
+    setEditStock(product.stock != null ? product.stock.toString() : "");
+    setEditPurchaseLimit(
+      product.purchaseLimit != null ? product.purchaseLimit.toString() : ""
+    );
+    setEditTaxCode(product.taxCode || "");
   };
 
-  const handlePaymentSuccess = (order: Order) => {
-    setOrders([...orders, order]);
-    setShowPaymentForm(false);
-    setSelectedProduct(null);
-    alert(`Payment successful! Order ID: ${order.id}`);
-  };
+  const handleUpdateProduct = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!user || !editingProduct) return;
 
-  const handleSubscriptionSuccess = (subscription: Subscription) => {
-    setSubscriptions([...subscriptions, subscription]);
-    setShowPaymentForm(false);
-    setSelectedProduct(null);
-    alert(`Subscription activated! Subscription ID: ${subscription.id}`);
-  };
+    setLoading(true);
+    try {
+      const response = await fetch("/api/stripe/update-product", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: currentDomain,
+          productId: editingProduct.id,
+          name: editName,
+          description: editDescription,
+          price: parseFloat(editPrice),
+          currency: editCurrency,
+          currencyOptions: parseCurrencyOptions(editCurrencyOptions),
+          taxCode: editTaxCode.trim() || null,
+          ...(editingProduct.type !== "subscription" && {
+            stock: parseLimit(editStock),
+            purchaseLimit: parseLimit(editPurchaseLimit),
+          }),
+        }),
+      });
 
-  const handleCancelPayment = () => {
-    setShowPaymentForm(false);
-    setSelectedProduct(null);
+      const result = await response.json();
+      if (result.success) {
+        await db.saveProduct(result.product);
+        setProducts(
+          products.map((product) =>
+            product.id === result.product.id ? result.product : product
+          )
+        );
+        setEditingProduct(null);
+
+        alert("Product updated successfully!");
+      } else {
+        alert(`Failed to update product: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error updating product:", error);
+      alert("Failed to update product");
+    } finally {
+      setLoading(false);
+    }
   };
 
-  const handleCancelSubscription = async (subscriptionId: string) => {
+  const handleArchiveProduct = async (product: Product) => {
     if (
       !confirm(
-        "Are you sure you want to cancel this subscription? It will remain active until the end of the current billing period."
+        `Archive "${product.name}"? It will no longer be for sale, but past orders keep it.`
       )
     ) {
       return;
     }
 
     try {
-      const token = localStorage.getItem("authToken");
-      const response = await fetch("/api/stripe/cancel-subscription", {
+      const response = await fetch("/api/stripe/archive-product", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
+        headers: apiHeaders(),
         body: JSON.stringify({
-          token,
           domain: currentDomain,
-          subscriptionId,
+          productId: product.id,
         }),
       });
 
       const result = await response.json();
       if (result.success) {
-        // Update local subscription
-        await db.updateSubscriptionStatus(subscriptionId, "canceled", true);
+        await db.saveProduct(result.product);
+        setProducts(
+          products.map((existing) =>
+            existing.id === result.product.id ? result.product : existing
+          )
+        );
+      } else {
+        alert(`Failed to archive product: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error archiving product:", error);
+      alert("Failed to archive product");
+    }
+  };
 
-        // Refresh subscriptions list
-        loadSubscriptions();
+  const handleStartRefund = (order: Order) => {
+    setRefundingOrder(order);
+    setRefundAmount((order.amount - (order.amountRefunded || 0)).toString());
+    setRefundReason("requested_by_customer");
+    setRefundNote("");
+  };
+
+  const handleRefundOrder = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!refundingOrder) return;
+
+    setLoading(true);
+    try {
+      const response = await fetch("/api/stripe/refund", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: currentDomain,
+          paymentIntentId: refundingOrder.paymentIntentId,
+          amount: parseFloat(refundAmount),
+          reason: refundReason,
+          note: refundNote,
+          requestId: refundRequestId(),
+        }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        renewRefundRequestId();
 
+        const updatedOrder = {
+          ...refundingOrder,
+          status: result.order.status,
+          amountRefunded: result.order.amountRefunded,
+        };
+        await db.saveOrder(updatedOrder);
+        setOrders(
+          orders.map((existing) =>
+            existing.id === updatedOrder.id ? updatedOrder : existing
+          )
+        );
+        setRefundingOrder(null);
         alert(
-          "Subscription will be canceled at the end of the current billing period."
+          `Refunded ${formatCurrency(
+            result.refund.amount,
+            result.refund.currency
+          )}`
         );
       } else {
-        alert(`Failed to cancel subscription: ${result.error}`);
+        alert(`Failed to refund order: ${result.error}`);
       }
     } catch (error) {
-      console.error("Error canceling subscription:", error);
-      alert("Failed to cancel subscription");
+      console.error("Error refunding order:", error);
+      alert("Failed to refund order");
+    } finally {
+      setLoading(false);
     }
   };
 
-  if (!user) {
-    return (
-      <div
-        style={{
-          padding: "1.5rem",
-          border: "2px solid #d1d5db",
-          borderRadius: "8px",
-          backgroundColor: "#f9fafb",
-          textAlign: "center",
-        }}
+  // The server issues the invoice on first download and stores it, so the
+  // same PDF comes back every time
+  const handleDownloadInvoice = async (order: Order) => {
+    setDownloadingInvoiceId(order.id);
+    try {
+      const response = await fetch("/api/stripe/invoice", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: currentDomain,
+          orderId: order.id,
+        }),
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        alert(`Failed to download invoice: ${result.error}`);
+        return;
+      }
+
+      const invoiceNumber =
+        response.headers.get("X-Invoice-Number") || order.id;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${invoiceNumber}.pdf`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+
+      if (order.invoiceNumber !== invoiceNumber) {
+        const updatedOrder = { ...order, invoiceNumber };
+        await db.saveOrder(updatedOrder);
+        setOrders(
+          orders.map((existing) =>
+            existing.id === updatedOrder.id ? updatedOrder : existing
+          )
+        );
+      }
+    } catch (error) {
+      console.error("Error downloading invoice:", error);
+      alert("Failed to download invoice");
+    } finally {
+      setDownloadingInvoiceId(null);
+    }
+  };
+
+  const handleBuyProduct = (product: Product) => {
+    // Validate product before allowing purchase
+    if (!product.priceId) {
+      alert(
+        "Error: This product doesn't have a valid price ID. Unable to process payment."
+      );
+      return;
+    }
+
+    if (product.price <= 0) {
+      alert(
+        "Error: This product has an invalid price. Unable to process payment."
+      );
+      return;
+    }
+
+    console.log(
+      `🛒 Attempting to buy product: ${product.name} for ${formatCurrency(
+        product.price,
+        product.currency
+      )} (Price ID: ${product.priceId})`
+    );
+    setCheckoutLines([{ product, quantity: 1 }]);
+    setCheckoutFromCart(false);
+    setShowPaymentForm(true);
+  };
+
+  const handleAddToCart = async (product: Product) => {
+    const id = `${currentDomain}:${product.id}`;
+    const existing = cartItems.find((item) => item.id === id);
+    const quantity = (existing?.quantity || 0) + 1;
+
+    if (!canBuyQuantity(product, quantity)) {
+      return;
+    }
+
+    const item: CartItem = existing
+      ? { ...existing, quantity }
+      : {
+          id,
+          domain: currentDomain,
+          productId: product.id,
+          quantity,
+          added: Date.now(),
+        };
+
+    try {
+      await db.saveCartItem(item);
+      setCartItems(
+        existing
+          ? cartItems.map((cartItem) => (cartItem.id === id ? item : cartItem))
+          : [...cartItems, item]
+      );
+    } catch (error) {
+      console.error("Failed to add to cart:", error);
+      alert("Failed to add to cart");
+    }
+  };
+
+  const handleCartQuantityChange = async (item: CartItem, quantity: number) => {
+    // Ignore the field while it is being retyped
+    if (Number.isNaN(quantity)) {
+      return;
+    }
+    if (quantity < 1) {
+      await handleRemoveFromCart(item);
+      return;
+    }
+
+    const product = products.find((p) => p.id === item.productId);
+    if (product && !canBuyQuantity(product, quantity)) {
+      return;
+    }
+
+    const updated = { ...item, quantity };
+    await db.saveCartItem(updated);
+    setCartItems(
+      cartItems.map((cartItem) =>
+        cartItem.id === item.id ? updated : cartItem
+      )
+    );
+  };
+
+  const handleRemoveFromCart = async (item: CartItem) => {
+    await db.removeCartItem(item.id);
+    setCartItems(cartItems.filter((cartItem) => cartItem.id !== item.id));
+  };
+
+  // Stock and per-customer limits are checked again on the server
+  const canBuyQuantity = (product: Product, quantity: number) => {
+    if (product.available != null && quantity > product.available) {
+      alert(`Only ${product.available} of ${product.name} left in stock.`);
+      return false;
+    }
+    if (product.purchaseLimit != null && quantity > product.purchaseLimit) {
+      alert(`You can buy at most ${product.purchaseLimit} of ${product.name}.`);
+      return false;
+    }
+    return true;
+  };
+
+  const handleCheckoutCart = () => {
+    if (cartLines.some((line) => !isPurchasable(line.product))) {
+      alert("Remove unavailable products from your cart before checking out.");
+      return;
+    }
+
+    setCheckoutLines(cartLines);
+    setCheckoutFromCart(true);
+    setShowPaymentForm(true);
+  };
+
+  const handlePaymentSuccess = async (order: Order) => {
+    setOrders([...orders, order]);
+    setShowPaymentForm(false);
+    setCheckoutLines(null);
+    if (checkoutFromCart) {
+      await db.clearCart(currentDomain);
+      setCartItems([]);
+    }
+    alert(`Payment successful! Order ID: ${order.id}`);
+  };
+
+  const handleSubscriptionSuccess = (subscription: Subscription) => {
+    setSubscriptions([...subscriptions, subscription]);
+    setShowPaymentForm(false);
+    setCheckoutLines(null);
+    alert(
+      subscription.status === "trialing" && subscription.trialEnd
+        ? `Free trial started! It ends on ${new Date(
+            subscription.trialEnd
+          ).toLocaleDateString()}.`
+        : `Subscription activated! Subscription ID: ${subscription.id}`
+    );
+  };
+
+  // Remember which hosted session pays for the cart so it can be emptied
+  // when the buyer comes back
+  const handleCheckoutRedirect = (sessionId: string) => {
+    if (checkoutFromCart) {
+      localStorage.setItem(CART_CHECKOUT_SESSION_KEY, sessionId);
+    }
+  };
+
+  const handleCancelPayment = () => {
+    setShowPaymentForm(false);
+    setCheckoutLines(null);
+  };
+
+  const handleCancelSubscription = async (subscriptionId: string) => {
+    if (
+      !confirm(
+        "Are you sure you want to cancel this subscription? It will remain active until the end of the current billing period."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const response = await fetch("/api/stripe/cancel-subscription", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          domain: currentDomain,
+          subscriptionId,
+        }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        // Update local subscription
+        await db.updateSubscriptionStatus(subscriptionId, "canceled", true);
+
+        // Refresh subscriptions list
+        loadSubscriptions();
+
+        alert(
+          "Subscription will be canceled at the end of the current billing period."
+        );
+      } else {
+        alert(`Failed to cancel subscription: ${result.error}`);
+      }
+    } catch (error) {
+      console.error("Error canceling subscription:", error);
+      alert("Failed to cancel subscription");
+    }
+  };
+
+  // Other live plans of the same kind that the subscription's currency can pay
+  const planChangeOptions = (subscription: Subscription) =>
+    products.filter(
+      (product) =>
+        product.type === "subscription" &&
+        !product.archived &&
+        product.id !== subscription.productId &&
+        (product.usageType || "licensed") ===
+          (subscription.usageType || "licensed") &&
+        productCurrencies(product).includes(subscription.currency || "usd")
+    );
+
+  const handlePlanChanged = async (subscription: Subscription) => {
+    await db.saveSubscription(subscription);
+    setChangingSubscription(null);
+    loadSubscriptions();
+  };
+
+  if (!user) {
+    return (
+      <div
+        style={{
+          padding: "1.5rem",
+          border: "2px solid #d1d5db",
+          borderRadius: "8px",
+          backgroundColor: "#f9fafb",
+          textAlign: "center",
+        }}
       >
         <h2 style={{ color: "#6b7280", margin: "0 0 1rem 0" }}>
           💳 Stripe Integration
@@ -629,6 +2376,78 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
         domains. Products and orders are stored locally per domain.
       </p>
 
+      {/* Failed renewal payments */}
+      {subscriptions
+        .filter(
+          (subscription) =>
+            subscription.paymentIssue &&
+            (subscription.status === "past_due" ||
+              subscription.status === "unpaid")
+        )
+        .map((subscription) => (
+          <div
+            key={subscription.id}
+            style={{
+              padding: "1rem",
+              marginBottom: "1rem",
+              border: "1px solid #fca5a5",
+              borderRadius: "6px",
+              backgroundColor: "#fef2f2",
+              color: "#991b1b",
+              fontSize: "0.875rem",
+            }}
+          >
+            <strong>
+              ⚠️ The payment for {subscription.productName} didn&apos;t go
+              through.
+            </strong>{" "}
+            {subscription.status === "unpaid"
+              ? "The subscription is suspended until the invoice is paid."
+              : `Update your payment method by ${new Date(
+                  subscription.paymentIssue!.graceEndsAt
+                ).toLocaleDateString()} to keep your subscription.`}
+            <div
+              style={{ display: "flex", gap: "0.5rem", marginTop: "0.75rem" }}
+            >
+              {domainSettings.billingPortal?.paymentMethodUpdate !== false && (
+                <button
+                  onClick={() =>
+                    handleOpenBillingPortal("payment_method_update")
+                  }
+                  disabled={isOpeningPortal}
+                  style={{
+                    padding: "0.5rem 1rem",
+                    backgroundColor: isOpeningPortal ? "#9ca3af" : "#dc2626",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "6px",
+                    cursor: isOpeningPortal ? "not-allowed" : "pointer",
+                    fontSize: "0.875rem",
+                  }}
+                >
+                  Update payment method
+                </button>
+              )}
+              {subscription.paymentIssue!.invoiceUrl && (
+                <a
+                  href={subscription.paymentIssue!.invoiceUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  style={{
+                    padding: "0.5rem 1rem",
+                    border: "1px solid #dc2626",
+                    borderRadius: "6px",
+                    color: "#dc2626",
+                    textDecoration: "none",
+                  }}
+                >
+                  Pay invoice
+                </a>
+              )}
+            </div>
+          </div>
+        ))}
+
       {/* Action Buttons */}
       <div
         style={{
@@ -697,18 +2516,209 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
         </button>
       </div>
 
+      {/* Domain Settings (admins only) */}
+      {isDomainAdmin && (
+        <div
+          style={{
+            padding: "1rem",
+            border: "1px solid #d1d5db",
+            borderRadius: "6px",
+            backgroundColor: "white",
+            marginBottom: "1.5rem",
+          }}
+        >
+          <label
+            style={{
+              display: "block",
+              marginBottom: "0.5rem",
+              color: "#374151",
+            }}
+          >
+            ⚙️ Checkout for {currentDomain}
+          </label>
+          <select
+            value={domainSettings.checkoutMode}
+            onChange={(e) =>
+              handleDomainSettingsChange({
+                checkoutMode: e.target.value as DomainSettings["checkoutMode"],
+              })
+            }
+            style={{
+              width: "100%",
+              padding: "0.75rem",
+              border: "1px solid #d1d5db",
+              borderRadius: "6px",
+              fontSize: "1rem",
+            }}
+          >
+            <option value="elements">Inline card form (Stripe Elements)</option>
+            <option value="hosted">Hosted page (Stripe Checkout)</option>
+          </select>
+          {domainSettings.billingPortal && (
+            <div style={{ marginTop: "0.75rem" }}>
+              <span style={{ color: "#374151", fontSize: "0.875rem" }}>
+                Customers can use the billing portal to:
+              </span>
+              {BILLING_PORTAL_FEATURES.map(([feature, label]) => (
+                <label
+                  key={feature}
+                  style={{
+                    display: "block",
+                    fontSize: "0.875rem",
+                    color: "#374151",
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={domainSettings.billingPortal![feature]}
+                    onChange={(e) =>
+                      handleDomainSettingsChange({
+                        billingPortal: {
+                          ...domainSettings.billingPortal!,
+                          [feature]: e.target.checked,
+                        },
+                      })
+                    }
+                    style={{ marginRight: "0.5rem" }}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          )}
+          {domainSettings.dunning && (
+            <div
+              style={{
+                marginTop: "0.75rem",
+                fontSize: "0.875rem",
+                color: "#374151",
+              }}
+            >
+              When a renewal payment fails, keep access for{" "}
+              <select
+                value={domainSettings.dunning.gracePeriodDays}
+                onChange={(e) =>
+                  handleDomainSettingsChange({
+                    dunning: {
+                      ...domainSettings.dunning!,
+                      gracePeriodDays: parseInt(e.target.value, 10),
+                    },
+                  })
+                }
+              >
+                {GRACE_PERIOD_DAYS.concat(
+                  GRACE_PERIOD_DAYS.includes(
+                    domainSettings.dunning.gracePeriodDays
+                  )
+                    ? []
+                    : [domainSettings.dunning.gracePeriodDays]
+                )
+                  .sort((a, b) => a - b)
+                  .map((days) => (
+                    <option key={days} value={days}>
+                      {days} day(s)
+                    </option>
+                  ))}
+              </select>
+              , then{" "}
+              <select
+                value={domainSettings.dunning.afterGrace}
+                onChange={(e) =>
+                  handleDomainSettingsChange({
+                    dunning: {
+                      ...domainSettings.dunning!,
+                      afterGrace: e.target.value as DunningOutcome,
+                    },
+                  })
+                }
+              >
+                <option value="unpaid">suspend it until paid</option>
+                <option value="cancel">cancel it</option>
+              </select>
+            </div>
+          )}
+          <button
+            onClick={() => setShowCouponManager(true)}
+            style={{
+              marginTop: "0.75rem",
+              padding: "0.5rem 1rem",
+              backgroundColor: "#8b5cf6",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+              fontSize: "0.875rem",
+            }}
+          >
+            🏷️ Manage Coupons
+          </button>
+          {domainSettings.tax && (
+            <button
+              onClick={() => setShowTaxSettings(true)}
+              style={{
+                marginTop: "0.75rem",
+                marginLeft: "0.5rem",
+                padding: "0.5rem 1rem",
+                backgroundColor: "#8b5cf6",
+                color: "white",
+                border: "none",
+                borderRadius: "6px",
+                cursor: "pointer",
+                fontSize: "0.875rem",
+              }}
+            >
+              🧾 Tax Settings
+            </button>
+          )}
+          {domainSettings.invoice && (
+            <button
+              onClick={() => setShowInvoiceSettings(true)}
+              style={{
+                marginTop: "0.75rem",
+                marginLeft: "0.5rem",
+                padding: "0.5rem 1rem",
+                backgroundColor: "#8b5cf6",
+                color: "white",
+                border: "none",
+                borderRadius: "6px",
+                cursor: "pointer",
+                fontSize: "0.875rem",
+              }}
+            >
+              📄 Invoice Settings
+            </button>
+          )}
+          <button
+            onClick={() => setShowConnectPayouts(true)}
+            style={{
+              marginTop: "0.75rem",
+              marginLeft: "0.5rem",
+              padding: "0.5rem 1rem",
+              backgroundColor: "#8b5cf6",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+              fontSize: "0.875rem",
+            }}
+          >
+            🏦 Payouts
+          </button>
+        </div>
+      )}
+
       {/* Products List */}
       <div style={{ marginBottom: "2rem" }}>
         <h3 style={{ color: "#1f2937", marginBottom: "1rem" }}>
           Products for {currentDomain}
         </h3>
-        {products.length === 0 ? (
+        {storefrontProducts.length === 0 ? (
           <p style={{ color: "#6b7280", fontStyle: "italic" }}>
             No products created yet. Create your first product above!
           </p>
         ) : (
           <div style={{ display: "grid", gap: "1rem" }}>
-            {products.map((product) => (
+            {storefrontProducts.map((product) => (
               <div
                 key={product.id}
                 style={{
@@ -749,10 +2759,13 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                         color: "#059669",
                       }}
                     >
-                      ${product.price.toFixed(2)}
+                      {productCurrencies(product)
+                        .map((code) =>
+                          formatCurrency(productPriceIn(product, code), code)
+                        )
+                        .join(" / ")}
                       {product.type === "subscription" &&
-                        product.interval &&
-                        `/${product.interval}`}
+                        planPriceSuffix(product)}
                     </p>
                     <span
                       style={{
@@ -771,99 +2784,397 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                         ? "Subscription"
                         : "One-time"}
                     </span>
+                    {product.available != null && (
+                      <span
+                        style={{
+                          color: product.available > 0 ? "#6b7280" : "#ef4444",
+                          fontSize: "0.75rem",
+                          fontWeight: "500",
+                        }}
+                      >
+                        {product.available > 0
+                          ? `${product.available} left`
+                          : "Sold out"}
+                      </span>
+                    )}
+                    {product.purchaseLimit != null && (
+                      <span style={{ color: "#6b7280", fontSize: "0.75rem" }}>
+                        Max {product.purchaseLimit} per customer
+                      </span>
+                    )}
+                    {product.trialDays != null && (
+                      <span style={{ color: "#059669", fontSize: "0.75rem" }}>
+                        {product.trialDays}-day free trial
+                      </span>
+                    )}
                   </div>
                 </div>
-                <button
-                  onClick={() => handleBuyProduct(product)}
-                  disabled={!product.priceId || product.price <= 0}
-                  style={{
-                    padding: "0.5rem 1rem",
-                    backgroundColor:
-                      !product.priceId || product.price <= 0
-                        ? "#9ca3af"
-                        : "#f59e0b",
-                    color: "white",
-                    border: "none",
-                    borderRadius: "6px",
-                    cursor:
-                      !product.priceId || product.price <= 0
-                        ? "not-allowed"
-                        : "pointer",
-                    fontSize: "0.875rem",
-                    fontWeight: "500",
-                  }}
-                >
-                  {!product.priceId || product.price <= 0
-                    ? "Invalid Price"
-                    : product.type === "subscription"
-                    ? "Subscribe"
-                    : "Buy Now"}
-                </button>
-              </div>
-            ))}
-          </div>
-        )}
-      </div>
-
-      {/* Orders List */}
-      <div>
-        <h3 style={{ color: "#1f2937", marginBottom: "1rem" }}>
-          Recent Orders
-        </h3>
-        {orders.length === 0 ? (
-          <p style={{ color: "#6b7280", fontStyle: "italic" }}>
-            No orders yet.
-          </p>
-        ) : (
-          <div style={{ display: "grid", gap: "0.5rem" }}>
-            {orders
-              .slice()
-              .reverse()
-              .slice(0, 5)
-              .map((order) => (
                 <div
-                  key={order.id}
                   style={{
-                    padding: "0.75rem",
-                    border: "1px solid #d1d5db",
-                    borderRadius: "4px",
-                    backgroundColor: "white",
                     display: "flex",
-                    justifyContent: "space-between",
-                    alignItems: "center",
-                    fontSize: "0.875rem",
+                    flexDirection: "column",
+                    gap: "0.5rem",
                   }}
                 >
-                  <div>
-                    <strong>{order.productName}</strong> - $
-                    {order.amount.toFixed(2)}
-                    <br />
-                    <span style={{ color: "#6b7280" }}>
-                      {new Date(order.created).toLocaleDateString()}
-                    </span>
-                  </div>
-                  <span
+                  <button
+                    onClick={() => handleBuyProduct(product)}
+                    disabled={!isPurchasable(product)}
+                    style={{
+                      padding: "0.5rem 1rem",
+                      backgroundColor: !isPurchasable(product)
+                        ? "#9ca3af"
+                        : "#f59e0b",
+                      color: "white",
+                      border: "none",
+                      borderRadius: "6px",
+                      cursor: !isPurchasable(product)
+                        ? "not-allowed"
+                        : "pointer",
+                      fontSize: "0.875rem",
+                      fontWeight: "500",
+                    }}
+                  >
+                    {!product.priceId || product.price <= 0
+                      ? "Invalid Price"
+                      : product.available === 0
+                      ? "Unavailable"
+                      : product.type === "subscription"
+                      ? "Subscribe"
+                      : "Buy Now"}
+                  </button>
+                  {product.type !== "subscription" &&
+                    isPurchasable(product) && (
+                      <button
+                        onClick={() => handleAddToCart(product)}
+                        style={{
+                          padding: "0.5rem 1rem",
+                          backgroundColor: "#3b82f6",
+                          color: "white",
+                          border: "none",
+                          borderRadius: "6px",
+                          cursor: "pointer",
+                          fontSize: "0.875rem",
+                          fontWeight: "500",
+                        }}
+                      >
+                        🛒 Add to Cart
+                      </button>
+                    )}
+                  {isDomainAdmin && (
+                    <div style={{ display: "flex", gap: "0.5rem" }}>
+                      <button
+                        onClick={() => handleEditProduct(product)}
+                        style={{
+                          flex: 1,
+                          padding: "0.25rem 0.5rem",
+                          backgroundColor: "#6b7280",
+                          color: "white",
+                          border: "none",
+                          borderRadius: "4px",
+                          cursor: "pointer",
+                          fontSize: "0.75rem",
+                        }}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleArchiveProduct(product)}
+                        style={{
+                          flex: 1,
+                          padding: "0.25rem 0.5rem",
+                          backgroundColor: "#ef4444",
+                          color: "white",
+                          border: "none",
+                          borderRadius: "4px",
+                          cursor: "pointer",
+                          fontSize: "0.75rem",
+                        }}
+                      >
+                        Archive
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Cart */}
+      {cartItems.length > 0 && (
+        <div
+          style={{
+            marginBottom: "2rem",
+            padding: "1rem",
+            border: "1px solid #d1d5db",
+            borderRadius: "6px",
+            backgroundColor: "white",
+          }}
+        >
+          <h3 style={{ color: "#1f2937", margin: "0 0 1rem 0" }}>
+            🛒 Cart ({cartItems.reduce((sum, item) => sum + item.quantity, 0)})
+          </h3>
+          <div style={{ display: "grid", gap: "0.5rem" }}>
+            {cartItems.map((item) => {
+              const product = products.find((p) => p.id === item.productId);
+              return (
+                <div
+                  key={item.id}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "0.5rem",
+                    fontSize: "0.875rem",
+                  }}
+                >
+                  <span style={{ flex: 1 }}>
+                    {product ? product.name : "Unknown product"}
+                    {product && !isPurchasable(product) && (
+                      <span style={{ color: "#ef4444" }}> (unavailable)</span>
+                    )}
+                  </span>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={item.quantity}
+                    onChange={(e) =>
+                      handleCartQuantityChange(
+                        item,
+                        parseInt(e.target.value, 10)
+                      )
+                    }
+                    style={{
+                      width: "4rem",
+                      padding: "0.25rem",
+                      border: "1px solid #d1d5db",
+                      borderRadius: "4px",
+                    }}
+                  />
+                  <span style={{ width: "6rem", textAlign: "right" }}>
+                    {product && cartCurrency
+                      ? formatCurrency(
+                          productPriceIn(product, cartCurrency) * item.quantity,
+                          cartCurrency
+                        )
+                      : "-"}
+                  </span>
+                  <button
+                    onClick={() => handleRemoveFromCart(item)}
                     style={{
                       padding: "0.25rem 0.5rem",
+                      backgroundColor: "#ef4444",
+                      color: "white",
+                      border: "none",
                       borderRadius: "4px",
+                      cursor: "pointer",
                       fontSize: "0.75rem",
-                      fontWeight: "500",
-                      backgroundColor:
-                        order.status === "succeeded"
-                          ? "#d1fae5"
-                          : order.status === "failed"
-                          ? "#fee2e2"
-                          : "#fef3c7",
-                      color:
-                        order.status === "succeeded"
-                          ? "#065f46"
-                          : order.status === "failed"
-                          ? "#991b1b"
-                          : "#92400e",
                     }}
                   >
-                    {order.status.toUpperCase()}
-                  </span>
+                    Remove
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+          {cartLines.length > 0 && !cartCurrency && (
+            <p style={{ color: "#ef4444", fontSize: "0.875rem" }}>
+              These products aren't sold in a common currency. Buy them
+              separately.
+            </p>
+          )}
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              marginTop: "1rem",
+            }}
+          >
+            <strong>
+              Total:{" "}
+              {cartCurrency
+                ? formatCurrency(
+                    cartTotal(cartLines, cartCurrency),
+                    cartCurrency
+                  )
+                : "-"}
+            </strong>
+            <button
+              onClick={handleCheckoutCart}
+              disabled={cartLines.length === 0 || !cartCurrency}
+              style={{
+                padding: "0.5rem 1rem",
+                backgroundColor:
+                  cartLines.length === 0 || !cartCurrency
+                    ? "#9ca3af"
+                    : "#10b981",
+                color: "white",
+                border: "none",
+                borderRadius: "6px",
+                cursor:
+                  cartLines.length === 0 || !cartCurrency
+                    ? "not-allowed"
+                    : "pointer",
+                fontSize: "0.875rem",
+                fontWeight: "500",
+              }}
+            >
+              Checkout
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Orders List */}
+      <div>
+        <h3 style={{ color: "#1f2937", marginBottom: "1rem" }}>
+          Recent Orders
+        </h3>
+        {orders.length === 0 ? (
+          <p style={{ color: "#6b7280", fontStyle: "italic" }}>
+            No orders yet.
+          </p>
+        ) : (
+          <div style={{ display: "grid", gap: "0.5rem" }}>
+            {orders
+              .slice()
+              .reverse()
+              .slice(0, 5)
+              .map((order) => (
+                <div
+                  key={order.id}
+                  style={{
+                    padding: "0.75rem",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "4px",
+                    backgroundColor: "white",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    fontSize: "0.875rem",
+                  }}
+                >
+                  <div>
+                    <strong>{order.productName}</strong>
+                    {products.find((product) => product.id === order.productId)
+                      ?.archived && (
+                      <span style={{ color: "#9ca3af" }}> (archived)</span>
+                    )}{" "}
+                    - {formatCurrency(order.amount, order.currency)}
+                    {!!order.tax?.amount && (
+                      <span style={{ color: "#6b7280" }}>
+                        {" "}
+                        (incl.{" "}
+                        {formatCurrency(order.tax.amount, order.currency)} tax)
+                      </span>
+                    )}
+                    {!!order.amountRefunded && (
+                      <span style={{ color: "#6b7280" }}>
+                        {" "}
+                        ({formatCurrency(
+                          order.amountRefunded,
+                          order.currency
+                        )}{" "}
+                        refunded)
+                      </span>
+                    )}
+                    <br />
+                    <span style={{ color: "#6b7280" }}>
+                      {new Date(order.created).toLocaleDateString()}
+                    </span>
+                    {order.dunning && (
+                      <span
+                        style={{
+                          color: order.dunning.recoveredAt
+                            ? "#065f46"
+                            : "#991b1b",
+                        }}
+                      >
+                        {" "}
+                        · {renewalNote(order.dunning)}
+                      </span>
+                    )}
+                  </div>
+                  <div
+                    style={{
+                      display: "flex",
+                      gap: "0.5rem",
+                      alignItems: "center",
+                    }}
+                  >
+                    {order.status !== "pending" &&
+                      order.status !== "failed" && (
+                        <button
+                          onClick={() => handleDownloadInvoice(order)}
+                          disabled={downloadingInvoiceId === order.id}
+                          title={order.invoiceNumber}
+                          style={{
+                            padding: "0.25rem 0.5rem",
+                            backgroundColor: "#6b7280",
+                            color: "white",
+                            border: "none",
+                            borderRadius: "4px",
+                            cursor:
+                              downloadingInvoiceId === order.id
+                                ? "not-allowed"
+                                : "pointer",
+                            fontSize: "0.75rem",
+                          }}
+                        >
+                          {downloadingInvoiceId === order.id
+                            ? "..."
+                            : "📄 Invoice"}
+                        </button>
+                      )}
+                    {isDomainAdmin &&
+                      (order.status === "succeeded" ||
+                        order.status === "partially_refunded") && (
+                        <button
+                          onClick={() => handleStartRefund(order)}
+                          style={{
+                            padding: "0.25rem 0.5rem",
+                            backgroundColor: "#ef4444",
+                            color: "white",
+                            border: "none",
+                            borderRadius: "4px",
+                            cursor: "pointer",
+                            fontSize: "0.75rem",
+                          }}
+                        >
+                          Refund
+                        </button>
+                      )}
+                    <span
+                      style={{
+                        padding: "0.25rem 0.5rem",
+                        borderRadius: "4px",
+                        fontSize: "0.75rem",
+                        fontWeight: "500",
+                        backgroundColor:
+                          order.status === "succeeded"
+                            ? "#d1fae5"
+                            : order.status === "failed"
+                            ? "#fee2e2"
+                            : order.status === "refunded" ||
+                              order.status === "partially_refunded"
+                            ? "#e5e7eb"
+                            : "#fef3c7",
+                        color:
+                          order.status === "succeeded"
+                            ? "#065f46"
+                            : order.status === "failed"
+                            ? "#991b1b"
+                            : order.status === "refunded" ||
+                              order.status === "partially_refunded"
+                            ? "#374151"
+                            : "#92400e",
+                      }}
+                    >
+                      {order.status.replace("_", " ").toUpperCase()}
+                    </span>
+                  </div>
                 </div>
               ))}
           </div>
@@ -872,9 +3183,31 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
 
       {/* Subscriptions List */}
       <div style={{ marginTop: "2rem" }}>
-        <h3 style={{ color: "#1f2937", marginBottom: "1rem" }}>
-          Active Subscriptions
-        </h3>
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginBottom: "1rem",
+          }}
+        >
+          <h3 style={{ color: "#1f2937", margin: 0 }}>Active Subscriptions</h3>
+          <button
+            onClick={() => handleOpenBillingPortal()}
+            disabled={isOpeningPortal}
+            style={{
+              padding: "0.5rem 1rem",
+              backgroundColor: isOpeningPortal ? "#9ca3af" : "#6366f1",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor: isOpeningPortal ? "not-allowed" : "pointer",
+              fontSize: "0.875rem",
+            }}
+          >
+            {isOpeningPortal ? "Opening..." : "Manage billing"}
+          </button>
+        </div>
         {subscriptions.length === 0 ? (
           <p style={{ color: "#6b7280", fontStyle: "italic" }}>
             No active subscriptions.
@@ -896,15 +3229,46 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                 }}
               >
                 <div>
-                  <strong>{subscription.productName}</strong> - $
-                  {subscription.price.toFixed(2)}/{subscription.interval}
+                  <strong>{subscription.productName}</strong> -{" "}
+                  {formatCurrency(subscription.price, subscription.currency)}
+                  {planPriceSuffix({
+                    ...subscription,
+                    unitLabel: products.find(
+                      (product) => product.id === subscription.productId
+                    )?.unitLabel,
+                  })}
                   <br />
-                  <span style={{ color: "#6b7280" }}>
-                    Next billing:{" "}
-                    {new Date(
-                      subscription.currentPeriodEnd
-                    ).toLocaleDateString()}
-                  </span>
+                  {subscription.status === "trialing" &&
+                  subscription.trialEnd ? (
+                    <span style={{ color: "#1e40af" }}>
+                      Trial: {trialDaysLeft(subscription.trialEnd)} day(s) left,
+                      ends{" "}
+                      {new Date(subscription.trialEnd).toLocaleDateString()}
+                    </span>
+                  ) : (
+                    <span style={{ color: "#6b7280" }}>
+                      Next billing:{" "}
+                      {new Date(
+                        subscription.currentPeriodEnd
+                      ).toLocaleDateString()}
+                    </span>
+                  )}
+                  {subscription.pendingChange && (
+                    <>
+                      <br />
+                      <span style={{ color: "#5b21b6" }}>
+                        Changes to{" "}
+                        {products.find(
+                          (product) =>
+                            product.id === subscription.pendingChange!.productId
+                        )?.name || "another plan"}{" "}
+                        on{" "}
+                        {new Date(
+                          subscription.pendingChange.effectiveAt
+                        ).toLocaleDateString()}
+                      </span>
+                    </>
+                  )}
                 </div>
                 <div
                   style={{
@@ -922,12 +3286,16 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                       backgroundColor:
                         subscription.status === "active"
                           ? "#d1fae5"
+                          : subscription.status === "trialing"
+                          ? "#dbeafe"
                           : subscription.status === "canceled"
                           ? "#fee2e2"
                           : "#fef3c7",
                       color:
                         subscription.status === "active"
                           ? "#065f46"
+                          : subscription.status === "trialing"
+                          ? "#1e40af"
                           : subscription.status === "canceled"
                           ? "#991b1b"
                           : "#92400e",
@@ -935,7 +3303,26 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                   >
                     {subscription.status.toUpperCase()}
                   </span>
-                  {subscription.status === "active" &&
+                  {(subscription.status === "active" ||
+                    subscription.status === "trialing") &&
+                    !subscription.cancelAtPeriodEnd && (
+                      <button
+                        onClick={() => setChangingSubscription(subscription)}
+                        style={{
+                          padding: "0.25rem 0.5rem",
+                          backgroundColor: "#8b5cf6",
+                          color: "white",
+                          border: "none",
+                          borderRadius: "4px",
+                          cursor: "pointer",
+                          fontSize: "0.75rem",
+                        }}
+                      >
+                        Change plan
+                      </button>
+                    )}
+                  {(subscription.status === "active" ||
+                    subscription.status === "trialing") &&
                     !subscription.cancelAtPeriodEnd && (
                       <button
                         onClick={() =>
@@ -966,6 +3353,68 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
         )}
       </div>
 
+      {/* Saved Cards */}
+      <div style={{ marginTop: "2rem" }}>
+        <h3 style={{ color: "#1f2937", marginBottom: "1rem" }}>Saved Cards</h3>
+        {savedCards.length === 0 ? (
+          <p style={{ color: "#6b7280", fontStyle: "italic" }}>
+            No saved cards.
+          </p>
+        ) : (
+          <div
+            style={{ display: "grid", gap: "0.5rem", marginBottom: "0.75rem" }}
+          >
+            {savedCards.map((card) => (
+              <div
+                key={card.id}
+                style={{
+                  padding: "0.75rem",
+                  border: "1px solid #d1d5db",
+                  borderRadius: "4px",
+                  backgroundColor: "white",
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  fontSize: "0.875rem",
+                }}
+              >
+                <span>{describeCard(card)}</span>
+                <button
+                  onClick={() => handleRemoveCard(card)}
+                  style={{
+                    padding: "0.25rem 0.5rem",
+                    backgroundColor: "#ef4444",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "4px",
+                    cursor: "pointer",
+                    fontSize: "0.75rem",
+                  }}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        {stripePromise && (
+          <button
+            onClick={() => setShowAddCardForm(true)}
+            style={{
+              padding: "0.5rem 1rem",
+              backgroundColor: "#10b981",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+              fontSize: "0.875rem",
+            }}
+          >
+            ➕ Add Card
+          </button>
+        )}
+      </div>
+
       {/* Create Product Modal */}
       {showCreateForm && (
         <div
@@ -1043,10 +3492,454 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                     fontSize: "1rem",
                     resize: "vertical",
                   }}
-                  placeholder="Describe your product..."
+                  placeholder="Describe your product..."
+                />
+              </div>
+              <div style={{ marginBottom: "1.5rem" }}>
+                <label
+                  style={{
+                    display: "block",
+                    marginBottom: "0.5rem",
+                    color: "#374151",
+                  }}
+                >
+                  Price ({productCurrency.toUpperCase()})
+                </label>
+                <input
+                  type="number"
+                  step={amountStep(productCurrency)}
+                  min="0"
+                  value={productPrice}
+                  onChange={(e) => setProductPrice(e.target.value)}
+                  required
+                  style={{
+                    width: "100%",
+                    padding: "0.75rem",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "6px",
+                    fontSize: "1rem",
+                  }}
+                  placeholder="0.00"
+                />
+              </div>
+              <CurrencyPriceFields
+                currency={productCurrency}
+                onCurrencyChange={setProductCurrency}
+                options={productCurrencyOptions}
+                onOptionsChange={setProductCurrencyOptions}
+              />
+              <InventoryFields
+                stock={productStock}
+                onStockChange={setProductStock}
+                purchaseLimit={productPurchaseLimit}
+                onPurchaseLimitChange={setProductPurchaseLimit}
+              />
+              {domainSettings.tax?.enabled && (
+                <TaxCodeField
+                  taxCode={productTaxCode}
+                  onTaxCodeChange={setProductTaxCode}
+                />
+              )}
+              <div style={{ display: "flex", gap: "1rem" }}>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  style={{
+                    flex: 1,
+                    padding: "0.75rem",
+                    backgroundColor: loading ? "#9ca3af" : "#8b5cf6",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "6px",
+                    cursor: loading ? "not-allowed" : "pointer",
+                    fontSize: "1rem",
+                    fontWeight: "500",
+                  }}
+                >
+                  {loading ? "Creating..." : "Create Product"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowCreateForm(false)}
+                  style={{
+                    padding: "0.75rem 1.5rem",
+                    backgroundColor: "#6b7280",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "6px",
+                    cursor: "pointer",
+                    fontSize: "1rem",
+                  }}
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Create Subscription Modal */}
+      {showCreateSubscriptionForm && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 1000,
+          }}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              padding: "2rem",
+              borderRadius: "12px",
+              maxWidth: "500px",
+              width: "90%",
+            }}
+          >
+            <h3 style={{ marginBottom: "1rem", color: "#1f2937" }}>
+              🔄 Create New Subscription
+            </h3>
+            <form onSubmit={handleCreateSubscription}>
+              <div style={{ marginBottom: "1rem" }}>
+                <label
+                  style={{
+                    display: "block",
+                    marginBottom: "0.5rem",
+                    color: "#374151",
+                  }}
+                >
+                  Subscription Name
+                </label>
+                <input
+                  type="text"
+                  value={subscriptionName}
+                  onChange={(e) => setSubscriptionName(e.target.value)}
+                  required
+                  style={{
+                    width: "100%",
+                    padding: "0.75rem",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "6px",
+                    fontSize: "1rem",
+                  }}
+                  placeholder="e.g., Premium Monthly Plan"
+                />
+              </div>
+              <div style={{ marginBottom: "1rem" }}>
+                <label
+                  style={{
+                    display: "block",
+                    marginBottom: "0.5rem",
+                    color: "#374151",
+                  }}
+                >
+                  Description
+                </label>
+                <textarea
+                  value={subscriptionDescription}
+                  onChange={(e) => setSubscriptionDescription(e.target.value)}
+                  required
+                  rows={3}
+                  style={{
+                    width: "100%",
+                    padding: "0.75rem",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "6px",
+                    fontSize: "1rem",
+                    resize: "vertical",
+                  }}
+                  placeholder="Describe your subscription plan..."
+                />
+              </div>
+              <div style={{ marginBottom: "1rem" }}>
+                <label
+                  style={{
+                    display: "block",
+                    marginBottom: "0.5rem",
+                    color: "#374151",
+                  }}
+                >
+                  Pricing
+                </label>
+                <div style={{ display: "flex", gap: "0.5rem" }}>
+                  <select
+                    value={subscriptionUsageType}
+                    onChange={(e) =>
+                      setSubscriptionUsageType(
+                        e.target.value as "licensed" | "metered"
+                      )
+                    }
+                    style={{
+                      flex: 1,
+                      padding: "0.75rem",
+                      border: "1px solid #d1d5db",
+                      borderRadius: "6px",
+                      fontSize: "1rem",
+                    }}
+                  >
+                    <option value="licensed">Fixed price per period</option>
+                    <option value="metered">Per unit of usage</option>
+                  </select>
+                  {subscriptionUsageType === "metered" && (
+                    <input
+                      type="text"
+                      value={subscriptionUnitLabel}
+                      onChange={(e) => setSubscriptionUnitLabel(e.target.value)}
+                      maxLength={12}
+                      style={{
+                        flex: 1,
+                        minWidth: 0,
+                        padding: "0.75rem",
+                        border: "1px solid #d1d5db",
+                        borderRadius: "6px",
+                        fontSize: "1rem",
+                      }}
+                      placeholder="Unit, e.g. request"
+                    />
+                  )}
+                </div>
+              </div>
+              <div style={{ marginBottom: "1rem" }}>
+                <label
+                  style={{
+                    display: "block",
+                    marginBottom: "0.5rem",
+                    color: "#374151",
+                  }}
+                >
+                  {subscriptionUsageType === "metered"
+                    ? `Price per ${subscriptionUnitLabel.trim() || "unit"}`
+                    : "Price"}{" "}
+                  ({subscriptionCurrency.toUpperCase()})
+                </label>
+                <input
+                  type="number"
+                  step={amountStep(subscriptionCurrency)}
+                  min="0"
+                  value={subscriptionPrice}
+                  onChange={(e) => setSubscriptionPrice(e.target.value)}
+                  required
+                  style={{
+                    width: "100%",
+                    padding: "0.75rem",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "6px",
+                    fontSize: "1rem",
+                  }}
+                  placeholder="9.99"
+                />
+              </div>
+              <CurrencyPriceFields
+                currency={subscriptionCurrency}
+                onCurrencyChange={setSubscriptionCurrency}
+                options={subscriptionCurrencyOptions}
+                onOptionsChange={setSubscriptionCurrencyOptions}
+              />
+              {domainSettings.tax?.enabled && (
+                <TaxCodeField
+                  taxCode={subscriptionTaxCode}
+                  onTaxCodeChange={setSubscriptionTaxCode}
+                />
+              )}
+              <div style={{ marginBottom: "1rem" }}>
+                <label
+                  style={{
+                    display: "block",
+                    marginBottom: "0.5rem",
+                    color: "#374151",
+                  }}
+                >
+                  Billing Interval
+                </label>
+                <select
+                  value={subscriptionInterval}
+                  onChange={(e) =>
+                    setSubscriptionInterval(e.target.value as "month" | "year")
+                  }
+                  required
+                  style={{
+                    width: "100%",
+                    padding: "0.75rem",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "6px",
+                    fontSize: "1rem",
+                  }}
+                >
+                  <option value="month">Monthly</option>
+                  <option value="year">Yearly</option>
+                </select>
+              </div>
+              <div style={{ marginBottom: "1.5rem" }}>
+                <label
+                  style={{
+                    display: "block",
+                    marginBottom: "0.5rem",
+                    color: "#374151",
+                  }}
+                >
+                  Free trial in days (optional)
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  max="730"
+                  value={subscriptionTrialDays}
+                  onChange={(e) => setSubscriptionTrialDays(e.target.value)}
+                  style={{
+                    width: "100%",
+                    padding: "0.75rem",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "6px",
+                    fontSize: "1rem",
+                  }}
+                  placeholder="e.g. 14"
+                />
+                {subscriptionTrialDays && (
+                  <label
+                    style={{
+                      display: "block",
+                      marginTop: "0.5rem",
+                      fontSize: "0.875rem",
+                      color: "#374151",
+                    }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={subscriptionTrialRequiresCard}
+                      onChange={(e) =>
+                        setSubscriptionTrialRequiresCard(e.target.checked)
+                      }
+                      style={{ marginRight: "0.5rem" }}
+                    />
+                    Ask for a card before the trial starts
+                  </label>
+                )}
+              </div>
+              <div style={{ display: "flex", gap: "1rem" }}>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  style={{
+                    flex: 1,
+                    padding: "0.75rem",
+                    backgroundColor: loading ? "#9ca3af" : "#f59e0b",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "6px",
+                    cursor: loading ? "not-allowed" : "pointer",
+                    fontSize: "1rem",
+                    fontWeight: "500",
+                  }}
+                >
+                  {loading ? "Creating..." : "Create Subscription"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowCreateSubscriptionForm(false)}
+                  style={{
+                    padding: "0.75rem 1.5rem",
+                    backgroundColor: "#6b7280",
+                    color: "white",
+                    border: "none",
+                    borderRadius: "6px",
+                    cursor: "pointer",
+                    fontSize: "1rem",
+                  }}
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Edit Product Modal */}
+      {editingProduct && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 1000,
+          }}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              padding: "2rem",
+              borderRadius: "12px",
+              maxWidth: "500px",
+              width: "90%",
+            }}
+          >
+            <h3 style={{ marginBottom: "1rem", color: "#1f2937" }}>
+              ✏️ Edit {editingProduct.name}
+            </h3>
+            <form onSubmit={handleUpdateProduct}>
+              <div style={{ marginBottom: "1rem" }}>
+                <label
+                  style={{
+                    display: "block",
+                    marginBottom: "0.5rem",
+                    color: "#374151",
+                  }}
+                >
+                  Name
+                </label>
+                <input
+                  type="text"
+                  value={editName}
+                  onChange={(e) => setEditName(e.target.value)}
+                  required
+                  style={{
+                    width: "100%",
+                    padding: "0.75rem",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "6px",
+                    fontSize: "1rem",
+                  }}
+                />
+              </div>
+              <div style={{ marginBottom: "1rem" }}>
+                <label
+                  style={{
+                    display: "block",
+                    marginBottom: "0.5rem",
+                    color: "#374151",
+                  }}
+                >
+                  Description
+                </label>
+                <textarea
+                  value={editDescription}
+                  onChange={(e) => setEditDescription(e.target.value)}
+                  rows={3}
+                  style={{
+                    width: "100%",
+                    padding: "0.75rem",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "6px",
+                    fontSize: "1rem",
+                    resize: "vertical",
+                  }}
                 />
               </div>
-              <div style={{ marginBottom: "1.5rem" }}>
+              <div style={{ marginBottom: "1rem" }}>
                 <label
                   style={{
                     display: "block",
@@ -1054,14 +3947,14 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                     color: "#374151",
                   }}
                 >
-                  Price (USD)
+                  Price ({editCurrency.toUpperCase()})
                 </label>
                 <input
                   type="number"
-                  step="0.01"
+                  step={amountStep(editCurrency)}
                   min="0"
-                  value={productPrice}
-                  onChange={(e) => setProductPrice(e.target.value)}
+                  value={editPrice}
+                  onChange={(e) => setEditPrice(e.target.value)}
                   required
                   style={{
                     width: "100%",
@@ -1070,9 +3963,38 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                     borderRadius: "6px",
                     fontSize: "1rem",
                   }}
-                  placeholder="0.00"
                 />
               </div>
+              <CurrencyPriceFields
+                currency={editCurrency}
+                onCurrencyChange={setEditCurrency}
+                options={editCurrencyOptions}
+                onOptionsChange={setEditCurrencyOptions}
+              />
+              {editingProduct.type !== "subscription" && (
+                <InventoryFields
+                  stock={editStock}
+                  onStockChange={setEditStock}
+                  purchaseLimit={editPurchaseLimit}
+                  onPurchaseLimitChange={setEditPurchaseLimit}
+                />
+              )}
+              {domainSettings.tax?.enabled && (
+                <TaxCodeField
+                  taxCode={editTaxCode}
+                  onTaxCodeChange={setEditTaxCode}
+                />
+              )}
+              <p
+                style={{
+                  margin: "0 0 1rem 0",
+                  color: "#6b7280",
+                  fontSize: "0.75rem",
+                }}
+              >
+                Changing the price creates a new Stripe price. Existing
+                subscribers keep their current price.
+              </p>
               <div style={{ display: "flex", gap: "1rem" }}>
                 <button
                   type="submit"
@@ -1089,11 +4011,11 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                     fontWeight: "500",
                   }}
                 >
-                  {loading ? "Creating..." : "Create Product"}
+                  {loading ? "Saving..." : "Save Changes"}
                 </button>
                 <button
                   type="button"
-                  onClick={() => setShowCreateForm(false)}
+                  onClick={() => setEditingProduct(null)}
                   style={{
                     padding: "0.75rem 1.5rem",
                     backgroundColor: "#6b7280",
@@ -1112,8 +4034,8 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
         </div>
       )}
 
-      {/* Create Subscription Modal */}
-      {showCreateSubscriptionForm && (
+      {/* Add Card Modal */}
+      {showAddCardForm && stripePromise && (
         <div
           style={{
             position: "fixed",
@@ -1138,9 +4060,251 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
             }}
           >
             <h3 style={{ marginBottom: "1rem", color: "#1f2937" }}>
-              🔄 Create New Subscription
+              💳 Add a Card
             </h3>
-            <form onSubmit={handleCreateSubscription}>
+            <Elements stripe={stripePromise}>
+              <AddCardForm
+                user={user}
+                onCardAdded={handleCardAdded}
+                onCancel={() => setShowAddCardForm(false)}
+              />
+            </Elements>
+          </div>
+        </div>
+      )}
+
+      {/* Coupons Modal */}
+      {showCouponManager && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 1000,
+          }}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              padding: "2rem",
+              borderRadius: "12px",
+              maxWidth: "500px",
+              width: "90%",
+              maxHeight: "80vh",
+              overflow: "auto",
+            }}
+          >
+            <h3 style={{ marginBottom: "1rem", color: "#1f2937" }}>
+              🏷️ Coupons
+            </h3>
+            <CouponManager
+              domain={currentDomain}
+              products={storefrontProducts}
+              onClose={() => setShowCouponManager(false)}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Change Plan Modal */}
+      {changingSubscription && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 1000,
+          }}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              padding: "2rem",
+              borderRadius: "12px",
+              maxWidth: "500px",
+              width: "90%",
+              maxHeight: "80vh",
+              overflow: "auto",
+            }}
+          >
+            <h3 style={{ marginBottom: "1rem", color: "#1f2937" }}>
+              Change plan: {changingSubscription.productName}
+            </h3>
+            <PlanChangeManager
+              domain={currentDomain}
+              subscription={changingSubscription}
+              plans={planChangeOptions(changingSubscription)}
+              onChanged={handlePlanChanged}
+              onClose={() => setChangingSubscription(null)}
+            />
+          </div>
+        </div>
+      )}
+
+      {showTaxSettings && domainSettings.tax && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 1000,
+          }}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              padding: "2rem",
+              borderRadius: "12px",
+              maxWidth: "500px",
+              width: "90%",
+              maxHeight: "80vh",
+              overflow: "auto",
+            }}
+          >
+            <h3 style={{ marginBottom: "1rem", color: "#1f2937" }}>
+              🧾 Tax for {currentDomain}
+            </h3>
+            <TaxSettingsManager
+              settings={domainSettings.tax}
+              onSave={(tax) => handleDomainSettingsChange({ tax })}
+              onClose={() => setShowTaxSettings(false)}
+            />
+          </div>
+        </div>
+      )}
+
+      {showInvoiceSettings && domainSettings.invoice && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 1000,
+          }}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              padding: "2rem",
+              borderRadius: "12px",
+              maxWidth: "500px",
+              width: "90%",
+              maxHeight: "80vh",
+              overflow: "auto",
+            }}
+          >
+            <h3 style={{ marginBottom: "1rem", color: "#1f2937" }}>
+              📄 Invoices for {currentDomain}
+            </h3>
+            <InvoiceSettingsManager
+              domain={currentDomain}
+              settings={domainSettings.invoice}
+              onSave={(invoice) => handleDomainSettingsChange({ invoice })}
+              onClose={() => setShowInvoiceSettings(false)}
+            />
+          </div>
+        </div>
+      )}
+
+      {showConnectPayouts && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 1000,
+          }}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              padding: "2rem",
+              borderRadius: "12px",
+              maxWidth: "500px",
+              width: "90%",
+              maxHeight: "80vh",
+              overflow: "auto",
+            }}
+          >
+            <h3 style={{ marginBottom: "1rem", color: "#1f2937" }}>
+              🏦 Payouts for {currentDomain}
+            </h3>
+            <ConnectPayoutsManager
+              domain={currentDomain}
+              onClose={() => setShowConnectPayouts(false)}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Refund Modal */}
+      {refundingOrder && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 1000,
+          }}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              padding: "2rem",
+              borderRadius: "12px",
+              maxWidth: "500px",
+              width: "90%",
+            }}
+          >
+            <h3 style={{ marginBottom: "1rem", color: "#1f2937" }}>
+              ↩️ Refund {refundingOrder.productName}
+            </h3>
+            <p style={{ margin: "0 0 1rem 0", color: "#6b7280" }}>
+              Paid{" "}
+              {formatCurrency(refundingOrder.amount, refundingOrder.currency)}
+              {!!refundingOrder.amountRefunded &&
+                `, ${formatCurrency(
+                  refundingOrder.amountRefunded,
+                  refundingOrder.currency
+                )} already refunded`}
+            </p>
+            <form onSubmit={handleRefundOrder}>
               <div style={{ marginBottom: "1rem" }}>
                 <label
                   style={{
@@ -1149,12 +4313,17 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                     color: "#374151",
                   }}
                 >
-                  Subscription Name
+                  Amount ({refundingOrder.currency.toUpperCase()})
                 </label>
                 <input
-                  type="text"
-                  value={subscriptionName}
-                  onChange={(e) => setSubscriptionName(e.target.value)}
+                  type="number"
+                  step={amountStep(refundingOrder.currency)}
+                  min="0"
+                  max={
+                    refundingOrder.amount - (refundingOrder.amountRefunded || 0)
+                  }
+                  value={refundAmount}
+                  onChange={(e) => setRefundAmount(e.target.value)}
                   required
                   style={{
                     width: "100%",
@@ -1163,7 +4332,6 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                     borderRadius: "6px",
                     fontSize: "1rem",
                   }}
-                  placeholder="e.g., Premium Monthly Plan"
                 />
               </div>
               <div style={{ marginBottom: "1rem" }}>
@@ -1174,23 +4342,25 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                     color: "#374151",
                   }}
                 >
-                  Description
+                  Reason
                 </label>
-                <textarea
-                  value={subscriptionDescription}
-                  onChange={(e) => setSubscriptionDescription(e.target.value)}
-                  required
-                  rows={3}
+                <select
+                  value={refundReason}
+                  onChange={(e) => setRefundReason(e.target.value)}
                   style={{
                     width: "100%",
                     padding: "0.75rem",
                     border: "1px solid #d1d5db",
                     borderRadius: "6px",
                     fontSize: "1rem",
-                    resize: "vertical",
                   }}
-                  placeholder="Describe your subscription plan..."
-                />
+                >
+                  <option value="requested_by_customer">
+                    Requested by customer
+                  </option>
+                  <option value="duplicate">Duplicate payment</option>
+                  <option value="fraudulent">Fraudulent</option>
+                </select>
               </div>
               <div style={{ marginBottom: "1rem" }}>
                 <label
@@ -1200,53 +4370,23 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                     color: "#374151",
                   }}
                 >
-                  Price (USD)
+                  Note (optional)
                 </label>
-                <input
-                  type="number"
-                  step="0.01"
-                  min="0"
-                  value={subscriptionPrice}
-                  onChange={(e) => setSubscriptionPrice(e.target.value)}
-                  required
+                <textarea
+                  value={refundNote}
+                  onChange={(e) => setRefundNote(e.target.value)}
+                  rows={2}
                   style={{
                     width: "100%",
                     padding: "0.75rem",
                     border: "1px solid #d1d5db",
                     borderRadius: "6px",
                     fontSize: "1rem",
+                    resize: "vertical",
                   }}
-                  placeholder="9.99"
+                  placeholder="e.g. support ticket number"
                 />
               </div>
-              <div style={{ marginBottom: "1.5rem" }}>
-                <label
-                  style={{
-                    display: "block",
-                    marginBottom: "0.5rem",
-                    color: "#374151",
-                  }}
-                >
-                  Billing Interval
-                </label>
-                <select
-                  value={subscriptionInterval}
-                  onChange={(e) =>
-                    setSubscriptionInterval(e.target.value as "month" | "year")
-                  }
-                  required
-                  style={{
-                    width: "100%",
-                    padding: "0.75rem",
-                    border: "1px solid #d1d5db",
-                    borderRadius: "6px",
-                    fontSize: "1rem",
-                  }}
-                >
-                  <option value="month">Monthly</option>
-                  <option value="year">Yearly</option>
-                </select>
-              </div>
               <div style={{ display: "flex", gap: "1rem" }}>
                 <button
                   type="submit"
@@ -1254,7 +4394,7 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                   style={{
                     flex: 1,
                     padding: "0.75rem",
-                    backgroundColor: loading ? "#9ca3af" : "#f59e0b",
+                    backgroundColor: loading ? "#9ca3af" : "#ef4444",
                     color: "white",
                     border: "none",
                     borderRadius: "6px",
@@ -1263,11 +4403,11 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
                     fontWeight: "500",
                   }}
                 >
-                  {loading ? "Creating..." : "Create Subscription"}
+                  {loading ? "Refunding..." : "Refund"}
                 </button>
                 <button
                   type="button"
-                  onClick={() => setShowCreateSubscriptionForm(false)}
+                  onClick={() => setRefundingOrder(null)}
                   style={{
                     padding: "0.75rem 1.5rem",
                     backgroundColor: "#6b7280",
@@ -1287,7 +4427,7 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
       )}
 
       {/* Payment Modal */}
-      {showPaymentForm && selectedProduct && stripePromise && (
+      {showPaymentForm && checkoutLines && stripePromise && (
         <div
           style={{
             position: "fixed",
@@ -1316,11 +4456,14 @@ const StripeComponent: React.FC<StripeComponentProps> = ({
             </h3>
             <Elements stripe={stripePromise}>
               <PaymentForm
-                product={selectedProduct}
+                lines={checkoutLines}
+                checkoutMode={domainSettings.checkoutMode}
+                tax={domainSettings.tax}
                 user={user}
                 onPaymentSuccess={handlePaymentSuccess}
                 onSubscriptionSuccess={handleSubscriptionSuccess}
                 onCancel={handleCancelPayment}
+                onCheckoutRedirect={handleCheckoutRedirect}
               />
             </Elements>
           </div>
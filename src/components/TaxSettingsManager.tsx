@@ -0,0 +1,300 @@
+import React, { useState } from "react";
+
+// A rate from the domain's own table. The most specific match for the
+// buyer's country/state and the product's tax code is used.
+export interface TaxRate {
+  name: string;
+  percentage: number;
+  country: string;
+  state?: string | null;
+  taxCode?: string | null;
+}
+
+export interface TaxSettings {
+  enabled: boolean;
+  provider: "stripe" | "local";
+  behavior: "exclusive" | "inclusive";
+  rates: TaxRate[];
+}
+
+interface TaxSettingsManagerProps {
+  settings: TaxSettings;
+  onSave: (settings: TaxSettings) => Promise<void>;
+  onClose: () => void;
+}
+
+const inputStyle = {
+  width: "100%",
+  padding: "0.75rem",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  fontSize: "1rem",
+};
+
+const labelStyle = {
+  display: "block",
+  marginBottom: "0.5rem",
+  color: "#374151",
+};
+
+const describeRate = (rate: TaxRate) =>
+  `${rate.name} ${rate.percentage}% in ${rate.country}` +
+  (rate.state ? `-${rate.state}` : "") +
+  (rate.taxCode ? ` for ${rate.taxCode}` : "");
+
+const TaxSettingsManager: React.FC<TaxSettingsManagerProps> = ({
+  settings,
+  onSave,
+  onClose,
+}) => {
+  const [draft, setDraft] = useState<TaxSettings>(settings);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // New rate form states
+  const [rateName, setRateName] = useState("");
+  const [ratePercentage, setRatePercentage] = useState("");
+  const [rateCountry, setRateCountry] = useState("");
+  const [rateState, setRateState] = useState("");
+  const [rateTaxCode, setRateTaxCode] = useState("");
+
+  const handleAddRate = (e: React.FormEvent) => {
+    e.preventDefault();
+
+    setDraft({
+      ...draft,
+      rates: [
+        ...draft.rates,
+        {
+          name: rateName.trim(),
+          percentage: parseFloat(ratePercentage),
+          country: rateCountry.trim().toUpperCase(),
+          state: rateState.trim().toUpperCase() || null,
+          taxCode: rateTaxCode.trim() || null,
+        },
+      ],
+    });
+    setRateName("");
+    setRatePercentage("");
+    setRateState("");
+    setRateTaxCode("");
+  };
+
+  const handleRemoveRate = (index: number) => {
+    setDraft({
+      ...draft,
+      rates: draft.rates.filter((_, i) => i !== index),
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <label style={{ ...labelStyle, display: "flex", alignItems: "center" }}>
+        <input
+          type="checkbox"
+          checked={draft.enabled}
+          onChange={(e) => setDraft({ ...draft, enabled: e.target.checked })}
+          style={{ marginRight: "0.5rem" }}
+        />
+        Collect tax on purchases and subscriptions
+      </label>
+
+      <div style={{ marginBottom: "1rem" }}>
+        <label style={labelStyle}>Tax is worked out by</label>
+        <select
+          value={draft.provider}
+          onChange={(e) =>
+            setDraft({
+              ...draft,
+              provider: e.target.value as TaxSettings["provider"],
+            })
+          }
+          style={inputStyle}
+        >
+          <option value="stripe">Stripe Tax (must be set up in Stripe)</option>
+          <option value="local">Our own rate table</option>
+        </select>
+      </div>
+
+      <div style={{ marginBottom: "1rem" }}>
+        <label style={labelStyle}>Product prices</label>
+        <select
+          value={draft.behavior}
+          onChange={(e) =>
+            setDraft({
+              ...draft,
+              behavior: e.target.value as TaxSettings["behavior"],
+            })
+          }
+          style={inputStyle}
+        >
+          <option value="exclusive">Exclude tax (added at checkout)</option>
+          <option value="inclusive">Include tax</option>
+        </select>
+      </div>
+
+      {draft.provider === "local" && (
+        <div style={{ marginBottom: "1rem" }}>
+          <h4 style={{ margin: "0 0 0.5rem 0", color: "#1f2937" }}>
+            Tax rates
+          </h4>
+          {draft.rates.length === 0 ? (
+            <p style={{ color: "#6b7280", fontStyle: "italic" }}>
+              No rates yet. Buyers outside every listed country pay no tax.
+            </p>
+          ) : (
+            <div style={{ display: "grid", gap: "0.5rem" }}>
+              {draft.rates.map((rate, index) => (
+                <div
+                  key={index}
+                  style={{
+                    padding: "0.5rem 0.75rem",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "4px",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    fontSize: "0.875rem",
+                  }}
+                >
+                  {describeRate(rate)}
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveRate(index)}
+                    style={{
+                      padding: "0.25rem 0.5rem",
+                      backgroundColor: "#ef4444",
+                      color: "white",
+                      border: "none",
+                      borderRadius: "4px",
+                      cursor: "pointer",
+                      fontSize: "0.75rem",
+                    }}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <form onSubmit={handleAddRate} style={{ marginTop: "0.75rem" }}>
+            <div
+              style={{ display: "flex", gap: "0.5rem", marginBottom: "0.5rem" }}
+            >
+              <input
+                type="text"
+                value={rateName}
+                onChange={(e) => setRateName(e.target.value)}
+                required
+                style={{ ...inputStyle, flex: 2, minWidth: 0 }}
+                placeholder="Name, e.g. VAT"
+              />
+              <input
+                type="number"
+                step="any"
+                min="0"
+                max="100"
+                value={ratePercentage}
+                onChange={(e) => setRatePercentage(e.target.value)}
+                required
+                style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+                placeholder="%"
+              />
+            </div>
+            <div
+              style={{ display: "flex", gap: "0.5rem", marginBottom: "0.5rem" }}
+            >
+              <input
+                type="text"
+                value={rateCountry}
+                onChange={(e) => setRateCountry(e.target.value)}
+                required
+                pattern="[A-Za-z]{2}"
+                style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+                placeholder="Country (DE)"
+              />
+              <input
+                type="text"
+                value={rateState}
+                onChange={(e) => setRateState(e.target.value)}
+                style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+                placeholder="State (optional)"
+              />
+            </div>
+            <div style={{ display: "flex", gap: "0.5rem" }}>
+              <input
+                type="text"
+                value={rateTaxCode}
+                onChange={(e) => setRateTaxCode(e.target.value)}
+                pattern="txcd_[0-9]{8}"
+                style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+                placeholder="Only for tax code (optional)"
+              />
+              <button
+                type="submit"
+                style={{
+                  padding: "0.5rem 1rem",
+                  backgroundColor: "#8b5cf6",
+                  color: "white",
+                  border: "none",
+                  borderRadius: "6px",
+                  cursor: "pointer",
+                  fontSize: "0.875rem",
+                }}
+              >
+                Add Rate
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: "1rem" }}>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={isSaving}
+          style={{
+            flex: 1,
+            padding: "0.75rem",
+            backgroundColor: isSaving ? "#9ca3af" : "#8b5cf6",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: isSaving ? "not-allowed" : "pointer",
+            fontSize: "1rem",
+            fontWeight: "500",
+          }}
+        >
+          {isSaving ? "Saving..." : "Save Tax Settings"}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          style={{
+            padding: "0.75rem 1.5rem",
+            backgroundColor: "#6b7280",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "1rem",
+          }}
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TaxSettingsManager;
@@ -3,119 +3,183 @@ import AuthComponent from "../components/AuthComponent";
 import AirtableForm from "../components/AirtableForm";
 import StripeComponent from "../components/StripeComponent";
 import GlobalDataComponent from "../components/GlobalDataComponent";
+import SessionManager from "../components/SessionManager";
+import {
+  REFRESH_MARGIN_MS,
+  apiHeaders,
+  clearStoredSession,
+  refreshSession,
+  sessionExpiresAt,
+  setSessionExpiresAt,
+} from "../utils/session";
 
 interface User {
   id: string;
   email: string;
   name: string;
   domain: string;
-  googleAccessToken?: string;
-  googleRefreshToken?: string;
-  airtableAccessToken?: string;
-  airtableRefreshToken?: string;
+  // Provider tokens are kept on the server; these say which are linked
+  googleConnected?: boolean;
+  airtableConnected?: boolean;
 }
 
 const HomePage = () => {
   const [user, setUser] = useState<User | null>(null);
   const [currentDomain, setCurrentDomain] = useState<string>("");
   const [showAirtableModal, setShowAirtableModal] = useState<boolean>(false);
+  const [showSessionsModal, setShowSessionsModal] = useState<boolean>(false);
 
   useEffect(() => {
     // Get current domain
     setCurrentDomain(window.location.hostname);
 
-    // Check for token in URL or localStorage
+    // Tokens kept by earlier versions of the page
+    localStorage.removeItem("authToken");
+    localStorage.removeItem("refreshToken");
+
+    // The session cookie, if any, tells the server who this is
+    loadSession(window.location.hostname);
+
+    // Show success message if Airtable was just connected
     const urlParams = new URLSearchParams(window.location.search);
-    const tokenFromUrl = urlParams.get("token");
-    const tokenFromStorage = localStorage.getItem("authToken");
-    const airtableConnected = urlParams.get("airtable_connected");
-
-    const token = tokenFromUrl || tokenFromStorage;
-
-    if (token) {
-      try {
-        // Decode JWT (Note: In production, verify this on the server)
-        const payload = JSON.parse(atob(token.split(".")[1]));
-
-        // Security check: ensure token is for this domain
-        if (payload.domain !== window.location.hostname) {
-          console.error("Token domain mismatch!");
-          localStorage.removeItem("authToken");
-          return;
-        }
+    if (urlParams.get("airtable_connected") === "true") {
+      window.history.replaceState({}, document.title, window.location.pathname);
+      setTimeout(() => {
+        alert(
+          "🎉 Airtable connected successfully! You can now create records without entering API keys."
+        );
+      }, 500);
+    }
+  }, []);
 
-        // Check if token is expired
-        if (payload.exp && payload.exp < Date.now() / 1000) {
-          console.error("Token expired");
-          localStorage.removeItem("authToken");
-          return;
+  // Replace the access token shortly before it expires, for as long as
+  // the session lasts
+  useEffect(() => {
+    if (!user) return;
+
+    let timer: ReturnType<typeof setTimeout>;
+
+    const scheduleRefresh = () => {
+      clearTimeout(timer);
+      const delay = sessionExpiresAt() - Date.now() - REFRESH_MARGIN_MS;
+      timer = setTimeout(async () => {
+        try {
+          if (!(await refreshSession(user.domain))) {
+            clearSession();
+            return;
+          }
+          scheduleRefresh();
+        } catch (error) {
+          console.error("Error refreshing session:", error);
+          timer = setTimeout(scheduleRefresh, 30 * 1000);
         }
+      }, Math.max(delay, 0));
+    };
 
-        // Save token and set user
-        localStorage.setItem("authToken", token);
-        setUser({
-          id: payload.userId,
-          email: payload.email,
-          name: payload.name,
-          domain: payload.domain,
-          googleAccessToken: payload.googleAccessToken,
-          googleRefreshToken: payload.googleRefreshToken,
-          airtableAccessToken: payload.airtableAccessToken,
-          airtableRefreshToken: payload.airtableRefreshToken,
-        });
-
-        // Clean URL if token came from URL
-        if (tokenFromUrl) {
-          window.history.replaceState(
-            {},
-            document.title,
-            window.location.pathname
-          );
-        }
+    scheduleRefresh();
 
-        // Show success message if Airtable was just connected
-        if (airtableConnected === "true") {
-          setTimeout(() => {
-            alert(
-              "🎉 Airtable connected successfully! You can now create records without entering API keys."
-            );
-          }, 500);
-        }
-      } catch (error) {
-        console.error("Invalid token:", error);
-        localStorage.removeItem("authToken");
+    // Timers are throttled in background tabs and stop while the computer
+    // sleeps, so check again when the page is shown
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible") {
+        scheduleRefresh();
       }
+    };
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, [user]);
+
+  // Who the session cookie belongs to, or null without a valid session
+  const fetchSessionUser = async (domain: string) => {
+    const response = await fetch("/api/verify-token", {
+      method: "POST",
+      headers: apiHeaders(),
+      body: JSON.stringify({ domain }),
+    });
+
+    if (response.status === 401) {
+      return null;
     }
-  }, []);
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error);
+    }
+    return result;
+  };
+
+  const loadSession = async (domain: string) => {
+    try {
+      let result = await fetchSessionUser(domain);
+
+      // The access token may have expired while the session lives on
+      if (!result && (await refreshSession(domain))) {
+        result = await fetchSessionUser(domain);
+      }
+
+      if (!result) {
+        clearStoredSession();
+        return;
+      }
+
+      setSessionExpiresAt(result.expiresAt);
+      setUser({
+        id: result.user.userId,
+        email: result.user.email,
+        name: result.user.name,
+        domain: result.user.domain,
+        googleConnected: result.user.googleConnected,
+        airtableConnected: result.user.airtableConnected,
+      });
+    } catch (error) {
+      console.error("Error loading session:", error);
+    }
+  };
 
   const handleLogin = () => {
     // Redirect to our auth endpoint (will be proxied by Vercel to backend)
-    window.location.href = `/auth/google?return_domain=${currentDomain}`;
+    window.location.href = "/auth/google";
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem("authToken");
+  const clearSession = () => {
+    clearStoredSession();
     setUser(null);
-    // Optionally, call a logout endpoint
-    // fetch('/api/logout', { method: 'POST' });
+    setShowSessionsModal(false);
+  };
+
+  const handleLogout = async () => {
+    // Revoke the session on the server, which also clears its cookies,
+    // then forget it here whatever the outcome
+    try {
+      // The access token may have lapsed while the tab slept
+      await refreshSession(currentDomain);
+      await fetch("/api/logout", {
+        method: "POST",
+        headers: apiHeaders(),
+        body: JSON.stringify({ domain: currentDomain }),
+      });
+    } catch (error) {
+      console.error("Error logging out:", error);
+    }
+
+    clearSession();
   };
 
   const handleCreateGoogleSheet = async (sheetName?: string) => {
-    if (!user || !user.googleAccessToken) {
+    if (!user || !user.googleConnected) {
       alert("No Google access token available. Please log in again.");
       return;
     }
 
     try {
-      const token = localStorage.getItem("authToken");
-
       const response = await fetch("/api/sheets/create", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
+        headers: apiHeaders(),
         body: JSON.stringify({
-          token,
           domain: currentDomain,
           sheetName: sheetName || `${currentDomain} Data Sheet`,
         }),
@@ -148,7 +212,7 @@ const HomePage = () => {
     }
 
     // If user has OAuth tokens but no baseId, show error
-    if (user.airtableAccessToken && !baseId) {
+    if (user.airtableConnected && !baseId) {
       alert(
         "Please provide a Base ID to create records in your Airtable base."
       );
@@ -156,16 +220,13 @@ const HomePage = () => {
     }
 
     // If no OAuth and no API key, show error
-    if (!user.airtableAccessToken && !airtableApiKey) {
+    if (!user.airtableConnected && !airtableApiKey) {
       alert("Please provide an Airtable API key or connect via OAuth first.");
       return;
     }
 
     try {
-      const token = localStorage.getItem("authToken");
-
       const requestBody: any = {
-        token,
         domain: currentDomain,
         baseId,
         tableName: tableName || "Main Table",
@@ -176,15 +237,13 @@ const HomePage = () => {
       };
 
       // Only include API key if not using OAuth
-      if (!user.airtableAccessToken && airtableApiKey) {
+      if (!user.airtableConnected && airtableApiKey) {
         requestBody.airtableApiKey = airtableApiKey;
       }
 
       const response = await fetch("/api/airtable/create-record", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
+        headers: apiHeaders(),
         body: JSON.stringify(requestBody),
       });
 
@@ -225,16 +284,8 @@ const HomePage = () => {
       return;
     }
 
-    const token = localStorage.getItem("authToken");
-    if (!token) {
-      alert("No authentication token found. Please log in again.");
-      return;
-    }
-
-    // Redirect to Airtable OAuth flow
-    window.location.href = `/auth/airtable?token=${encodeURIComponent(
-      token
-    )}&domain=${encodeURIComponent(currentDomain)}`;
+    // Redirect to Airtable OAuth flow; the session cookie goes along
+    window.location.href = "/auth/airtable";
   };
 
   return (
@@ -265,6 +316,7 @@ const HomePage = () => {
         onCreateGoogleSheet={handleCreateGoogleSheet}
         onShowAirtableModal={handleShowAirtableModal}
         onConnectAirtable={handleConnectAirtable}
+        onShowSessions={() => setShowSessionsModal(true)}
       />
 
       {/* Stripe Component */}
@@ -311,7 +363,46 @@ const HomePage = () => {
               onSubmit={handleCreateAirtableRecord}
               onCancel={handleCloseAirtableModal}
               domain={currentDomain}
-              hasOAuthTokens={!!user?.airtableAccessToken}
+              hasOAuthTokens={!!user?.airtableConnected}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Sessions Modal */}
+      {showSessionsModal && (
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 1000,
+          }}
+        >
+          <div
+            style={{
+              backgroundColor: "white",
+              padding: "2rem",
+              borderRadius: "12px",
+              maxWidth: "500px",
+              width: "90%",
+              maxHeight: "80vh",
+              overflow: "auto",
+            }}
+          >
+            <h3 style={{ marginBottom: "1rem", color: "#1f2937" }}>
+              🔒 Active Sessions
+            </h3>
+            <SessionManager
+              domain={currentDomain}
+              onSignedOut={clearSession}
+              onClose={() => setShowSessionsModal(false)}
             />
           </div>
         </div>
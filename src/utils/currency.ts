@@ -0,0 +1,32 @@
+// Currency helpers shared by the Stripe components
+
+export const SUPPORTED_CURRENCIES = ["usd", "eur", "gbp", "jpy"] as const;
+
+export type SupportedCurrency = (typeof SUPPORTED_CURRENCIES)[number];
+
+// Currencies without minor units (e.g. ¥1500, not ¥15.00)
+const ZERO_DECIMAL_CURRENCIES = ["jpy", "krw", "vnd", "clp"];
+
+export const isZeroDecimal = (currency: string) =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase());
+
+// Step for amount inputs in the given currency
+export const amountStep = (currency: string) =>
+  isZeroDecimal(currency) ? "1" : "0.01";
+
+export const formatCurrency = (amount: number, currency: string = "usd") =>
+  new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: currency.toUpperCase(),
+  }).format(amount);
+
+// Format per-currency totals without ever adding currencies together
+export const formatCurrencyTotals = (totals: Record<string, number>) => {
+  const entries = Object.entries(totals || {});
+  if (entries.length === 0) {
+    return formatCurrency(0);
+  }
+  return entries
+    .map(([currency, amount]) => formatCurrency(amount, currency))
+    .join(" + ");
+};
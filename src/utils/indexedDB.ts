@@ -5,11 +5,64 @@ export interface Product {
   name: string;
   description: string;
   price: number;
+  currency?: string;
+  // Extra prices in other currencies, e.g. { eur: 9.5, jpy: 1500 }
+  currencyOptions?: Record<string, number>;
   priceId: string;
   domain: string;
   created: number;
   type?: "one-time" | "subscription";
   interval?: "month" | "year" | null;
+  // Archived products are hidden from the storefront but kept for orders
+  archived?: boolean;
+  // Limited products: total stock, units left to buy and the most one
+  // customer may buy. null means unlimited.
+  stock?: number | null;
+  available?: number | null;
+  purchaseLimit?: number | null;
+  // Stripe product tax code, e.g. txcd_10000000
+  taxCode?: string | null;
+  // Subscription plans: metered plans charge the price per unit of
+  // reported usage, e.g. per "request"
+  usageType?: "licensed" | "metered" | null;
+  unitLabel?: string | null;
+  // Free trial offered once per customer, optionally without a card
+  trialDays?: number | null;
+  trialRequiresCard?: boolean | null;
+}
+
+export interface OrderLineItem {
+  productId: string;
+  productName: string;
+  quantity: number;
+  unitAmount: number;
+  amount: number;
+}
+
+// One rate's share of the tax on an order
+export interface TaxLine {
+  name: string;
+  percentage: number;
+  country: string | null;
+  state: string | null;
+  taxableAmount: number;
+  amount: number;
+}
+
+// Inclusive tax is already part of the amount; exclusive tax was added on
+export interface OrderTax {
+  amount: number;
+  inclusive: boolean;
+  breakdown: TaxLine[];
+}
+
+export interface BillingAddress {
+  line1: string;
+  line2: string;
+  city: string;
+  state: string;
+  postalCode: string;
+  country: string;
 }
 
 export interface Order {
@@ -20,30 +73,93 @@ export interface Order {
   currency: string;
   domain: string;
   customerEmail: string;
-  status: "pending" | "succeeded" | "failed";
+  status:
+    | "pending"
+    | "succeeded"
+    | "failed"
+    | "refunded"
+    | "partially_refunded";
   paymentIntentId: string;
   created: number;
+  // Total refunded so far, in the order currency
+  amountRefunded?: number;
+  // Promotion code used and the amount it took off
+  promotionCode?: string;
+  discount?: number;
+  // Every product paid for; productId/productName describe the first line
+  lineItems?: OrderLineItem[];
+  // Tax charged, when the domain collects it, and where the buyer was
+  tax?: OrderTax;
+  billingAddress?: BillingAddress;
+  // Set once the invoice PDF has been issued for the order
+  invoiceNumber?: string;
+  // Why the last payment attempt failed
+  failureMessage?: string | null;
+  // A subscription renewal whose payment failed, and how that ended
+  dunning?: RenewalDunning;
+}
+
+export interface RenewalDunning {
+  failedAt: number;
+  graceEndsAt: number;
+  attempts: number;
+  nextAttemptAt: number | null;
+  recoveredAt?: number;
+  revokedAt?: number;
+  revokedAs?: "unpaid" | "canceled";
 }
 
 export interface Subscription {
   id: string;
-  status: "active" | "canceled" | "past_due" | "unpaid" | "incomplete";
+  status:
+    | "active"
+    | "trialing"
+    | "canceled"
+    | "past_due"
+    | "unpaid"
+    | "incomplete";
   productName: string;
   productId: string;
   price: number;
+  currency?: string;
   interval: "month" | "year";
   currentPeriodStart: number;
   currentPeriodEnd: number;
+  // When the free trial ends and the first charge is made
+  trialEnd?: number | null;
+  usageType?: "licensed" | "metered";
   created: number;
   domain: string;
   cancelAtPeriodEnd?: boolean;
+  // Plan the subscription moves to when the current period ends
+  pendingChange?: {
+    productId: string;
+    priceId: string;
+    effectiveAt: number;
+  } | null;
+  // A renewal payment failed; access ends with the grace period unless the
+  // invoice is paid
+  paymentIssue?: {
+    invoiceId: string;
+    graceEndsAt: number;
+    invoiceUrl: string | null;
+  } | null;
+}
+
+export interface CartItem {
+  id: string; // `${domain}:${productId}`
+  domain: string;
+  productId: string;
+  quantity: number;
+  added: number;
 }
 
 const DB_NAME = "MultiDomainStore";
-const DB_VERSION = 2; // Updated version for new subscription store
+const DB_VERSION = 3; // Added the cart store
 const PRODUCTS_STORE = "products";
 const ORDERS_STORE = "orders";
 const SUBSCRIPTIONS_STORE = "subscriptions";
+const CART_STORE = "cart";
 
 class IndexedDBHelper {
   private db: IDBDatabase | null = null;
@@ -86,6 +202,14 @@ class IndexedDBHelper {
           subscriptionsStore.createIndex("domain", "domain", { unique: false });
           subscriptionsStore.createIndex("status", "status", { unique: false });
         }
+
+        // Create cart store
+        if (!db.objectStoreNames.contains(CART_STORE)) {
+          const cartStore = db.createObjectStore(CART_STORE, {
+            keyPath: "id",
+          });
+          cartStore.createIndex("domain", "domain", { unique: false });
+        }
       };
     });
   }
@@ -270,6 +394,54 @@ class IndexedDBHelper {
     });
   }
 
+  // Cart operations
+  async saveCartItem(item: CartItem): Promise<void> {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db!.transaction([CART_STORE], "readwrite");
+      const store = transaction.objectStore(CART_STORE);
+      const request = store.put(item);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve();
+    });
+  }
+
+  async getCartItems(domain: string): Promise<CartItem[]> {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db!.transaction([CART_STORE], "readonly");
+      const store = transaction.objectStore(CART_STORE);
+      const index = store.index("domain");
+      const request = index.getAll(domain);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  async removeCartItem(id: string): Promise<void> {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db!.transaction([CART_STORE], "readwrite");
+      const store = transaction.objectStore(CART_STORE);
+      const request = store.delete(id);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve();
+    });
+  }
+
+  async clearCart(domain: string): Promise<void> {
+    const items = await this.getCartItems(domain);
+    for (const item of items) {
+      await this.removeCartItem(item.id);
+    }
+  }
+
   // Global operations (across all domains)
   async getAllProducts(): Promise<Product[]> {
     if (!this.db) await this.init();
@@ -300,14 +472,15 @@ class IndexedDBHelper {
   async getGlobalAnalytics(): Promise<{
     totalProducts: number;
     totalOrders: number;
-    totalRevenue: number;
+    // Revenue is kept per currency, e.g. { usd: 120, jpy: 3000 }
+    totalRevenue: Record<string, number>;
     totalSubscriptions: number;
     domainBreakdown: Record<
       string,
       {
         products: number;
         orders: number;
-        revenue: number;
+        revenue: Record<string, number>;
         subscriptions: number;
       }
     >;
@@ -325,7 +498,7 @@ class IndexedDBHelper {
       {
         products: number;
         orders: number;
-        revenue: number;
+        revenue: Record<string, number>;
         subscriptions: number;
       }
     > = {};
@@ -336,7 +509,7 @@ class IndexedDBHelper {
         domainBreakdown[product.domain] = {
           products: 0,
           orders: 0,
-          revenue: 0,
+          revenue: {},
           subscriptions: 0,
         };
       }
@@ -344,21 +517,29 @@ class IndexedDBHelper {
     });
 
     // Process orders
-    let totalRevenue = 0;
+    const totalRevenue: Record<string, number> = {};
     orders.forEach((order) => {
       if (!domainBreakdown[order.domain]) {
         domainBreakdown[order.domain] = {
           products: 0,
           orders: 0,
-          revenue: 0,
+          revenue: {},
           subscriptions: 0,
         };
       }
       domainBreakdown[order.domain].orders++;
 
-      if (order.status === "succeeded") {
-        domainBreakdown[order.domain].revenue += order.amount;
-        totalRevenue += order.amount;
+      // Refunded orders only count what was kept
+      if (
+        order.status === "succeeded" ||
+        order.status === "partially_refunded" ||
+        order.status === "refunded"
+      ) {
+        const currency = (order.currency || "usd").toLowerCase();
+        const revenue = order.amount - (order.amountRefunded || 0);
+        const domainRevenue = domainBreakdown[order.domain].revenue;
+        domainRevenue[currency] = (domainRevenue[currency] || 0) + revenue;
+        totalRevenue[currency] = (totalRevenue[currency] || 0) + revenue;
       }
     });
 
@@ -368,7 +549,7 @@ class IndexedDBHelper {
         domainBreakdown[subscription.domain] = {
           products: 0,
           orders: 0,
-          revenue: 0,
+          revenue: {},
           subscriptions: 0,
         };
       }
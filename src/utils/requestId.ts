@@ -0,0 +1,16 @@
+import { useRef } from "react";
+
+// ID sent as requestId with requests that write to Stripe. The server
+// derives its idempotency keys from it, so retrying a failed or timed-out
+// request with the same ID can't create anything twice. Call renew once the
+// request has gone through so the next one is treated as new.
+export const useRequestId = () => {
+  const requestId = useRef<string | null>(null);
+
+  const current = () => (requestId.current ??= crypto.randomUUID());
+  const renew = () => {
+    requestId.current = null;
+  };
+
+  return [current, renew] as const;
+};
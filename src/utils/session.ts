@@ -0,0 +1,88 @@
+// The session lives in HttpOnly cookies that the page can't read. Access
+// tokens last 15 minutes; the page learns when the current one expires
+// from the server's answers and keeps that in localStorage, shared by its
+// tabs. Before it expires the page asks the server for a new pair, which
+// arrives as cookies again.
+
+// How long before expiry the access token is replaced
+export const REFRESH_MARGIN_MS = 60 * 1000;
+
+const EXPIRES_AT_KEY = "sessionExpiresAt";
+
+// Lasts as long as the session, and is the only session cookie pages
+// can read
+const CSRF_COOKIE = "csrf_token";
+
+export const readCookie = (name: string): string | null => {
+  for (const pair of document.cookie.split(";")) {
+    const [key, ...value] = pair.trim().split("=");
+    if (key === name) {
+      return value.join("=");
+    }
+  }
+  return null;
+};
+
+// Headers for /api calls. The session cookie goes along by itself; the
+// CSRF token shows the request comes from a page on this domain.
+export const apiHeaders = () => ({
+  "Content-Type": "application/json",
+  "X-CSRF-Token": readCookie(CSRF_COOKIE) || "",
+});
+
+// When the access token expires, in milliseconds
+export const sessionExpiresAt = (): number =>
+  Number(localStorage.getItem(EXPIRES_AT_KEY)) || 0;
+
+export const setSessionExpiresAt = (expiresAt: number) => {
+  localStorage.setItem(EXPIRES_AT_KEY, String(expiresAt));
+};
+
+export const clearStoredSession = () => {
+  localStorage.removeItem(EXPIRES_AT_KEY);
+};
+
+// Makes sure the access token is fresh. Returns false when the session
+// has ended and the user must log in again. Throws when the server
+// couldn't be reached.
+export const refreshSession = async (domain: string): Promise<boolean> => {
+  // Tabs share the refresh token, and a refresh token works only once: if
+  // two tabs both used it, the server would take that for theft and end
+  // the session. The lock makes them take turns.
+  if (!navigator.locks) {
+    return doRefresh(domain);
+  }
+  return navigator.locks.request("session-refresh", () => doRefresh(domain));
+};
+
+const doRefresh = async (domain: string): Promise<boolean> => {
+  // Another tab may have refreshed while this one waited
+  if (sessionExpiresAt() - Date.now() > REFRESH_MARGIN_MS) {
+    return true;
+  }
+
+  // No session to refresh
+  if (!readCookie(CSRF_COOKIE)) {
+    return false;
+  }
+
+  const response = await fetch("/api/token/refresh", {
+    method: "POST",
+    headers: apiHeaders(),
+    body: JSON.stringify({ domain }),
+  });
+
+  if (response.status >= 500) {
+    throw new Error(`Token refresh failed with HTTP ${response.status}`);
+  }
+
+  const result = await response.json();
+  if (!result.success) {
+    console.error("Session ended:", result.error);
+    clearStoredSession();
+    return false;
+  }
+
+  setSessionExpiresAt(result.expiresAt);
+  return true;
+};
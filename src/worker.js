@@ -12,7 +12,54 @@ import {
   handleStripeCreateProduct,
   handleStripeGetProducts,
   handleStripeCreatePaymentIntent,
+  handleStripeUpdateProduct,
+  handleStripeArchiveProduct,
+  handleStripeCreateSubscription,
+  handleStripeCreateSubscriptionIntent,
+  handleStripeGetSubscriptions,
+  handleStripeCancelSubscription,
+  handleStripePreviewPlanChange,
+  handleStripeChangePlan,
+  handleReportUsage,
+  handleStripeCreateCheckoutSession,
+  handleStripeGetCheckoutSession,
+  handleStripeRefund,
+  handleStripeInvoice,
+  handleStripeConnectOnboard,
+  handleStripeConnectAccount,
+  handleStripeGetCoupons,
+  handleStripeCreateCoupon,
+  handleStripeDeactivateCoupon,
+  handleStripeApplyCoupon,
+  handleStripeCalculateTax,
+  handleStripeGetPaymentMethods,
+  handleStripeCreateSetupIntent,
+  handleStripeRemovePaymentMethod,
+  handleStripeBillingPortal,
+  handleStripeWebhook,
+  handleStripeGlobalAnalytics,
+  handleStripeGlobalProducts,
+  handleGetDomainSettings,
+  handleUpdateDomainSettings,
   handleLogout,
+  handleRefreshToken,
+  handleGetSessions,
+  handleRevokeSessions,
+  runDunningSweep,
+  saveProviderTokens,
+  createSession,
+  updateSessionClaims,
+  createOAuthState,
+  consumeOAuthState,
+  authenticate,
+  handleAuthComplete,
+} from "./api-handlers.js";
+
+// Durable Object classes must be exported by the main module
+export {
+  InvoiceNumberAllocator,
+  ReservationLedger,
+  WebhookEventLog,
 } from "./api-handlers.js";
 
 export default {
@@ -43,6 +90,10 @@ export default {
         return handleAirtableCallback(request, domain, env);
       }
 
+      if (url.pathname === "/auth/complete") {
+        return handleAuthComplete(request, domain, env);
+      }
+
       // API routes
       if (url.pathname.startsWith("/api/")) {
         return handleAPIRequest(request, domain, env, ctx);
@@ -79,26 +130,29 @@ export default {
       );
     }
   },
+
+  // Cron trigger (see wrangler.toml): ends grace periods of failed renewals
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(runDunningSweep(env));
+  },
 };
 
 // ==================== OAUTH IMPLEMENTATIONS ====================
 
 async function handleGoogleAuth(request, domain, env) {
   const url = new URL(request.url);
-  const returnDomain = url.searchParams.get("return_domain");
 
-  if (!returnDomain) {
-    return new Response("Missing return_domain parameter", { status: 400 });
-  }
+  console.log(`🔐 Starting Google OAuth flow for domain: ${domain}`);
 
-  console.log(`🔐 Starting Google OAuth flow for domain: ${returnDomain}`);
+  // PKCE ties the code to this flow, and the nonce ties the ID token to it
+  const codeVerifier = generateCodeVerifier();
+  const codeChallenge = await generateCodeChallenge(codeVerifier);
+  const nonce = generateCodeVerifier();
 
-  // Create state with domain info and timestamp
-  const stateData = {
-    return_domain: returnDomain,
-    timestamp: Date.now(),
-  };
-  const state = btoa(JSON.stringify(stateData));
+  const { state, cookie } = await createOAuthState(env, domain, {
+    codeVerifier: codeVerifier,
+    nonce: nonce,
+  });
 
   // Build Google OAuth URL
   const googleAuthUrl = new URL("https://accounts.google.com/o/oauth2/v2/auth");
@@ -116,10 +170,16 @@ async function handleGoogleAuth(request, domain, env) {
     "openid email profile https://www.googleapis.com/auth/spreadsheets"
   );
   googleAuthUrl.searchParams.set("access_type", "offline");
+  // Google only sends a refresh token when the user consents, and every
+  // login is a new session without the previous one's tokens
+  googleAuthUrl.searchParams.set("prompt", "consent");
   googleAuthUrl.searchParams.set("state", state);
+  googleAuthUrl.searchParams.set("code_challenge", codeChallenge);
+  googleAuthUrl.searchParams.set("code_challenge_method", "S256");
+  googleAuthUrl.searchParams.set("nonce", nonce);
 
-  console.log(`🔗 Redirecting to Google OAuth: ${googleAuthUrl.toString()}`);
-  return Response.redirect(googleAuthUrl.toString(), 302);
+  console.log("🔗 Redirecting to Google OAuth");
+  return oauthRedirect(googleAuthUrl.toString(), cookie);
 }
 
 async function handleGoogleCallback(request, domain, env) {
@@ -140,24 +200,16 @@ async function handleGoogleCallback(request, domain, env) {
     return new Response("Missing code or state parameter", { status: 400 });
   }
 
-  // Decode and validate state
-  let stateData;
-  try {
-    stateData = JSON.parse(atob(state));
-
-    // Check state age (10 minutes max)
-    const stateAge = Date.now() - stateData.timestamp;
-    if (stateAge > 10 * 60 * 1000) {
-      console.error("❌ State parameter too old");
-      return new Response("Authentication session expired", { status: 400 });
-    }
-
-    console.log(`📍 Return domain from state: ${stateData.return_domain}`);
-  } catch (e) {
-    console.error("❌ Invalid state parameter:", e);
-    return new Response("Invalid state parameter", { status: 400 });
+  const stateData = await consumeOAuthState(env, state);
+  if (!stateData) {
+    console.error("❌ Invalid or expired state parameter");
+    return new Response("Invalid or expired authentication session", {
+      status: 400,
+    });
   }
 
+  console.log(`📍 Return domain from state: ${stateData.domain}`);
+
   try {
     console.log("🎫 Exchanging code for access token...");
 
@@ -173,6 +225,7 @@ async function handleGoogleCallback(request, domain, env) {
         redirect_uri: `${
           env.OAUTH_REDIRECT_URL || url.origin
         }/auth/google/callback`,
+        code_verifier: stateData.codeVerifier,
       }),
     });
 
@@ -182,6 +235,8 @@ async function handleGoogleCallback(request, domain, env) {
       throw new Error("No access token received from Google");
     }
 
+    verifyGoogleIdToken(tokens.id_token, env, stateData.nonce);
+
     console.log("👤 Fetching user profile from Google...");
 
     // Get user profile from Google
@@ -195,34 +250,32 @@ async function handleGoogleCallback(request, domain, env) {
     const googleUser = await profileResponse.json();
     console.log(`✅ Successfully authenticated user: ${googleUser.email}`);
 
-    // Create domain-specific JWT payload
-    const tokenPayload = {
+    // Domain-specific access token claims. Provider tokens stay on the
+    // server, stored under the session ID.
+    const claims = {
       userId: googleUser.id,
       email: googleUser.email,
       name: googleUser.name,
       picture: googleUser.picture,
-      domain: stateData.return_domain,
-      googleAccessToken: tokens.access_token,
-      googleRefreshToken: tokens.refresh_token,
-      airtableAccessToken: null,
-      airtableRefreshToken: null,
-      iat: Math.floor(Date.now() / 1000),
-      exp: Math.floor(Date.now() / 1000) + 24 * 60 * 60, // 24 hours
+      domain: stateData.domain,
+      sessionId: crypto.randomUUID(),
+      googleConnected: true,
+      airtableConnected: false,
     };
 
-    // Sign JWT using Web Crypto API
-    const jwtToken = await signJWT(tokenPayload, env.JWT_SECRET);
+    await saveProviderTokens(env, claims, "google", tokens);
 
-    // Store user session in KV for server-side validation
-    await env.USER_SESSIONS.put(
-      `session:${googleUser.id}:${stateData.return_domain}`,
-      JSON.stringify(tokenPayload),
-      { expirationTtl: 24 * 60 * 60 } // 24 hours
+    const authCode = await createSession(
+      env,
+      request,
+      claims,
+      stateData.binding
     );
 
-    // Redirect back to the original domain with token
-    const returnUrl = `https://${stateData.return_domain}/?token=${jwtToken}`;
-    console.log(`🏠 Redirecting back to: ${returnUrl}`);
+    // Redirect back to the original domain, which swaps the one-time code
+    // for its session cookies
+    const returnUrl = `https://${stateData.domain}/auth/complete?code=${authCode}`;
+    console.log(`🏠 Redirecting back to: ${stateData.domain}`);
 
     return Response.redirect(returnUrl, 302);
   } catch (error) {
@@ -235,8 +288,6 @@ async function handleGoogleCallback(request, domain, env) {
 
 async function handleAirtableAuth(request, domain, env) {
   const url = new URL(request.url);
-  const token = url.searchParams.get("token");
-  const requestDomain = url.searchParams.get("domain");
 
   console.log("🗂️ Starting Airtable OAuth flow...");
 
@@ -248,46 +299,32 @@ async function handleAirtableAuth(request, domain, env) {
     });
   }
 
-  if (!token || !requestDomain) {
-    return new Response("Missing token or domain parameter", { status: 400 });
+  // The user arrives by navigating here, with the session cookie of the
+  // domain they are logged in on
+  const { decoded, errorResponse } = await authenticate(request, env, {});
+  if (errorResponse) {
+    return new Response("Session expired, please log in again", {
+      status: 401,
+    });
   }
-
-  // Verify the existing JWT token
-  try {
-    const decoded = await verifyJWT(token, env.JWT_SECRET);
-    if (decoded.domain !== requestDomain) {
-      return new Response("Token domain mismatch", { status: 403 });
-    }
-  } catch (error) {
-    return new Response("Invalid token", { status: 401 });
+  if (decoded.domain !== domain) {
+    return new Response("Token domain mismatch", { status: 403 });
   }
 
-  console.log(`📍 Airtable OAuth for domain: ${requestDomain}`);
-
-  // Generate a short random state ID and store the data in KV
-  const stateId = crypto.randomUUID();
+  console.log(`📍 Airtable OAuth for domain: ${domain}`);
 
   // Generate PKCE parameters (required by Airtable)
   const codeVerifier = generateCodeVerifier();
   const codeChallenge = await generateCodeChallenge(codeVerifier);
 
-  const stateData = {
-    token: token,
-    domain: requestDomain,
+  // The access token may expire before the user comes back, so the state
+  // names the session instead
+  const { state, cookie } = await createOAuthState(env, domain, {
+    userId: decoded.userId,
+    sessionId: decoded.sessionId,
     codeVerifier: codeVerifier,
-    timestamp: Date.now(),
-  };
-
-  // Store in KV with 10 minute expiration
-  await env.OAUTH_STATES.put(stateId, JSON.stringify(stateData), {
-    expirationTtl: 10 * 60, // 10 minutes
   });
 
-  console.log(`🔑 Generated state ID: ${stateId}`);
-  console.log(
-    `🔐 Generated PKCE challenge: ${codeChallenge.substring(0, 20)}...`
-  );
-
   // Build Airtable OAuth URL
   const airtableAuthUrl = new URL("https://airtable.com/oauth2/v1/authorize");
   airtableAuthUrl.searchParams.set("client_id", env.AIRTABLE_CLIENT_ID);
@@ -300,12 +337,12 @@ async function handleAirtableAuth(request, domain, env) {
     "scope",
     "data.records:read data.records:write schema.bases:read"
   );
-  airtableAuthUrl.searchParams.set("state", stateId);
+  airtableAuthUrl.searchParams.set("state", state);
   airtableAuthUrl.searchParams.set("code_challenge", codeChallenge);
   airtableAuthUrl.searchParams.set("code_challenge_method", "S256");
 
-  console.log(`🔗 Redirecting to Airtable: ${airtableAuthUrl.toString()}`);
-  return Response.redirect(airtableAuthUrl.toString(), 302);
+  console.log("🔗 Redirecting to Airtable OAuth");
+  return oauthRedirect(airtableAuthUrl.toString(), cookie);
 }
 
 async function handleAirtableCallback(request, domain, env) {
@@ -328,37 +365,24 @@ async function handleAirtableCallback(request, domain, env) {
     return new Response("Missing authorization code or state", { status: 400 });
   }
 
-  console.log(`🔍 Looking up state ID: ${state}`);
-
-  // Get state data from KV
-  const stateDataJson = await env.OAUTH_STATES.get(state);
-  if (!stateDataJson) {
+  const stateData = await consumeOAuthState(env, state);
+  if (!stateData) {
     console.error("❌ Invalid or expired state parameter");
     return new Response("Invalid or expired authentication session", {
       status: 400,
     });
   }
 
-  const stateData = JSON.parse(stateDataJson);
   const {
-    token: originalToken,
+    userId,
+    sessionId,
     domain: originalDomain,
     codeVerifier,
-    timestamp,
+    binding,
   } = stateData;
 
   console.log(`✅ Found state data for domain: ${originalDomain}`);
 
-  // Clean up state immediately
-  await env.OAUTH_STATES.delete(state);
-
-  // Check timestamp
-  const stateAge = Date.now() - timestamp;
-  if (stateAge > 10 * 60 * 1000) {
-    console.error("❌ State parameter too old");
-    return new Response("Authentication session expired", { status: 400 });
-  }
-
   try {
     console.log("🎫 Exchanging Airtable code for access token...");
 
@@ -434,31 +458,24 @@ async function handleAirtableCallback(request, domain, env) {
 
     console.log("✅ Successfully received Airtable tokens");
 
-    // Decode the original JWT to update it with Airtable tokens
-    const originalDecoded = await verifyJWT(originalToken, env.JWT_SECRET);
-
-    // Create new JWT with Airtable tokens added
-    const updatedTokenPayload = {
-      ...originalDecoded,
-      airtableAccessToken: tokens.access_token,
-      airtableRefreshToken: tokens.refresh_token,
-      iat: Math.floor(Date.now() / 1000),
-      // Keep the same expiration time
-    };
+    // Mark Airtable as connected in the session's access tokens. This
+    // fails if the session was logged out in the meantime.
+    const authCode = await updateSessionClaims(
+      env,
+      userId,
+      sessionId,
+      { airtableConnected: true },
+      { returnTo: "/?airtable_connected=true", binding }
+    );
 
-    const updatedJwtToken = await signJWT(updatedTokenPayload, env.JWT_SECRET);
+    await saveProviderTokens(env, { sessionId }, "airtable", tokens);
 
-    // Update session in KV
-    await env.USER_SESSIONS.put(
-      `session:${originalDecoded.userId}:${originalDomain}`,
-      JSON.stringify(updatedTokenPayload),
-      { expirationTtl: 24 * 60 * 60 } // 24 hours
+    // The domain swaps the code for an updated session cookie
+    const returnUrl = `https://${originalDomain}/auth/complete?code=${authCode}`;
+    console.log(
+      `🏠 Redirecting back with Airtable connected: ${originalDomain}`
     );
 
-    // Redirect back to the domain with updated token
-    const returnUrl = `https://${originalDomain}/?token=${updatedJwtToken}&airtable_connected=true`;
-    console.log(`🏠 Redirecting back with Airtable tokens: ${originalDomain}`);
-
     return Response.redirect(returnUrl, 302);
   } catch (error) {
     console.error("❌ Error during Airtable OAuth callback:", error);
@@ -477,7 +494,7 @@ async function handleAPIRequest(request, domain, env, ctx) {
   const corsHeaders = {
     "Access-Control-Allow-Origin": "*",
     "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-CSRF-Token",
   };
 
   try {
@@ -524,6 +541,19 @@ async function handleAPIRequest(request, domain, env, ctx) {
       return await handleStripeGetProducts(request, domain, env, corsHeaders);
     }
 
+    if (url.pathname === "/api/stripe/update-product") {
+      return await handleStripeUpdateProduct(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/stripe/archive-product") {
+      return await handleStripeArchiveProduct(
+        request,
+        domain,
+        env,
+        corsHeaders
+      );
+    }
+
     if (url.pathname === "/api/stripe/create-payment-intent") {
       return await handleStripeCreatePaymentIntent(
         request,
@@ -569,6 +599,127 @@ async function handleAPIRequest(request, domain, env, ctx) {
       );
     }
 
+    if (url.pathname === "/api/stripe/preview-plan-change") {
+      return await handleStripePreviewPlanChange(
+        request,
+        domain,
+        env,
+        corsHeaders
+      );
+    }
+
+    if (url.pathname === "/api/stripe/change-plan") {
+      return await handleStripeChangePlan(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/usage") {
+      return await handleReportUsage(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/stripe/create-checkout-session") {
+      return await handleStripeCreateCheckoutSession(
+        request,
+        domain,
+        env,
+        corsHeaders
+      );
+    }
+
+    if (url.pathname === "/api/stripe/checkout-session") {
+      return await handleStripeGetCheckoutSession(
+        request,
+        domain,
+        env,
+        corsHeaders
+      );
+    }
+
+    if (url.pathname === "/api/stripe/refund") {
+      return await handleStripeRefund(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/stripe/invoice") {
+      return await handleStripeInvoice(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/stripe/connect/onboard") {
+      return await handleStripeConnectOnboard(
+        request,
+        domain,
+        env,
+        corsHeaders
+      );
+    }
+
+    if (url.pathname === "/api/stripe/connect/account") {
+      return await handleStripeConnectAccount(
+        request,
+        domain,
+        env,
+        corsHeaders
+      );
+    }
+
+    if (url.pathname === "/api/stripe/coupons") {
+      return await handleStripeGetCoupons(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/stripe/create-coupon") {
+      return await handleStripeCreateCoupon(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/stripe/deactivate-coupon") {
+      return await handleStripeDeactivateCoupon(
+        request,
+        domain,
+        env,
+        corsHeaders
+      );
+    }
+
+    if (url.pathname === "/api/stripe/apply-coupon") {
+      return await handleStripeApplyCoupon(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/stripe/calculate-tax") {
+      return await handleStripeCalculateTax(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/stripe/payment-methods") {
+      return await handleStripeGetPaymentMethods(
+        request,
+        domain,
+        env,
+        corsHeaders
+      );
+    }
+
+    if (url.pathname === "/api/stripe/create-setup-intent") {
+      return await handleStripeCreateSetupIntent(
+        request,
+        domain,
+        env,
+        corsHeaders
+      );
+    }
+
+    if (url.pathname === "/api/stripe/remove-payment-method") {
+      return await handleStripeRemovePaymentMethod(
+        request,
+        domain,
+        env,
+        corsHeaders
+      );
+    }
+
+    if (url.pathname === "/api/stripe/billing-portal") {
+      return await handleStripeBillingPortal(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/stripe/webhook") {
+      return await handleStripeWebhook(request, domain, env, corsHeaders);
+    }
+
     if (url.pathname === "/api/stripe/global-analytics") {
       return await handleStripeGlobalAnalytics(
         request,
@@ -587,10 +738,36 @@ async function handleAPIRequest(request, domain, env, ctx) {
       );
     }
 
+    // Per-domain store settings
+    if (url.pathname === "/api/settings") {
+      return await handleGetDomainSettings(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/settings/update") {
+      return await handleUpdateDomainSettings(
+        request,
+        domain,
+        env,
+        corsHeaders
+      );
+    }
+
+    if (url.pathname === "/api/token/refresh") {
+      return await handleRefreshToken(request, domain, env, corsHeaders);
+    }
+
     if (url.pathname === "/api/logout") {
       return await handleLogout(request, domain, env, corsHeaders);
     }
 
+    if (url.pathname === "/api/sessions") {
+      return await handleGetSessions(request, domain, env, corsHeaders);
+    }
+
+    if (url.pathname === "/api/sessions/revoke") {
+      return await handleRevokeSessions(request, domain, env, corsHeaders);
+    }
+
     return new Response("API endpoint not found", {
       status: 404,
       headers: corsHeaders,
@@ -610,64 +787,6 @@ async function handleAPIRequest(request, domain, env, ctx) {
   }
 }
 
-// ==================== JWT UTILITIES ====================
-
-async function signJWT(payload, secret) {
-  const encoder = new TextEncoder();
-  const key = await crypto.subtle.importKey(
-    "raw",
-    encoder.encode(secret),
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["sign"]
-  );
-
-  const header = { alg: "HS256", typ: "JWT" };
-  const encodedHeader = base64urlEncode(JSON.stringify(header));
-  const encodedPayload = base64urlEncode(JSON.stringify(payload));
-
-  const data = encoder.encode(`${encodedHeader}.${encodedPayload}`);
-  const signature = await crypto.subtle.sign("HMAC", key, data);
-  const encodedSignature = base64urlEncode(new Uint8Array(signature));
-
-  return `${encodedHeader}.${encodedPayload}.${encodedSignature}`;
-}
-
-async function verifyJWT(token, secret) {
-  const parts = token.split(".");
-  if (parts.length !== 3) {
-    throw new Error("Invalid JWT format");
-  }
-
-  const [encodedHeader, encodedPayload, encodedSignature] = parts;
-
-  const encoder = new TextEncoder();
-  const key = await crypto.subtle.importKey(
-    "raw",
-    encoder.encode(secret),
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["verify"]
-  );
-
-  const data = encoder.encode(`${encodedHeader}.${encodedPayload}`);
-  const signature = base64urlDecode(encodedSignature);
-
-  const isValid = await crypto.subtle.verify("HMAC", key, signature, data);
-  if (!isValid) {
-    throw new Error("Invalid JWT signature");
-  }
-
-  const payload = JSON.parse(base64urlDecodeToString(encodedPayload));
-
-  // Check expiration
-  if (payload.exp && payload.exp < Date.now() / 1000) {
-    throw new Error("JWT token expired");
-  }
-
-  return payload;
-}
-
 // ==================== UTILITY FUNCTIONS ====================
 
 function base64urlEncode(data) {
@@ -680,20 +799,6 @@ function base64urlEncode(data) {
     .replace(/=/g, "");
 }
 
-function base64urlDecode(str) {
-  str = str.replace(/-/g, "+").replace(/_/g, "/");
-  while (str.length % 4) {
-    str += "=";
-  }
-  const bytes = atob(str);
-  return new Uint8Array(bytes.split("").map((c) => c.charCodeAt(0)));
-}
-
-function base64urlDecodeToString(str) {
-  const bytes = base64urlDecode(str);
-  return new TextDecoder().decode(bytes);
-}
-
 function generateCodeVerifier() {
   const array = new Uint8Array(32);
   crypto.getRandomValues(array);
@@ -707,13 +812,49 @@ async function generateCodeChallenge(verifier) {
   return base64urlEncode(new Uint8Array(hash));
 }
 
+// Redirects to a provider, setting the OAuth binding cookie
+function oauthRedirect(location, cookie) {
+  return new Response(null, {
+    status: 302,
+    headers: { Location: location, "Set-Cookie": cookie },
+  });
+}
+
+// The ID token comes straight from Google's token endpoint over TLS, so
+// its signature needn't be checked (OpenID Connect Core 3.1.3.7), but its
+// claims must match this flow
+function verifyGoogleIdToken(idToken, env, nonce) {
+  if (!idToken) {
+    throw new Error("No ID token received from Google");
+  }
+
+  const payload = idToken.split(".")[1] || "";
+  const claims = JSON.parse(
+    atob(payload.replace(/-/g, "+").replace(/_/g, "/"))
+  );
+
+  if (
+    !["https://accounts.google.com", "accounts.google.com"].includes(
+      claims.iss
+    ) ||
+    claims.aud !== env.GOOGLE_CLIENT_ID ||
+    claims.exp * 1000 < Date.now()
+  ) {
+    throw new Error("Invalid ID token");
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+}
+
 function handleCORS() {
   return new Response(null, {
     status: 204,
     headers: {
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      "Access-Control-Allow-Headers":
+        "Content-Type, Authorization, X-CSRF-Token",
       "Access-Control-Max-Age": "86400",
     },
   });